@@ -2,6 +2,9 @@ import { Routes, Route, Navigate } from 'react-router-dom';
 import Navbar from './components/Navbar';
 import Home from './pages/Home';
 import Results from './pages/Results';
+import History from './pages/History';
+import Compare from './pages/Compare';
+import Flows from './pages/Flows';
 
 const App = () => (
   <div className="min-h-screen bg-slate-50">
@@ -9,6 +12,9 @@ const App = () => (
     <Routes>
       <Route path="/" element={<Home />} />
       <Route path="/results" element={<Results />} />
+      <Route path="/history" element={<History />} />
+      <Route path="/compare" element={<Compare />} />
+      <Route path="/flows" element={<Flows />} />
       <Route path="*" element={<Navigate to="/" replace />} />
     </Routes>
   </div>
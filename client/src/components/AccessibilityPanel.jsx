@@ -0,0 +1,88 @@
+const impactColors = {
+  critical: 'bg-rose-100 text-rose-700 border-rose-200',
+  serious: 'bg-orange-100 text-orange-700 border-orange-200',
+  moderate: 'bg-amber-100 text-amber-700 border-amber-200',
+  minor: 'bg-slate-100 text-slate-600 border-slate-200'
+};
+
+const IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+
+const AccessibilityPanel = ({ analysis, loading }) => (
+  <div className="card p-6 pdf-section">
+    <div className="flex items-center justify-between mb-4">
+      <h4 className="text-xl font-semibold text-slate-800">
+        Accessibility Audit
+      </h4>
+      {loading && (
+        <div className="flex items-center gap-2 text-sm text-slate-500">
+          <div className="h-4 w-4 animate-spin rounded-full border-2 border-slate-200 border-t-slate-600" />
+          <span>Auditing...</span>
+        </div>
+      )}
+    </div>
+
+    {loading && !analysis ? (
+      <div className="flex flex-col items-center justify-center py-12">
+        <div className="h-12 w-12 animate-spin rounded-full border-4 border-indigo-200 border-t-indigo-600 mb-4" />
+        <p className="text-slate-600">Checking WCAG rules...</p>
+      </div>
+    ) : analysis ? (
+      <>
+        <div className="grid gap-4 sm:grid-cols-4 mb-6">
+          {IMPACTS.map((impact) => (
+            <div key={impact} className={`rounded-lg border p-4 ${impactColors[impact]}`}>
+              <p className="text-xs uppercase tracking-wide">{impact}</p>
+              <p className="text-2xl font-semibold">{analysis.summary?.byImpact?.[impact] || 0}</p>
+            </div>
+          ))}
+        </div>
+
+        {analysis.summary?.total > analysis.summary?.reported && (
+          <p className="mb-4 text-sm text-slate-500">
+            Showing {analysis.summary.reported} of {analysis.summary.total} findings (repeated findings per rule are capped)
+          </p>
+        )}
+
+        {analysis.findings?.length > 0 ? (
+          <div className="overflow-x-auto rounded-lg border border-slate-200">
+            <table className="w-full text-sm">
+              <thead className="bg-slate-50">
+                <tr>
+                  <th className="text-left py-3 px-4 text-slate-700 font-medium">Impact</th>
+                  <th className="text-left py-3 px-4 text-slate-700 font-medium">WCAG</th>
+                  <th className="text-left py-3 px-4 text-slate-700 font-medium">Issue</th>
+                  <th className="text-left py-3 px-4 text-slate-700 font-medium">Selector</th>
+                </tr>
+              </thead>
+              <tbody>
+                {analysis.findings.map((finding, idx) => (
+                  <tr key={idx} className="border-b border-slate-100 hover:bg-slate-50 align-top">
+                    <td className="py-3 px-4">
+                      <span className={`px-2 py-1 rounded border text-xs font-semibold uppercase ${impactColors[finding.impact]}`}>
+                        {finding.impact}
+                      </span>
+                    </td>
+                    <td className="py-3 px-4 text-slate-600 whitespace-nowrap" title={finding.wcagName}>
+                      {finding.wcag} ({finding.level})
+                    </td>
+                    <td className="py-3 px-4 text-slate-600">
+                      <p className="font-medium text-slate-700">{finding.message}</p>
+                      <p className="text-xs text-slate-500 mt-1">{finding.rule}: {finding.description}</p>
+                    </td>
+                    <td className="py-3 px-4 text-xs text-slate-500 break-all max-w-xs">
+                      {finding.selector || 'Page'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="text-slate-500 text-sm">No accessibility issues found by the automated rules</p>
+        )}
+      </>
+    ) : null}
+  </div>
+);
+
+export default AccessibilityPanel;
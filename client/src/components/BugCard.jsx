@@ -5,20 +5,87 @@ const severityColors = {
   low: 'bg-emerald-100 text-emerald-700 border-emerald-200'
 };
 
-const BugCard = ({ bug }) => (
-  <div className="rounded-xl border border-gray-200 bg-white p-5 shadow-md transition-all hover:shadow-lg">
-    <div className="flex items-center justify-between mb-3">
-      <h3 className="text-lg font-semibold text-slate-800">{bug.title}</h3>
-      <span
-        className={`rounded-full px-3 py-1 text-xs font-semibold uppercase tracking-wide border ${severityColors[bug.severity?.toLowerCase()] ?? 'bg-slate-100 text-slate-600 border-slate-200'}`}
-      >
-        {bug.severity || 'Unknown'}
-      </span>
+const sourceLabels = {
+  rule: { label: 'Confirmed by rule', className: 'bg-indigo-50 text-indigo-700 border-indigo-200' },
+  ai: { label: 'Suspected by AI', className: 'bg-violet-50 text-violet-700 border-violet-200' }
+};
+
+const THUMBNAIL_WIDTH = 280;
+const THUMBNAIL_HEIGHT = 140;
+const THUMBNAIL_MARGIN = 24;
+
+// Crop of the screenshot around the cited element, scaled down to fit the thumbnail
+const EvidenceThumbnail = ({ box, screenshot }) => {
+  const left = Math.max(0, box.x - THUMBNAIL_MARGIN);
+  const top = Math.max(0, box.y - THUMBNAIL_MARGIN);
+  const width = Math.min(screenshot.width, box.x + box.width + THUMBNAIL_MARGIN) - left;
+  const height = Math.min(screenshot.height, box.y + box.height + THUMBNAIL_MARGIN) - top;
+  const scale = Math.min(1, THUMBNAIL_WIDTH / width, THUMBNAIL_HEIGHT / height);
+
+  return (
+    <div
+      className="relative overflow-hidden rounded-lg border border-slate-200 bg-slate-100"
+      style={{ width: width * scale, height: height * scale }}
+    >
+      <img
+        src={screenshot.src}
+        alt="Evidence"
+        className="absolute max-w-none"
+        style={{ left: -left * scale, top: -top * scale, width: screenshot.width * scale }}
+      />
     </div>
-    <p className="text-sm text-slate-600">{bug.description}</p>
-  </div>
-);
+  );
+};
 
-export default BugCard;
+/**
+ * `screenshot` ({ src, width, height }) enables the evidence thumbnail for
+ * bugs whose cited element is inside it
+ */
+const BugCard = ({ bug, screenshot }) => {
+  const evidence = bug.evidence;
+  const source = sourceLabels[bug.source];
 
+  return (
+    <div className="rounded-xl border border-gray-200 bg-white p-5 shadow-md transition-all hover:shadow-lg">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold text-slate-800">
+          {evidence?.box && <span className="mr-2 text-slate-400">#{evidence.number}</span>}
+          {bug.title}
+        </h3>
+        <span
+          className={`rounded-full px-3 py-1 text-xs font-semibold uppercase tracking-wide border ${severityColors[bug.severity?.toLowerCase()] ?? 'bg-slate-100 text-slate-600 border-slate-200'}`}
+        >
+          {bug.severity || 'Unknown'}
+        </span>
+      </div>
+      {source && (
+        <div className="mb-3 flex flex-wrap items-center gap-2 text-xs">
+          <span className={`rounded-full border px-2 py-0.5 font-medium ${source.className}`}>{source.label}</span>
+          {bug.rule && <span className="font-mono text-slate-400">{bug.rule}</span>}
+          {bug.priority && <span className="text-slate-500">Priority {bug.priority}</span>}
+        </div>
+      )}
+      <p className="text-sm text-slate-600">{bug.description}</p>
+      {bug.explanation && <p className="mt-2 text-sm text-slate-600">{bug.explanation}</p>}
+      {bug.fix && (
+        <p className="mt-2 text-sm text-slate-700">
+          <span className="font-semibold">Fix:</span> {bug.fix}
+        </p>
+      )}
 
+      {evidence && (evidence.element || evidence.selector) && (
+        <div className="mt-4 space-y-2">
+          {evidence.inScreenshot && screenshot && <EvidenceThumbnail box={evidence.box} screenshot={screenshot} />}
+          <p className="text-xs text-slate-500 break-all">
+            <span className="font-semibold">Evidence:</span>{' '}
+            <span className="font-mono">{evidence.selector || evidence.element}</span>
+            {!evidence.verified && <span className="ml-2 text-amber-600">(element not found on the page)</span>}
+            {evidence.verified && !evidence.inScreenshot && <span className="ml-2 text-slate-400">(outside the screenshot)</span>}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BugCard;
@@ -0,0 +1,110 @@
+import BugCard from './BugCard';
+
+const statusColors = {
+  effect: 'bg-emerald-100 text-emerald-700',
+  dead: 'bg-rose-100 text-rose-700',
+  skipped: 'bg-slate-100 text-slate-500',
+  error: 'bg-amber-100 text-amber-700'
+};
+
+const effectLabels = {
+  navigation: 'Navigated',
+  popup: 'Opened popup',
+  download: 'Download',
+  dialog: 'Dialog',
+  network: 'Network request',
+  dom: 'DOM changed',
+  'console-error': 'Console error',
+  'form-validation': 'Form validation'
+};
+
+const describeResult = (result) => {
+  if (result.status === 'skipped') return result.reason;
+  if (result.status === 'error') return result.error;
+  if (result.status === 'dead') return 'Nothing happened';
+  const details = [];
+  if (result.navigatedTo) details.push(`→ ${result.navigatedTo}`);
+  if (result.popup) details.push(`popup ${result.popup}`);
+  if (result.download) details.push(`download ${result.download}`);
+  result.dialogs?.forEach((dialog) => details.push(`${dialog.type}: "${dialog.message}"`));
+  return details.join(' · ');
+};
+
+const ClickTestsPanel = ({ clickTests, loading }) => {
+  const results = clickTests?.results || [];
+  const summary = clickTests?.summary;
+
+  return (
+    <div className="card p-6 pdf-section">
+      <div className="flex items-center justify-between mb-4">
+        <h4 className="text-xl font-semibold text-slate-800">
+          Button Clicks
+        </h4>
+        {loading ? (
+          <div className="flex items-center gap-2 text-sm text-slate-500">
+            <div className="h-4 w-4 animate-spin rounded-full border-2 border-slate-200 border-t-slate-600" />
+            <span>Clicking buttons...</span>
+          </div>
+        ) : summary && (
+          <span className="text-sm text-slate-500">
+            {summary.clicked} clicked · {summary.dead} dead · {summary.skipped} skipped
+          </span>
+        )}
+      </div>
+
+      {loading && !clickTests ? (
+        <div className="flex flex-col items-center justify-center py-12">
+          <div className="h-12 w-12 animate-spin rounded-full border-4 border-indigo-200 border-t-indigo-600 mb-4" />
+          <p className="text-slate-600">Clicking every button on a fresh page...</p>
+        </div>
+      ) : clickTests?.error ? (
+        <p className="text-sm text-rose-600">Click testing failed: {clickTests.error}</p>
+      ) : results.length === 0 ? (
+        <div className="flex flex-col items-center justify-center py-12">
+          <p className="text-slate-500 text-lg">No buttons found on this page</p>
+        </div>
+      ) : (
+        <>
+          {clickTests.bugs?.length > 0 && (
+            <div className="grid gap-4 md:grid-cols-2 mb-6">
+              {clickTests.bugs.map((bug, idx) => (
+                <BugCard key={idx} bug={bug} />
+              ))}
+            </div>
+          )}
+
+          <ul className="divide-y divide-slate-100">
+            {results.map((result, idx) => (
+              <li key={idx} className="py-3">
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className={`px-2 py-1 rounded text-xs font-semibold uppercase ${statusColors[result.status]}`}>
+                    {result.status}
+                  </span>
+                  <span className="font-medium text-slate-800">{result.text}</span>
+                  {result.selector && <span className="font-mono text-xs text-slate-400 break-all">{result.selector}</span>}
+                  {result.effects?.map((effect) => (
+                    <span key={effect} className="rounded-full border border-slate-200 bg-slate-50 px-2 py-0.5 text-xs text-slate-600">
+                      {effectLabels[effect] || effect}
+                    </span>
+                  ))}
+                </div>
+                {describeResult(result) && (
+                  <p className="mt-1 text-xs text-slate-500 break-all">{describeResult(result)}</p>
+                )}
+                {result.consoleErrors?.length > 0 && (
+                  <ul className="mt-1 space-y-1 text-xs text-rose-600">
+                    {result.consoleErrors.map((entry, errorIdx) => (
+                      <li key={errorIdx} className="break-all">{entry.text}</li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ClickTestsPanel;
@@ -0,0 +1,74 @@
+import { DEVICE_OPTIONS } from '../services/api';
+
+const toImageSrc = (screenshot) =>
+  !screenshot || screenshot.startsWith('data:') || screenshot.startsWith('http')
+    ? screenshot
+    : `data:image/png;base64,${screenshot}`;
+
+const labelFor = (key, result) =>
+  result?.device?.name || DEVICE_OPTIONS.find((option) => option.key === key)?.label || key;
+
+/**
+ * Side-by-side screenshots of every scanned device; selecting one switches the report below
+ */
+const DeviceTabs = ({ devices, active, onSelect, scanResults, domResults, loading }) => (
+  <section className="card mb-8 p-6 pdf-section">
+    <div role="tablist" aria-label="Devices" className="mb-6 flex flex-wrap gap-2">
+      {devices.map((key) => (
+        <button
+          key={key}
+          role="tab"
+          aria-selected={key === active}
+          onClick={() => onSelect(key)}
+          className={`rounded-xl px-4 py-2 text-sm font-medium transition-all ${
+            key === active
+              ? 'bg-indigo-600 text-white shadow-sm'
+              : 'border border-slate-200 bg-white text-slate-700 hover:bg-slate-50'
+          }`}
+        >
+          {labelFor(key, scanResults[key] || domResults[key])}
+        </button>
+      ))}
+    </div>
+
+    <div className="grid gap-4" style={{ gridTemplateColumns: `repeat(${devices.length}, minmax(0, 1fr))` }}>
+      {devices.map((key) => {
+        const result = scanResults[key];
+        const dom = domResults[key];
+        const viewport = (result?.device || dom?.device)?.viewport;
+        return (
+          <button
+            key={key}
+            onClick={() => onSelect(key)}
+            className={`flex flex-col rounded-xl border p-3 text-left transition-all ${
+              key === active ? 'border-indigo-400 ring-2 ring-indigo-200' : 'border-slate-200 hover:border-slate-300'
+            }`}
+          >
+            <div className="mb-2 flex items-center justify-between gap-2">
+              <span className="text-sm font-semibold text-slate-800">{labelFor(key, result || dom)}</span>
+              {viewport && (
+                <span className="text-xs text-slate-500">{viewport.width}×{viewport.height}</span>
+              )}
+            </div>
+            <div className="flex min-h-[8rem] items-start justify-center overflow-hidden rounded-lg border border-slate-200 bg-slate-100">
+              {loading && !result ? (
+                <div className="m-auto h-8 w-8 animate-spin rounded-full border-4 border-indigo-200 border-t-indigo-600" />
+              ) : result?.error ? (
+                <p className="m-auto p-3 text-xs text-rose-600">{result.error}</p>
+              ) : result?.screenshot ? (
+                <img src={toImageSrc(result.screenshot)} alt={`Screenshot on ${labelFor(key, result)}`} className="w-full" />
+              ) : null}
+            </div>
+            <div className="mt-2 flex flex-wrap gap-2 text-xs text-slate-500">
+              {result && !result.error && <span>{result.bugs.length} AI issues</span>}
+              {dom?.consoleData && <span>{dom.consoleData.errors?.length || 0} console errors</span>}
+              {dom?.error && <span className="text-rose-600">DOM analysis failed</span>}
+            </div>
+          </button>
+        );
+      })}
+    </div>
+  </section>
+);
+
+export default DeviceTabs;
@@ -0,0 +1,140 @@
+const RUN_LABELS = {
+  valid: 'Valid data',
+  invalid: 'Invalid data'
+};
+
+const statusColor = (status) => {
+  if (status === null || status === undefined) return 'text-slate-400';
+  return status >= 400 ? 'text-rose-600' : 'text-emerald-600';
+};
+
+const FormRun = ({ mode, run }) => (
+  <div className="rounded-lg border border-slate-200 p-4">
+    <div className="flex items-center justify-between mb-3">
+      <p className="text-sm font-semibold text-slate-700">{RUN_LABELS[mode]}</p>
+      <span className={`px-2 py-1 rounded text-xs font-semibold uppercase ${run.submitted ? 'bg-indigo-100 text-indigo-700' : 'bg-slate-100 text-slate-600'}`}>
+        {run.submitted ? 'Submitted' : 'Not submitted'}
+      </span>
+    </div>
+
+    <ul className="space-y-1 text-xs text-slate-600">
+      {run.values.map((entry, idx) => (
+        <li key={idx} className="flex flex-wrap gap-x-2">
+          <span className="font-medium text-slate-700">{entry.field}</span>
+          <span className="font-mono break-all">{entry.value === null ? '—' : `"${entry.value}"`}</span>
+          {entry.expectedInvalid && <span className="text-slate-400">({entry.expectedInvalid})</span>}
+          {entry.valid === false && <span className="text-amber-700">{entry.validationMessage}</span>}
+          {entry.error && <span className="text-rose-600">{entry.error}</span>}
+        </li>
+      ))}
+    </ul>
+
+    {run.navigatedTo && (
+      <p className="mt-3 text-xs text-slate-500 break-all">Navigated to {run.navigatedTo}</p>
+    )}
+    {run.errorTexts?.length > 0 && (
+      <div className="mt-3 text-xs">
+        <p className="font-medium text-slate-700">Messages shown by the page</p>
+        <ul className="mt-1 space-y-1 text-amber-700">
+          {run.errorTexts.map((text, idx) => <li key={idx}>{text}</li>)}
+        </ul>
+      </div>
+    )}
+    {run.requests?.length > 0 && (
+      <details className="mt-3 text-xs">
+        <summary className="cursor-pointer text-slate-600">
+          {run.requests.length} {run.requests.length === 1 ? 'request' : 'requests'} after submit
+        </summary>
+        <ul className="mt-1 space-y-1">
+          {run.requests.map((call, idx) => (
+            <li key={idx} className="break-all">
+              <span className="font-mono">{call.method}</span> {call.url}{' '}
+              <span className={statusColor(call.status)}>{call.status ?? 'no response'}</span>
+            </li>
+          ))}
+        </ul>
+      </details>
+    )}
+    {run.consoleErrors?.length > 0 && (
+      <details className="mt-3 text-xs">
+        <summary className="cursor-pointer text-amber-700">
+          {run.consoleErrors.length} console {run.consoleErrors.length === 1 ? 'error' : 'errors'}
+        </summary>
+        <ul className="mt-1 space-y-1">
+          {run.consoleErrors.map((entry, idx) => <li key={idx} className="break-all">{entry.text}</li>)}
+        </ul>
+      </details>
+    )}
+  </div>
+);
+
+const FormTestsPanel = ({ formTests, loading }) => {
+  const forms = formTests?.forms || [];
+
+  return (
+    <div className="card p-6 pdf-section">
+      <div className="flex items-center justify-between mb-4">
+        <h4 className="text-xl font-semibold text-slate-800">
+          Form Submissions
+        </h4>
+        {loading ? (
+          <div className="flex items-center gap-2 text-sm text-slate-500">
+            <div className="h-4 w-4 animate-spin rounded-full border-2 border-slate-200 border-t-slate-600" />
+            <span>Submitting forms...</span>
+          </div>
+        ) : formTests?.summary && (
+          <span className="text-sm text-slate-500">
+            {formTests.summary.tested} of {formTests.summary.total} forms tested · {formTests.summary.issueCount} {formTests.summary.issueCount === 1 ? 'issue' : 'issues'}
+          </span>
+        )}
+      </div>
+
+      {loading && !formTests ? (
+        <div className="flex flex-col items-center justify-center py-12">
+          <div className="h-12 w-12 animate-spin rounded-full border-4 border-indigo-200 border-t-indigo-600 mb-4" />
+          <p className="text-slate-600">Filling and submitting forms...</p>
+        </div>
+      ) : formTests?.error ? (
+        <p className="text-sm text-rose-600">Form testing failed: {formTests.error}</p>
+      ) : forms.length === 0 ? (
+        <div className="flex flex-col items-center justify-center py-12">
+          <p className="text-slate-500 text-lg">No forms found on this page</p>
+        </div>
+      ) : (
+        <div className="space-y-6">
+          {forms.map((form) => (
+            <div key={form.index} className="rounded-lg border border-slate-200 p-4">
+              <div className="flex flex-wrap items-center gap-2 mb-3">
+                <span className="font-semibold text-slate-800">{form.name || form.selector || `Form ${form.index + 1}`}</span>
+                {form.method && (
+                  <span className="rounded bg-slate-100 px-2 py-0.5 font-mono text-xs text-slate-600">{form.method}</span>
+                )}
+                {form.action && <span className="text-xs text-slate-500 break-all">{form.action}</span>}
+                {form.fieldCount !== undefined && (
+                  <span className="text-xs text-slate-400">{form.fieldCount} {form.fieldCount === 1 ? 'field' : 'fields'}</span>
+                )}
+              </div>
+
+              {form.error && <p className="mb-3 text-sm text-rose-600">{form.error}</p>}
+              {form.issues.length > 0 ? (
+                <ul className="mb-4 space-y-1 text-sm text-rose-700">
+                  {form.issues.map((issue, idx) => <li key={idx}>• {issue}</li>)}
+                </ul>
+              ) : !form.error && (
+                <p className="mb-4 text-sm text-emerald-700">No issues found</p>
+              )}
+
+              <div className="grid gap-4 md:grid-cols-2">
+                {Object.entries(form.runs).map(([mode, run]) => (
+                  <FormRun key={mode} mode={mode} run={run} />
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FormTestsPanel;
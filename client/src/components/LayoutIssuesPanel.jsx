@@ -0,0 +1,89 @@
+const severityColors = {
+  critical: 'bg-rose-100 text-rose-700 border-rose-200',
+  high: 'bg-orange-100 text-orange-700 border-orange-200',
+  medium: 'bg-amber-100 text-amber-700 border-amber-200',
+  low: 'bg-slate-100 text-slate-600 border-slate-200'
+};
+
+const typeLabels = {
+  'horizontal-overflow': 'Horizontal overflow',
+  overlap: 'Covered control',
+  'fixed-overlap': 'Covered by fixed element',
+  'fixed-covering': 'Fixed element covers content',
+  'clipped-text': 'Clipped text',
+  'small-tap-target': 'Small tap target'
+};
+
+const LayoutIssuesPanel = ({ analysis }) => {
+  if (!analysis) return null;
+
+  const findings = analysis.findings || [];
+
+  return (
+    <div className="card p-6 pdf-section">
+      <div className="flex items-center justify-between mb-4">
+        <h4 className="text-xl font-semibold text-slate-800">
+          Responsive Layout
+        </h4>
+        <span className="text-sm text-slate-500">
+          Checked at {analysis.widths?.map((width) => `${width}px`).join(', ')}
+        </span>
+      </div>
+
+      {Object.keys(analysis.summary?.byType || {}).length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-6">
+          {Object.entries(analysis.summary.byType).map(([type, count]) => (
+            <span key={type} className="rounded-full border border-slate-200 bg-slate-50 px-3 py-1 text-xs text-slate-600">
+              {typeLabels[type] || type}: <span className="font-semibold">{count}</span>
+            </span>
+          ))}
+        </div>
+      )}
+
+      {findings.length > 0 ? (
+        <div className="space-y-6">
+          {analysis.widths?.map((width) => {
+            const atWidth = findings.filter((finding) => finding.viewportWidth === width);
+            if (atWidth.length === 0) return null;
+
+            return (
+              <div key={width}>
+                <p className="mb-3 text-sm font-semibold text-slate-700">
+                  {width}px wide · {atWidth.length} {atWidth.length === 1 ? 'issue' : 'issues'}
+                </p>
+                <div className="grid gap-4 md:grid-cols-2">
+                  {atWidth.map((finding, idx) => (
+                    <div key={idx} className="rounded-lg border border-slate-200 p-4">
+                      <div className="flex items-center gap-2 mb-2">
+                        <span className={`px-2 py-1 rounded border text-xs font-semibold uppercase ${severityColors[finding.severity]}`}>
+                          {finding.severity}
+                        </span>
+                        <span className="text-xs text-slate-500">{typeLabels[finding.type] || finding.type}</span>
+                      </div>
+                      <p className="text-sm font-medium text-slate-700">{finding.message}</p>
+                      <p className="mt-1 text-xs text-slate-500 break-all">{finding.selector}</p>
+                      <p className="mt-1 text-xs text-slate-400">
+                        x {finding.bbox.x}, y {finding.bbox.y}, {finding.bbox.width}×{finding.bbox.height}px
+                      </p>
+                      {finding.crop && (
+                        <img
+                          src={`data:image/png;base64,${finding.crop}`}
+                          alt={`Highlighted element: ${finding.selector}`}
+                          className="mt-3 max-h-48 rounded border border-slate-200 object-contain"
+                        />
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      ) : (
+        <p className="text-slate-500 text-sm">No layout issues found at the tested widths</p>
+      )}
+    </div>
+  );
+};
+
+export default LayoutIssuesPanel;
@@ -0,0 +1,127 @@
+const kindLabels = {
+  a: 'Link',
+  img: 'Image',
+  srcset: 'srcset',
+  script: 'Script'
+};
+
+const groupColor = (status) => {
+  if (status === '200' || /^2/.test(status)) return 'text-emerald-700';
+  if (/^3/.test(status)) return 'text-amber-700';
+  if (status === 'not_checked') return 'text-slate-500';
+  return 'text-rose-700';
+};
+
+const groupLabel = (status) => {
+  if (status === 'error') return 'Unreachable';
+  if (status === 'invalid') return 'Invalid URL';
+  if (status === 'not_checked') return 'Not checked (limit reached)';
+  return `HTTP ${status}`;
+};
+
+const LinkRow = ({ link }) => (
+  <li className="py-2 text-sm">
+    <div className="flex flex-wrap items-center gap-2">
+      <span className="break-all text-slate-700">{link.url}</span>
+      {link.kinds.map((kind) => (
+        <span key={kind} className="rounded bg-slate-100 px-2 py-0.5 text-xs text-slate-600">{kindLabels[kind] || kind}</span>
+      ))}
+      {link.count > 1 && <span className="text-xs text-slate-400">×{link.count}</span>}
+      {link.issues.filter((issue) => issue !== 'broken').map((issue) => (
+        <span key={issue} className="rounded-full border border-amber-200 bg-amber-50 px-2 py-0.5 text-xs text-amber-700">{issue}</span>
+      ))}
+    </div>
+    {link.error && <p className="text-xs text-rose-600">{link.error}</p>}
+    {link.redirects?.length > 0 && (
+      <p className="text-xs text-slate-500 break-all">
+        {link.redirects.map((redirect) => `${redirect.status} → ${redirect.location}`).join(' · ')}
+      </p>
+    )}
+    <p className="text-xs text-slate-400 break-all">
+      {link.occurrences.map((occurrence) => occurrence.text ? `${occurrence.selector} ("${occurrence.text}")` : occurrence.selector).join(', ')}
+    </p>
+  </li>
+);
+
+const LinkAuditPanel = ({ audit, loading }) => {
+  const summary = audit?.summary;
+  // Problems first, then redirects, then successful links
+  const groups = Object.entries(audit?.byStatus || {}).sort(([a], [b]) => {
+    const rank = (status) => (/^[23]/.test(status) ? (/^2/.test(status) ? 2 : 1) : 0);
+    return rank(a) - rank(b) || a.localeCompare(b);
+  });
+
+  return (
+    <div className="card p-6 pdf-section">
+      <div className="flex items-center justify-between mb-4">
+        <h4 className="text-xl font-semibold text-slate-800">
+          Body Links
+        </h4>
+        {loading ? (
+          <div className="flex items-center gap-2 text-sm text-slate-500">
+            <div className="h-4 w-4 animate-spin rounded-full border-2 border-slate-200 border-t-slate-600" />
+            <span>Checking links...</span>
+          </div>
+        ) : summary && (
+          <span className="text-sm text-slate-500">
+            {summary.checked} of {summary.unique} unique URLs checked
+          </span>
+        )}
+      </div>
+
+      {loading && !audit ? (
+        <div className="flex flex-col items-center justify-center py-12">
+          <div className="h-12 w-12 animate-spin rounded-full border-4 border-indigo-200 border-t-indigo-600 mb-4" />
+          <p className="text-slate-600">Checking anchors, images and scripts...</p>
+        </div>
+      ) : audit?.error ? (
+        <p className="text-sm text-rose-600">Link audit failed: {audit.error}</p>
+      ) : summary ? (
+        <>
+          <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-4 mb-6">
+            {[
+              { label: 'Broken', value: summary.broken },
+              { label: 'Redirect chains', value: summary.redirectChains },
+              { label: 'Mixed content', value: summary.mixedContent },
+              { label: 'Broken #fragments', value: summary.brokenFragments }
+            ].map(({ label, value }) => (
+              <div key={label} className="rounded-lg border border-slate-200 p-4">
+                <p className="text-sm text-slate-500">{label}</p>
+                <p className={`text-2xl font-semibold ${value > 0 ? 'text-rose-600' : 'text-emerald-600'}`}>{value}</p>
+              </div>
+            ))}
+          </div>
+
+          {audit.brokenFragments?.length > 0 && (
+            <div className="mb-6">
+              <p className="mb-2 text-sm font-semibold text-slate-700">Fragment links without a target</p>
+              <ul className="space-y-1 text-sm">
+                {audit.brokenFragments.map((entry, idx) => (
+                  <li key={idx} className="break-all">
+                    <span className="font-mono text-rose-700">{entry.href}</span>
+                    <span className="text-xs text-slate-400"> {entry.selector}{entry.text ? ` ("${entry.text}")` : ''}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="space-y-3">
+            {groups.map(([status, links]) => (
+              <details key={status} open={!/^2/.test(status)} className="rounded-lg border border-slate-200 p-4">
+                <summary className={`cursor-pointer font-semibold ${groupColor(status)}`}>
+                  {groupLabel(status)} · {links.length} {links.length === 1 ? 'URL' : 'URLs'}
+                </summary>
+                <ul className="mt-2 divide-y divide-slate-100">
+                  {links.map((link) => <LinkRow key={link.url} link={link} />)}
+                </ul>
+              </details>
+            ))}
+          </div>
+        </>
+      ) : null}
+    </div>
+  );
+};
+
+export default LinkAuditPanel;
@@ -2,10 +2,18 @@ import { Link } from 'react-router-dom';
 
 const Navbar = () => (
   <header className="bg-white shadow-sm border-b border-slate-100">
-    <div className="mx-auto flex h-16 max-w-6xl items-center px-6">
+    <div className="mx-auto flex h-16 max-w-6xl items-center justify-between px-6">
       <Link to="/" className="text-2xl font-semibold text-indigo-600 hover:text-indigo-700 transition-colors cursor-pointer">
         Smart Bug Finder
       </Link>
+      <nav className="flex items-center gap-6 text-sm font-medium">
+        <Link to="/flows" className="text-slate-600 hover:text-indigo-600 transition-colors">
+          Flows
+        </Link>
+        <Link to="/history" className="text-slate-600 hover:text-indigo-600 transition-colors">
+          History
+        </Link>
+      </nav>
     </div>
   </header>
 );
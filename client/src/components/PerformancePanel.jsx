@@ -0,0 +1,123 @@
+const ratingColors = {
+  good: 'bg-emerald-100 text-emerald-700 border-emerald-200',
+  'needs-improvement': 'bg-amber-100 text-amber-700 border-amber-200',
+  poor: 'bg-rose-100 text-rose-700 border-rose-200'
+};
+
+const METRICS = [
+  { key: 'lcp', label: 'Largest Contentful Paint' },
+  { key: 'cls', label: 'Cumulative Layout Shift' },
+  { key: 'tbt', label: 'Total Blocking Time' },
+  { key: 'fcp', label: 'First Contentful Paint' },
+  { key: 'ttfb', label: 'Time to First Byte' },
+  { key: 'domContentLoaded', label: 'DOMContentLoaded' },
+  { key: 'load', label: 'Load' }
+];
+
+const formatValue = (metric) => {
+  if (metric?.value === null || metric?.value === undefined) return 'n/a';
+  if (metric.unit === 'score') return metric.value.toFixed(3);
+  return metric.value >= 1000 ? `${(metric.value / 1000).toFixed(2)} s` : `${metric.value} ms`;
+};
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 KB';
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(2)} MB` : `${Math.round(bytes / 1024)} KB`;
+};
+
+const PerformancePanel = ({ performance, loading }) => {
+  const slowest = [...(performance?.resources || [])]
+    .sort((a, b) => b.duration - a.duration)
+    .slice(0, 10);
+
+  return (
+    <div className="card p-6 pdf-section">
+      <div className="flex items-center justify-between mb-4">
+        <h4 className="text-xl font-semibold text-slate-800">
+          Performance
+        </h4>
+        {loading ? (
+          <div className="flex items-center gap-2 text-sm text-slate-500">
+            <div className="h-4 w-4 animate-spin rounded-full border-2 border-slate-200 border-t-slate-600" />
+            <span>Measuring...</span>
+          </div>
+        ) : performance?.rating && (
+          <span className={`px-3 py-1 rounded border text-xs font-semibold uppercase ${ratingColors[performance.rating]}`}>
+            {performance.rating.replace('-', ' ')}
+          </span>
+        )}
+      </div>
+
+      {loading && !performance ? (
+        <div className="flex flex-col items-center justify-center py-12">
+          <div className="h-12 w-12 animate-spin rounded-full border-4 border-indigo-200 border-t-indigo-600 mb-4" />
+          <p className="text-slate-600">Collecting Web Vitals...</p>
+        </div>
+      ) : performance ? (
+        <>
+          <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-4 mb-6">
+            {METRICS.map(({ key, label }) => {
+              const metric = performance.metrics?.[key];
+              return (
+                <div
+                  key={key}
+                  className={`rounded-lg border p-4 ${ratingColors[metric?.rating] || 'border-slate-200 bg-slate-50 text-slate-700'}`}
+                >
+                  <p className="text-xs uppercase tracking-wide">{label}</p>
+                  <p className="text-2xl font-semibold">{formatValue(metric)}</p>
+                </div>
+              );
+            })}
+            <div className="rounded-lg border border-slate-200 bg-slate-50 p-4 text-slate-700">
+              <p className="text-xs uppercase tracking-wide">Transferred</p>
+              <p className="text-2xl font-semibold">{formatBytes(performance.transfer?.totalSize)}</p>
+              <p className="text-xs text-slate-500">{performance.transfer?.requestCount || 0} requests</p>
+            </div>
+          </div>
+
+          <div className="mb-6 space-y-1 text-sm text-slate-600">
+            {performance.lcpElement && <p>LCP element: <span className="font-mono text-xs">{performance.lcpElement}</span></p>}
+            <p>
+              Long tasks: {performance.longTasks?.count || 0}
+              {performance.longTasks?.count > 0 && ` (longest ${performance.longTasks.longest} ms, ${performance.longTasks.totalDuration} ms total)`}
+            </p>
+            {performance.blockedResourceTypes?.length > 0 && (
+              <p className="text-xs text-slate-500">
+                Measured without {performance.blockedResourceTypes.join(', ')} resources
+              </p>
+            )}
+          </div>
+
+          {slowest.length > 0 && (
+            <div className="overflow-x-auto rounded-lg border border-slate-200">
+              <table className="w-full text-sm">
+                <thead className="bg-slate-50">
+                  <tr>
+                    <th className="text-left py-3 px-4 text-slate-700 font-medium">Slowest Resources</th>
+                    <th className="text-left py-3 px-4 text-slate-700 font-medium">Type</th>
+                    <th className="text-left py-3 px-4 text-slate-700 font-medium">Start</th>
+                    <th className="text-left py-3 px-4 text-slate-700 font-medium">Duration</th>
+                    <th className="text-left py-3 px-4 text-slate-700 font-medium">Size</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {slowest.map((resource, idx) => (
+                    <tr key={idx} className="border-b border-slate-100 hover:bg-slate-50">
+                      <td className="py-3 px-4 text-xs text-slate-600 break-all max-w-md">{resource.url}</td>
+                      <td className="py-3 px-4 text-slate-600">{resource.type}</td>
+                      <td className="py-3 px-4 text-slate-600">{resource.startTime} ms</td>
+                      <td className="py-3 px-4 text-slate-600">{resource.duration} ms</td>
+                      <td className="py-3 px-4 text-slate-600">{formatBytes(resource.transferSize)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      ) : null}
+    </div>
+  );
+};
+
+export default PerformancePanel;
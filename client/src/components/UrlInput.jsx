@@ -1,20 +1,58 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { DEVICE_OPTIONS, getAuthRecipes, getLLMProviders } from '../services/api';
 
 const UrlInput = () => {
   const [url, setUrl] = useState('');
   const [error, setError] = useState('');
+  const [devices, setDevices] = useState(['desktop']);
+  const [authRecipes, setAuthRecipes] = useState([]);
+  const [auth, setAuth] = useState('');
+  const [llmProviders, setLLMProviders] = useState([]);
+  const [llmProvider, setLLMProvider] = useState('');
+  const [testClicks, setTestClicks] = useState(false);
+  const [testForms, setTestForms] = useState(false);
   const navigate = useNavigate();
 
+  // The login selector only shows up when the server has recipes configured
+  useEffect(() => {
+    getAuthRecipes()
+      .then((response) => setAuthRecipes(response?.data?.recipes || []))
+      .catch(() => setAuthRecipes([]));
+    // Choosing a provider only makes sense when more than one is configured
+    getLLMProviders()
+      .then((response) => setLLMProviders(response?.data?.providers || []))
+      .catch(() => setLLMProviders([]));
+  }, []);
+
   const handleSubmit = (e) => {
     e.preventDefault();
     if (!url.trim()) {
       setError('Please enter a valid URL.');
       return;
     }
+    if (devices.length === 0) {
+      setError('Select at least one device.');
+      return;
+    }
     setError('');
     const encoded = encodeURIComponent(url.trim());
-    navigate(`/results?url=${encoded}`);
+    // Desktop only is the default scan, so it needs no devices parameter
+    const devicesQuery = devices.length === 1 && devices[0] === 'desktop' ? '' : `&devices=${devices.join(',')}`;
+    const authQuery = auth ? `&auth=${encodeURIComponent(auth)}` : '';
+    const llmQuery = llmProvider ? `&llm=${encodeURIComponent(llmProvider)}` : '';
+    const clicksQuery = testClicks ? '&clicks=1' : '';
+    const formsQuery = testForms ? '&forms=1' : '';
+    navigate(`/results?url=${encoded}${devicesQuery}${authQuery}${llmQuery}${clicksQuery}${formsQuery}`);
+  };
+
+  // Keep the selection in DEVICE_OPTIONS order so tabs appear consistently
+  const toggleDevice = (key) => {
+    setDevices(prev =>
+      DEVICE_OPTIONS.map(option => option.key).filter(optionKey =>
+        optionKey === key ? !prev.includes(key) : prev.includes(optionKey)
+      )
+    );
   };
 
   return (
@@ -34,6 +72,86 @@ const UrlInput = () => {
         />
         {error && <p className="mt-2 text-sm text-rose-500">{error}</p>}
       </div>
+      <fieldset>
+        <legend className="block text-sm font-medium text-slate-600 mb-2">Devices</legend>
+        <div className="flex flex-wrap justify-center gap-4">
+          {DEVICE_OPTIONS.map((option) => (
+            <label key={option.key} className="flex items-center gap-2 text-sm text-slate-700">
+              <input
+                type="checkbox"
+                checked={devices.includes(option.key)}
+                onChange={() => toggleDevice(option.key)}
+                className="h-4 w-4 accent-indigo-600"
+              />
+              {option.label}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+      {authRecipes.length > 0 && (
+        <div>
+          <label htmlFor="auth" className="block text-sm font-medium text-slate-600 mb-2">
+            Log in before scanning
+          </label>
+          <select
+            id="auth"
+            value={auth}
+            onChange={(e) => setAuth(e.target.value)}
+            className="w-full rounded-xl border border-slate-200 bg-white px-4 py-3 text-base shadow-sm focus:border-indigo-500 focus:outline-none focus:ring-2 focus:ring-indigo-200"
+          >
+            <option value="">No login</option>
+            {authRecipes.map((recipe) => (
+              <option key={recipe.name} value={recipe.name}>
+                {recipe.name}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+      {llmProviders.length > 1 && (
+        <div>
+          <label htmlFor="llmProvider" className="block text-sm font-medium text-slate-600 mb-2">
+            AI provider
+          </label>
+          <select
+            id="llmProvider"
+            value={llmProvider}
+            onChange={(e) => setLLMProvider(e.target.value)}
+            className="w-full rounded-xl border border-slate-200 bg-white px-4 py-3 text-base shadow-sm focus:border-indigo-500 focus:outline-none focus:ring-2 focus:ring-indigo-200"
+          >
+            <option value="">Server default</option>
+            {llmProviders.map((provider) => (
+              <option key={provider.name} value={provider.name}>
+                {provider.name} ({provider.model})
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+      <label className="flex items-start justify-center gap-2 text-sm text-slate-700">
+        <input
+          type="checkbox"
+          checked={testClicks}
+          onChange={(e) => setTestClicks(e.target.checked)}
+          className="mt-0.5 h-4 w-4 accent-indigo-600"
+        />
+        <span>
+          Click every button
+          <span className="block text-xs text-slate-500">Buttons such as Delete or Pay are skipped.</span>
+        </span>
+      </label>
+      <label className="flex items-start justify-center gap-2 text-sm text-slate-700">
+        <input
+          type="checkbox"
+          checked={testForms}
+          onChange={(e) => setTestForms(e.target.checked)}
+          className="mt-0.5 h-4 w-4 accent-indigo-600"
+        />
+        <span>
+          Test form submissions
+          <span className="block text-xs text-slate-500">Forms are really submitted - use on test environments only.</span>
+        </span>
+      </label>
       <button
         type="submit"
         className="w-full rounded-xl bg-indigo-600 px-4 py-3 text-white font-medium shadow-md transition-all hover:bg-indigo-500 hover:shadow-lg"
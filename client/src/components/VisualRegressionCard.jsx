@@ -0,0 +1,75 @@
+const toImageSrc = (base64) => (base64?.startsWith('data:') ? base64 : `data:image/png;base64,${base64}`);
+
+const VisualRegressionCard = ({ result, canSetBaseline, settingBaseline, onSetBaseline, checking, onCheck, note }) => (
+  <div className="card p-6">
+    <div className="mb-4 flex flex-wrap items-center justify-between gap-3">
+      <h3 className="text-lg font-semibold text-slate-800">Visual Regression</h3>
+      {result && (
+        <span
+          className={`rounded-full px-3 py-1 text-xs font-semibold uppercase tracking-wide border ${
+            result.passed
+              ? 'bg-emerald-100 text-emerald-700 border-emerald-200'
+              : 'bg-rose-100 text-rose-700 border-rose-200'
+          }`}
+        >
+          {result.passed ? 'Passed' : 'Failed'}
+        </span>
+      )}
+    </div>
+
+    {result ? (
+      <div className="space-y-4">
+        <div className="grid gap-4 sm:grid-cols-3 text-sm">
+          <div>
+            <p className="text-xs uppercase tracking-wide text-slate-500">Mismatch</p>
+            <p className="text-xl font-semibold text-slate-800">{result.mismatchPercent}%</p>
+          </div>
+          <div>
+            <p className="text-xs uppercase tracking-wide text-slate-500">Threshold</p>
+            <p className="text-xl font-semibold text-slate-800">{result.threshold}%</p>
+          </div>
+          <div>
+            <p className="text-xs uppercase tracking-wide text-slate-500">Baseline from</p>
+            <p className="text-slate-700">{new Date(result.baselineCreatedAt).toLocaleString()}</p>
+          </div>
+        </div>
+        {result.sizeMismatch && (
+          <p className="text-sm text-amber-700">Screenshot size differs from the baseline.</p>
+        )}
+        {result.ignoreRegions?.length > 0 && (
+          <p className="text-sm text-slate-500">{result.ignoreRegions.length} ignored region(s)</p>
+        )}
+        {result.diffImage && (
+          <div className="overflow-hidden rounded-2xl border border-slate-200 bg-slate-100">
+            <img src={toImageSrc(result.diffImage)} alt="Differences from baseline" className="w-full" />
+          </div>
+        )}
+      </div>
+    ) : (
+      <p className="text-slate-500 text-sm">No baseline approved for this URL yet</p>
+    )}
+
+    {note && <p className="mt-4 text-sm text-slate-600">{note}</p>}
+
+    {canSetBaseline && (
+      <div className="mt-6 flex flex-wrap gap-3">
+        <button
+          onClick={onSetBaseline}
+          disabled={settingBaseline || checking}
+          className="rounded-xl border border-indigo-200 bg-indigo-50 px-4 py-2 text-sm text-indigo-700 font-medium shadow-sm transition-all hover:bg-white disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {settingBaseline ? 'Saving baseline...' : result ? 'Replace baseline with this screenshot' : 'Set as baseline'}
+        </button>
+        <button
+          onClick={onCheck}
+          disabled={settingBaseline || checking}
+          className="rounded-xl border border-slate-200 bg-white px-4 py-2 text-sm text-slate-700 font-medium shadow-sm transition-all hover:bg-slate-50 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {checking ? 'Comparing...' : 'Compare with baseline again'}
+        </button>
+      </div>
+    )}
+  </div>
+);
+
+export default VisualRegressionCard;
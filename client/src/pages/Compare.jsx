@@ -0,0 +1,326 @@
+import Loader from '../components/Loader';
+import BugCard from '../components/BugCard';
+import { useState, useEffect } from 'react';
+import { useSearchParams, Link } from 'react-router-dom';
+import { compareScans, DEVICE_OPTIONS } from '../services/api';
+
+const ELEMENT_GROUP_LABELS = {
+  buttons: 'Buttons',
+  inputs: 'Inputs',
+  dropdowns: 'Dropdowns',
+  checkboxes: 'Checkboxes'
+};
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleString() : '-');
+
+const describeElement = (element) =>
+  element.text || element.labelText || element.placeholder || element.id || element.name || element.type || 'Element';
+
+const SummaryTile = ({ label, value, bad }) => (
+  <div className={`rounded-lg border p-4 ${value > 0 && bad ? 'border-rose-200 bg-rose-50' : 'border-slate-200 bg-slate-50'}`}>
+    <p className="text-xs uppercase tracking-wide text-slate-500">{label}</p>
+    <p className={`text-2xl font-semibold ${value > 0 && bad ? 'text-rose-700' : 'text-slate-800'}`}>{value}</p>
+  </div>
+);
+
+const EmptyNote = ({ children }) => (
+  <p className="text-slate-500 text-sm">{children}</p>
+);
+
+const deviceLabel = (key) => DEVICE_OPTIONS.find((option) => option.key === key)?.label || key;
+
+// New, resolved and re-rated bugs of one list (rule findings or AI issues)
+const BugDiffSection = ({ title, bugDiff }) => (
+  <section className="card p-6">
+    <h3 className="text-xl font-semibold text-slate-800 mb-4">{title}</h3>
+    <h5 className="text-lg font-medium text-slate-700 mb-3">New ({bugDiff.new.length})</h5>
+    {bugDiff.new.length > 0 ? (
+      <div className="grid gap-6 md:grid-cols-2 mb-6">
+        {bugDiff.new.map((bug, idx) => (
+          <BugCard key={idx} bug={bug} />
+        ))}
+      </div>
+    ) : (
+      <div className="mb-6"><EmptyNote>No new issues</EmptyNote></div>
+    )}
+    <h5 className="text-lg font-medium text-slate-700 mb-3">Resolved ({bugDiff.resolved.length})</h5>
+    {bugDiff.resolved.length > 0 ? (
+      <ul className="space-y-2 text-sm text-slate-600">
+        {bugDiff.resolved.map((bug, idx) => (
+          <li key={idx} className="line-through decoration-emerald-500">{bug.title}</li>
+        ))}
+      </ul>
+    ) : (
+      <EmptyNote>No resolved issues</EmptyNote>
+    )}
+    {bugDiff.severityChanged.length > 0 && (
+      <div className="mt-6">
+        <h5 className="text-lg font-medium text-slate-700 mb-3">Severity changed</h5>
+        <ul className="space-y-2 text-sm text-slate-600">
+          {bugDiff.severityChanged.map((change, idx) => (
+            <li key={idx}>{change.title}: {change.from || '-'} → {change.to || '-'}</li>
+          ))}
+        </ul>
+      </div>
+    )}
+  </section>
+);
+
+const Compare = () => {
+  const [searchParams] = useSearchParams();
+  const baseId = searchParams.get('base');
+  const headId = searchParams.get('head');
+
+  const [diff, setDiff] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [activeDevice, setActiveDevice] = useState(null);
+
+  useEffect(() => {
+    if (!baseId || !headId) {
+      setError('Select two stored scans of the same URL to compare.');
+      setLoading(false);
+      return;
+    }
+
+    const fetchDiff = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const response = await compareScans(baseId, headId);
+        setDiff(response?.data || null);
+      } catch (err) {
+        const details = err.response?.data?.details ? `: ${err.response.data.details}` : '';
+        setError(`${err.response?.data?.error || 'Unable to compare scans'}${details}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchDiff();
+  }, [baseId, headId]);
+
+  // Multi-device scans are compared per device; the head scan's primary device comes first
+  const diffDevices = Object.keys(diff?.devices || {});
+  const currentDevice = diff?.devices?.[activeDevice] ? activeDevice : diff?.device;
+  const view = diff?.devices?.[currentDevice] || diff;
+
+  const elementChanges = view
+    ? Object.entries(view.elements).flatMap(([group, groupDiff]) =>
+        groupDiff.changed.map((item) => ({ group, ...item }))
+      )
+    : [];
+
+  return (
+    <main className="mx-auto max-w-6xl px-6 py-10">
+      <section className="card mb-8 p-8">
+        <p className="text-sm uppercase tracking-wide text-slate-500">Scan Comparison</p>
+        <h2 className="text-2xl font-semibold text-slate-900 break-all">{diff?.url || 'Compare scans'}</h2>
+        {diff && (
+          <p className="text-slate-500">
+            <Link to={`/results?id=${diff.base.id}`} className="text-indigo-600 hover:text-indigo-700">
+              {formatDate(diff.base.createdAt)}
+            </Link>
+            {' → '}
+            <Link to={`/results?id=${diff.head.id}`} className="text-indigo-600 hover:text-indigo-700">
+              {formatDate(diff.head.createdAt)}
+            </Link>
+          </p>
+        )}
+      </section>
+
+      {error && (
+        <div className="mb-6 rounded-xl border border-amber-200 bg-amber-50 px-5 py-3 text-amber-900 shadow-sm">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <Loader />
+      ) : diff ? (
+        <div className="space-y-8">
+          {diffDevices.length > 1 && (
+            <div role="tablist" aria-label="Devices" className="flex flex-wrap gap-2">
+              {diffDevices.map((key) => (
+                <button
+                  key={key}
+                  role="tab"
+                  aria-selected={key === currentDevice}
+                  onClick={() => setActiveDevice(key)}
+                  className={`rounded-xl px-4 py-2 text-sm font-medium transition-all ${
+                    key === currentDevice
+                      ? 'bg-indigo-600 text-white shadow-sm'
+                      : 'border border-slate-200 bg-white text-slate-700 hover:bg-slate-50'
+                  }`}
+                >
+                  {deviceLabel(key)}
+                  {diff.devices[key].summary.hasRegressions && (
+                    <span className="ml-2 inline-block h-2 w-2 rounded-full bg-rose-500" aria-label="has regressions" />
+                  )}
+                </button>
+              ))}
+            </div>
+          )}
+
+          <section className="grid gap-4 sm:grid-cols-2 lg:grid-cols-4">
+            <SummaryTile label="New rule findings" value={view.summary.newConfirmedBugs} bad />
+            <SummaryTile label="New AI issues" value={view.summary.newBugs} bad />
+            <SummaryTile label="Resolved issues" value={view.summary.resolvedConfirmedBugs + view.summary.resolvedBugs} />
+            <SummaryTile label="Links broken" value={view.summary.linksBroken} bad />
+            <SummaryTile label="Links fixed" value={view.summary.linksFixed} />
+            <SummaryTile label="Element regressions" value={view.summary.elementRegressions} bad />
+            <SummaryTile label="New console errors" value={view.summary.newConsoleErrors} bad />
+            <SummaryTile label="New network errors" value={view.summary.newNetworkErrors} bad />
+          </section>
+
+          <BugDiffSection title="Confirmed by Rule" bugDiff={view.confirmedBugs} />
+          <BugDiffSection title="Suspected by AI" bugDiff={view.bugs} />
+
+
+          {/* Link tags */}
+          <section className="card p-6">
+            <h3 className="text-xl font-semibold text-slate-800 mb-4">Link Tags</h3>
+            {view.linkTags.validToBroken.length + view.linkTags.newBroken.length + view.linkTags.brokenToValid.length > 0 ? (
+              <div className="overflow-x-auto rounded-lg border border-slate-200">
+                <table className="w-full text-sm">
+                  <thead className="bg-slate-50">
+                    <tr>
+                      <th className="text-left py-3 px-4 text-slate-700 font-medium">Href</th>
+                      <th className="text-left py-3 px-4 text-slate-700 font-medium">Rel</th>
+                      <th className="text-left py-3 px-4 text-slate-700 font-medium">Change</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {view.linkTags.validToBroken.map((link, idx) => (
+                      <tr key={`broken-${idx}`} className="border-b border-slate-100">
+                        <td className="py-3 px-4 text-slate-600 break-all max-w-md">{link.href}</td>
+                        <td className="py-3 px-4 text-slate-600">{link.rel || '-'}</td>
+                        <td className="py-3 px-4">
+                          <span className="px-2 py-1 rounded text-xs font-semibold bg-rose-100 text-rose-700">
+                            valid → broken ({link.to.statusCode || link.to.errorMessage || '-'})
+                          </span>
+                        </td>
+                      </tr>
+                    ))}
+                    {view.linkTags.newBroken.map((link, idx) => (
+                      <tr key={`new-${idx}`} className="border-b border-slate-100">
+                        <td className="py-3 px-4 text-slate-600 break-all max-w-md">{link.href}</td>
+                        <td className="py-3 px-4 text-slate-600">{link.rel || '-'}</td>
+                        <td className="py-3 px-4">
+                          <span className="px-2 py-1 rounded text-xs font-semibold bg-rose-100 text-rose-700">
+                            new, broken
+                          </span>
+                        </td>
+                      </tr>
+                    ))}
+                    {view.linkTags.brokenToValid.map((link, idx) => (
+                      <tr key={`fixed-${idx}`} className="border-b border-slate-100">
+                        <td className="py-3 px-4 text-slate-600 break-all max-w-md">{link.href}</td>
+                        <td className="py-3 px-4 text-slate-600">{link.rel || '-'}</td>
+                        <td className="py-3 px-4">
+                          <span className="px-2 py-1 rounded text-xs font-semibold bg-emerald-100 text-emerald-700">
+                            broken → valid
+                          </span>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <EmptyNote>No link tag status changes</EmptyNote>
+            )}
+          </section>
+
+          {/* Interactive elements */}
+          <section className="card p-6">
+            <h3 className="text-xl font-semibold text-slate-800 mb-4">Interactive Elements</h3>
+            {elementChanges.length > 0 ? (
+              <div className="overflow-x-auto rounded-lg border border-slate-200">
+                <table className="w-full text-sm">
+                  <thead className="bg-slate-50">
+                    <tr>
+                      <th className="text-left py-3 px-4 text-slate-700 font-medium">Type</th>
+                      <th className="text-left py-3 px-4 text-slate-700 font-medium">Element</th>
+                      <th className="text-left py-3 px-4 text-slate-700 font-medium">Changes</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {elementChanges.map((item, idx) => (
+                      <tr key={idx} className="border-b border-slate-100">
+                        <td className="py-3 px-4 text-slate-600">{ELEMENT_GROUP_LABELS[item.group]}</td>
+                        <td className="py-3 px-4 text-slate-600">{describeElement(item.element)}</td>
+                        <td className="py-3 px-4">
+                          <div className="flex flex-wrap gap-2">
+                            {item.changes.map((change) => (
+                              <span
+                                key={change.field}
+                                className={`px-2 py-1 rounded text-xs font-semibold ${
+                                  change.regression ? 'bg-rose-100 text-rose-700' : 'bg-emerald-100 text-emerald-700'
+                                }`}
+                              >
+                                {change.field}: {String(change.from)} → {String(change.to)}
+                              </span>
+                            ))}
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <EmptyNote>No interactive element test changes</EmptyNote>
+            )}
+          </section>
+
+          {/* Console & network errors */}
+          <section className="grid gap-8 lg:grid-cols-2">
+            <div className="card p-6">
+              <h3 className="text-xl font-semibold text-slate-800 mb-4">
+                New Console Errors ({view.consoleErrors.new.length})
+              </h3>
+              {view.consoleErrors.new.length > 0 ? (
+                <div className="space-y-3">
+                  {view.consoleErrors.new.map((error, idx) => (
+                    <div key={idx} className="rounded-lg border border-rose-200 bg-rose-50 p-4">
+                      <p className="text-slate-700 text-sm font-medium break-words">{error.text || 'Unknown error'}</p>
+                      {error.location && (
+                        <p className="text-slate-500 text-xs mt-1 break-all">
+                          {error.location.url || 'unknown'}:{error.location.lineNumber || '-'}
+                        </p>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <EmptyNote>No new console errors</EmptyNote>
+              )}
+            </div>
+            <div className="card p-6">
+              <h3 className="text-xl font-semibold text-slate-800 mb-4">
+                New Network Errors ({view.networkErrors.new.length})
+              </h3>
+              {view.networkErrors.new.length > 0 ? (
+                <ul className="space-y-2 text-sm">
+                  {view.networkErrors.new.map((error, idx) => (
+                    <li key={idx} className="flex gap-3">
+                      <span className="px-2 py-0.5 rounded text-xs font-semibold bg-rose-100 text-rose-700 h-fit">
+                        {error.status}
+                      </span>
+                      <span className="text-slate-600 break-all">{error.url}</span>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <EmptyNote>No new network errors</EmptyNote>
+              )}
+            </div>
+          </section>
+        </div>
+      ) : null}
+    </main>
+  );
+};
+
+export default Compare;
@@ -0,0 +1,196 @@
+import { useEffect, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { runFlow, getScan, DEVICE_OPTIONS } from '../services/api';
+
+const EXAMPLE_FLOW = `# One step per list item (YAML or JSON)
+- action: navigate
+  url: /
+- action: click
+  text: Sign in
+- action: fill
+  label: Email
+  value: test@example.com
+- action: waitFor
+  selector: main
+- action: assertText
+  text: Welcome
+`;
+
+const statusColors = {
+  passed: 'bg-emerald-100 text-emerald-700',
+  failed: 'bg-rose-100 text-rose-700',
+  skipped: 'bg-slate-100 text-slate-500'
+};
+
+const Flows = () => {
+  const [searchParams] = useSearchParams();
+  const reportId = searchParams.get('id');
+  const [url, setUrl] = useState('');
+  const [flowText, setFlowText] = useState(EXAMPLE_FLOW);
+  const [device, setDevice] = useState('desktop');
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState('');
+  const [report, setReport] = useState(null);
+
+  // Stored flow runs are opened from the history
+  useEffect(() => {
+    if (!reportId) return;
+    getScan(reportId)
+      .then((response) => {
+        const stored = response?.data || {};
+        setReport(stored);
+        setUrl(stored.url || '');
+      })
+      .catch((err) => {
+        setError(err.response?.status === 404 ? 'Stored flow run not found.' : 'Unable to load stored flow run.');
+      });
+  }, [reportId]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!url.trim() || !flowText.trim()) {
+      setError('Enter a URL and a flow.');
+      return;
+    }
+
+    try {
+      setRunning(true);
+      setError('');
+      setReport(null);
+      const response = await runFlow({ url: url.trim(), flow: flowText, device });
+      setReport(response.data);
+    } catch (err) {
+      const data = err.response?.data;
+      setError(data ? `${data.error}${data.details ? `: ${data.details}` : ''}` : 'Unable to run flow.');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const flow = report?.flow;
+
+  return (
+    <main className="mx-auto max-w-6xl px-6 py-10">
+      <section className="card mb-8 p-8">
+        <h2 className="text-2xl font-semibold text-slate-900 mb-2">Interaction Flows</h2>
+        <p className="text-slate-600 mb-6">
+          Walk through a user journey step by step. Each step is screenshotted and the run stops at the first step that fails.
+        </p>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid gap-4 md:grid-cols-[1fr_auto]">
+            <input
+              type="url"
+              placeholder="https://example.com"
+              value={url}
+              onChange={(e) => setUrl(e.target.value)}
+              className="rounded-xl border border-slate-200 bg-white px-4 py-3 text-base shadow-sm focus:border-indigo-500 focus:outline-none focus:ring-2 focus:ring-indigo-200"
+              required
+            />
+            <select
+              value={device}
+              onChange={(e) => setDevice(e.target.value)}
+              aria-label="Device"
+              className="rounded-xl border border-slate-200 bg-white px-4 py-3 text-base shadow-sm focus:border-indigo-500 focus:outline-none focus:ring-2 focus:ring-indigo-200"
+            >
+              {DEVICE_OPTIONS.map((option) => (
+                <option key={option.key} value={option.key}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <textarea
+            value={flowText}
+            onChange={(e) => setFlowText(e.target.value)}
+            rows={14}
+            spellCheck={false}
+            aria-label="Flow steps"
+            className="w-full rounded-xl border border-slate-200 bg-white px-4 py-3 font-mono text-sm shadow-sm focus:border-indigo-500 focus:outline-none focus:ring-2 focus:ring-indigo-200"
+          />
+          {error && <p className="text-sm text-rose-500">{error}</p>}
+          <button
+            type="submit"
+            disabled={running}
+            className="w-full rounded-xl bg-indigo-600 px-4 py-3 text-white font-medium shadow-md transition-all hover:bg-indigo-500 hover:shadow-lg disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {running ? 'Running flow...' : 'Run Flow'}
+          </button>
+        </form>
+      </section>
+
+      {flow && (
+        <section className="card p-6">
+          <div
+            className={`mb-6 rounded-lg border p-4 ${
+              flow.passed ? 'border-emerald-200 bg-emerald-50 text-emerald-800' : 'border-rose-200 bg-rose-50 text-rose-800'
+            }`}
+          >
+            <p className="font-semibold">
+              {flow.passed ? `All ${flow.steps.length} steps passed` : flow.error}
+            </p>
+            <p className="text-sm mt-1">
+              {report.url}{report.device?.name ? ` · ${report.device.name}` : ''}
+            </p>
+          </div>
+
+          <ol className="space-y-4">
+            {flow.steps.map((step) => (
+              <li key={step.index} className="rounded-lg border border-slate-200 p-4">
+                <div className="flex flex-col gap-4 md:flex-row">
+                  <div className="flex-1">
+                    <div className="flex items-center gap-3 mb-2">
+                      <span className="text-indigo-600 font-semibold">{step.index + 1}.</span>
+                      <span className={`px-2 py-1 rounded text-xs font-semibold uppercase ${statusColors[step.status]}`}>
+                        {step.status}
+                      </span>
+                      <span className="font-medium text-slate-800">{step.description}</span>
+                    </div>
+                    {step.status !== 'skipped' && (
+                      <div className="space-y-1 text-sm text-slate-600">
+                        {step.selector && <p>Element: <span className="font-mono text-xs">{step.selector}</span></p>}
+                        <p>{step.durationMs} ms · <span className="break-all">{step.pageUrl}</span></p>
+                        {step.error && <p className="text-rose-600">{step.error}</p>}
+                        {step.consoleErrors?.length > 0 && (
+                          <details>
+                            <summary className="cursor-pointer text-amber-700">
+                              {step.consoleErrors.length} console {step.consoleErrors.length === 1 ? 'error' : 'errors'}
+                            </summary>
+                            <ul className="mt-1 space-y-1 text-xs">
+                              {step.consoleErrors.map((entry, idx) => (
+                                <li key={idx} className="break-all">{entry.text}</li>
+                              ))}
+                            </ul>
+                          </details>
+                        )}
+                        {step.networkErrors?.length > 0 && (
+                          <details>
+                            <summary className="cursor-pointer text-amber-700">
+                              {step.networkErrors.length} failed {step.networkErrors.length === 1 ? 'request' : 'requests'}
+                            </summary>
+                            <ul className="mt-1 space-y-1 text-xs">
+                              {step.networkErrors.map((entry, idx) => (
+                                <li key={idx} className="break-all">{entry.status} {entry.url}</li>
+                              ))}
+                            </ul>
+                          </details>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                  {step.screenshot && (
+                    <img
+                      src={`data:image/png;base64,${step.screenshot}`}
+                      alt={`Screenshot after step ${step.index + 1}`}
+                      className="w-full md:w-64 shrink-0 self-start rounded border border-slate-200"
+                    />
+                  )}
+                </div>
+              </li>
+            ))}
+          </ol>
+        </section>
+      )}
+    </main>
+  );
+};
+
+export default Flows;
@@ -0,0 +1,178 @@
+import Loader from '../components/Loader';
+import { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { getScans, deleteScan } from '../services/api';
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleString() : '-');
+
+const History = () => {
+  const [scans, setScans] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [deletingId, setDeletingId] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const navigate = useNavigate();
+
+  const selectedScans = scans.filter(scan => selectedIds.includes(scan.id));
+  const canCompare = selectedScans.length === 2 && selectedScans[0].url === selectedScans[1].url;
+
+  useEffect(() => {
+    const fetchScans = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const response = await getScans();
+        setScans(response?.data?.scans || []);
+        setTotal(response?.data?.total || 0);
+      } catch (err) {
+        setError('Unable to load scan history.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchScans();
+  }, []);
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('Delete this stored report?')) return;
+
+    try {
+      setDeletingId(id);
+      await deleteScan(id);
+      setScans(prev => prev.filter(scan => scan.id !== id));
+      setSelectedIds(prev => prev.filter(selectedId => selectedId !== id));
+      setTotal(prev => Math.max(prev - 1, 0));
+    } catch (err) {
+      alert('Failed to delete report. Please try again.');
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  // Keep at most two selected scans; selecting a third drops the oldest selection
+  const toggleSelected = (id) => {
+    setSelectedIds(prev =>
+      prev.includes(id) ? prev.filter(selectedId => selectedId !== id) : [...prev, id].slice(-2)
+    );
+  };
+
+  const handleCompare = () => {
+    if (!canCompare) return;
+    navigate(`/compare?base=${selectedIds[0]}&head=${selectedIds[1]}`);
+  };
+
+  return (
+    <main className="mx-auto max-w-6xl px-6 py-10">
+      <section className="card mb-8 p-8">
+        <p className="text-sm uppercase tracking-wide text-slate-500">Scan History</p>
+        <h2 className="text-2xl font-semibold text-slate-900">Stored Reports</h2>
+        <p className="text-slate-500">
+          Reopen or share a previous report without scanning the site again
+        </p>
+      </section>
+
+      {error && (
+        <div className="mb-6 rounded-xl border border-amber-200 bg-amber-50 px-5 py-3 text-amber-900 shadow-sm">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <Loader />
+      ) : scans.length === 0 ? (
+        <div className="flex flex-col items-center justify-center py-12">
+          <p className="text-slate-500 text-lg">No stored reports yet</p>
+        </div>
+      ) : (
+        <div className="card p-6">
+          <div className="mb-4 flex items-center justify-between">
+            <h3 className="text-lg font-semibold text-slate-800">Reports</h3>
+            <div className="flex items-center gap-4">
+              <span className="text-sm text-slate-500">{total} stored</span>
+              <button
+                onClick={handleCompare}
+                disabled={!canCompare}
+                title={canCompare ? 'Compare selected scans' : 'Select two scans of the same URL'}
+                className="rounded-xl bg-indigo-600 px-4 py-2 text-sm text-white font-medium shadow-sm transition-all hover:bg-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Compare selected
+              </button>
+            </div>
+          </div>
+          <div className="overflow-x-auto rounded-lg border border-slate-200">
+            <table className="w-full text-sm">
+              <thead className="bg-slate-50">
+                <tr>
+                  <th className="py-3 px-4" aria-label="Select" />
+                  <th className="text-left py-3 px-4 text-slate-700 font-medium">URL</th>
+                  <th className="text-left py-3 px-4 text-slate-700 font-medium">Scanned</th>
+                  <th className="text-left py-3 px-4 text-slate-700 font-medium">AI Issues</th>
+                  <th className="text-left py-3 px-4 text-slate-700 font-medium">Console</th>
+                  <th className="text-left py-3 px-4 text-slate-700 font-medium">Network</th>
+                  <th className="text-left py-3 px-4 text-slate-700 font-medium">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {scans.map((scan) => (
+                  <tr key={scan.id} className="border-b border-slate-100 hover:bg-slate-50">
+                    <td className="py-3 px-4">
+                      <input
+                        type="checkbox"
+                        checked={selectedIds.includes(scan.id)}
+                        onChange={() => toggleSelected(scan.id)}
+                        aria-label={`Select scan of ${scan.url}`}
+                        className="h-4 w-4 accent-indigo-600"
+                      />
+                    </td>
+                    <td className="py-3 px-4 text-slate-600 break-all max-w-md">
+                      {scan.url || '-'}
+                      {scan.mode === 'crawl' && (
+                        <span className="ml-2 px-2 py-0.5 rounded text-xs font-semibold bg-purple-100 text-purple-700">
+                          Crawl · {scan.pageCount} pages
+                        </span>
+                      )}
+                      {scan.mode === 'flow' && (
+                        <span
+                          className={`ml-2 px-2 py-0.5 rounded text-xs font-semibold ${
+                            scan.flowPassed ? 'bg-emerald-100 text-emerald-700' : 'bg-rose-100 text-rose-700'
+                          }`}
+                        >
+                          Flow · {scan.flowPassed ? 'passed' : 'failed'}
+                        </span>
+                      )}
+                    </td>
+                    <td className="py-3 px-4 text-slate-600">{formatDate(scan.createdAt)}</td>
+                    <td className="py-3 px-4 text-slate-600">{scan.bugCount}</td>
+                    <td className="py-3 px-4 text-slate-600">{scan.consoleErrorCount}</td>
+                    <td className="py-3 px-4 text-slate-600">{scan.networkErrorCount}</td>
+                    <td className="py-3 px-4">
+                      <div className="flex gap-3">
+                        <Link
+                          to={scan.mode === 'flow' ? `/flows?id=${scan.id}` : `/results?id=${scan.id}`}
+                          className="text-indigo-600 hover:text-indigo-700 font-medium"
+                        >
+                          Open
+                        </Link>
+                        <button
+                          onClick={() => handleDelete(scan.id)}
+                          disabled={deletingId === scan.id}
+                          className="text-rose-600 hover:text-rose-700 font-medium disabled:opacity-50"
+                        >
+                          {deletingId === scan.id ? 'Deleting...' : 'Delete'}
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </main>
+  );
+};
+
+export default History;
@@ -1,38 +1,92 @@
 import Loader from '../components/Loader';
 import BugCard from '../components/BugCard';
-import { useState, useEffect, useRef, useMemo } from 'react';
+import VisualRegressionCard from '../components/VisualRegressionCard';
+import AccessibilityPanel from '../components/AccessibilityPanel';
+import LayoutIssuesPanel from '../components/LayoutIssuesPanel';
+import PerformancePanel from '../components/PerformancePanel';
+import FormTestsPanel from '../components/FormTestsPanel';
+import LinkAuditPanel from '../components/LinkAuditPanel';
+import ClickTestsPanel from '../components/ClickTestsPanel';
+import { useState, useEffect, useMemo } from 'react';
 import { useSearchParams, useNavigate } from 'react-router-dom';
-import { scanWebsite, analyzeUrl, analyzeUrlStream } from '../services/api';
-import jsPDF from 'jspdf';
-import html2canvas from 'html2canvas';
+import { analyzeUrlStream, getScan, createScanId, createBaseline, runVisualCheck, exportScan } from '../services/api';
+import DeviceTabs from '../components/DeviceTabs';
 import SkeletonLoader from '../components/SkeletonLoader'; // Import SkeletonLoader
 
+// Normalizes one device's AI scan result for display
+const toScanResult = (result, fallbackScreenshot) => ({
+  device: result.device || null,
+  screenshot: result.screenshot ?? fallbackScreenshot,
+  annotatedScreenshot: result.annotatedScreenshot || null,
+  confirmedBugs: result.confirmedBugs || [],
+  bugs: result.bugs || [],
+  fixes: result.fixes || [],
+  suggestions: result.suggestions || [],
+  llm: result.llm || null,
+  llmStatus: result.llmStatus || null,
+  failedChunks: result.failedChunks || 0,
+  visualRegression: result.visualRegression || null,
+  layoutAnalysis: result.layoutAnalysis || null,
+  performance: result.performance || null,
+  error: result.error || ''
+});
+
+// Normalizes one device's stored DOM analysis for display
+const toDomResult = (result) => ({
+  device: result.device || null,
+  headAnalysis: result.headAnalysis,
+  bodyAnalysis: result.bodyAnalysis,
+  accessibilityAnalysis: result.accessibilityAnalysis,
+  linkAudit: result.linkAudit,
+  performance: result.performance,
+  clickTests: result.clickTests,
+  formTests: result.formTests,
+  consoleData: result.consoleData || { errors: [], warnings: [] },
+  networkErrors: result.networkErrors || [],
+  error: result.error ? `Unable to analyze DOM structure. ${result.error}` : ''
+});
+
 const Results = () => {
   const [searchParams] = useSearchParams();
   const navigate = useNavigate();
-  const url = searchParams.get('url');
+  const reportId = searchParams.get('id');
+  const devicesParam = searchParams.get('devices') || '';
+  const authParam = searchParams.get('auth') || '';
+  const llmParam = searchParams.get('llm') || '';
+  const clicksParam = searchParams.get('clicks') === '1';
+  const formsParam = searchParams.get('forms') === '1';
+  const [storedUrl, setStoredUrl] = useState('');
+  const url = searchParams.get('url') || storedUrl;
+  // Stored reports are opened by ID; fresh scans get a new ID the stream stores the report under
+  const scanId = useMemo(() => reportId || createScanId(), [reportId, searchParams]);
+  const [savedScanId, setSavedScanId] = useState(null);
+  const [crawlReport, setCrawlReport] = useState(null);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [settingBaseline, setSettingBaseline] = useState(false);
+  const [checkingVisual, setCheckingVisual] = useState(false);
+  const [baselineNote, setBaselineNote] = useState('');
+
+  // Device tabs: fresh scans use the ?devices= list, stored reports their own
+  const [storedDevices, setStoredDevices] = useState(null);
+  const devices = useMemo(
+    () => storedDevices || (devicesParam ? devicesParam.split(',').filter(Boolean) : ['desktop']),
+    [storedDevices, devicesParam]
+  );
+  const [activeDevice, setActiveDevice] = useState(null);
+  const currentDevice = devices.includes(activeDevice) ? activeDevice : devices[0];
 
-  const [data, setData] = useState({
-    screenshot: '',
-    bugs: [],
-    fixes: []
-  });
+  // Results per device key; fresh scans fill both from the DOM analysis stream
+  const [scanResults, setScanResults] = useState({});
+  const [domResults, setDomResults] = useState({});
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
-  const [domAnalysis, setDomAnalysis] = useState(null);
   const [domLoading, setDomLoading] = useState(false);
-  const [domError, setDomError] = useState('');
+  const [streamError, setStreamError] = useState('');
   const [domStatus, setDomStatus] = useState('');
-  const [headLoading, setHeadLoading] = useState(false);
-  const [bodyLoading, setBodyLoading] = useState(false);
-  const [consoleData, setConsoleData] = useState(null);
-  const [consoleLoading, setConsoleLoading] = useState(false);
-  const [networkErrors, setNetworkErrors] = useState(null);
-  const [networkLoading, setNetworkLoading] = useState(false);
   const [pdfGenerating, setPdfGenerating] = useState(false);
   const [isEditingUrl, setIsEditingUrl] = useState(false);
   const [editedUrl, setEditedUrl] = useState('');
-  const reportRef = useRef(null);
+  const [showHighlights, setShowHighlights] = useState(true);
 
   const fallbackData = useMemo(
     () => ({
@@ -41,38 +95,82 @@ const Results = () => {
     []
   );
 
+  // Everything below the tabs shows the selected device
+  const data = scanResults[currentDevice] || toScanResult({}, fallbackData.screenshot);
+  const visualRegression = data.visualRegression;
+  const deviceDom = domResults[currentDevice] || {};
+  const domAnalysis = deviceDom.headAnalysis || deviceDom.bodyAnalysis || deviceDom.accessibilityAnalysis
+    ? {
+        url,
+        headAnalysis: deviceDom.headAnalysis,
+        bodyAnalysis: deviceDom.bodyAnalysis,
+        accessibilityAnalysis: deviceDom.accessibilityAnalysis,
+        linkAudit: deviceDom.linkAudit
+      }
+    : null;
+  const consoleData = deviceDom.consoleData || null;
+  const networkErrors = deviceDom.networkErrors || null;
+  const domError = streamError || deviceDom.error || '';
+  // A section is loading while the stream runs and the selected device has not delivered it yet
+  const isSectionLoading = (section) => domLoading && !deviceDom[section] && !deviceDom.error;
+  const headLoading = isSectionLoading('headAnalysis');
+  const bodyLoading = isSectionLoading('bodyAnalysis');
+  const accessibilityLoading = isSectionLoading('accessibilityAnalysis');
+  const linksLoading = isSectionLoading('linkAudit');
+  const consoleLoading = isSectionLoading('consoleData');
+  const networkLoading = isSectionLoading('networkErrors');
+  // The AI scan measures with images loaded, so its numbers are preferred over the DOM analysis
+  const performance = data.performance || deviceDom.performance || null;
+  const performanceLoading = !data.performance && isSectionLoading('performance');
+  const clickTests = deviceDom.clickTests || null;
+  const clickTestsLoading = clicksParam && isSectionLoading('clickTests');
+  const formTests = deviceDom.formTests || null;
+  const formTestsLoading = formsParam && isSectionLoading('formTests');
+  // Fresh scans: the AI findings arrive at the end of the selected device's stream
+  const aiLoading = !reportId && domLoading && !data.llmStatus && !deviceDom.error;
+
   useEffect(() => {
-    if (!url) {
+    if (!reportId && !url) {
       navigate('/');
       return;
     }
 
-    const fetchData = async () => {
+    // Reopen a stored report without crawling the site again
+    const fetchStoredReport = async () => {
       try {
         setLoading(true);
         setError('');
-        const response = await scanWebsite(url);
-        const payload = response?.data || {};
-        setData({
-          screenshot: payload.screenshot ?? fallbackData.screenshot,
-          bugs: payload.bugs || [],
-          fixes: payload.fixes || []
-        });
+        const response = await getScan(reportId);
+        const report = response?.data || {};
+        const reportDevices = report.devices?.length ? report.devices : ['desktop'];
+        // Reports from before multi-device scans only have the top-level fields
+        const results = report.deviceResults || { [reportDevices[0]]: report };
+
+        setStoredUrl(report.url || '');
+        setSavedScanId(report.id);
+        setCrawlReport(report.mode === 'crawl' ? report.crawl : null);
+        setStoredDevices(reportDevices);
+        setScanResults(Object.fromEntries(
+          reportDevices.map((key) => [key, toScanResult(results[key] || {}, fallbackData.screenshot)])
+        ));
+        setDomResults(Object.fromEntries(
+          reportDevices.map((key) => [key, toDomResult(results[key] || {})])
+        ));
+        setDomLoading(false);
       } catch (err) {
-        setError('Unable to scan website.');
-        setData({
-          screenshot: fallbackData.screenshot,
-          bugs: [],
-          fixes: []
-        });
+        setError(err.response?.status === 404 ? 'Stored report not found.' : 'Unable to load stored report.');
+        setScanResults({});
       } finally {
         setLoading(false);
       }
     };
 
-    fetchData();
+    // Fresh scans are run by the DOM analysis stream below
+    if (reportId) {
+      fetchStoredReport();
+    }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [url, navigate]); // fallbackData is stable from useMemo, no need to include
+  }, [reportId, scanId, navigate]); // fallbackData is stable from useMemo, no need to include
 
   // Format screenshot for display
   const screenshotSrc = useMemo(() => {
@@ -87,78 +185,170 @@ const Results = () => {
     return `data:image/png;base64,${data.screenshot}`;
   }, [data.screenshot]); // fallbackData.screenshot is stable, no need to include
 
+  // The screenshot with numbered boxes around the elements the AI bugs cite.
+  // Streamed findings have no annotated screenshot yet; their thumbnails use the plain one.
+  const annotatedSrc = data.annotatedScreenshot ? `data:image/png;base64,${data.annotatedScreenshot}` : null;
+  const evidenceSrc = annotatedSrc || (data.screenshot && data.screenshot !== fallbackData.screenshot ? screenshotSrc : null);
+  const evidenceScreenshot = evidenceSrc && data.device?.viewport
+    ? { src: evidenceSrc, width: data.device.viewport.width, height: data.device.viewport.height }
+    : null;
+
   // Fetch DOM analysis with progressive loading
   useEffect(() => {
-    if (!url) return;
+    // Stored reports already contain the DOM analysis
+    if (!url || reportId) return;
 
-    // Initialize state
+    // Initialize state; the page shows up with the first screenshot
+    setLoading(true);
+    setError('');
     setDomLoading(true);
-    setDomError('');
+    setStreamError('');
     setDomStatus('');
-    setHeadLoading(true);
-    setBodyLoading(true);
-    setConsoleLoading(true);
-    setNetworkLoading(true);
-    setDomAnalysis(null);
-    setConsoleData(null);
-    setNetworkErrors(null);
+    setDomResults({});
+    setScanResults({});
+
+    // Events carry the device they belong to
+    const updateDevice = (device, changes) => {
+      setDomResults(prev => ({
+        ...prev,
+        [device]: { ...prev[device], ...changes }
+      }));
+    };
+    const updateScan = (device, changes) => {
+      setScanResults(prev => ({
+        ...prev,
+        [device]: toScanResult({ ...prev[device], ...changes }, fallbackData.screenshot)
+      }));
+    };
+    // Streamed bugs, fixes and suggestions are appended until the summary replaces them
+    const appendAi = (device, field, item) => {
+      setScanResults(prev => ({
+        ...prev,
+        [device]: toScanResult({ ...prev[device], [field]: [...(prev[device]?.[field] || []), item] }, fallbackData.screenshot)
+      }));
+    };
+    const failedDevices = new Set();
 
     // Use fetch-based streaming for progressive loading (supports custom headers for ngrok)
     const abortStream = analyzeUrlStream(url, ({ type, data }) => {
+      const device = data.device || devices[0];
+
       switch (type) {
         case 'status':
           setDomStatus(data.message || '');
           break;
         
+        case 'screenshot':
+          updateScan(device, { device: data.profile, screenshot: data.screenshot, visualRegression: data.visualRegression });
+          setLoading(false);
+          break;
+        
+        case 'layout':
+          updateScan(device, { layoutAnalysis: data.layoutAnalysis });
+          break;
+        
         case 'head':
-          setHeadLoading(false);
-          setDomAnalysis(prev => ({
-            ...prev,
-            headAnalysis: data.headAnalysis,
-            url: url
-          }));
+          updateDevice(device, { headAnalysis: data.headAnalysis });
           break;
         
         case 'body':
-          setBodyLoading(false);
-          setDomAnalysis(prev => ({
-            ...prev,
-            bodyAnalysis: data.bodyAnalysis,
-            url: url
-          }));
+          updateDevice(device, { bodyAnalysis: data.bodyAnalysis });
+          break;
+        
+        case 'accessibility':
+          updateDevice(device, { accessibilityAnalysis: data.accessibilityAnalysis });
+          break;
+        
+        case 'links':
+          updateDevice(device, { linkAudit: data.linkAudit });
           break;
         
         case 'console':
-          setConsoleLoading(false);
-          setConsoleData(data.consoleData || { errors: [], warnings: [] });
+          updateDevice(device, { consoleData: data.consoleData || { errors: [], warnings: [] } });
           break;
         
         case 'network':
-          setNetworkLoading(false);
-          setNetworkErrors(data.networkErrors || []);
+          updateDevice(device, { networkErrors: data.networkErrors || [] });
+          break;
+        
+        case 'performance':
+          updateDevice(device, { performance: data.performance });
+          break;
+        
+        case 'clicks':
+          updateDevice(device, { clickTests: data.clickTests });
+          break;
+        
+        case 'forms':
+          updateDevice(device, { formTests: data.formTests });
+          break;
+        
+        case 'llm-bug':
+          appendAi(device, 'bugs', data.bug);
+          break;
+        
+        case 'llm-fix':
+          appendAi(device, 'fixes', data.fix);
+          break;
+        
+        case 'llm-suggestion':
+          appendAi(device, 'suggestions', data.suggestion);
+          break;
+        
+        case 'llm-summary':
+          updateScan(device, {
+            confirmedBugs: data.confirmedBugs || [],
+            bugs: data.bugs || [],
+            fixes: data.fixes || [],
+            suggestions: data.suggestions || [],
+            annotatedScreenshot: data.annotatedScreenshot || null,
+            llm: data.llm || null,
+            llmStatus: data.llmStatus || null,
+            failedChunks: data.failedChunks || 0
+          });
           break;
         
         case 'complete':
+          setLoading(false);
           setDomLoading(false);
           setDomStatus('');
+          if (data.scanId) {
+            setSavedScanId(data.scanId);
+          }
           break;
         
-        case 'error':
-          setDomLoading(false);
-          setHeadLoading(false);
-          setBodyLoading(false);
-          setConsoleLoading(false);
-          setNetworkLoading(false);
-          setDomStatus('');
+        case 'error': {
           const errorMsg = data.error || 'Unknown error';
           const details = data.details ? `: ${data.details}` : '';
-          setDomError(`Unable to analyze DOM structure. ${errorMsg}${details}`);
+          const message = `Unable to analyze DOM structure. ${errorMsg}${details}`;
           console.error('DOM Analysis Error:', data);
+
+          // A failed device does not stop the others; the stream only ends early without one
+          if (data.device) {
+            updateDevice(data.device, { error: message });
+            updateScan(data.device, { error: data.details || errorMsg });
+            failedDevices.add(data.device);
+            if (failedDevices.size < devices.length) break;
+          } else {
+            setStreamError(message);
+          }
+          setLoading(false);
+          setDomLoading(false);
+          setDomStatus('');
           break;
+        }
         
         default:
           break;
       }
+    }, {
+      scanId,
+      devices: devicesParam,
+      auth: authParam,
+      forms: formsParam,
+      clicks: clicksParam,
+      ai: true,
+      llmProvider: llmParam
     });
 
     // Cleanup on unmount or URL change
@@ -167,101 +357,25 @@ const Results = () => {
         abortStream();
       }
     };
-  }, [url]);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [url, scanId]);
 
   const handleDownload = async () => {
-    if (!reportRef.current) return;
+    if (!savedScanId) return;
 
     try {
       setPdfGenerating(true);
+      // Rendered by the server from the stored report, which is complete once the analysis has finished
+      const response = await exportScan(savedScanId, 'pdf');
 
-      // Add temporary class for better PDF rendering
-      const originalClasses = reportRef.current.className;
-      reportRef.current.classList.add('pdf-export');
-
-      // Capture the report content as canvas with better settings
-      const canvas = await html2canvas(reportRef.current, {
-        scale: 2,
-        useCORS: true,
-        logging: false,
-        backgroundColor: '#f1f5f9', // slate-50 background
-        windowWidth: reportRef.current.scrollWidth,
-        windowHeight: reportRef.current.scrollHeight,
-        removeContainer: false,
-        allowTaint: true
-      });
-
-      // Restore original classes
-      reportRef.current.className = originalClasses;
-
-      const imgData = canvas.toDataURL('image/png', 0.95);
-      
-      // Calculate PDF dimensions
-      const imgWidth = canvas.width;
-      const imgHeight = canvas.height;
-      const pdfWidth = 210; // A4 width in mm
-      const pdfHeight = (imgHeight * pdfWidth) / imgWidth;
-      const pageHeight = 297; // A4 height in mm
-      const pageMargin = 10; // Margin in mm
-      const usablePageHeight = pageHeight - (pageMargin * 2);
-      
-      // Create PDF
-      const pdf = new jsPDF('p', 'mm', 'a4');
-      
-      // If content fits on one page
-      if (pdfHeight <= usablePageHeight) {
-        pdf.addImage(imgData, 'PNG', pageMargin, pageMargin, pdfWidth - (pageMargin * 2), pdfHeight);
-      } else {
-        // Content is taller than one page - split across multiple pages with better handling
-        let sourceY = 0; // Position in the source image (in pixels)
-        let pageNumber = 0;
-        const imgHeightInPixels = canvas.height;
-        const pixelsPerMM = imgHeightInPixels / pdfHeight;
-        const pixelsPerPage = usablePageHeight * pixelsPerMM;
-        
-        while (sourceY < imgHeightInPixels) {
-          if (pageNumber > 0) {
-            pdf.addPage();
-          }
-          
-          // Calculate how much of the image to show on this page
-          const remainingHeight = imgHeightInPixels - sourceY;
-          const heightToShow = Math.min(pixelsPerPage, remainingHeight);
-          const heightInMM = (heightToShow / pixelsPerMM);
-          
-          // Create a temporary canvas for this page
-          const pageCanvas = document.createElement('canvas');
-          pageCanvas.width = canvas.width;
-          pageCanvas.height = heightToShow;
-          const pageCtx = pageCanvas.getContext('2d');
-          
-          // Fill with background color first for clean edges
-          pageCtx.fillStyle = '#f1f5f9';
-          pageCtx.fillRect(0, 0, pageCanvas.width, pageCanvas.height);
-          
-          // Draw the portion of the image for this page
-          pageCtx.drawImage(
-            canvas,
-            0, sourceY, canvas.width, heightToShow, // Source rectangle
-            0, 0, canvas.width, heightToShow // Destination rectangle
-          );
-          
-          const pageImgData = pageCanvas.toDataURL('image/png', 0.95);
-          pdf.addImage(pageImgData, 'PNG', pageMargin, pageMargin, pdfWidth - (pageMargin * 2), heightInMM);
-          
-          // Move to next page position
-          sourceY += pixelsPerPage;
-          pageNumber++;
-        }
-      }
-      
       // Generate filename with timestamp
       const timestamp = new Date().toISOString().split('T')[0];
       const urlSlug = decodeURIComponent(url || 'report').replace(/[^a-z0-9]/gi, '-').toLowerCase().substring(0, 30);
-      const filename = `smart-bug-finder-report-${urlSlug}-${timestamp}.pdf`;
-      
-      // Save PDF
-      pdf.save(filename);
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(response.data);
+      link.download = `smart-bug-finder-report-${urlSlug}-${timestamp}.pdf`;
+      link.click();
+      URL.revokeObjectURL(link.href);
     } catch (error) {
       console.error('Error generating PDF:', error);
       alert('Failed to generate PDF. Please try again.');
@@ -270,6 +384,48 @@ const Results = () => {
     }
   };
 
+  const handleCopyLink = async () => {
+    const reportLink = `${window.location.origin}/results?id=${savedScanId}`;
+    try {
+      await navigator.clipboard.writeText(reportLink);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch {
+      window.prompt('Copy this report link:', reportLink);
+    }
+  };
+
+  const handleSetBaseline = async () => {
+    try {
+      setSettingBaseline(true);
+      setBaselineNote('');
+      // Multi-device reports keep one screenshot (and baseline) per device
+      await createBaseline(savedScanId, devices.length > 1 ? { device: currentDevice } : {});
+      setBaselineNote('Screenshot approved as baseline. Future scans of this URL will be compared against it.');
+    } catch (err) {
+      setBaselineNote(err.response?.data?.error || 'Failed to set baseline.');
+    } finally {
+      setSettingBaseline(false);
+    }
+  };
+
+  // Compares the stored screenshot with the current baseline again and shows the new result
+  const handleVisualCheck = async () => {
+    try {
+      setCheckingVisual(true);
+      setBaselineNote('');
+      const response = await runVisualCheck(savedScanId, currentDevice);
+      setScanResults(prev => ({
+        ...prev,
+        [currentDevice]: { ...prev[currentDevice], visualRegression: response.data }
+      }));
+    } catch (err) {
+      setBaselineNote(err.response?.data?.error || 'Failed to run the visual check.');
+    } finally {
+      setCheckingVisual(false);
+    }
+  };
+
   const handleUrlEdit = () => {
     setEditedUrl(decodeURIComponent(url || ''));
     setIsEditingUrl(true);
@@ -281,7 +437,12 @@ const Results = () => {
       return;
     }
     // Navigate to new URL which will trigger new scan
-    navigate(`/results?url=${encodeURIComponent(editedUrl.trim())}`);
+    const devicesQuery = devicesParam ? `&devices=${encodeURIComponent(devicesParam)}` : '';
+    const authQuery = authParam ? `&auth=${encodeURIComponent(authParam)}` : '';
+    const llmQuery = llmParam ? `&llm=${encodeURIComponent(llmParam)}` : '';
+    const clicksQuery = clicksParam ? '&clicks=1' : '';
+    const formsQuery = formsParam ? '&forms=1' : '';
+    navigate(`/results?url=${encodeURIComponent(editedUrl.trim())}${devicesQuery}${authQuery}${llmQuery}${clicksQuery}${formsQuery}`);
     setIsEditingUrl(false);
   };
 
@@ -290,10 +451,10 @@ const Results = () => {
     setEditedUrl('');
   };
 
-  if (!url) return null;
+  if (!url && !reportId) return null;
 
   return (
-    <main ref={reportRef} className="mx-auto max-w-6xl px-6 py-10">
+    <main className="mx-auto max-w-6xl px-6 py-10">
       <section className="card mb-8 p-8">
         <div className="flex flex-col gap-4">
           <div className="flex items-center justify-between">
@@ -340,11 +501,22 @@ const Results = () => {
           ) : (
             <>
               <h2 className="text-2xl font-semibold text-slate-900 break-all">
-                {decodeURIComponent(url)}
+                {decodeURIComponent(url || '')}
               </h2>
-              <p className="text-slate-500">
-                AI-powered UI bug report
-              </p>
+              <div className="flex flex-wrap items-center justify-between gap-3">
+                <p className="text-slate-500">
+                  {reportId ? 'Stored AI-powered UI bug report' : 'AI-powered UI bug report'}
+                </p>
+                {savedScanId && (
+                  <button
+                    onClick={handleCopyLink}
+                    className="text-sm text-indigo-600 hover:text-indigo-700 font-medium transition-colors"
+                    title={`Report ID: ${savedScanId}`}
+                  >
+                    {linkCopied ? 'Link copied!' : 'Copy report link'}
+                  </button>
+                )}
+              </div>
             </>
           )}
         </div>
@@ -356,18 +528,47 @@ const Results = () => {
         </div>
       )}
 
+      {devices.length > 1 && (
+        <DeviceTabs
+          devices={devices}
+          active={currentDevice}
+          onSelect={setActiveDevice}
+          scanResults={scanResults}
+          domResults={domResults}
+          loading={loading || domLoading}
+        />
+      )}
+
+      {data.error && !loading && (
+        <div className="mb-6 rounded-xl border border-amber-200 bg-amber-50 px-5 py-3 text-amber-900 shadow-sm">
+          Unable to scan on this device: {data.error}
+        </div>
+      )}
+
       {loading ? (
         <><Loader /><SkeletonLoader /></>
       ) : (
         <>
           <section className="grid gap-8 lg:grid-cols-2 pdf-section">
             <div className="card p-6">
-              <h3 className="mb-4 text-lg font-semibold text-slate-800">
-                Screenshot Preview
-              </h3>
+              <div className="mb-4 flex items-center justify-between">
+                <h3 className="text-lg font-semibold text-slate-800">
+                  Screenshot Preview
+                </h3>
+                {annotatedSrc && (
+                  <label className="flex items-center gap-2 text-sm text-slate-600">
+                    <input
+                      type="checkbox"
+                      checked={showHighlights}
+                      onChange={(event) => setShowHighlights(event.target.checked)}
+                    />
+                    Highlight AI issues
+                  </label>
+                )}
+              </div>
               <div className="mx-auto max-w-[800px] overflow-hidden rounded-2xl border border-slate-200 bg-slate-100">
                 <img
-                  src={screenshotSrc}
+                  src={annotatedSrc && showHighlights ? annotatedSrc : screenshotSrc}
                   alt="Scanned screenshot"
                   className="h-full w-full object-cover"
                 />
@@ -381,7 +582,7 @@ const Results = () => {
                 </h3>
                 {data.fixes.length === 0 ? (
                   <div className="flex flex-col items-center justify-center py-12">
-                    <p className="text-slate-500 text-lg">No AI Suggested Fixes</p>
+                    <p className="text-slate-500 text-lg">{aiLoading ? 'Waiting for the AI analysis...' : 'No AI Suggested Fixes'}</p>
                   </div>
                 ) : (
                   <ul className="space-y-3 text-slate-600">
@@ -396,7 +597,8 @@ const Results = () => {
               </div>
               <button
                 onClick={handleDownload}
-                disabled={pdfGenerating}
+                disabled={pdfGenerating || !savedScanId || domLoading}
+                title={savedScanId && !domLoading ? undefined : 'Available once the analysis has finished'}
                 className="mt-6 w-full rounded-xl border border-indigo-200 bg-indigo-50 px-4 py-3 text-indigo-700 font-medium shadow-sm transition-all hover:bg-white disabled:opacity-50 disabled:cursor-not-allowed"
               >
                 {pdfGenerating ? 'Generating PDF...' : 'Download PDF Report'}
@@ -404,30 +606,172 @@ const Results = () => {
             </div>
           </section>
 
+          {(visualRegression || savedScanId) && !crawlReport && (
+            <section className="mt-10 pdf-section">
+              <VisualRegressionCard
+                result={visualRegression}
+                canSetBaseline={Boolean(savedScanId)}
+                settingBaseline={settingBaseline}
+                onSetBaseline={handleSetBaseline}
+                checking={checkingVisual}
+                onCheck={handleVisualCheck}
+                note={baselineNote}
+              />
+            </section>
+          )}
+
+          {data.layoutAnalysis && !crawlReport && (
+            <section className="mt-10">
+              <LayoutIssuesPanel analysis={data.layoutAnalysis} />
+            </section>
+          )}
+
+          {(performance || performanceLoading) && !crawlReport && (
+            <section className="mt-10">
+              <PerformancePanel performance={performance} loading={performanceLoading} />
+            </section>
+          )}
+
+          {(clickTests || clickTestsLoading) && !crawlReport && (
+            <section className="mt-10">
+              <ClickTestsPanel clickTests={clickTests} loading={clickTestsLoading} />
+            </section>
+          )}
+
+          {(formTests || formTestsLoading) && !crawlReport && (
+            <section className="mt-10">
+              <FormTestsPanel formTests={formTests} loading={formTestsLoading} />
+            </section>
+          )}
+
+          {data.confirmedBugs.length > 0 && (
+            <section className="mt-10 pdf-section">
+              <div className="mb-4 flex items-center justify-between">
+                <h3 className="text-xl font-semibold text-slate-900">
+                  Confirmed by Rule:
+                </h3>
+                <span className="text-sm text-slate-500">
+                  {data.confirmedBugs.length} issues found by deterministic checks{data.llmStatus && data.llmStatus !== 'failed' && ', prioritized by AI'}
+                </span>
+              </div>
+              <div className="grid gap-6 md:grid-cols-2 xl:grid-cols-3">
+                {data.confirmedBugs.map((bug) => (
+                  <BugCard key={bug.id ?? bug.title} bug={bug} screenshot={evidenceScreenshot} />
+                ))}
+              </div>
+            </section>
+          )}
+
           <section className="mt-10 pdf-section">
             <div className="mb-4 flex items-center justify-between">
               <h3 className="text-xl font-semibold text-slate-900">
-                AI Detected Issues:
+                Suspected by AI:
               </h3>
-              {data.bugs.length > 0 && (
+              {(data.bugs.length > 0 || data.llm || aiLoading) && (
                 <span className="text-sm text-slate-500">
-                  {data.bugs.length} issues found
+                  {aiLoading && `Analyzing${data.bugs.length > 0 ? ' · ' : '...'}`}
+                  {data.bugs.length > 0 && `${data.bugs.length} issues found`}
+                  {data.bugs.length > 0 && data.llm && ' · '}
+                  {data.llm && `${data.llm.provider} / ${data.llm.model}`}
+                  {data.llmStatus === 'repaired' && ' · output repaired'}
                 </span>
               )}
             </div>
-            {data.bugs.length === 0 ? (
+            {data.llmStatus === 'partial' && (
+              <div className="mb-4 rounded-xl border border-amber-200 bg-amber-50 px-5 py-3 text-sm text-amber-900">
+                The AI analysis got no answer for {data.failedChunks} part{data.failedChunks === 1 ? '' : 's'} of the page, so some AI findings may be missing.
+              </div>
+            )}
+            {data.llmStatus === 'failed' ? (
+              <div className="rounded-xl border border-amber-200 bg-amber-50 px-5 py-3 text-sm text-amber-900">
+                The AI analysis did not return a usable answer, so AI findings are missing for this scan. The rule-based results above are unaffected.
+              </div>
+            ) : data.bugs.length === 0 ? (
               <div className="flex flex-col items-center justify-center py-12">
-                <p className="text-slate-500 text-lg">No AI Detected Issues</p>
+                {aiLoading && <div className="mb-4 h-8 w-8 animate-spin rounded-full border-4 border-indigo-200 border-t-indigo-600" />}
+                <p className="text-slate-500 text-lg">{aiLoading ? 'The AI is looking for issues...' : 'No AI Suspected Issues'}</p>
               </div>
             ) : (
               <div className="grid gap-6 md:grid-cols-2 xl:grid-cols-3">
                 {data.bugs.map((bug) => (
-                  <BugCard key={bug.id ?? bug.title} bug={bug} />
+                  <BugCard key={bug.id ?? bug.title} bug={bug} screenshot={evidenceScreenshot} />
                 ))}
               </div>
             )}
           </section>
 
+          {data.suggestions.length > 0 && (
+            <section className="mt-10 pdf-section">
+              <h3 className="mb-4 text-xl font-semibold text-slate-900">
+                AI Suggestions:
+              </h3>
+              <div className="card p-6">
+                <ul className="space-y-3 text-slate-600">
+                  {data.suggestions.map((suggestion, idx) => (
+                    <li key={idx} className="flex gap-3">
+                      <span className="text-indigo-600 font-semibold">{idx + 1}.</span>
+                      <span>{suggestion}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            </section>
+          )}
+
+          {crawlReport && (
+            <section className="mt-10 pdf-section">
+              <div className="mb-4 flex items-center justify-between">
+                <h3 className="text-xl font-semibold text-slate-900">
+                  Crawled Pages:
+                </h3>
+                <span className="text-sm text-slate-500">
+                  {crawlReport.summary?.pagesAnalyzed || 0} analyzed, {crawlReport.summary?.pagesSkipped || 0} skipped
+                </span>
+              </div>
+              <div className="card overflow-x-auto p-0">
+                <table className="w-full text-sm">
+                  <thead className="bg-slate-50">
+                    <tr>
+                      <th className="text-left py-3 px-4 text-slate-700 font-medium">Page</th>
+                      <th className="text-left py-3 px-4 text-slate-700 font-medium">Depth</th>
+                      <th className="text-left py-3 px-4 text-slate-700 font-medium">Status</th>
+                      <th className="text-left py-3 px-4 text-slate-700 font-medium">Console Errors</th>
+                      <th className="text-left py-3 px-4 text-slate-700 font-medium">Network Errors</th>
+                      <th className="text-left py-3 px-4 text-slate-700 font-medium">Broken Link Tags</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {crawlReport.pages.map((page, idx) => (
+                      <tr key={idx} className="border-b border-slate-100 hover:bg-slate-50">
+                        <td className="py-3 px-4 text-slate-600 break-all max-w-md">
+                          {page.url}
+                          {page.error && (
+                            <span className="block text-xs text-rose-600">{page.error}</span>
+                          )}
+                        </td>
+                        <td className="py-3 px-4 text-slate-600">{page.depth}</td>
+                        <td className="py-3 px-4">
+                          <span className={`px-2 py-1 rounded text-xs font-semibold ${
+                            page.status && page.status < 400
+                              ? 'bg-emerald-100 text-emerald-700'
+                              : 'bg-rose-100 text-rose-700'
+                          }`}>
+                            {page.status || 'Failed'}
+                          </span>
+                        </td>
+                        <td className="py-3 px-4 text-slate-600">{page.consoleData?.errors?.length || 0}</td>
+                        <td className="py-3 px-4 text-slate-600">{page.networkErrors?.length || 0}</td>
+                        <td className="py-3 px-4 text-slate-600">
+                          {page.headAnalysis?.linkSummary?.filter(link => link.status === 'broken').length || 0}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </section>
+          )}
+
           {/* DOM Analysis Section */}
           <section className="mt-12 pdf-section">
             <div className="mb-6">
@@ -607,6 +951,17 @@ const Results = () => {
                   ) : null}
                 </div>
 
+                {/* Accessibility Audit */}
+                <AccessibilityPanel
+                  analysis={domAnalysis?.accessibilityAnalysis}
+                  loading={accessibilityLoading}
+                />
+
+                {/* Body Link Audit */}
+                {(domAnalysis?.linkAudit || linksLoading) && (
+                  <LinkAuditPanel audit={domAnalysis?.linkAudit} loading={linksLoading} />
+                )}
+
                 {/* Interactive Elements */}
                 <div className="card p-6 pdf-section">
                   <div className="flex items-center justify-between mb-4">
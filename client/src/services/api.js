@@ -21,27 +21,110 @@ const apiClient = axios.create({
   }
 });
 
-export const scanWebsite = (url) =>
-  apiClient.get(`/api/scan?url=${encodeURIComponent(url)}`);
+/**
+ * Generates a report ID shared by the scan and DOM analysis requests,
+ * so the server stores both halves under the same scan record.
+ * Falls back to getRandomValues where randomUUID is unavailable (non-HTTPS origins).
+ */
+export const createScanId = () => {
+  if (crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+const scanIdParam = (scanId) => (scanId ? `&scanId=${encodeURIComponent(scanId)}` : '');
+
+// Device profiles understood by the server (comma-separated in the `devices` parameter)
+export const DEVICE_OPTIONS = [
+  { key: 'desktop', label: 'Desktop' },
+  { key: 'iphone', label: 'iPhone' },
+  { key: 'pixel', label: 'Pixel' },
+  { key: 'tablet', label: 'Tablet' }
+];
+
+const devicesParam = (devices) => (devices ? `&devices=${encodeURIComponent(devices)}` : '');
+
+// Name of a server-side auth recipe; credentials never leave the server
+const authParam = (auth) => (auth ? `&auth=${encodeURIComponent(auth)}` : '');
+
+// Opt-in click and form submission tests (buttons are really clicked, forms really submitted)
+const clicksParam = (clicks) => (clicks ? '&clicks=1' : '');
+const formsParam = (forms) => (forms ? '&forms=1' : '');
+
+// LLM provider for the AI analysis; the server default when empty
+const llmProviderParam = (llmProvider) => (llmProvider ? `&llmProvider=${encodeURIComponent(llmProvider)}` : '');
+
+// ai=1 makes the DOM analysis stream a full scan: screenshot, layout and the LLM phase
+const aiParam = (ai) => (ai ? '&ai=1' : '');
+
+// Login recipes configured on the server
+export const getAuthRecipes = () =>
+  apiClient.get('/api/auth-recipes');
+
+// LLM providers configured on the server
+export const getLLMProviders = () =>
+  apiClient.get('/api/llm-providers');
 
-export const analyzeUrl = (url) =>
-  apiClient.get(`/api/analyze-url?url=${encodeURIComponent(url)}`);
+// Stored scan history
+export const getScans = (params = {}) =>
+  apiClient.get('/api/scans', { params });
+
+export const getScan = (id) =>
+  apiClient.get(`/api/scans/${encodeURIComponent(id)}`);
+
+export const deleteScan = (id) =>
+  apiClient.delete(`/api/scans/${encodeURIComponent(id)}`);
+
+// Report file of a stored scan: pdf, html, junit or sarif
+export const exportScan = (id, format) =>
+  apiClient.get(`/api/scans/${encodeURIComponent(id)}/export`, { params: { format }, responseType: 'blob' });
+
+export const compareScans = (baseId, headId) =>
+  apiClient.get('/api/scans/compare', { params: { base: baseId, head: headId } });
+
+// User-defined interaction flows; `flow` is a steps array or JSON/YAML text
+export const runFlow = (payload) =>
+  apiClient.post('/api/flows/run', payload);
+
+// Visual regression baselines
+export const createBaseline = (scanId, options = {}) =>
+  apiClient.post('/api/baselines', { scanId, ...options });
+
+// Compares one device of a multi-device scan when `device` is given, the primary one otherwise
+export const runVisualCheck = (scanId, device) =>
+  apiClient.post(`/api/scans/${encodeURIComponent(scanId)}/visual-check`, null, { params: device ? { device } : {} });
 
 /**
  * Creates a fetch-based stream for DOM analysis with progressive loading
  * Uses fetch instead of EventSource to support custom headers (needed for ngrok)
  * @param {string} url - The URL to analyze
  * @param {Function} onMessage - Callback for each message received
+ * @param {Object} [options]
+ * @param {string} [options.scanId] - Report ID to store the analysis under
+ * @param {string} [options.devices] - Comma-separated device keys; events then carry a `device` field
+ * @param {string} [options.auth] - Auth recipe to log in with before the analysis
+ * @param {boolean} [options.forms] - Also fill and submit every form; adds a `forms` event
+ * @param {boolean} [options.clicks] - Also click every button; adds a `clicks` event
+ * @param {boolean} [options.ai] - Add the LLM phase to every device (before clicks and forms): `llm-bug`, `llm-fix` and
+ *   `llm-suggestion` events while the model writes, then `llm-summary` with the final result
+ * @param {string} [options.llmProvider] - LLM provider for that phase (server default when empty)
  * @returns {Function} Abort function to cancel the stream
  */
-export const analyzeUrlStream = (url, onMessage) => {
+export const analyzeUrlStream = (url, onMessage, { scanId, devices, auth, forms, clicks, ai, llmProvider } = {}) => {
+  const query = `url=${encodeURIComponent(url)}${scanIdParam(scanId)}${devicesParam(devices)}${authParam(auth)}${formsParam(forms)}${clicksParam(clicks)}${aiParam(ai)}${ai ? llmProviderParam(llmProvider) : ''}`;
+
   // Build the stream URL
   let streamUrl;
   if (API_BASE_URL) {
-    streamUrl = `${API_BASE_URL}/api/analyze-url-stream?url=${encodeURIComponent(url)}`;
+    streamUrl = `${API_BASE_URL}/api/analyze-url-stream?${query}`;
   } else {
     // Relative path - Vite proxy will handle it
-    streamUrl = `/api/analyze-url-stream?url=${encodeURIComponent(url)}`;
+    streamUrl = `/api/analyze-url-stream?${query}`;
   }
 
   const abortController = new AbortController();
@@ -64,63 +147,43 @@ export const analyzeUrlStream = (url, onMessage) => {
       const decoder = new TextDecoder();
       let buffer = '';
 
-      while (true) {
-        const { done, value } = await reader.read();
-        
-        if (done) {
-          break;
-        }
-
-        buffer += decoder.decode(value, { stream: true });
-        const lines = buffer.split('\n');
-        buffer = lines.pop() || ''; // Keep incomplete line in buffer
-
+      // A message is an `event:` and a `data:` line followed by an empty line;
+      // both lines may arrive in different reads, so only complete messages are parsed
+      const dispatch = (message) => {
         let currentEvent = 'message';
         let currentData = '';
-
-        for (const line of lines) {
+        for (const line of message.split('\n')) {
           if (line.startsWith('event: ')) {
             currentEvent = line.substring(7).trim();
           } else if (line.startsWith('data: ')) {
             currentData = line.substring(6).trim();
-          } else if (line === '') {
-            // Empty line indicates end of message
-            if (currentData) {
-              try {
-                const data = JSON.parse(currentData);
-                onMessage({ type: currentEvent, data });
-              } catch (error) {
-                console.error(`Error parsing ${currentEvent} event:`, error);
-              }
-            }
-            currentEvent = 'message';
-            currentData = '';
           }
         }
+        if (!currentData) return;
+        try {
+          const data = JSON.parse(currentData);
+          onMessage({ type: currentEvent, data });
+        } catch (error) {
+          console.error(`Error parsing ${currentEvent} event:`, error);
+        }
+      };
+
+      while (true) {
+        const { done, value } = await reader.read();
+        
+        if (done) {
+          break;
+        }
+
+        buffer += decoder.decode(value, { stream: true });
+        const messages = buffer.split('\n\n');
+        buffer = messages.pop() || ''; // Keep incomplete message in buffer
+        messages.forEach(dispatch);
       }
 
       // Handle any remaining data in buffer
       if (buffer.trim()) {
-        const lines = buffer.split('\n');
-        let currentEvent = 'message';
-        let currentData = '';
-
-        for (const line of lines) {
-          if (line.startsWith('event: ')) {
-            currentEvent = line.substring(7).trim();
-          } else if (line.startsWith('data: ')) {
-            currentData = line.substring(6).trim();
-          } else if (line === '' && currentData) {
-            try {
-              const data = JSON.parse(currentData);
-              onMessage({ type: currentEvent, data });
-            } catch (error) {
-              console.error(`Error parsing ${currentEvent} event:`, error);
-            }
-            currentEvent = 'message';
-            currentData = '';
-          }
-        }
+        dispatch(buffer);
       }
     })
     .catch((error) => {
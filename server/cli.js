@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+import dotenv from "dotenv";
+import fs from "fs/promises";
+import path from "path";
+import { parseArgs } from "util";
+import { runScanPipeline } from "./utils/scanPipeline.js";
+import { crawlSite } from "./utils/siteCrawler.js";
+import { closeBrowserPool } from "./utils/browserPool.js";
+import { renderPdfReport } from "./utils/reportPdf.js";
+import { parseCrawlRequest, MAX_CRAWL_DEPTH, MAX_CRAWL_PAGES } from "./controllers/crawlController.js";
+import { BUG_SEVERITIES } from "./utils/llmSchema.js";
+import { toMarkdown, toHtml, toJUnit, toSarif, highestSeverity, countBySeverity } from "./utils/reportFormats.js";
+
+dotenv.config();
+
+/**
+ * Smart Bug Finder CLI: runs the scan pipeline of the scan jobs without the
+ * HTTP server and writes the report to a directory.
+ *
+ * The exit code is the highest severity found (1 low ... 4 critical), or 0
+ * when nothing reaches --fail-on, so the command can gate a deployment.
+ */
+
+const EXIT_USAGE = 64;
+const EXIT_SCAN_FAILED = 70;
+
+const FORMATS = {
+  json: { file: "report.json", render: (records, meta) => `${JSON.stringify({ ...meta, pages: records }, null, 2)}\n` },
+  md: { file: "report.md", render: (records) => toMarkdown(records) },
+  html: { file: "report.html", render: (records) => toHtml(records) },
+  pdf: { file: "report.pdf", render: (records) => renderPdfReport(records) },
+  junit: { file: "junit.xml", render: (records) => toJUnit(records) },
+  sarif: { file: "report.sarif", render: (records) => `${JSON.stringify(toSarif(records), null, 2)}\n` }
+};
+const FORMAT_ALIASES = { markdown: "md", xml: "junit" };
+
+const USAGE = `Usage: smart-bug-finder scan <url> [options]
+
+Options:
+  -d, --devices <list>       Device profiles, comma-separated (default: desktop)
+                             e.g. desktop,iphone,pixel,tablet or a Playwright device name
+      --depth <n>            Crawl depth from <url>, at most ${MAX_CRAWL_DEPTH}; every page found is scanned
+                             (default: 0, only <url>)
+      --max-pages <n>        Pages scanned when crawling, at most ${MAX_CRAWL_PAGES} (default: 10)
+  -f, --format <list>        Report formats, comma-separated: json, md, html, pdf, junit, sarif
+                             (default: json)
+  -o, --out <dir>            Output directory (default: ./smart-bug-finder-report)
+      --fail-on <severity>   Lowest severity that fails the run: low, medium, high, critical (default: low)
+      --auth <recipe>        Auth recipe to log in with
+      --llm-provider <name>  LLM provider (default: the configured default)
+      --llm-model <model>    Model override for the provider
+  -h, --help                 Show this help
+
+Exit codes:
+  0     no issue at or above --fail-on
+  1-4   highest severity found: 1 low, 2 medium, 3 high, 4 critical
+  ${EXIT_USAGE}    invalid arguments
+  ${EXIT_SCAN_FAILED}    a page could not be scanned
+`;
+
+const fail = (message) => {
+  console.error(`❌ ${message}\n`);
+  console.error(USAGE);
+  process.exit(EXIT_USAGE);
+};
+
+/**
+ * Parses and validates the command line
+ * @returns {Object} url, devices, crawl options (or null), formats, outDir, failOn and the auth/LLM options
+ */
+const parseCommandLine = (argv) => {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        devices: { type: "string", short: "d" },
+        depth: { type: "string", default: "0" },
+        "max-pages": { type: "string", default: "10" },
+        format: { type: "string", short: "f", default: "json" },
+        out: { type: "string", short: "o", default: "smart-bug-finder-report" },
+        "fail-on": { type: "string", default: "low" },
+        auth: { type: "string" },
+        "llm-provider": { type: "string" },
+        "llm-model": { type: "string" },
+        help: { type: "boolean", short: "h" }
+      }
+    });
+  } catch (error) {
+    fail(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  const [command, url, ...extra] = positionals;
+  if (command !== "scan") fail(command ? `Unknown command: ${command}` : "Missing command");
+  if (!url) fail("Missing <url>");
+  if (extra.length > 0) fail(`Unexpected arguments: ${extra.join(" ")}`);
+
+  const depth = Number(values.depth);
+  const maxPages = Number(values["max-pages"]);
+  if (!Number.isInteger(depth) || depth < 0) fail("--depth must be a whole number");
+  if (!Number.isInteger(maxPages) || maxPages < 1) fail("--max-pages must be a positive whole number");
+  // The same limits as POST /api/crawl, which clamps instead
+  if (depth > MAX_CRAWL_DEPTH) fail(`--depth must be at most ${MAX_CRAWL_DEPTH}`);
+  if (maxPages > MAX_CRAWL_PAGES) fail(`--max-pages must be at most ${MAX_CRAWL_PAGES}`);
+
+  const crawl = parseCrawlRequest({ url, maxDepth: depth, maxPages });
+  if (crawl.error) fail(crawl.error);
+
+  const formats = [...new Set(values.format.split(",").map((format) => format.trim().toLowerCase()).filter(Boolean))]
+    .map((format) => FORMAT_ALIASES[format] || format);
+  const unknown = formats.filter((format) => !FORMATS[format]);
+  if (formats.length === 0 || unknown.length > 0) {
+    fail(`Unknown format: ${unknown.join(", ") || values.format} (expected ${Object.keys(FORMATS).join(", ")})`);
+  }
+
+  const failOn = values["fail-on"].toLowerCase();
+  if (!BUG_SEVERITIES.includes(failOn)) fail(`--fail-on must be one of ${BUG_SEVERITIES.join(", ")}`);
+
+  return {
+    url,
+    devices: values.devices,
+    crawl: depth > 0 ? crawl.options : null,
+    formats,
+    outDir: path.resolve(values.out),
+    failOn,
+    auth: values.auth,
+    llmProvider: values["llm-provider"],
+    llmModel: values["llm-model"]
+  };
+};
+
+// Progress goes to stderr, one line per new message
+const progressPrinter = (prefix) => {
+  let last = "";
+  return (percent, message) => {
+    if (message === last) return;
+    last = message;
+    console.error(`${prefix}${String(percent).padStart(3)}% ${message}`);
+  };
+};
+
+/**
+ * The pages to scan: the URL itself, or every page a crawl reached without an error.
+ * The crawl only collects links; each page is analyzed once, by the scan pipeline.
+ */
+const findPages = async (url, crawl) => {
+  if (!crawl) return [url];
+
+  console.error(`🕸️  Crawling ${url} (depth ${crawl.maxDepth}, up to ${crawl.maxPages} pages)...`);
+  const report = await crawlSite(url, { ...crawl, analyze: false, onProgress: progressPrinter("   ") });
+  const pages = [...new Set(report.pages.filter((page) => !page.error).map((page) => page.finalUrl || page.url))];
+  console.error(`🕸️  Found ${pages.length} page${pages.length === 1 ? "" : "s"}\n`);
+  return pages.length > 0 ? pages : [url];
+};
+
+const run = async () => {
+  const options = parseCommandLine(process.argv.slice(2));
+  const pages = await findPages(options.url, options.crawl);
+
+  // One page after another, like the job queue's scan jobs
+  const records = [];
+  for (const [index, pageUrl] of pages.entries()) {
+    console.error(`🔍 [${index + 1}/${pages.length}] Scanning ${pageUrl}`);
+    try {
+      records.push(await runScanPipeline(pageUrl, {
+        devices: options.devices,
+        auth: options.auth,
+        llmProvider: options.llmProvider,
+        llmModel: options.llmModel,
+        onProgress: progressPrinter("   ")
+      }));
+    } catch (error) {
+      console.error(`❌ Failed to scan ${pageUrl}: ${error.message}`);
+      records.push({ url: pageUrl, error: error.message });
+    }
+  }
+
+  const highest = highestSeverity(records);
+  const counts = countBySeverity(records);
+  const failed = records.filter((record) => record.error);
+  const meta = {
+    generatedAt: new Date().toISOString(),
+    url: options.url,
+    devices: options.devices || "desktop",
+    highestSeverity: highest,
+    counts
+  };
+
+  await fs.mkdir(options.outDir, { recursive: true });
+  for (const format of options.formats) {
+    const file = path.join(options.outDir, FORMATS[format].file);
+    await fs.writeFile(file, await FORMATS[format].render(records, meta));
+    console.log(`📄 ${file}`);
+  }
+
+  console.log(
+    `\n${records.length - failed.length}/${records.length} page${records.length === 1 ? "" : "s"} scanned · ` +
+      `${BUG_SEVERITIES.slice().reverse().map((severity) => `${counts[severity]} ${severity}`).join(", ")} · ` +
+      `highest severity: ${highest || "none"}`
+  );
+
+  if (failed.length > 0) return EXIT_SCAN_FAILED;
+  if (!highest || BUG_SEVERITIES.indexOf(highest) < BUG_SEVERITIES.indexOf(options.failOn)) return 0;
+  return BUG_SEVERITIES.indexOf(highest) + 1;
+};
+
+let exitCode = EXIT_SCAN_FAILED;
+try {
+  exitCode = await run();
+} catch (error) {
+  console.error("❌ Scan failed:", error.message);
+} finally {
+  // Pooled browsers would keep the process alive
+  await closeBrowserPool();
+}
+process.exit(exitCode);
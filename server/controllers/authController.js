@@ -0,0 +1,14 @@
+import { listAuthRecipes } from '../utils/authSession.js';
+
+/**
+ * Lists the configured auth recipes (names only, no selectors or credentials)
+ */
+export const listRecipes = async (req, res) => {
+  try {
+    const recipes = await listAuthRecipes();
+    return res.status(200).json({ recipes });
+  } catch (error) {
+    console.error('❌ ListAuthRecipes Error:', error);
+    return res.status(500).json({ error: 'Failed to list auth recipes', details: error.message });
+  }
+};
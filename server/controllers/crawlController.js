@@ -0,0 +1,92 @@
+import { crawlSite } from '../utils/siteCrawler.js';
+import { saveScan } from '../utils/scanStore.js';
+
+export const MAX_CRAWL_DEPTH = 5;
+export const MAX_CRAWL_PAGES = 100;
+
+/**
+ * Reads crawl options from a request body (or query) and applies server limits.
+ * Glob lists may be arrays or comma-separated strings.
+ * Returns { url, options } or { error } when the input is invalid.
+ */
+export const parseCrawlRequest = (input = {}) => {
+  const { url } = input;
+
+  if (!url) {
+    return { error: 'Missing url' };
+  }
+
+  try {
+    new URL(url);
+  } catch {
+    return { error: 'Invalid URL format' };
+  }
+
+  const toList = (value) => {
+    if (!value) return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map((item) => String(item).trim()).filter(Boolean);
+  };
+
+  const clamp = (value, fallback, max) => {
+    const number = parseInt(value, 10);
+    return Number.isFinite(number) ? Math.min(Math.max(number, 0), max) : fallback;
+  };
+
+  return {
+    url,
+    options: {
+      maxDepth: clamp(input.maxDepth ?? input.depth, 2, MAX_CRAWL_DEPTH),
+      maxPages: Math.max(clamp(input.maxPages, 20, MAX_CRAWL_PAGES), 1),
+      include: toList(input.include),
+      exclude: toList(input.exclude),
+      respectRobots: input.respectRobots !== false && input.respectRobots !== 'false'
+    }
+  };
+};
+
+/**
+ * Runs a crawl and stores the site-wide report in the scan store
+ */
+export const runCrawl = async (url, options, { signal, onProgress } = {}) => {
+  const report = await crawlSite(url, { ...options, signal, onProgress });
+
+  return saveScan(null, {
+    mode: 'crawl',
+    url,
+    crawl: report,
+    consoleData: {
+      errors: report.pages.flatMap((page) => (page.consoleData?.errors || []).map((error) => ({ ...error, pageUrl: page.url }))),
+      warnings: []
+    },
+    networkErrors: report.pages.flatMap((page) => (page.networkErrors || []).map((error) => ({ ...error, pageUrl: page.url })))
+  });
+};
+
+/**
+ * Crawls a whole site synchronously and returns the report grouped by page.
+ * For large sites prefer POST /api/jobs with { type: 'crawl' }.
+ */
+export const crawlWebsite = async (req, res) => {
+  try {
+    const { url, options, error } = parseCrawlRequest(req.body || {});
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    console.log(`🕸️  Starting crawl from: ${url}`);
+    const record = await runCrawl(url, options);
+
+    return res.status(200).json({
+      scanId: record.id,
+      ...record.crawl
+    });
+  } catch (error) {
+    console.error('❌ CrawlWebsite Error:', error);
+    return res.status(500).json({
+      error: 'Failed to crawl website',
+      details: error.message
+    });
+  }
+};
@@ -0,0 +1,115 @@
+import { acquireAuthenticatedContext, getAuthRecipe } from '../utils/authSession.js';
+import { analyzeHead, analyzeBody } from '../utils/domAnalyzer.js';
+import { auditAccessibility } from '../utils/accessibilityAudit.js';
+import { blockResources, collectPageErrors, describeNavigationError } from '../utils/pageHelper.js';
+import { saveScan, isValidScanId } from '../utils/scanStore.js';
+import { getDeviceProfile, describeDevice, DEFAULT_DEVICE } from '../utils/deviceProfiles.js';
+import { parseFlow, runFlow } from '../utils/flowRunner.js';
+
+/**
+ * Runs a user-defined interaction flow and reports every step.
+ *
+ * Body: JSON `{ url, steps: [...] }` / `{ url, flow: [...] | "<yaml>" }`, or the
+ * raw flow as YAML (Content-Type text/yaml) with `?url=`. `device`, `auth`,
+ * `scanId` and `analyze` can be given in the body or the query string.
+ * With `analyze: true` the HEAD, BODY and accessibility analysis run on the
+ * page the flow ends on (only when every step passed).
+ */
+export const runUserFlow = async (req, res) => {
+  try {
+    const rawFlow = typeof req.body === 'string';
+    const body = rawFlow ? {} : req.body || {};
+    const option = (name) => body[name] ?? req.query[name];
+
+    const flow = parseFlow(rawFlow ? req.body : body.flow ?? body);
+    if (flow.error) {
+      return res.status(400).json({ error: 'Invalid flow', details: flow.error });
+    }
+
+    const url = option('url') || flow.url;
+    if (!url) {
+      return res.status(400).json({ error: 'Missing url (in the body, the flow or the query string)' });
+    }
+    try {
+      new URL(url);
+    } catch {
+      return res.status(400).json({ error: 'Invalid URL format' });
+    }
+
+    const scanId = option('scanId');
+    if (scanId && !isValidScanId(scanId)) {
+      return res.status(400).json({ error: 'Invalid scanId' });
+    }
+
+    const profile = getDeviceProfile(option('device') || DEFAULT_DEVICE);
+    if (!profile) {
+      return res.status(400).json({ error: 'Invalid device', details: `Unknown device "${option('device')}"` });
+    }
+
+    const { recipe: authRecipe, error: authError } = await getAuthRecipe(option('auth'));
+    if (authError) {
+      return res.status(400).json({ error: 'Invalid auth', details: authError });
+    }
+
+    const analyze = [true, 'true', '1'].includes(option('analyze'));
+
+    console.log(`🧭 Running ${flow.steps.length}-step flow on: ${url} (${profile.name})`);
+
+    const lease = await acquireAuthenticatedContext(profile.contextOptions, authRecipe);
+    let report;
+    try {
+      const page = await lease.context.newPage();
+      await blockResources(page, ['font', 'media']);
+      const errors = collectPageErrors(page);
+
+      let result;
+      try {
+        result = await runFlow(page, flow.steps, { url, errors });
+      } catch (navigationError) {
+        // Only the initial page load happens outside a step
+        return res.status(500).json({ error: 'Failed to load the flow URL', details: describeNavigationError(navigationError) });
+      }
+
+      let analysis = {};
+      if (analyze && result.passed) {
+        const [headAnalysis, bodyAnalysis, accessibilityAnalysis] = await Promise.all([
+          analyzeHead(page, page.url()),
+          analyzeBody(page),
+          auditAccessibility(page)
+        ]);
+        analysis = { headAnalysis, bodyAnalysis, accessibilityAnalysis };
+      }
+
+      report = {
+        url,
+        device: describeDevice(profile),
+        flow: result,
+        ...analysis,
+        consoleData: { errors: errors.consoleErrors, warnings: errors.consoleWarnings },
+        networkErrors: errors.networkErrors
+      };
+    } finally {
+      await lease.release();
+    }
+
+    let storedScanId = null;
+    try {
+      const lastScreenshot = [...report.flow.steps].reverse().find((step) => step.screenshot)?.screenshot;
+      const record = await saveScan(scanId, {
+        mode: 'flow',
+        auth: authRecipe?.name,
+        viewport: profile.viewport,
+        screenshot: lastScreenshot,
+        ...report
+      });
+      storedScanId = record.id;
+    } catch (storeError) {
+      console.error('⚠️  Failed to store flow run:', storeError.message);
+    }
+
+    return res.status(200).json({ scanId: storedScanId, ...report });
+  } catch (error) {
+    console.error('❌ RunUserFlow Error:', error);
+    return res.status(500).json({ error: 'Failed to run flow', details: error.message });
+  }
+};
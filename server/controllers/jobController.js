@@ -0,0 +1,159 @@
+import { registerJobHandler, enqueueJob, getJob, listJobs, cancelJob, retryJob, serializeJob } from '../utils/jobQueue.js';
+import { runScanPipeline } from '../utils/scanPipeline.js';
+import { getScan, isValidScanId } from '../utils/scanStore.js';
+import { parseCrawlRequest, runCrawl } from './crawlController.js';
+import { parseDevices } from '../utils/deviceProfiles.js';
+import { getAuthRecipe } from '../utils/authSession.js';
+import { resolveLLMProvider } from '../utils/llmProviders.js';
+
+// Scan jobs keep only the scan ID in memory; the full report lives in the scan store
+registerJobHandler('scan', async ({ url, scanId, devices, auth, llmProvider, llmModel }, { signal, onProgress }) => {
+  const record = await runScanPipeline(url, { scanId, devices, auth, llmProvider, llmModel, signal, onProgress });
+  return { scanId: record.id };
+});
+
+registerJobHandler('crawl', async ({ url, options }, { signal, onProgress }) => {
+  const record = await runCrawl(url, options, { signal, onProgress });
+  return { scanId: record.id };
+});
+
+/**
+ * Queues a scan (default) or crawl job and returns its ID immediately
+ */
+export const createJob = async (req, res) => {
+  try {
+    const { type = 'scan', url, scanId, devices, auth, llmProvider, llmModel } = req.body || {};
+
+    if (type === 'crawl') {
+      const crawlRequest = parseCrawlRequest(req.body);
+      if (crawlRequest.error) {
+        return res.status(400).json({ error: crawlRequest.error });
+      }
+      const job = enqueueJob('crawl', { url: crawlRequest.url, options: crawlRequest.options });
+      return res.status(202).json({
+        jobId: job.id,
+        state: job.state,
+        statusUrl: `/api/jobs/${job.id}`
+      });
+    }
+
+    if (type !== 'scan') {
+      return res.status(400).json({ error: `Unknown job type: ${type}` });
+    }
+
+    if (!url) {
+      return res.status(400).json({ error: 'Missing url in request body' });
+    }
+
+    try {
+      new URL(url);
+    } catch {
+      return res.status(400).json({ error: 'Invalid URL format' });
+    }
+
+    if (scanId && !isValidScanId(scanId)) {
+      return res.status(400).json({ error: 'Invalid scanId' });
+    }
+
+    const { error: devicesError } = parseDevices(devices);
+    if (devicesError) {
+      return res.status(400).json({ error: 'Invalid devices', details: devicesError });
+    }
+
+    const { error: authError } = await getAuthRecipe(auth);
+    if (authError) {
+      return res.status(400).json({ error: 'Invalid auth', details: authError });
+    }
+
+    if (llmProvider || llmModel) {
+      const { error: llmError } = resolveLLMProvider(llmProvider, llmModel);
+      if (llmError) {
+        return res.status(400).json({ error: 'Invalid llmProvider', details: llmError });
+      }
+    }
+
+    const job = enqueueJob('scan', {
+      url,
+      scanId: scanId || null,
+      devices: devices || null,
+      auth: auth || null,
+      llmProvider: llmProvider || null,
+      llmModel: llmModel || null
+    });
+
+    return res.status(202).json({
+      jobId: job.id,
+      state: job.state,
+      statusUrl: `/api/jobs/${job.id}`
+    });
+  } catch (error) {
+    console.error('❌ CreateJob Error:', error);
+    return res.status(500).json({ error: 'Failed to create job', details: error.message });
+  }
+};
+
+/**
+ * Lists jobs (without results), newest first
+ */
+export const listAllJobs = (req, res) => {
+  const { state } = req.query;
+  const jobs = listJobs({ state }).map((job) => serializeJob(job, { includeResult: false }));
+  return res.status(200).json({ jobs });
+};
+
+/**
+ * Returns job state, progress and, once completed, the stored report
+ */
+export const getJobStatus = async (req, res) => {
+  try {
+    const job = getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const payload = serializeJob(job);
+    if (job.state === 'completed' && job.result?.scanId) {
+      payload.result = {
+        ...job.result,
+        report: await getScan(job.result.scanId)
+      };
+    }
+
+    return res.status(200).json(payload);
+  } catch (error) {
+    console.error('❌ GetJob Error:', error);
+    return res.status(500).json({ error: 'Failed to load job', details: error.message });
+  }
+};
+
+/**
+ * Cancels a queued or running job
+ */
+export const cancelJobById = (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (!cancelJob(job.id)) {
+    return res.status(409).json({ error: `Job is already ${job.state}` });
+  }
+
+  return res.status(202).json(serializeJob(job, { includeResult: false }));
+};
+
+/**
+ * Re-queues a failed or cancelled job
+ */
+export const retryJobById = (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (!retryJob(job.id)) {
+    return res.status(409).json({ error: `Only failed or cancelled jobs can be retried (job is ${job.state})` });
+  }
+
+  return res.status(202).json(serializeJob(job, { includeResult: false }));
+};
@@ -0,0 +1,13 @@
+import { listLLMProviders } from '../utils/llmProviders.js';
+
+/**
+ * Lists the LLM providers that are configured on the server (no keys or URLs)
+ */
+export const listProviders = async (req, res) => {
+  try {
+    return res.status(200).json({ providers: listLLMProviders() });
+  } catch (error) {
+    console.error('❌ ListLLMProviders Error:', error);
+    return res.status(500).json({ error: 'Failed to list LLM providers', details: error.message });
+  }
+};
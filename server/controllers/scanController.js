@@ -1,23 +1,49 @@
-import { chromium } from "playwright";
-import { analyzeScanData } from "../utils/llmHelper.js";
+import { getAuthRecipe } from "../utils/authSession.js";
+import { resolveLLMProvider } from "../utils/llmProviders.js";
 import { checkUrlAccessible } from "../utils/urlHelper.js";
+import { isValidScanId } from "../utils/scanStore.js";
+import { parseDevices } from "../utils/deviceProfiles.js";
+import { scanAndStore } from "../utils/scanPipeline.js";
 
 export const scanWebsite = async (req, res) => {
-  let browser = null;
-  let context = null;
-  let page = null;
-
   try {
-    const { url } = req.query;
+    const { url, scanId } = req.query;
 
     if (!url) {
       return res.status(400).json({ error: "Missing url query parameter" });
     }
 
+    if (scanId && !isValidScanId(scanId)) {
+      return res.status(400).json({ error: "Invalid scanId query parameter" });
+    }
+
+    const { profiles, error: devicesError } = parseDevices(req.query.devices);
+    if (devicesError) {
+      return res.status(400).json({ error: "Invalid devices query parameter", details: devicesError });
+    }
+
+    const { recipe: authRecipe, error: authError } = await getAuthRecipe(req.query.auth);
+    if (authError) {
+      return res.status(400).json({ error: "Invalid auth query parameter", details: authError });
+    }
+
+    // Without llmProvider/llmModel the default provider is used (or the scan runs without AI findings)
+    const { llmProvider: providerName, llmModel } = req.query;
+    let llmProvider;
+    if (providerName || llmModel) {
+      const resolved = resolveLLMProvider(providerName, llmModel);
+      if (resolved.error) {
+        return res.status(400).json({ error: "Invalid llmProvider query parameter", details: resolved.error });
+      }
+      llmProvider = resolved.provider;
+    }
+
     // 🔍 Step 1: Validate URL accessibility
     const validation = await checkUrlAccessible(url);
 
-    if (!validation.ok) {
+    // Pages behind a login refuse the anonymous check, the scan itself logs in first
+    const needsLogin = authRecipe && [401, 403].includes(validation.status);
+    if (!validation.ok && !needsLogin) {
       return res.status(400).json({
         error: "URL is not accessible",
         details: validation.error,
@@ -25,108 +51,21 @@ export const scanWebsite = async (req, res) => {
       });
     }
 
-    const consoleErrors = [];
-    const networkErrors = [];
-
-    // Playwright launch with performance optimizations
-    // NOTE: Don't disable images - we need them for screenshots!
-    // We'll block fonts/media via route handler instead
-    browser = await chromium.launch({ 
-      headless: true,
-      args: ['--disable-javascript-harmony-shipping']
-    });
-
-    context = await browser.newContext({
-      viewport: { width: 1366, height: 768 },
-      ignoreHTTPSErrors: true,
-      javaScriptEnabled: true
-    });
+    const { record, deviceResults } = await scanAndStore(url, { scanId, profiles, authRecipe, llmProvider });
 
-    page = await context.newPage();
-
-    // Block unnecessary resources to speed up loading
-    // Note: We keep images for screenshots, but block fonts and media
-    await page.route('**/*', (route) => {
-      const resourceType = route.request().resourceType();
-      // Block fonts and media - keep images for screenshots
-      if (['font', 'media'].includes(resourceType)) {
-        route.abort();
-      } else {
-        route.continue();
-      }
-    });
-
-    // Log console errors
-    page.on("console", (msg) => {
-      if (msg.type() === "error") {
-        consoleErrors.push({
-          text: msg.text(),
-          location: msg.location()
-        });
-      }
-    });
-
-    // Log network errors
-    page.on("response", (response) => {
-      const status = response.status();
-      if (status >= 400) {
-        networkErrors.push({
-          url: response.url(),
-          status,
-          statusText: response.statusText()
-        });
-      }
-    });
-
-    console.log(`🔍 Navigating to: ${url}`);
-
-    // Navigate and wait for DOM to be ready
-    await page.goto(url, {
-      waitUntil: 'domcontentloaded',
-      timeout: 60000
-    });
-
-    // For viewport screenshot, we don't need to wait for networkidle
-    // Just wait briefly for initial render and some images to load
-    await page.waitForTimeout(800); // Brief wait for CSS/JS to render viewport
-
-    const dom = await page.content();
-
-    // Take screenshot of viewport only (what's visible when page first loads)
-    // This is much faster than fullPage: true which scrolls through entire page
-    const screenshotBuffer = await page.screenshot({ 
-      fullPage: false, // Only capture viewport (1366x768)
-      timeout: 5000
-    });
-    const screenshot = screenshotBuffer.toString("base64");
-
-    await browser.close();
-
-    // Call LLM (Safe Retry)
-    const llmResult = await analyzeScanData({
-      url,
-      dom,
-      consoleErrors,
-      networkErrors,
-      screenshot
-    });
+    // The stored report, plus the raw LLM output of the device that fills its top-level fields
+    const { rawLLMResponse } = Object.values(deviceResults).find((result) => !result.error);
+    const { id, createdAt, updatedAt, ...report } = record;
 
     return res.status(200).json({
-      url,
-      screenshot,
-      bugs: llmResult.bugs || [],
-      fixes: llmResult.fixes || [],
-      suggestions: llmResult.suggestions || [],
-      rawLLMResponse: llmResult.rawLLMResponse || {}
+      scanId: id,
+      ...report,
+      rawLLMResponse
     });
 
   } catch (error) {
     console.error("❌ ScanWebsite Error:", error);
 
-    if (browser) {
-      await browser.close().catch(() => {});
-    }
-
     return res.status(500).json({
       error: "Failed to scan website",
       details: error.message
@@ -0,0 +1,161 @@
+import { listScans, getScan, deleteScan, isValidScanId } from '../utils/scanStore.js';
+import { diffScans } from '../utils/scanDiff.js';
+import { toHtml, toJUnit, toSarif } from '../utils/reportFormats.js';
+import { renderPdfReport } from '../utils/reportPdf.js';
+
+/**
+ * Lists stored scans (summaries only, newest first)
+ */
+export const listStoredScans = async (req, res) => {
+  try {
+    const { url } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const result = await listScans({ url, limit, offset });
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('❌ ListScans Error:', error);
+    return res.status(500).json({ error: 'Failed to list scans', details: error.message });
+  }
+};
+
+/**
+ * Returns a full stored scan report
+ */
+export const getStoredScan = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidScanId(id)) {
+      return res.status(400).json({ error: 'Invalid scan id' });
+    }
+
+    const scan = await getScan(id);
+    if (!scan) {
+      return res.status(404).json({ error: 'Scan not found' });
+    }
+
+    return res.status(200).json(scan);
+  } catch (error) {
+    console.error('❌ GetScan Error:', error);
+    return res.status(500).json({ error: 'Failed to load scan', details: error.message });
+  }
+};
+
+const reportTitle = (scan) => `Smart Bug Finder Report: ${scan.url}`;
+
+const EXPORT_FORMATS = {
+  pdf: {
+    contentType: 'application/pdf',
+    extension: 'pdf',
+    render: (scan) => renderPdfReport([scan], { title: reportTitle(scan) })
+  },
+  html: {
+    contentType: 'text/html; charset=utf-8',
+    extension: 'html',
+    render: (scan) => toHtml([scan], { title: reportTitle(scan) })
+  },
+  junit: {
+    contentType: 'application/xml; charset=utf-8',
+    extension: 'junit.xml',
+    render: (scan) => toJUnit([scan])
+  },
+  sarif: {
+    contentType: 'application/sarif+json; charset=utf-8',
+    extension: 'sarif',
+    render: (scan) => JSON.stringify(toSarif([scan]), null, 2)
+  }
+};
+
+/**
+ * Exports a stored scan as a report (`format=pdf` or `html`, with a table of
+ * contents and the screenshot of every device) or for CI dashboards:
+ * `format=junit` (head checks and interactive element tests as test cases)
+ * or `format=sarif` (rule findings and LLM bugs as results)
+ */
+export const exportStoredScan = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const format = String(req.query.format || '').toLowerCase();
+
+    if (!isValidScanId(id)) {
+      return res.status(400).json({ error: 'Invalid scan id' });
+    }
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        error: 'Invalid format query parameter',
+        details: `Expected one of ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    const scan = await getScan(id);
+    if (!scan) {
+      return res.status(404).json({ error: 'Scan not found' });
+    }
+
+    const { contentType, extension, render } = EXPORT_FORMATS[format];
+    const body = await render(scan);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="scan-${id}.${extension}"`);
+    return res.status(200).send(body);
+  } catch (error) {
+    console.error('❌ ExportScan Error:', error);
+    return res.status(500).json({ error: 'Failed to export scan', details: error.message });
+  }
+};
+
+/**
+ * Deletes a stored scan report
+ */
+export const deleteStoredScan = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidScanId(id)) {
+      return res.status(400).json({ error: 'Invalid scan id' });
+    }
+
+    const deleted = await deleteScan(id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Scan not found' });
+    }
+
+    return res.status(204).end();
+  } catch (error) {
+    console.error('❌ DeleteScan Error:', error);
+    return res.status(500).json({ error: 'Failed to delete scan', details: error.message });
+  }
+};
+
+/**
+ * Compares two stored scans of the same URL.
+ * The older scan is always treated as the base, whatever order the IDs are given in.
+ */
+export const compareStoredScans = async (req, res) => {
+  try {
+    const { base, head } = req.query;
+
+    if (!isValidScanId(base) || !isValidScanId(head)) {
+      return res.status(400).json({ error: 'Query parameters base and head must be scan ids' });
+    }
+
+    const [first, second] = await Promise.all([getScan(base), getScan(head)]);
+    if (!first || !second) {
+      return res.status(404).json({ error: 'Scan not found', missing: [!first && base, !second && head].filter(Boolean) });
+    }
+
+    if (first.url !== second.url) {
+      return res.status(400).json({
+        error: 'Scans must be of the same URL',
+        details: `${first.url} vs ${second.url}`
+      });
+    }
+
+    const [older, newer] = first.createdAt <= second.createdAt ? [first, second] : [second, first];
+    return res.status(200).json(diffScans(older, newer));
+  } catch (error) {
+    console.error('❌ CompareScans Error:', error);
+    return res.status(500).json({ error: 'Failed to compare scans', details: error.message });
+  }
+};
@@ -0,0 +1,210 @@
+import {
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  isValidScheduleId
+} from '../utils/scheduleStore.js';
+import { runSchedule, planSchedule, forgetSchedule } from '../utils/scheduler.js';
+import { parseCron, nextRun } from '../utils/cronExpression.js';
+import { parseNotifyChannels } from '../utils/notifiers.js';
+import { parseDevices } from '../utils/deviceProfiles.js';
+import { getAuthRecipe } from '../utils/authSession.js';
+import { resolveLLMProvider } from '../utils/llmProviders.js';
+
+/**
+ * Validates the fields of a schedule request. With `current` (a PATCH) only the
+ * fields in the body are returned; the stored values fill in for the rest.
+ * @returns {Promise<{fields: Object} | {error: string, details?: string}>}
+ */
+const parseScheduleBody = async (body, current = null) => {
+  const partial = Boolean(current);
+  const fields = {};
+  const has = (name) => body[name] !== undefined;
+
+  if (!partial || has('url')) {
+    try {
+      const { protocol } = new URL(body.url);
+      if (!['http:', 'https:'].includes(protocol)) throw new Error();
+    } catch {
+      return { error: body.url ? 'Invalid URL format' : 'Missing url in request body' };
+    }
+    fields.url = body.url;
+  }
+
+  if (!partial || has('cron')) {
+    const { cron, error } = parseCron(body.cron);
+    if (error) {
+      return { error: 'Invalid cron expression', details: error };
+    }
+    if (!nextRun(cron)) {
+      return { error: 'Invalid cron expression', details: `"${body.cron}" never matches a date` };
+    }
+    fields.cron = cron.expression;
+  }
+
+  if (!partial || has('name')) {
+    fields.name = body.name ? String(body.name).trim() : null;
+  }
+
+  if (!partial || has('enabled')) {
+    fields.enabled = body.enabled !== false;
+  }
+
+  if (!partial || has('devices')) {
+    const { error } = parseDevices(body.devices);
+    if (error) {
+      return { error: 'Invalid devices', details: error };
+    }
+    fields.devices = body.devices || null;
+  }
+
+  if (!partial || has('auth')) {
+    const { error } = await getAuthRecipe(body.auth);
+    if (error) {
+      return { error: 'Invalid auth', details: error };
+    }
+    fields.auth = body.auth || null;
+  }
+
+  if (!partial || has('llmProvider') || has('llmModel')) {
+    // A model is checked against the provider it will run with, which may be the stored one
+    const llmProvider = has('llmProvider') ? body.llmProvider || null : current?.llmProvider || null;
+    const llmModel = has('llmModel') ? body.llmModel || null : current?.llmModel || null;
+    if (llmProvider || llmModel) {
+      const { error } = resolveLLMProvider(llmProvider, llmModel);
+      if (error) {
+        return { error: 'Invalid llmProvider', details: error };
+      }
+    }
+    if (!partial || has('llmProvider')) fields.llmProvider = llmProvider;
+    if (!partial || has('llmModel')) fields.llmModel = llmModel;
+  }
+
+  if (!partial || has('notify')) {
+    const { channels, error } = parseNotifyChannels(body.notify);
+    if (error) {
+      return { error: 'Invalid notify', details: error };
+    }
+    fields.notify = channels;
+  }
+
+  return { fields };
+};
+
+const scheduleNotFound = (res) => res.status(404).json({ error: 'Schedule not found' });
+
+/**
+ * Lists all schedules with their latest runs
+ */
+export const listAllSchedules = async (req, res) => {
+  try {
+    const schedules = await listSchedules();
+    return res.status(200).json({ total: schedules.length, schedules });
+  } catch (error) {
+    console.error('❌ ListSchedules Error:', error);
+    return res.status(500).json({ error: 'Failed to list schedules', details: error.message });
+  }
+};
+
+/**
+ * Registers a URL to be scanned at the times of a cron expression
+ */
+export const createScheduleEntry = async (req, res) => {
+  try {
+    const { fields, error, details } = await parseScheduleBody(req.body || {});
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+
+    const created = await createSchedule(fields);
+    return res.status(201).json(await planSchedule(created.id));
+  } catch (error) {
+    console.error('❌ CreateSchedule Error:', error);
+    return res.status(500).json({ error: 'Failed to create schedule', details: error.message });
+  }
+};
+
+/**
+ * Returns one schedule with its run history
+ */
+export const getScheduleById = async (req, res) => {
+  try {
+    const schedule = isValidScheduleId(req.params.id) ? await getSchedule(req.params.id) : null;
+    if (!schedule) {
+      return scheduleNotFound(res);
+    }
+    return res.status(200).json(schedule);
+  } catch (error) {
+    console.error('❌ GetSchedule Error:', error);
+    return res.status(500).json({ error: 'Failed to load schedule', details: error.message });
+  }
+};
+
+/**
+ * Changes the URL, cron expression, options, notifiers or `enabled` of a schedule
+ */
+export const updateScheduleById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const current = isValidScheduleId(id) ? await getSchedule(id) : null;
+    if (!current) {
+      return scheduleNotFound(res);
+    }
+
+    const { fields, error, details } = await parseScheduleBody(req.body || {}, current);
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+
+    await updateSchedule(id, fields);
+    return res.status(200).json(await planSchedule(id));
+  } catch (error) {
+    console.error('❌ UpdateSchedule Error:', error);
+    return res.status(500).json({ error: 'Failed to update schedule', details: error.message });
+  }
+};
+
+/**
+ * Deletes a schedule; its stored scans are kept
+ */
+export const deleteScheduleById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidScheduleId(id) || !(await deleteSchedule(id))) {
+      return scheduleNotFound(res);
+    }
+    forgetSchedule(id);
+    return res.status(204).end();
+  } catch (error) {
+    console.error('❌ DeleteSchedule Error:', error);
+    return res.status(500).json({ error: 'Failed to delete schedule', details: error.message });
+  }
+};
+
+/**
+ * Queues a run of a schedule right away (also when it is disabled)
+ */
+export const runScheduleNow = async (req, res) => {
+  try {
+    const schedule = isValidScheduleId(req.params.id) ? await getSchedule(req.params.id) : null;
+    if (!schedule) {
+      return scheduleNotFound(res);
+    }
+
+    const { job, error } = runSchedule(schedule, 'manual');
+    if (error) {
+      return res.status(409).json({ error, jobId: job.id, statusUrl: `/api/jobs/${job.id}` });
+    }
+
+    return res.status(202).json({
+      jobId: job.id,
+      state: job.state,
+      statusUrl: `/api/jobs/${job.id}`
+    });
+  } catch (error) {
+    console.error('❌ RunSchedule Error:', error);
+    return res.status(500).json({ error: 'Failed to run schedule', details: error.message });
+  }
+};
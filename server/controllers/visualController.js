@@ -0,0 +1,212 @@
+import { getScan, saveScan, isValidScanId } from '../utils/scanStore.js';
+import {
+  setBaseline,
+  getBaseline,
+  listBaselines,
+  updateBaseline,
+  deleteBaseline,
+  isValidBaselineId,
+  checkAgainstBaseline
+} from '../utils/visualRegression.js';
+import { mergeDeviceResults } from '../utils/deviceProfiles.js';
+
+// Viewport used by /api/scan before scans recorded their viewport
+const DEFAULT_VIEWPORT = { width: 1366, height: 768 };
+
+/**
+ * Key of the device the top-level fields of a stored scan describe: the first one that loaded
+ */
+const primaryDevice = (scan) =>
+  scan.devices?.find((key) => scan.deviceResults?.[key] && !scan.deviceResults[key].error) || scan.devices?.[0] || 'desktop';
+
+/**
+ * Picks the screenshot + viewport of one device of a stored scan
+ */
+const screenshotOf = (scan, device) => {
+  const result = scan.deviceResults?.[device];
+  if (result) {
+    return { screenshot: result.screenshot, viewport: result.device?.viewport };
+  }
+  // Reports from before multi-device scans only have the top-level fields
+  if (!scan.deviceResults && device === primaryDevice(scan)) {
+    return { screenshot: scan.screenshot, viewport: scan.viewport || DEFAULT_VIEWPORT };
+  }
+  return {};
+};
+
+const parseThreshold = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const threshold = Number(value);
+  return Number.isFinite(threshold) && threshold >= 0 && threshold <= 100 ? threshold : NaN;
+};
+
+/**
+ * Approves the screenshot of a stored scan as the baseline for its URL + viewport
+ */
+export const createBaseline = async (req, res) => {
+  try {
+    const { scanId, device, ignoreRegions } = req.body || {};
+    const threshold = parseThreshold(req.body?.threshold);
+
+    if (!isValidScanId(scanId)) {
+      return res.status(400).json({ error: 'Body must include a valid scanId' });
+    }
+    if (Number.isNaN(threshold)) {
+      return res.status(400).json({ error: 'threshold must be a percentage between 0 and 100' });
+    }
+
+    const scan = await getScan(scanId);
+    if (!scan) {
+      return res.status(404).json({ error: 'Scan not found' });
+    }
+
+    const { screenshot, viewport } = screenshotOf(scan, device || primaryDevice(scan));
+    if (!screenshot) {
+      return res.status(400).json({ error: `Scan has no ${device ? `${device} ` : ''}screenshot to use as a baseline` });
+    }
+
+    const baseline = await setBaseline({
+      url: scan.url,
+      viewport,
+      screenshot,
+      scanId,
+      ignoreRegions,
+      threshold
+    });
+
+    return res.status(201).json(baseline);
+  } catch (error) {
+    console.error('❌ CreateBaseline Error:', error);
+    return res.status(500).json({ error: 'Failed to create baseline', details: error.message });
+  }
+};
+
+/**
+ * Lists baselines, optionally filtered by URL
+ */
+export const listAllBaselines = async (req, res) => {
+  try {
+    const baselines = await listBaselines({ url: req.query.url });
+    return res.status(200).json({ total: baselines.length, baselines });
+  } catch (error) {
+    console.error('❌ ListBaselines Error:', error);
+    return res.status(500).json({ error: 'Failed to list baselines', details: error.message });
+  }
+};
+
+/**
+ * Returns one baseline including its image
+ */
+export const getBaselineById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidBaselineId(id)) {
+      return res.status(400).json({ error: 'Invalid baseline id' });
+    }
+
+    const baseline = await getBaseline(id, { includeImage: true });
+    if (!baseline) {
+      return res.status(404).json({ error: 'Baseline not found' });
+    }
+
+    return res.status(200).json(baseline);
+  } catch (error) {
+    console.error('❌ GetBaseline Error:', error);
+    return res.status(500).json({ error: 'Failed to load baseline', details: error.message });
+  }
+};
+
+/**
+ * Changes the ignore regions and/or threshold of a baseline
+ */
+export const updateBaselineById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { ignoreRegions } = req.body || {};
+    const threshold = parseThreshold(req.body?.threshold);
+
+    if (!isValidBaselineId(id)) {
+      return res.status(400).json({ error: 'Invalid baseline id' });
+    }
+    if (Number.isNaN(threshold)) {
+      return res.status(400).json({ error: 'threshold must be a percentage between 0 and 100' });
+    }
+    if (ignoreRegions !== undefined && !Array.isArray(ignoreRegions)) {
+      return res.status(400).json({ error: 'ignoreRegions must be an array of { x, y, width, height }' });
+    }
+
+    const baseline = await updateBaseline(id, { ignoreRegions, threshold });
+    if (!baseline) {
+      return res.status(404).json({ error: 'Baseline not found' });
+    }
+
+    return res.status(200).json(baseline);
+  } catch (error) {
+    console.error('❌ UpdateBaseline Error:', error);
+    return res.status(500).json({ error: 'Failed to update baseline', details: error.message });
+  }
+};
+
+export const deleteBaselineById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidBaselineId(id)) {
+      return res.status(400).json({ error: 'Invalid baseline id' });
+    }
+
+    const deleted = await deleteBaseline(id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Baseline not found' });
+    }
+
+    return res.status(204).end();
+  } catch (error) {
+    console.error('❌ DeleteBaseline Error:', error);
+    return res.status(500).json({ error: 'Failed to delete baseline', details: error.message });
+  }
+};
+
+/**
+ * Re-runs the visual check of a stored scan (e.g. after changing ignore regions)
+ * and stores the new result on the scan. `?device=` checks another device than the primary one.
+ */
+export const recheckScanVisual = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { device } = req.query;
+
+    if (!isValidScanId(id)) {
+      return res.status(400).json({ error: 'Invalid scan id' });
+    }
+
+    const scan = await getScan(id);
+    if (!scan) {
+      return res.status(404).json({ error: 'Scan not found' });
+    }
+
+    const key = device || primaryDevice(scan);
+    const { screenshot, viewport } = screenshotOf(scan, key);
+    if (!screenshot) {
+      return res.status(400).json({ error: `Scan has no ${device ? `${device} ` : ''}screenshot to compare` });
+    }
+
+    const visualRegression = await checkAgainstBaseline({ url: scan.url, viewport, screenshot });
+    if (!visualRegression) {
+      return res.status(404).json({ error: 'No baseline approved for this URL and viewport' });
+    }
+
+    // Reports are shown per device; the top-level fields mirror the primary one
+    await saveScan(id, (existing) => ({
+      ...(key === primaryDevice(existing) && { visualRegression }),
+      ...(existing.deviceResults && {
+        deviceResults: mergeDeviceResults(existing.deviceResults, { [key]: { visualRegression } })
+      })
+    }));
+    return res.status(200).json(visualRegression);
+  } catch (error) {
+    console.error('❌ VisualCheck Error:', error);
+    return res.status(500).json({ error: 'Failed to run visual check', details: error.message });
+  }
+};
@@ -3,6 +3,13 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import bodyParser from 'body-parser';
 import scanRoute from './routes/scanRoute.js';
+import jobRoute from './routes/jobRoute.js';
+import visualRoute from './routes/visualRoute.js';
+import flowRoute from './routes/flowRoute.js';
+import scheduleRoute from './routes/scheduleRoute.js';
+import { getPoolStats, closeBrowserPool } from './utils/browserPool.js';
+import { getQueueStats } from './utils/jobQueue.js';
+import { startScheduler, stopScheduler, getSchedulerStats } from './utils/scheduler.js';
 
 dotenv.config();
 
@@ -19,13 +26,17 @@ const CLIENT_ORIGIN = CLIENT_ORIGIN_RAW.includes(',')
 app.use(
     cors({
       origin: CLIENT_ORIGIN,
-      methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+      methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
       allowedHeaders: ["Content-Type", "Authorization", "ngrok-skip-browser-warning"]
     })
   );
   
 app.use(bodyParser.json({ limit: '2mb' }));
 app.use('/api', scanRoute);
+app.use('/api', jobRoute);
+app.use('/api', visualRoute);
+app.use('/api', flowRoute);
+app.use('/api', scheduleRoute);
 
 app.get('/', (req, res) => {
   res.json({
@@ -35,7 +46,15 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/health',
       scan: '/api/scan',
-      analyzeUrl: '/api/analyze-url'
+      analyzeUrl: '/api/analyze-url',
+      scans: '/api/scans',
+      scanExport: '/api/scans/:id/export?format=pdf|html|junit|sarif',
+      jobs: '/api/jobs',
+      baselines: '/api/baselines',
+      authRecipes: '/api/auth-recipes',
+      llmProviders: '/api/llm-providers',
+      flows: '/api/flows/run',
+      schedules: '/api/schedules'
     },
     uptime: process.uptime(),
     timestamp: Date.now()
@@ -46,10 +65,26 @@ app.get('/health', (req, res) => {
   res.json({
     status: 'ok',
     uptime: process.uptime(),
-    timestamp: Date.now()
+    timestamp: Date.now(),
+    browserPool: getPoolStats(),
+    jobQueue: getQueueStats(),
+    scheduler: getSchedulerStats()
   });
 });
 
-app.listen(PORT, '0.0.0.0', () => {
+const server = app.listen(PORT, '0.0.0.0', () => {
     console.log(`Server running on http://0.0.0.0:${PORT}`);
+    startScheduler().catch((error) => console.error('❌ Scheduler Error:', error));
   });
+
+// Close pooled browsers before exiting so no Chromium processes are left behind
+const shutdown = async (signal) => {
+  console.log(`${signal} received, shutting down...`);
+  server.close();
+  stopScheduler();
+  await closeBrowserPool();
+  process.exit(0);
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
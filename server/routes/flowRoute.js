@@ -0,0 +1,12 @@
+import { Router } from 'express';
+import bodyParser from 'body-parser';
+import { runUserFlow } from '../controllers/flowController.js';
+
+const router = Router();
+
+// Flows may also be posted as raw YAML
+const yamlBody = bodyParser.text({ type: ['text/yaml', 'text/x-yaml', 'application/yaml', 'application/x-yaml'], limit: '1mb' });
+
+router.post('/flows/run', yamlBody, runUserFlow);
+
+export default router;
@@ -0,0 +1,12 @@
+import { Router } from 'express';
+import { createJob, listAllJobs, getJobStatus, cancelJobById, retryJobById } from '../controllers/jobController.js';
+
+const router = Router();
+
+router.post('/jobs', createJob);
+router.get('/jobs', listAllJobs);
+router.get('/jobs/:id', getJobStatus);
+router.post('/jobs/:id/cancel', cancelJobById);
+router.post('/jobs/:id/retry', retryJobById);
+
+export default router;
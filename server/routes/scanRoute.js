@@ -1,12 +1,25 @@
 import { Router } from 'express';
 import { scanWebsite } from '../controllers/scanController.js';
 import { analyzeUrl, analyzeUrlStream } from '../controllers/analyzeUrlController.js';
+import { listStoredScans, getStoredScan, deleteStoredScan, compareStoredScans, exportStoredScan } from '../controllers/scanHistoryController.js';
+import { crawlWebsite } from '../controllers/crawlController.js';
+import { listRecipes } from '../controllers/authController.js';
+import { listProviders } from '../controllers/llmController.js';
 
 const router = Router();
 
 router.get('/scan', scanWebsite);
 router.get('/analyze-url', analyzeUrl);
 router.get('/analyze-url-stream', analyzeUrlStream);
+router.post('/crawl', crawlWebsite);
+router.get('/auth-recipes', listRecipes);
+router.get('/llm-providers', listProviders);
+
+router.get('/scans', listStoredScans);
+router.get('/scans/compare', compareStoredScans);
+router.get('/scans/:id/export', exportStoredScan);
+router.get('/scans/:id', getStoredScan);
+router.delete('/scans/:id', deleteStoredScan);
 
 export default router;
 
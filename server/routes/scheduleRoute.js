@@ -0,0 +1,20 @@
+import { Router } from 'express';
+import {
+  listAllSchedules,
+  createScheduleEntry,
+  getScheduleById,
+  updateScheduleById,
+  deleteScheduleById,
+  runScheduleNow
+} from '../controllers/scheduleController.js';
+
+const router = Router();
+
+router.post('/schedules', createScheduleEntry);
+router.get('/schedules', listAllSchedules);
+router.get('/schedules/:id', getScheduleById);
+router.patch('/schedules/:id', updateScheduleById);
+router.delete('/schedules/:id', deleteScheduleById);
+router.post('/schedules/:id/run', runScheduleNow);
+
+export default router;
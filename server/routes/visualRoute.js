@@ -0,0 +1,20 @@
+import { Router } from 'express';
+import {
+  createBaseline,
+  listAllBaselines,
+  getBaselineById,
+  updateBaselineById,
+  deleteBaselineById,
+  recheckScanVisual
+} from '../controllers/visualController.js';
+
+const router = Router();
+
+router.post('/baselines', createBaseline);
+router.get('/baselines', listAllBaselines);
+router.get('/baselines/:id', getBaselineById);
+router.patch('/baselines/:id', updateBaselineById);
+router.delete('/baselines/:id', deleteBaselineById);
+router.post('/scans/:id/visual-check', recheckScanVisual);
+
+export default router;
@@ -1,4 +1,5 @@
 import { takeScrollScreenshots, takeFullPageScreenshot } from "./utils/screenshotHelper.js";
+import { closeBrowserPool } from "./utils/browserPool.js";
 import fs from "fs";
 import path from "path";
 
@@ -28,7 +29,6 @@ async function testScreenshots() {
     const screenshots = await takeScrollScreenshots(url, {
       scrollStep: 500,
       waitTime: 500,
-      headless: true,
     });
 
     console.log(`\n✅ Successfully captured ${screenshots.length} screenshots\n`);
@@ -66,10 +66,12 @@ async function testScreenshots() {
     
     console.log(`💾 Saved: ${fullPageFilename}`);
     console.log(`\n✅ Test completed successfully!`);
+    await closeBrowserPool();
 
   } catch (error) {
     console.error("\n❌ Error:", error.message);
     console.error(error.stack);
+    await closeBrowserPool();
     process.exit(1);
   }
 }
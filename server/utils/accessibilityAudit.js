@@ -0,0 +1,466 @@
+import { evaluateWithHelpers } from "./pageHelper.js";
+
+/**
+ * Deterministic accessibility audit run inside the Playwright page.
+ *
+ * Each finding names the rule that produced it, the WCAG 2.1 success criterion,
+ * an impact level (critical | serious | moderate | minor) and a CSS selector
+ * for the offending element.
+ */
+
+// Rule metadata; the in-page checks only report rule IDs
+const RULES = {
+  "image-alt": {
+    wcag: "1.1.1",
+    wcagName: "Non-text Content",
+    level: "A",
+    impact: "critical",
+    description: "Images must have alternative text"
+  },
+  "color-contrast": {
+    wcag: "1.4.3",
+    wcagName: "Contrast (Minimum)",
+    level: "AA",
+    impact: "serious",
+    description: "Text must have a contrast ratio of at least 4.5:1 (3:1 for large text)"
+  },
+  label: {
+    wcag: "1.3.1",
+    wcagName: "Info and Relationships",
+    level: "A",
+    impact: "critical",
+    description: "Form fields must have an associated label"
+  },
+  "heading-order": {
+    wcag: "1.3.1",
+    wcagName: "Info and Relationships",
+    level: "A",
+    impact: "moderate",
+    description: "Heading levels should only increase by one"
+  },
+  "empty-heading": {
+    wcag: "2.4.6",
+    wcagName: "Headings and Labels",
+    level: "AA",
+    impact: "minor",
+    description: "Headings must have discernible text"
+  },
+  "landmark-main": {
+    wcag: "1.3.1",
+    wcagName: "Info and Relationships",
+    level: "A",
+    impact: "moderate",
+    description: "The page should have exactly one main landmark"
+  },
+  "landmark-bypass": {
+    wcag: "2.4.1",
+    wcagName: "Bypass Blocks",
+    level: "A",
+    impact: "serious",
+    description: "The page needs landmarks, headings or a skip link to bypass repeated blocks"
+  },
+  "aria-valid-role": {
+    wcag: "4.1.2",
+    wcagName: "Name, Role, Value",
+    level: "A",
+    impact: "serious",
+    description: "ARIA role values must be valid"
+  },
+  "aria-valid-attr": {
+    wcag: "4.1.2",
+    wcagName: "Name, Role, Value",
+    level: "A",
+    impact: "serious",
+    description: "ARIA attributes must be valid names"
+  },
+  "aria-required-attr": {
+    wcag: "4.1.2",
+    wcagName: "Name, Role, Value",
+    level: "A",
+    impact: "critical",
+    description: "Elements with an ARIA role must have the attributes that role requires"
+  },
+  "aria-broken-reference": {
+    wcag: "4.1.2",
+    wcagName: "Name, Role, Value",
+    level: "A",
+    impact: "serious",
+    description: "aria-labelledby / aria-describedby must reference existing IDs"
+  },
+  "aria-hidden-focus": {
+    wcag: "4.1.2",
+    wcagName: "Name, Role, Value",
+    level: "A",
+    impact: "serious",
+    description: "aria-hidden elements must not contain focusable elements"
+  },
+  "focusable-name": {
+    wcag: "4.1.2",
+    wcagName: "Name, Role, Value",
+    level: "A",
+    impact: "critical",
+    description: "Links, buttons and other focusable elements must have an accessible name"
+  }
+};
+
+const IMPACT_ORDER = ["critical", "serious", "moderate", "minor"];
+
+// Avoid giant reports on pages that repeat the same mistake hundreds of times
+const MAX_FINDINGS_PER_RULE = 50;
+
+/**
+ * Runs all checks in the page and returns raw findings ({ rule, selector, message, snippet, impact? })
+ */
+const collectFindings = (page, maxPerRule) =>
+  evaluateWithHelpers(page, (limit) => {
+    const findings = [];
+    const counts = {};
+    const { cssPath } = window.__bugFinder;
+
+    const report = (rule, element, message, extra = {}) => {
+      counts[rule] = (counts[rule] || 0) + 1;
+      if (counts[rule] > limit) return;
+      findings.push({
+        rule,
+        selector: element ? cssPath(element) : null,
+        snippet: element ? element.outerHTML.replace(/\s+/g, " ").slice(0, 200) : null,
+        message,
+        ...extra
+      });
+    };
+
+    const isRendered = (element) => {
+      const style = getComputedStyle(element);
+      if (style.display === "none" || style.visibility === "hidden") return false;
+      const rect = element.getBoundingClientRect();
+      return rect.width > 0 || rect.height > 0;
+    };
+
+    const isAriaHidden = (element) => Boolean(element.closest('[aria-hidden="true"]'));
+
+    const textOf = (element) => (element.innerText || element.textContent || "").replace(/\s+/g, " ").trim();
+
+    const textOfIds = (ids) =>
+      ids
+        .split(/\s+/)
+        .map((id) => document.getElementById(id))
+        .filter(Boolean)
+        .map(textOf)
+        .join(" ")
+        .trim();
+
+    // Simplified accessible name computation (aria-labelledby, aria-label, labels, content, alt, title)
+    const accessibleName = (element) => {
+      const labelledBy = element.getAttribute("aria-labelledby");
+      if (labelledBy && textOfIds(labelledBy)) return textOfIds(labelledBy);
+
+      const ariaLabel = element.getAttribute("aria-label")?.trim();
+      if (ariaLabel) return ariaLabel;
+
+      if (element.labels && element.labels.length > 0) {
+        const labelText = Array.from(element.labels).map(textOf).join(" ").trim();
+        if (labelText) return labelText;
+      }
+
+      const tag = element.tagName.toLowerCase();
+      if (tag === "img" || (tag === "input" && element.type === "image")) {
+        const alt = element.getAttribute("alt")?.trim();
+        if (alt) return alt;
+      }
+      if (tag === "input" && ["button", "submit", "reset"].includes(element.type)) {
+        return element.value || (element.type === "submit" ? "Submit" : element.type === "reset" ? "Reset" : "");
+      }
+
+      if (!["input", "select", "textarea"].includes(tag)) {
+        const content = textOf(element);
+        if (content) return content;
+        const imageAlt = Array.from(element.querySelectorAll("img[alt], [role='img'][aria-label], svg title"))
+          .map((child) => child.getAttribute("alt") || child.getAttribute("aria-label") || child.textContent)
+          .join(" ")
+          .trim();
+        if (imageAlt) return imageAlt;
+      }
+
+      return element.getAttribute("title")?.trim() || "";
+    };
+
+    // --- Images without alternative text ---
+    // Images may be blocked during analysis (zero size), so only skip ones hidden by CSS
+    document.querySelectorAll("img, input[type='image'], [role='img']").forEach((element) => {
+      const style = getComputedStyle(element);
+      if (isAriaHidden(element) || style.display === "none" || style.visibility === "hidden") return;
+      const role = element.getAttribute("role");
+      if (role === "presentation" || role === "none") return;
+
+      if (element.tagName === "IMG" || element.tagName === "INPUT") {
+        if (!element.hasAttribute("alt") && !accessibleName(element)) {
+          report("image-alt", element, "Image has no alt attribute (use alt=\"\" if it is decorative)");
+        }
+      } else if (!accessibleName(element)) {
+        report("image-alt", element, "Element with role=\"img\" has no accessible name");
+      }
+    });
+
+    // --- Color contrast ---
+    const parseColor = (value) => {
+      const match = value.match(/rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:[,\s/]+([\d.]+%?))?/);
+      if (!match) return null;
+      let alpha = match[4] === undefined ? 1 : parseFloat(match[4]);
+      if (match[4]?.endsWith("%")) alpha /= 100;
+      return { r: +match[1], g: +match[2], b: +match[3], a: alpha };
+    };
+
+    const blend = (top, bottom) => ({
+      r: top.r * top.a + bottom.r * (1 - top.a),
+      g: top.g * top.a + bottom.g * (1 - top.a),
+      b: top.b * top.a + bottom.b * (1 - top.a),
+      a: 1
+    });
+
+    const luminance = ({ r, g, b }) => {
+      const channel = (value) => {
+        const c = value / 255;
+        return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+      };
+      return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+    };
+
+    // Effective background color, or null when an image/gradient makes it unknowable
+    const backgroundOf = (element) => {
+      const layers = [];
+      for (let current = element; current; current = current.parentElement) {
+        const style = getComputedStyle(current);
+        if (style.backgroundImage && style.backgroundImage !== "none") return null;
+        const color = parseColor(style.backgroundColor);
+        if (color && color.a > 0) {
+          layers.push(color);
+          if (color.a >= 1) break;
+        }
+      }
+      return layers.reduceRight((bottom, top) => blend(top, bottom), { r: 255, g: 255, b: 255, a: 1 });
+    };
+
+    const hasOwnText = (element) =>
+      Array.from(element.childNodes).some((node) => node.nodeType === 3 && node.textContent.trim().length > 0);
+
+    const textElements = Array.from(document.body?.querySelectorAll("*") || [])
+      .filter((element) => !["SCRIPT", "STYLE", "NOSCRIPT", "OPTION"].includes(element.tagName) && hasOwnText(element))
+      .slice(0, 2000);
+
+    textElements.forEach((element) => {
+      if (isAriaHidden(element) || !isRendered(element)) return;
+      if (element.disabled || element.closest("[disabled]")) return;
+
+      const style = getComputedStyle(element);
+      const foreground = parseColor(style.color);
+      const background = backgroundOf(element);
+      if (!foreground || !background || parseFloat(style.opacity) === 0) return;
+
+      const text = blend(foreground, background);
+      const lighter = Math.max(luminance(text), luminance(background));
+      const darker = Math.min(luminance(text), luminance(background));
+      const ratio = (lighter + 0.05) / (darker + 0.05);
+
+      const fontSize = parseFloat(style.fontSize);
+      const bold = parseInt(style.fontWeight, 10) >= 700;
+      const large = fontSize >= 24 || (bold && fontSize >= 18.66);
+      const required = large ? 3 : 4.5;
+
+      if (ratio < required) {
+        report("color-contrast", element, `Contrast ratio ${ratio.toFixed(2)}:1 is below ${required}:1`, {
+          data: { ratio: Number(ratio.toFixed(2)), required, fontSize, large },
+          ...(ratio < 2 ? { impact: "critical" } : {})
+        });
+      }
+    });
+
+    // --- Form labels ---
+    const labelable = "input:not([type='hidden']):not([type='button']):not([type='submit']):not([type='reset']):not([type='image']), select, textarea";
+    document.querySelectorAll(labelable).forEach((element) => {
+      if (isAriaHidden(element) || !isRendered(element)) return;
+      if (accessibleName(element)) return;
+
+      const placeholder = element.getAttribute("placeholder")?.trim();
+      report(
+        "label",
+        element,
+        placeholder
+          ? `Field is only described by its placeholder ("${placeholder}"), which disappears while typing`
+          : "Form field has no label, aria-label or aria-labelledby",
+        placeholder ? { impact: "serious" } : {}
+      );
+    });
+
+    // --- Headings ---
+    const headings = Array.from(document.querySelectorAll("h1, h2, h3, h4, h5, h6, [role='heading']"))
+      .filter((element) => !isAriaHidden(element) && isRendered(element));
+    let previousLevel = 0;
+    headings.forEach((heading) => {
+      const level = heading.getAttribute("role") === "heading"
+        ? parseInt(heading.getAttribute("aria-level"), 10) || 2
+        : parseInt(heading.tagName.substring(1), 10);
+
+      if (!accessibleName(heading)) {
+        report("empty-heading", heading, `Empty h${level} heading`);
+      }
+      if (previousLevel > 0 && level > previousLevel + 1) {
+        report("heading-order", heading, `Heading level jumps from h${previousLevel} to h${level}`);
+      }
+      previousLevel = level;
+    });
+    if (headings.length > 0 && !headings.some((heading) => heading.tagName === "H1" || heading.getAttribute("aria-level") === "1")) {
+      report("heading-order", null, "Page has headings but no level-one heading", { impact: "minor" });
+    }
+
+    // --- Landmarks ---
+    const mains = Array.from(document.querySelectorAll("main, [role='main']")).filter((element) => !isAriaHidden(element));
+    if (mains.length === 0) {
+      report("landmark-main", null, "Page has no <main> landmark");
+    } else if (mains.length > 1) {
+      mains.slice(1).forEach((element) => report("landmark-main", element, "Page has more than one main landmark"));
+    }
+    const hasSkipLink = Array.from(document.querySelectorAll("a[href^='#']"))
+      .slice(0, 5)
+      .some((link) => /skip|jump to|main content/i.test(accessibleName(link)));
+    const landmarkCount = document.querySelectorAll(
+      "main, nav, header, footer, aside, [role='main'], [role='navigation'], [role='banner'], [role='contentinfo'], [role='complementary'], [role='search']"
+    ).length;
+    if (landmarkCount === 0 && headings.length === 0 && !hasSkipLink) {
+      report("landmark-bypass", null, "No landmarks, headings or skip link to navigate the page");
+    }
+
+    // --- ARIA misuse ---
+    const VALID_ROLES = new Set([
+      "alert", "alertdialog", "application", "article", "banner", "blockquote", "button", "caption", "cell",
+      "checkbox", "code", "columnheader", "combobox", "complementary", "contentinfo", "definition", "deletion",
+      "dialog", "directory", "document", "emphasis", "feed", "figure", "form", "generic", "grid", "gridcell",
+      "group", "heading", "img", "insertion", "link", "list", "listbox", "listitem", "log", "main", "marquee",
+      "math", "menu", "menubar", "menuitem", "menuitemcheckbox", "menuitemradio", "meter", "navigation", "none",
+      "note", "option", "paragraph", "presentation", "progressbar", "radio", "radiogroup", "region", "row",
+      "rowgroup", "rowheader", "scrollbar", "search", "searchbox", "separator", "slider", "spinbutton", "status",
+      "strong", "subscript", "superscript", "switch", "tab", "table", "tablist", "tabpanel", "term", "textbox",
+      "time", "timer", "toolbar", "tooltip", "tree", "treegrid", "treeitem"
+    ]);
+    const VALID_ARIA_ATTRIBUTES = new Set([
+      "aria-activedescendant", "aria-atomic", "aria-autocomplete", "aria-braillelabel", "aria-brailleroledescription",
+      "aria-busy", "aria-checked", "aria-colcount", "aria-colindex", "aria-colindextext", "aria-colspan",
+      "aria-controls", "aria-current", "aria-describedby", "aria-description", "aria-details", "aria-disabled",
+      "aria-dropeffect", "aria-errormessage", "aria-expanded", "aria-flowto", "aria-grabbed", "aria-haspopup",
+      "aria-hidden", "aria-invalid", "aria-keyshortcuts", "aria-label", "aria-labelledby", "aria-level", "aria-live",
+      "aria-modal", "aria-multiline", "aria-multiselectable", "aria-orientation", "aria-owns", "aria-placeholder",
+      "aria-posinset", "aria-pressed", "aria-readonly", "aria-relevant", "aria-required", "aria-roledescription",
+      "aria-rowcount", "aria-rowindex", "aria-rowindextext", "aria-rowspan", "aria-selected", "aria-setsize",
+      "aria-sort", "aria-valuemax", "aria-valuemin", "aria-valuenow", "aria-valuetext"
+    ]);
+    // Attributes a role needs when the element does not provide the state natively
+    const REQUIRED_ATTRIBUTES = {
+      checkbox: ["aria-checked"],
+      combobox: ["aria-expanded"],
+      heading: ["aria-level"],
+      menuitemcheckbox: ["aria-checked"],
+      menuitemradio: ["aria-checked"],
+      radio: ["aria-checked"],
+      scrollbar: ["aria-controls", "aria-valuenow"],
+      slider: ["aria-valuenow"],
+      switch: ["aria-checked"]
+    };
+    const hasNativeState = (element) =>
+      element.tagName === "INPUT" && ["checkbox", "radio", "range"].includes(element.type);
+
+    document.querySelectorAll("[role]").forEach((element) => {
+      const roles = element.getAttribute("role").trim().toLowerCase().split(/\s+/).filter(Boolean);
+      const invalid = roles.filter((role) => !VALID_ROLES.has(role));
+      if (invalid.length > 0 && invalid.length === roles.length) {
+        report("aria-valid-role", element, `Invalid role "${invalid.join(" ")}"`);
+        return;
+      }
+      const role = roles.find((candidate) => VALID_ROLES.has(candidate));
+      const missing = (REQUIRED_ATTRIBUTES[role] || []).filter((attribute) => !element.hasAttribute(attribute));
+      if (missing.length > 0 && !hasNativeState(element)) {
+        report("aria-required-attr", element, `role="${role}" requires ${missing.join(", ")}`);
+      }
+    });
+
+    Array.from(document.querySelectorAll("*")).forEach((element) => {
+      for (const attribute of element.attributes) {
+        if (!attribute.name.startsWith("aria-")) continue;
+        if (!VALID_ARIA_ATTRIBUTES.has(attribute.name)) {
+          report("aria-valid-attr", element, `Unknown ARIA attribute "${attribute.name}"`);
+        } else if (["aria-labelledby", "aria-describedby"].includes(attribute.name)) {
+          const missingIds = attribute.value.split(/\s+/).filter((id) => id && !document.getElementById(id));
+          if (missingIds.length > 0) {
+            report("aria-broken-reference", element, `${attribute.name} references missing id(s): ${missingIds.join(", ")}`);
+          }
+        }
+      }
+    });
+
+    // --- Focusable elements ---
+    const FOCUSABLE = "a[href], area[href], button, input:not([type='hidden']), select, textarea, iframe, summary, [tabindex]:not([tabindex='-1']), [contenteditable='true']";
+
+    document.querySelectorAll('[aria-hidden="true"]').forEach((hidden) => {
+      const focusable = [hidden, ...hidden.querySelectorAll(FOCUSABLE)].filter(
+        (element) => element.matches(FOCUSABLE) && !element.disabled && isRendered(element)
+      );
+      focusable.forEach((element) =>
+        report("aria-hidden-focus", element, "Focusable element is inside aria-hidden=\"true\" and unreachable for screen readers")
+      );
+    });
+
+    document
+      .querySelectorAll("a[href], button, [role='button'], [role='link'], [role='tab'], [role='menuitem'], [tabindex]:not([tabindex='-1']), iframe")
+      .forEach((element) => {
+        if (isAriaHidden(element) || !isRendered(element) || element.matches(labelable)) return;
+        if (element.tagName === "IFRAME") {
+          if (!element.getAttribute("title")?.trim() && !element.getAttribute("aria-label")?.trim()) {
+            report("focusable-name", element, "iframe has no title", { impact: "serious" });
+          }
+          return;
+        }
+        if (!accessibleName(element)) {
+          const role = element.getAttribute("role") || element.tagName.toLowerCase();
+          report("focusable-name", element, `Focusable ${role} has no accessible name`);
+        }
+      });
+
+    return { findings, counts };
+  }, maxPerRule);
+
+/**
+ * Runs the accessibility audit on an already loaded page
+ * @param {import('playwright').Page} page
+ * @returns {Promise<{summary: Object, findings: Array}>}
+ */
+export const auditAccessibility = async (page) => {
+  const { findings: rawFindings, counts } = await collectFindings(page, MAX_FINDINGS_PER_RULE);
+
+  const findings = rawFindings
+    .map(({ rule, impact, ...finding }) => {
+      const meta = RULES[rule];
+      return {
+        rule,
+        wcag: meta.wcag,
+        wcagName: meta.wcagName,
+        level: meta.level,
+        impact: impact || meta.impact,
+        description: meta.description,
+        ...finding
+      };
+    })
+    .sort((a, b) => IMPACT_ORDER.indexOf(a.impact) - IMPACT_ORDER.indexOf(b.impact));
+
+  const byImpact = Object.fromEntries(IMPACT_ORDER.map((impact) => [impact, 0]));
+  findings.forEach((finding) => {
+    byImpact[finding.impact] += 1;
+  });
+
+  return {
+    summary: {
+      total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+      reported: findings.length,
+      byImpact,
+      byRule: counts
+    },
+    findings
+  };
+};
@@ -0,0 +1,211 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { acquireContext } from "./browserPool.js";
+
+/**
+ * Authentication recipes for scanning pages behind a login.
+ *
+ * Recipes are defined by name in AUTH_RECIPES_FILE (default:
+ * server/data/auth/recipes.json). A recipe either replays a login form:
+ *
+ *   "my-app": {
+ *     "loginUrl": "https://app.example.com/login",
+ *     "usernameSelector": "#email",
+ *     "passwordSelector": "#password",
+ *     "submitSelector": "button[type=submit]",
+ *     "username": "env:MY_APP_USER",
+ *     "password": "secret:my-app-password",
+ *     "success": { "urlContains": "/dashboard", "selector": "#logout", "cookie": "session" }
+ *   }
+ *
+ * or loads a saved Playwright storage state: `{ "storageState": "my-app.json" }`
+ * (relative to the recipes file). Credentials are never stored in the recipe:
+ * `env:NAME` reads an environment variable, `secret:KEY` a key of the JSON
+ * object in AUTH_SECRETS_FILE (default: server/data/auth/secrets.json).
+ *
+ * After a successful login the session (cookies + localStorage) is cached in
+ * memory for AUTH_SESSION_TTL_MS, so further contexts start logged in.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const RECIPES_FILE = process.env.AUTH_RECIPES_FILE || path.join(__dirname, "..", "data", "auth", "recipes.json");
+const SECRETS_FILE = process.env.AUTH_SECRETS_FILE || path.join(__dirname, "..", "data", "auth", "secrets.json");
+const SESSION_TTL_MS = parseInt(process.env.AUTH_SESSION_TTL_MS, 10) || 30 * 60 * 1000;
+
+const LOGIN_TIMEOUT_MS = 15000;
+
+// Logged-in storage states by recipe name: { state, expiresAt }
+const sessions = new Map();
+// Logins in flight by recipe name, so concurrent scans share one login
+const pendingLogins = new Map();
+
+const readJson = async (file) => {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw new Error(`Failed to read ${path.basename(file)}: ${error.message}`);
+  }
+};
+
+const validateRecipe = (name, recipe) => {
+  if (!recipe || typeof recipe !== "object") {
+    return `Auth recipe "${name}" must be an object`;
+  }
+  if (recipe.storageState) {
+    return null;
+  }
+  const missing = ["loginUrl", "usernameSelector", "passwordSelector", "submitSelector", "username", "password"]
+    .filter((field) => !recipe[field]);
+  if (missing.length > 0) {
+    return `Auth recipe "${name}" is missing ${missing.join(", ")} (or a storageState)`;
+  }
+  for (const field of ["username", "password"]) {
+    if (!/^(env|secret):.+/.test(recipe[field])) {
+      return `Auth recipe "${name}": ${field} must be an "env:NAME" or "secret:KEY" reference`;
+    }
+  }
+  const { urlContains, selector, cookie } = recipe.success || {};
+  if (!urlContains && !selector && !cookie) {
+    return `Auth recipe "${name}" needs a success check (success.urlContains, success.selector or success.cookie)`;
+  }
+  return null;
+};
+
+/**
+ * Resolves an `env:NAME` / `secret:KEY` credential reference
+ */
+const resolveCredential = async (reference) => {
+  const [source, key] = [reference.slice(0, reference.indexOf(":")), reference.slice(reference.indexOf(":") + 1)];
+  if (source === "env") {
+    if (!process.env[key]) throw new Error(`Environment variable ${key} is not set`);
+    return process.env[key];
+  }
+  const secrets = (await readJson(SECRETS_FILE)) || {};
+  if (typeof secrets[key] !== "string") throw new Error(`Secret "${key}" is not defined in the auth secrets file`);
+  return secrets[key];
+};
+
+/**
+ * Lists the configured recipes without credentials or selectors
+ * @returns {Promise<Array<{name: string, type: string, loginUrl: string|null}>>}
+ */
+export const listAuthRecipes = async () => {
+  const recipes = (await readJson(RECIPES_FILE)) || {};
+  return Object.entries(recipes).map(([name, recipe]) => ({
+    name,
+    type: recipe?.storageState ? "storageState" : "login",
+    loginUrl: recipe?.loginUrl || null
+  }));
+};
+
+/**
+ * Looks up and validates a recipe by name
+ * @returns {Promise<{recipe: Object}|{error: string}>} `recipe` is null when no name was given
+ */
+export const getAuthRecipe = async (name) => {
+  if (!name) return { recipe: null };
+
+  const recipes = await readJson(RECIPES_FILE);
+  const recipe = recipes?.[name];
+  if (!recipe) {
+    return { error: `Unknown auth recipe "${name}"` };
+  }
+  const error = validateRecipe(name, recipe);
+  if (error) {
+    return { error };
+  }
+  return { recipe: { ...recipe, name } };
+};
+
+/**
+ * Replays the login form of a recipe in a fresh context and checks that it succeeded
+ * @returns {Promise<Object>} The logged-in storage state
+ */
+const performLogin = async (recipe) => {
+  const [username, password] = await Promise.all([
+    resolveCredential(recipe.username),
+    resolveCredential(recipe.password)
+  ]);
+  const timeout = recipe.timeout || LOGIN_TIMEOUT_MS;
+  const lease = await acquireContext();
+
+  try {
+    console.log(`🔐 Logging in with auth recipe "${recipe.name}"`);
+    const page = await lease.context.newPage();
+    await page.goto(recipe.loginUrl, { waitUntil: "domcontentloaded", timeout: 60000 });
+    await page.fill(recipe.usernameSelector, username, { timeout });
+    await page.fill(recipe.passwordSelector, password, { timeout });
+    await page.click(recipe.submitSelector, { timeout });
+
+    const { urlContains, selector, cookie } = recipe.success;
+    if (urlContains) {
+      await page.waitForURL((current) => current.href.includes(urlContains), { timeout }).catch(() => {
+        throw new Error(`URL did not reach "${urlContains}" (now ${page.url()})`);
+      });
+    }
+    if (selector) {
+      await page.waitForSelector(selector, { state: "attached", timeout }).catch(() => {
+        throw new Error(`Success element "${selector}" did not appear`);
+      });
+    }
+    if (cookie) {
+      await page.waitForLoadState("load", { timeout }).catch(() => {});
+      const cookies = await lease.context.cookies();
+      if (!cookies.some((entry) => entry.name === cookie)) {
+        throw new Error(`Cookie "${cookie}" was not set`);
+      }
+    }
+
+    return await lease.context.storageState();
+  } catch (error) {
+    throw new Error(`Login with auth recipe "${recipe.name}" failed: ${error.message}`);
+  } finally {
+    await lease.release();
+  }
+};
+
+/**
+ * Storage state of a recipe: its saved file, a cached login, or a new login.
+ * Concurrent callers share one login.
+ */
+const sessionFor = (recipe) => {
+  if (recipe.storageState) {
+    const file = path.resolve(path.dirname(RECIPES_FILE), recipe.storageState);
+    return readJson(file).then((state) => {
+      if (!state) throw new Error(`Storage state file for auth recipe "${recipe.name}" not found`);
+      return state;
+    });
+  }
+
+  const cached = sessions.get(recipe.name);
+  if (cached && cached.expiresAt > Date.now()) {
+    return Promise.resolve(cached.state);
+  }
+
+  if (!pendingLogins.has(recipe.name)) {
+    const login = performLogin(recipe)
+      .then((state) => {
+        sessions.set(recipe.name, { state, expiresAt: Date.now() + SESSION_TTL_MS });
+        return state;
+      })
+      .finally(() => pendingLogins.delete(recipe.name));
+    pendingLogins.set(recipe.name, login);
+  }
+  return pendingLogins.get(recipe.name);
+};
+
+/**
+ * Drop-in replacement for acquireContext() that returns a logged-in context.
+ * Without a recipe it is acquireContext() itself.
+ * @param {Object} contextOptions - Options passed to acquireContext()
+ * @param {Object|null} recipe - Recipe from getAuthRecipe()
+ * @returns {Promise<{context: import('playwright').BrowserContext, release: Function}>}
+ */
+export const acquireAuthenticatedContext = async (contextOptions, recipe) => {
+  if (!recipe) return acquireContext(contextOptions);
+
+  const storageState = await sessionFor(recipe);
+  return acquireContext({ ...contextOptions, storageState });
+};
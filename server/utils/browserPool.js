@@ -0,0 +1,298 @@
+import { chromium } from "playwright";
+
+/**
+ * Server-wide Chromium pool.
+ *
+ * Browsers are launched lazily and shared between requests; every caller gets
+ * its own isolated BrowserContext. The number of contexts open at the same time
+ * is capped, browsers are recycled after a number of uses, and a browser that
+ * crashes or disconnects is dropped and replaced on the next acquire.
+ *
+ * Tunable through environment variables:
+ *   BROWSER_POOL_SIZE          max browsers kept alive (default: 2)
+ *   BROWSER_POOL_MAX_CONTEXTS  max contexts open at the same time (default: 4)
+ *   BROWSER_POOL_MAX_USES      contexts served before a browser is recycled (default: 50)
+ */
+
+const readIntEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const POOL_SIZE = readIntEnv("BROWSER_POOL_SIZE", 2);
+const MAX_CONTEXTS = readIntEnv("BROWSER_POOL_MAX_CONTEXTS", 4);
+const MAX_USES = readIntEnv("BROWSER_POOL_MAX_USES", 50);
+
+const LAUNCH_OPTIONS = {
+  headless: true,
+  args: ['--disable-javascript-harmony-shipping']
+};
+
+const DEFAULT_CONTEXT_OPTIONS = {
+  viewport: { width: 1366, height: 768 },
+  ignoreHTTPSErrors: true,
+  javaScriptEnabled: true
+};
+
+// Pool state
+const entries = [];      // { id, browser, uses, active, retired }
+const waiters = [];      // resolvers waiting for a free context slot
+const poolWaiters = [];  // resolvers waiting for a browser to join or leave a full pool
+let activeContexts = 0;
+let launching = 0;
+let nextEntryId = 1;
+let closed = false;
+
+const stats = {
+  launched: 0,
+  recycled: 0,
+  crashed: 0,
+  served: 0,
+  launchFailures: 0
+};
+
+/**
+ * Wakes the acquires waiting for a usable browser
+ */
+const notifyPoolChanged = () => {
+  poolWaiters.splice(0).forEach((resolve) => resolve());
+};
+
+/**
+ * Removes an entry from the pool and closes its browser
+ */
+const dropEntry = async (entry) => {
+  const index = entries.indexOf(entry);
+  if (index !== -1) {
+    entries.splice(index, 1);
+    notifyPoolChanged();
+  }
+  if (entry.browser.isConnected()) {
+    await entry.browser.close().catch(() => {});
+  }
+};
+
+/**
+ * Launches a new browser and registers it in the pool, already reserved for the caller
+ */
+const launchEntry = async () => {
+  launching++;
+  try {
+    const browser = await chromium.launch(LAUNCH_OPTIONS);
+    const entry = {
+      id: nextEntryId++,
+      browser,
+      uses: 1,
+      active: 1,
+      retired: false
+    };
+
+    browser.on("disconnected", () => {
+      // Unexpected disconnect means the browser crashed or was killed
+      if (entries.includes(entry)) {
+        stats.crashed++;
+        console.warn(`⚠️  Pooled browser #${entry.id} disconnected, removing from pool`);
+        entries.splice(entries.indexOf(entry), 1);
+        notifyPoolChanged();
+      }
+    });
+
+    entries.push(entry);
+    notifyPoolChanged();
+    stats.launched++;
+    console.log(`🧭 Launched pooled browser #${entry.id}`);
+    return entry;
+  } catch (error) {
+    stats.launchFailures++;
+    throw error;
+  } finally {
+    launching--;
+    if (entries.length + launching < POOL_SIZE) {
+      notifyPoolChanged();
+    }
+  }
+};
+
+/**
+ * Counts a context on the entry before anything is awaited, so concurrent
+ * acquires neither all pick the same idle browser nor push it past MAX_USES
+ */
+const reserve = (entry) => {
+  entry.active++;
+  entry.uses++;
+  return entry;
+};
+
+/**
+ * Picks the least busy healthy browser, launching a new one when allowed.
+ * When the pool is full and no browser is usable yet (all launching, retired or
+ * worn out), waits until one joins or leaves the pool.
+ */
+const pickEntry = async () => {
+  for (;;) {
+    if (closed) {
+      throw new Error("Browser pool is shut down");
+    }
+
+    const healthy = entries.filter(
+      (entry) => !entry.retired && entry.browser.isConnected() && entry.uses < MAX_USES
+    );
+
+    // Prefer an idle browser, otherwise grow the pool before sharing a busy one
+    const idle = healthy.find((entry) => entry.active === 0);
+    if (idle) {
+      return reserve(idle);
+    }
+
+    if (entries.length + launching < POOL_SIZE) {
+      return launchEntry();
+    }
+
+    if (healthy.length > 0) {
+      return reserve(healthy.reduce((min, entry) => (entry.active < min.active ? entry : min)));
+    }
+
+    await new Promise((resolve) => poolWaiters.push(resolve));
+  }
+};
+
+/**
+ * Waits until a context slot is free
+ */
+const takeSlot = () => {
+  if (activeContexts < MAX_CONTEXTS) {
+    activeContexts++;
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => waiters.push(resolve));
+};
+
+/**
+ * Hands the slot to the next waiter, or frees it
+ */
+const freeSlot = () => {
+  const next = waiters.shift();
+  if (next) {
+    next();
+  } else {
+    activeContexts--;
+  }
+};
+
+/**
+ * Marks a browser for recycling once it has served enough contexts
+ */
+const retireIfWornOut = (entry) => {
+  if (!entry.retired && entry.uses >= MAX_USES) {
+    entry.retired = true;
+  }
+  if (entry.retired && entry.active === 0) {
+    stats.recycled++;
+    console.log(`♻️  Recycling pooled browser #${entry.id} after ${entry.uses} uses`);
+    dropEntry(entry);
+  }
+};
+
+/**
+ * Acquires an isolated browser context from the pool.
+ * The caller must call `release()` when done (use try/finally).
+ * @param {Object} contextOptions - Options passed to browser.newContext (merged over defaults)
+ * @returns {Promise<{context: import('playwright').BrowserContext, release: Function}>}
+ */
+export const acquireContext = async (contextOptions = {}) => {
+  if (closed) {
+    throw new Error("Browser pool is shut down");
+  }
+
+  await takeSlot();
+
+  let entry = null;
+  let context = null;
+
+  // One retry covers the case where the chosen browser died between pick and use
+  for (let attempt = 0; attempt < 2 && !context; attempt++) {
+    try {
+      entry = await pickEntry();
+      context = await entry.browser.newContext({
+        ...DEFAULT_CONTEXT_OPTIONS,
+        ...contextOptions
+      });
+    } catch (error) {
+      if (entry) {
+        // Give back the reservation made by pickEntry
+        entry.active--;
+        entry.retired = true;
+        if (entry.active === 0) {
+          await dropEntry(entry);
+        }
+      }
+      entry = null;
+      if (attempt === 1) {
+        freeSlot();
+        throw error;
+      }
+    }
+  }
+
+  stats.served++;
+
+  let released = false;
+  const release = async () => {
+    if (released) return;
+    released = true;
+
+    await context.close().catch(() => {});
+    entry.active--;
+    retireIfWornOut(entry);
+    freeSlot();
+  };
+
+  return { context, release };
+};
+
+/**
+ * Runs a callback with a fresh page in a pooled context and always releases it
+ * @param {Object} contextOptions - Options passed to browser.newContext
+ * @param {Function} callback - async (page, context) => result
+ */
+export const withPooledPage = async (contextOptions, callback) => {
+  const { context, release } = await acquireContext(contextOptions);
+  try {
+    const page = await context.newPage();
+    return await callback(page, context);
+  } finally {
+    await release();
+  }
+};
+
+/**
+ * Returns a snapshot of pool usage for the health endpoint
+ */
+export const getPoolStats = () => ({
+  browsers: entries.length,
+  launching,
+  activeContexts,
+  queued: waiters.length,
+  limits: {
+    maxBrowsers: POOL_SIZE,
+    maxContexts: MAX_CONTEXTS,
+    maxUsesPerBrowser: MAX_USES
+  },
+  perBrowser: entries.map((entry) => ({
+    id: entry.id,
+    uses: entry.uses,
+    active: entry.active,
+    retired: entry.retired,
+    connected: entry.browser.isConnected()
+  })),
+  totals: { ...stats }
+});
+
+/**
+ * Closes every pooled browser (used on server shutdown)
+ */
+export const closeBrowserPool = async () => {
+  closed = true;
+  notifyPoolChanged();
+  await Promise.all([...entries].map((entry) => dropEntry(entry)));
+};
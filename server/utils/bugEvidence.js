@@ -0,0 +1,186 @@
+import { PNG } from "pngjs";
+
+/**
+ * Evidence for LLM bugs.
+ *
+ * Bugs cite an outline reference ("@12") and/or a CSS selector. References
+ * are looked up in the page outline captured by summarizeDom(); selectors are
+ * resolved on the live page while it is still open, and matched against the
+ * outline only once it is gone. The element's bounding box is attached, and
+ * the elements inside the screenshot are highlighted with numbered boxes.
+ * Rule findings that measured their element (`bbox`) keep that box when the
+ * citation has no match.
+ */
+
+const SEVERITY_COLORS = {
+  critical: [225, 29, 72],
+  high: [234, 88, 12],
+  medium: [217, 119, 6],
+  low: [5, 150, 105]
+};
+
+const BORDER = 3;
+
+// 3x5 bitmap digits for the box labels, drawn at LABEL_SCALE
+const DIGITS = [
+  "111101101101111", "010110010010111", "111001111100111", "111001111001111", "101101111001001",
+  "111100111001111", "111100111101111", "111001001001001", "111101111101111", "111101111001111"
+];
+const LABEL_SCALE = 3;
+const LABEL_PADDING = 3;
+
+const normalizeSelector = (selector) => selector.replace(/\s*>\s*/g, " > ").replace(/\s+/g, " ").trim();
+
+/**
+ * Finds the outline line with the given selector
+ */
+const findBySelector = (lines, selector) => {
+  const wanted = normalizeSelector(selector);
+  return lines.find((candidate) => candidate.selector && normalizeSelector(candidate.selector) === wanted) || null;
+};
+
+/**
+ * Resolves a selector on the live page: null when nothing matches (or the
+ * selector is invalid), otherwise the first match's box in page pixels
+ * (null when it is not rendered)
+ */
+const locateOnPage = async (page, selector) => {
+  try {
+    const locator = page.locator(selector).first();
+    if ((await locator.count()) === 0) return null;
+    const rect = await locator.boundingBox({ timeout: 1000 });
+    if (!rect) return { box: null };
+    const scroll = await page.evaluate(() => ({ x: window.scrollX, y: window.scrollY }));
+    return {
+      box: {
+        x: Math.round(rect.x + scroll.x),
+        y: Math.round(rect.y + scroll.y),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height)
+      }
+    };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Finds the element a bug cites: the outline line of its reference first,
+ * then its selector on the live page, or in the outline once the page is closed
+ * @returns {Promise<{line: Object|null, live: Object|null}>}
+ */
+const findElement = async (lines, page, { element, selector }) => {
+  if (element) {
+    const line = lines.find((candidate) => candidate.ref === element);
+    if (line) return { line, live: null };
+  }
+  if (!selector) return { line: null, live: null };
+  if (page && !page.isClosed()) {
+    return { line: null, live: await locateOnPage(page, selector) };
+  }
+  return { line: findBySelector(lines, selector), live: null };
+};
+
+/**
+ * Adds `evidence: { number, element, selector, box, verified, inScreenshot }` to every bug.
+ * `number` is the bug's position (1-based) and labels its highlight box.
+ * @param {Array} bugs - Validated LLM bugs and/or rule findings
+ * @param {{lines: Array}} dom - Result of summarizeDom()
+ * @param {Object} [options]
+ * @param {{width: number, height: number}} [options.viewport] - Size of the (viewport) screenshot
+ * @param {import("playwright").Page} [options.page] - The scanned page, to resolve selectors on while it is open
+ * @param {number} [options.firstNumber] - Number of the first bug (default: 1)
+ * @returns {Promise<Array>} The bugs with evidence
+ */
+export const attachEvidence = async (bugs, dom, { viewport, page, firstNumber = 1 } = {}) => {
+  const lines = dom?.lines || [];
+
+  return Promise.all(bugs.map(async (bug, index) => {
+    const { element = null, selector = null, bbox = null, ...rest } = bug;
+    const { line, live } = await findElement(lines, page, { element, selector });
+    const measured = line?.box || live?.box || bbox;
+    const box = measured && measured.width > 0 && measured.height > 0 ? measured : null;
+
+    return {
+      ...rest,
+      evidence: {
+        number: firstNumber + index,
+        element: line?.ref || element,
+        selector: line?.selector || selector,
+        box,
+        // The cited element was found on the scanned page
+        verified: Boolean(line || live || bbox),
+        inScreenshot: Boolean(box && viewport && box.x < viewport.width && box.y < viewport.height && box.x + box.width > 0 && box.y + box.height > 0)
+      }
+    };
+  }));
+};
+
+const fillRect = (png, x, y, width, height, [r, g, b], alpha = 1) => {
+  const left = Math.max(0, Math.floor(x));
+  const top = Math.max(0, Math.floor(y));
+  const right = Math.min(png.width, Math.ceil(x + width));
+  const bottom = Math.min(png.height, Math.ceil(y + height));
+
+  for (let row = top; row < bottom; row += 1) {
+    for (let column = left; column < right; column += 1) {
+      const offset = (row * png.width + column) * 4;
+      png.data[offset] = Math.round(png.data[offset] * (1 - alpha) + r * alpha);
+      png.data[offset + 1] = Math.round(png.data[offset + 1] * (1 - alpha) + g * alpha);
+      png.data[offset + 2] = Math.round(png.data[offset + 2] * (1 - alpha) + b * alpha);
+      png.data[offset + 3] = 255;
+    }
+  }
+};
+
+const drawLabel = (png, x, y, number, color) => {
+  const digits = String(number).split("").map(Number);
+  const width = digits.length * 4 * LABEL_SCALE - LABEL_SCALE + LABEL_PADDING * 2;
+  const height = 5 * LABEL_SCALE + LABEL_PADDING * 2;
+  // Above the box when there is room, otherwise inside its top-left corner
+  const left = Math.min(Math.max(0, x), Math.max(0, png.width - width));
+  const top = y - height >= 0 ? y - height : Math.max(0, y);
+
+  fillRect(png, left, top, width, height, color);
+  digits.forEach((digit, position) => {
+    for (let bit = 0; bit < 15; bit += 1) {
+      if (DIGITS[digit][bit] !== "1") continue;
+      fillRect(
+        png,
+        left + LABEL_PADDING + (position * 4 + (bit % 3)) * LABEL_SCALE,
+        top + LABEL_PADDING + Math.floor(bit / 3) * LABEL_SCALE,
+        LABEL_SCALE,
+        LABEL_SCALE,
+        [255, 255, 255]
+      );
+    }
+  });
+};
+
+/**
+ * Draws a numbered box around every bug element inside the screenshot
+ * @param {string} screenshot - Base64 PNG
+ * @param {Array} bugs - Bugs with evidence (attachEvidence())
+ * @returns {string|null} Base64 PNG, or null when no bug has a box in the screenshot
+ */
+export const annotateScreenshot = (screenshot, bugs) => {
+  const highlighted = bugs.filter((bug) => bug.evidence?.inScreenshot);
+  if (!screenshot || highlighted.length === 0) return null;
+
+  const png = PNG.sync.read(Buffer.from(screenshot, "base64"));
+  // Larger boxes first, so small ones (and their labels) stay on top
+  const ordered = [...highlighted].sort((a, b) => b.evidence.box.width * b.evidence.box.height - a.evidence.box.width * a.evidence.box.height);
+
+  for (const bug of ordered) {
+    const { x, y, width, height } = bug.evidence.box;
+    const color = SEVERITY_COLORS[bug.severity] || SEVERITY_COLORS.medium;
+    fillRect(png, x, y, width, height, color, 0.12);
+    fillRect(png, x, y, width, BORDER, color);
+    fillRect(png, x, y + height - BORDER, width, BORDER, color);
+    fillRect(png, x, y, BORDER, height, color);
+    fillRect(png, x + width - BORDER, y, BORDER, height, color);
+    drawLabel(png, x, y, bug.evidence.number, color);
+  }
+
+  return PNG.sync.write(png).toString("base64");
+};
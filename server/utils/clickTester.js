@@ -0,0 +1,269 @@
+import { findElementWithMultipleStrategies } from "./elementFinder.js";
+import { navigateAndSettle } from "./pageHelper.js";
+
+/**
+ * Real click testing.
+ *
+ * Every button found by analyzeBody() is clicked on a freshly loaded page and
+ * what happened is recorded: navigation, popups, downloads, dialogs, new
+ * network requests, DOM mutations and console errors. A button that causes
+ * none of these is reported as dead.
+ *
+ * Buttons whose text matches the denylist (delete, pay, log out, ...) are
+ * never clicked. Set CLICK_DENYLIST to a comma-separated list of regular
+ * expressions to replace the default patterns.
+ */
+
+const MAX_CLICK_TESTS = 15;
+
+// Time to wait for effects after a click (and the length of the quiet window measured before it)
+const CLICK_SETTLE_MS = 1500;
+
+export const DEFAULT_CLICK_DENYLIST = [
+  "delete", "remove", "destroy", "erase", "discard",
+  "pay", "purchase", "buy", "checkout", "check out", "place order", "order now", "donate",
+  "subscribe", "unsubscribe",
+  "log ?out", "sign ?out",
+  "deactivate", "close account", "cancel (account|subscription|order)",
+  "transfer", "withdraw"
+];
+
+/**
+ * Compiles the denylist from CLICK_DENYLIST (comma-separated regular expressions) or the defaults
+ * @returns {RegExp[]}
+ */
+const loadDenylist = () => {
+  const patterns = process.env.CLICK_DENYLIST
+    ? process.env.CLICK_DENYLIST.split(",").map((pattern) => pattern.trim()).filter(Boolean)
+    : DEFAULT_CLICK_DENYLIST;
+  return patterns.map((pattern) => new RegExp(`\\b(${pattern})\\b`, "i"));
+};
+
+const describeButton = (button) => button.text || button.id || button.name || `${button.type} button`;
+
+/**
+ * Watches the page while `action` runs and for CLICK_SETTLE_MS afterwards
+ * @returns {Promise<Object>} Everything observed in that window
+ */
+const observe = async (page, action) => {
+  const startUrl = page.url();
+  const effects = {
+    navigatedTo: null,
+    popup: null,
+    download: null,
+    dialogs: [],
+    requests: [],
+    consoleErrors: [],
+    domMutations: 0
+  };
+
+  const onRequest = (request) => {
+    effects.requests.push({ method: request.method(), url: request.url(), type: request.resourceType() });
+  };
+  const onConsole = (message) => {
+    if (message.type() === "error") effects.consoleErrors.push({ text: message.text(), location: message.location() });
+  };
+  const onPageError = (error) => effects.consoleErrors.push({ text: error.message, location: null });
+  const onDialog = (dialog) => {
+    effects.dialogs.push({ type: dialog.type(), message: dialog.message() });
+    dialog.dismiss().catch(() => {});
+  };
+  const onPopup = (popup) => {
+    effects.popup = popup.url();
+    popup.close().catch(() => {});
+  };
+  const onDownload = (download) => {
+    effects.download = download.suggestedFilename();
+    download.cancel().catch(() => {});
+  };
+  page.on("request", onRequest);
+  page.on("console", onConsole);
+  page.on("pageerror", onPageError);
+  page.on("dialog", onDialog);
+  page.on("popup", onPopup);
+  page.on("download", onDownload);
+
+  await page.evaluate(() => {
+    window.__smartBugFinderMutations = 0;
+    window.__smartBugFinderObserver?.disconnect();
+    window.__smartBugFinderObserver = new MutationObserver((records) => {
+      window.__smartBugFinderMutations += records.length;
+    });
+    window.__smartBugFinderObserver.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      characterData: true
+    });
+  });
+
+  try {
+    await action();
+    await page.waitForTimeout(300);
+    await page.waitForLoadState("networkidle", { timeout: CLICK_SETTLE_MS }).catch(() => {});
+    await page.waitForTimeout(Math.max(0, CLICK_SETTLE_MS - 300));
+  } finally {
+    page.off("request", onRequest);
+    page.off("console", onConsole);
+    page.off("pageerror", onPageError);
+    page.off("dialog", onDialog);
+    page.off("popup", onPopup);
+    page.off("download", onDownload);
+  }
+
+  if (page.url() !== startUrl) {
+    effects.navigatedTo = page.url();
+  } else {
+    // The observer is gone after a navigation; otherwise read and stop it
+    effects.domMutations = await page.evaluate(() => {
+      window.__smartBugFinderObserver?.disconnect();
+      return window.__smartBugFinderMutations || 0;
+    }).catch(() => 0);
+  }
+
+  return effects;
+};
+
+/**
+ * Turns what was observed after the click into a list of effects, ignoring the
+ * background activity (timers, polling, carousels) seen before the click
+ */
+const summarizeEffects = (effects, background) => {
+  const found = [];
+  if (effects.navigatedTo) found.push("navigation");
+  if (effects.popup) found.push("popup");
+  if (effects.download) found.push("download");
+  if (effects.dialogs.length > 0) found.push("dialog");
+  if (effects.requests.length > background.requests.length) found.push("network");
+  if (effects.domMutations > background.domMutations) found.push("dom");
+  if (effects.consoleErrors.length > 0) found.push("console-error");
+  return found;
+};
+
+/**
+ * Clicks one button on a freshly loaded page
+ */
+const clickButton = async (page, url, button, clickedSelectors) => {
+  await navigateAndSettle(page, url, { networkIdleTimeout: 5000, settleTime: 500 });
+
+  const { element, selector } = await findElementWithMultipleStrategies(page, button, "button");
+  if (!element) {
+    return { status: "error", selector: null, error: "Element not found after reload" };
+  }
+  // Buttons without an ID or name can resolve to the same element
+  if (clickedSelectors.has(selector)) {
+    return { status: "skipped", selector, reason: "Same element as an earlier button" };
+  }
+  clickedSelectors.add(selector);
+  if (!(await element.isVisible().catch(() => false)) || !(await element.isEnabled().catch(() => false))) {
+    return { status: "skipped", selector, reason: "Not visible or disabled" };
+  }
+
+  // A submit button of an invalid form is stopped by validation, which changes nothing in the DOM
+  const blockedByValidation = await element.evaluate(
+    (node) => node.type === "submit" && Boolean(node.form) && !node.form.noValidate && !node.form.checkValidity()
+  ).catch(() => false);
+
+  const background = await observe(page, async () => {});
+  const effects = await observe(page, () => element.click({ timeout: 5000 }));
+  const found = summarizeEffects(effects, background);
+  if (blockedByValidation) found.push("form-validation");
+
+  return {
+    status: found.length > 0 ? "effect" : "dead",
+    selector,
+    effects: found,
+    navigatedTo: effects.navigatedTo,
+    popup: effects.popup,
+    download: effects.download,
+    dialogs: effects.dialogs,
+    requests: effects.requests.slice(0, 20),
+    domMutations: effects.domMutations,
+    consoleErrors: effects.consoleErrors
+  };
+};
+
+/**
+ * Clicks buttons one by one, each in a fresh page state, and reports their side effects
+ * @param {import('playwright').Page} page - Page to use (it is reloaded before every click)
+ * @param {string} url - Page the buttons live on
+ * @param {Array} buttons - Buttons from analyzeBody()/testInteractiveElements()
+ * @param {Object} options
+ * @param {number} options.maxButtons - Buttons to try, failed tries included (default: 15)
+ * @param {RegExp[]} options.denylist - Text patterns that are never clicked (default: CLICK_DENYLIST or the built-in list)
+ * @returns {Promise<{summary: Object, results: Array, bugs: Array}>}
+ */
+export const testButtonClicks = async (page, url, buttons, options = {}) => {
+  const { maxButtons = MAX_CLICK_TESTS, denylist = loadDenylist() } = options;
+  const results = [];
+  const clickedSelectors = new Set();
+  // Every attempt reloads the page, so failed ones count toward the limit too
+  let attempts = 0;
+
+  for (const button of buttons) {
+    const label = describeButton(button);
+    const base = { text: label, type: button.type };
+
+    // Reset buttons have no effect on an untouched form
+    if (button.type === "reset") {
+      results.push({ ...base, status: "skipped", reason: "Reset button" });
+      continue;
+    }
+    const denied = denylist.find((pattern) =>
+      [button.text, button.id, button.name].some((value) => value && pattern.test(value))
+    );
+    if (denied) {
+      results.push({ ...base, status: "skipped", reason: `Matches denylist pattern ${denied}` });
+      continue;
+    }
+    if (button.testResults && !button.testResults.clickable) {
+      results.push({ ...base, status: "skipped", reason: "Not clickable" });
+      continue;
+    }
+    if (attempts >= maxButtons) {
+      results.push({ ...base, status: "skipped", reason: `Limit of ${maxButtons} clicks reached` });
+      continue;
+    }
+
+    let result;
+    attempts += 1;
+    try {
+      result = await clickButton(page, url, button, clickedSelectors);
+    } catch (error) {
+      result = { status: "error", selector: null, error: error.message.split("\n")[0] };
+    }
+    results.push({ ...base, ...result });
+  }
+
+  const bugs = results
+    .filter((result) => result.status === "dead" || result.effects?.includes("console-error"))
+    .map((result) =>
+      result.status === "dead"
+        ? {
+            title: `Button "${result.text}" does nothing`,
+            description: `Clicking ${result.selector} caused no navigation, network request, DOM change, dialog or console output.`,
+            severity: "medium",
+            selector: result.selector
+          }
+        : {
+            title: `Button "${result.text}" throws errors`,
+            description: `Clicking ${result.selector} logged: ${result.consoleErrors.map((entry) => entry.text).join("; ").slice(0, 300)}`,
+            severity: "high",
+            selector: result.selector
+          }
+    );
+
+  const count = (status) => results.filter((result) => result.status === status).length;
+  return {
+    summary: {
+      total: results.length,
+      clicked: count("effect") + count("dead"),
+      withEffects: count("effect"),
+      dead: count("dead"),
+      skipped: count("skipped"),
+      errors: count("error")
+    },
+    results,
+    bugs
+  };
+};
@@ -0,0 +1,162 @@
+/**
+ * Five-field cron expressions: `minute hour day-of-month month day-of-week`,
+ * evaluated in the server's local time.
+ *
+ * Fields accept `*`, numbers, ranges (`1-5`), steps (`0-30/10`, or `5/15`
+ * for every 15 from 5) and lists (`1,15`); months and weekdays also accept
+ * names (`jan`, `mon`), and Sunday is 0 or 7. As in Vixie cron, when both
+ * day-of-month and day-of-week are restricted (do not start with `*`) a day
+ * matches if either does. The macros @hourly, @daily, @weekly, @monthly and
+ * @yearly are understood as well.
+ */
+
+const MACROS = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *"
+};
+
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: "day of week", min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+// How far ahead nextRun() looks before giving up on expressions like "0 0 30 2 *"
+const SEARCH_LIMIT_YEARS = 5;
+
+const parseValue = (text, field) => {
+  const name = field.names?.indexOf(text.toLowerCase());
+  if (name !== undefined && name !== -1) return name + field.offset;
+  return /^\d+$/.test(text) ? Number(text) : NaN;
+};
+
+/**
+ * Parses one field into the set of allowed values
+ * @returns {{values: Set<number>, any: boolean} | {error: string}}
+ */
+const parseField = (text, field) => {
+  const values = new Set();
+
+  for (const part of text.split(",")) {
+    const [range, stepText, extra] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (extra !== undefined || !Number.isInteger(step) || step < 1) {
+      return { error: `Invalid step in ${field.name} field: "${part}"` };
+    }
+
+    let start;
+    let end;
+    if (range === "*") {
+      [start, end] = [field.min, field.max];
+    } else {
+      const [fromText, toText, rest] = range.split("-");
+      start = parseValue(fromText, field);
+      // "5/15" means every 15 starting at 5
+      end = toText !== undefined ? parseValue(toText, field) : stepText !== undefined ? field.max : start;
+      if (rest !== undefined || Number.isNaN(start) || Number.isNaN(end)) {
+        return { error: `Invalid ${field.name} field: "${part}"` };
+      }
+    }
+
+    if (start < field.min || end > field.max || start > end) {
+      return { error: `${field.name} must be between ${field.min} and ${field.max} (got "${part}")` };
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return { values, any: text.startsWith("*") };
+};
+
+/**
+ * Parses a cron expression
+ * @param {string} expression
+ * @returns {{cron: Object} | {error: string}} `cron` is passed to nextRun()
+ */
+export const parseCron = (expression) => {
+  if (typeof expression !== "string" || !expression.trim()) {
+    return { error: "Cron expression is required" };
+  }
+
+  const normalized = MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    return { error: `Cron expression must have 5 fields (minute hour day-of-month month day-of-week), got ${parts.length}` };
+  }
+
+  const parsed = [];
+  for (const [index, field] of FIELDS.entries()) {
+    const result = parseField(parts[index], field);
+    if (result.error) return { error: result.error };
+    parsed.push(result);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parsed;
+  // Sunday may be written as 7
+  if (daysOfWeek.values.delete(7)) daysOfWeek.values.add(0);
+
+  return {
+    cron: {
+      expression: expression.trim(),
+      minutes: minutes.values,
+      hours: hours.values,
+      daysOfMonth: daysOfMonth.values,
+      months: months.values,
+      daysOfWeek: daysOfWeek.values,
+      anyDayOfMonth: daysOfMonth.any,
+      anyDayOfWeek: daysOfWeek.any
+    }
+  };
+};
+
+const matchesDay = (cron, date) => {
+  const dayOfMonth = cron.daysOfMonth.has(date.getDate());
+  const dayOfWeek = cron.daysOfWeek.has(date.getDay());
+  if (cron.anyDayOfMonth) return dayOfWeek;
+  if (cron.anyDayOfWeek) return dayOfMonth;
+  return dayOfMonth || dayOfWeek;
+};
+
+/**
+ * First time after `after` (exclusive, whole minutes) that matches the expression
+ * @param {Object} cron - Parsed expression from parseCron()
+ * @param {Date} after
+ * @returns {Date|null} null when nothing matches within SEARCH_LIMIT_YEARS (e.g. February 30th)
+ */
+export const nextRun = (cron, after = new Date()) => {
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(date.getTime());
+  limit.setFullYear(limit.getFullYear() + SEARCH_LIMIT_YEARS);
+
+  // Skip whole months, days and hours that cannot match before stepping minutes
+  while (date <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  return null;
+};
@@ -0,0 +1,121 @@
+import { devices as playwrightDevices } from "playwright";
+
+/**
+ * Device profiles for multi-device scans.
+ *
+ * A profile is referenced by a short key (`desktop`, `iphone`, ...) or by any
+ * Playwright device name (e.g. "Galaxy S9+"). Its `contextOptions` are passed
+ * to acquireContext(), so a scan sees the device's viewport, user agent,
+ * touch support and mobile layout.
+ */
+
+export const DEFAULT_DEVICE = "desktop";
+
+// Upper bound per request; every device is a full page load (and an LLM call for /api/scan)
+export const MAX_DEVICES = 4;
+
+const DESKTOP_VIEWPORT = { width: 1366, height: 768 };
+
+const PRESETS = {
+  desktop: { name: "Desktop", contextOptions: { viewport: DESKTOP_VIEWPORT } },
+  iphone: { name: "iPhone 14", descriptor: "iPhone 14" },
+  pixel: { name: "Pixel 7", descriptor: "Pixel 7" },
+  tablet: { name: "iPad (gen 7)", descriptor: "iPad (gen 7)" }
+};
+
+const slugify = (value) => value.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+
+/**
+ * Builds browser context options from a Playwright device descriptor
+ * (`defaultBrowserType` is not a context option; we always run Chromium)
+ */
+const fromDescriptor = (descriptor) => {
+  const { defaultBrowserType, ...contextOptions } = playwrightDevices[descriptor];
+  return contextOptions;
+};
+
+/**
+ * Resolves a device key or Playwright device name to a profile, or null if unknown
+ * @returns {{key: string, name: string, viewport: Object, isMobile: boolean, contextOptions: Object}|null}
+ */
+export const getDeviceProfile = (value) => {
+  const input = String(value || "").trim();
+  // Own keys only, so names like "constructor" are unknown devices
+  const preset = Object.hasOwn(PRESETS, input.toLowerCase()) ? PRESETS[input.toLowerCase()] : null;
+
+  let key;
+  let name;
+  let contextOptions;
+  if (preset) {
+    key = input.toLowerCase();
+    name = preset.name;
+    contextOptions = preset.contextOptions || fromDescriptor(preset.descriptor);
+  } else if (Object.hasOwn(playwrightDevices, input)) {
+    key = slugify(input);
+    name = input;
+    contextOptions = fromDescriptor(input);
+  } else {
+    return null;
+  }
+
+  return {
+    key,
+    name,
+    viewport: contextOptions.viewport,
+    isMobile: Boolean(contextOptions.isMobile),
+    contextOptions
+  };
+};
+
+/**
+ * Public description of a profile, as included in responses and stored reports
+ */
+export const describeDevice = ({ key, name, viewport, isMobile }) => ({ key, name, viewport, isMobile });
+
+export const listDevicePresets = () =>
+  Object.keys(PRESETS).map((key) => describeDevice(getDeviceProfile(key)));
+
+/**
+ * Parses the `devices` query parameter (comma-separated keys or device names).
+ * An empty value means the desktop profile only.
+ * @returns {{profiles: Array}|{error: string}}
+ */
+export const parseDevices = (value) => {
+  const requested = (Array.isArray(value) ? value.join(",") : String(value || ""))
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  if (requested.length === 0) {
+    return { profiles: [getDeviceProfile(DEFAULT_DEVICE)] };
+  }
+
+  const profiles = [];
+  for (const entry of requested) {
+    const profile = getDeviceProfile(entry);
+    if (!profile) {
+      return { error: `Unknown device "${entry}". Use one of: ${Object.keys(PRESETS).join(", ")} or a Playwright device name` };
+    }
+    if (!profiles.some((existing) => existing.key === profile.key)) {
+      profiles.push(profile);
+    }
+  }
+
+  if (profiles.length > MAX_DEVICES) {
+    return { error: `At most ${MAX_DEVICES} devices can be scanned at once` };
+  }
+
+  return { profiles };
+};
+
+/**
+ * Merges per-device data into a stored `deviceResults` map without dropping
+ * what another request (scan vs. DOM analysis) already saved for that device
+ */
+export const mergeDeviceResults = (existing = {}, updates = {}) => {
+  const merged = { ...existing };
+  for (const [key, result] of Object.entries(updates)) {
+    merged[key] = { ...(existing[key] || {}), ...result };
+  }
+  return merged;
+};
@@ -0,0 +1,635 @@
+import axios from 'axios';
+import { findElementWithMultipleStrategies } from './elementFinder.js';
+
+/**
+ * Validates a URL and checks if a link is reachable
+ */
+export const validateLink = async (href, baseUrl) => {
+  if (!href) {
+    return {
+      status: 'invalidHref',
+      ok: false,
+      errorMessage: 'Missing href attribute'
+    };
+  }
+
+  try {
+    // Resolve relative URLs
+    const resolvedUrl = new URL(href, baseUrl).href;
+    const baseHost = new URL(baseUrl).hostname;
+    const linkHost = new URL(resolvedUrl).hostname;
+    const sameOrigin = baseHost === linkHost;
+
+    // Try to fetch the link (HEAD request first, fallback to GET)
+    try {
+      const response = await axios.head(resolvedUrl, {
+        timeout: 5000,
+        maxRedirects: 5,
+        validateStatus: () => true // Don't throw on any status
+      });
+
+      return {
+        status: response.status >= 200 && response.status < 400 ? 'valid' : 'broken',
+        statusCode: response.status,
+        ok: response.status >= 200 && response.status < 400,
+        sameOrigin,
+        errorMessage: response.status >= 400 ? `HTTP ${response.status}` : undefined
+      };
+    } catch (headError) {
+      // Fallback to GET if HEAD fails
+      try {
+        const response = await axios.get(resolvedUrl, {
+          timeout: 5000,
+          maxRedirects: 5,
+          validateStatus: () => true,
+          maxContentLength: 1024 // Only fetch small amount for validation
+        });
+
+        return {
+          status: response.status >= 200 && response.status < 400 ? 'valid' : 'broken',
+          statusCode: response.status,
+          ok: response.status >= 200 && response.status < 400,
+          sameOrigin,
+          errorMessage: response.status >= 400 ? `HTTP ${response.status}` : undefined
+        };
+      } catch (getError) {
+        return {
+          status: 'broken',
+          ok: false,
+          sameOrigin,
+          errorMessage: getError.message || 'Unable to reach URL'
+        };
+      }
+    }
+  } catch (error) {
+    return {
+      status: 'invalidHref',
+      ok: false,
+      errorMessage: error.message || 'Invalid URL format'
+    };
+  }
+};
+
+/**
+ * Analyzes the HEAD section of the document using Playwright
+ */
+export const analyzeHead = async (page, baseUrl) => {
+  const headData = await page.evaluate(() => {
+    const head = document.head;
+    const analysis = {
+      title: {
+        hasTitle: false,
+        titleText: null
+      },
+      metaTags: [],
+      linkTags: []
+    };
+
+    // Analyze title
+    const titleElement = head.querySelector('title');
+    if (titleElement) {
+      analysis.title.hasTitle = true;
+      analysis.title.titleText = titleElement.textContent?.trim() || null;
+    }
+
+    // Analyze meta tags
+    const metaTags = head.querySelectorAll('meta');
+    metaTags.forEach((meta) => {
+      analysis.metaTags.push({
+        nameOrProperty: meta.getAttribute('name') || meta.getAttribute('property') || meta.getAttribute('http-equiv') || null,
+        contentOrValue: meta.getAttribute('content') || meta.getAttribute('charset') || null,
+        charset: meta.getAttribute('charset') || null,
+        httpEquiv: meta.getAttribute('http-equiv') || null,
+        property: meta.getAttribute('property') || null
+      });
+    });
+
+    // Analyze link tags
+    const linkTags = head.querySelectorAll('link');
+    linkTags.forEach((link) => {
+      analysis.linkTags.push({
+        href: link.getAttribute('href') || null,
+        rel: link.getAttribute('rel') || null,
+        type: link.getAttribute('type') || null,
+        as: link.getAttribute('as') || null
+      });
+    });
+
+    return analysis;
+  });
+
+  const analysis = {
+    title: headData.title,
+    metaSummary: {
+      important: [],
+      all: []
+    },
+    linkSummary: []
+  };
+
+  // Process meta tags
+  const importantMetaNames = ['description', 'viewport', 'charset'];
+  headData.metaTags.forEach((meta) => {
+    analysis.metaSummary.all.push(meta);
+
+    // Check if it's an important meta tag
+    if (meta.nameOrProperty && importantMetaNames.includes(meta.nameOrProperty.toLowerCase())) {
+      analysis.metaSummary.important.push({
+        ...meta,
+        present: true
+      });
+    }
+  });
+
+  // Check for charset via meta charset or http-equiv
+  const hasCharset = headData.metaTags.some(meta => 
+    meta.charset || meta.httpEquiv === 'Content-Type'
+  );
+  if (!hasCharset) {
+    analysis.metaSummary.important.push({
+      nameOrProperty: 'charset',
+      contentOrValue: null,
+      present: false
+    });
+  }
+
+  // Ensure all important meta tags are checked
+  importantMetaNames.forEach((name) => {
+    const found = analysis.metaSummary.important.find(
+      (m) => m.nameOrProperty?.toLowerCase() === name.toLowerCase()
+    );
+    if (!found) {
+      analysis.metaSummary.important.push({
+        nameOrProperty: name,
+        contentOrValue: null,
+        present: false
+      });
+    }
+  });
+
+  // Analyze link tags with validation
+  // Optimize: Skip validation for common CDN links and limit validation to first 30 links
+  const commonCDNDomains = ['cdn.jsdelivr.net', 'cdnjs.cloudflare.com', 'unpkg.com', 
+                            'fonts.googleapis.com', 'fonts.gstatic.com', 'ajax.googleapis.com',
+                            'cdn.jsdelivr.net', 'maxcdn.bootstrapcdn.com', 'cdn.jsdelivr.net'];
+  
+  const linkPromises = headData.linkTags.slice(0, 30).map(async (link) => {
+    // Skip validation for CDN links - assume they're valid
+    if (link.href) {
+      try {
+        const resolvedUrl = new URL(link.href, baseUrl);
+        const linkHost = resolvedUrl.hostname;
+        if (commonCDNDomains.some(cdn => linkHost.includes(cdn))) {
+          return {
+            ...link,
+            status: 'valid',
+            statusCode: 200,
+            ok: true,
+            sameOrigin: false,
+            errorMessage: undefined
+          };
+        }
+      } catch {
+        // Continue with validation if URL parsing fails
+      }
+    }
+    
+    const validation = await validateLink(link.href, baseUrl);
+    return {
+      ...link,
+      ...validation
+    };
+  });
+
+  // For remaining links, mark as not validated
+  const remainingLinks = headData.linkTags.slice(30).map(link => ({
+    ...link,
+    status: 'not_validated',
+    statusCode: null,
+    ok: null,
+    sameOrigin: null,
+    errorMessage: 'Skipped (too many links)'
+  }));
+
+  const validatedLinks = await Promise.all(linkPromises);
+  analysis.linkSummary = [...validatedLinks, ...remainingLinks];
+
+  return analysis;
+};
+
+/**
+ * Tests interactive elements using Playwright
+ * Optimized: All element tests run in parallel for maximum performance
+ */
+export const testInteractiveElements = async (page, bodyAnalysis) => {
+  // Test all element types in parallel
+  const [buttonResults, inputResults, dropdownResults, checkboxResults] = await Promise.all([
+    // Test all buttons in parallel
+    Promise.all(
+      bodyAnalysis.buttons.map(async (button) => {
+        try {
+          const { element, selector } = await findElementWithMultipleStrategies(page, button, 'button');
+
+          if (element) {
+            // Parallelize all property checks
+            const [isVisible, isEnabled, boundingBox] = await Promise.all([
+              element.isVisible().catch(() => false),
+              element.isEnabled().catch(() => false),
+              element.boundingBox().catch(() => null)
+            ]);
+            const isClickable = isVisible && isEnabled && boundingBox !== null;
+
+            return {
+              ...button,
+              testResults: {
+                clickable: isClickable,
+                visible: isVisible,
+                enabled: isEnabled,
+                hasDimensions: boundingBox !== null,
+                selector: selector,
+                error: null
+              }
+            };
+          } else {
+            return {
+              ...button,
+              testResults: {
+                clickable: false,
+                visible: false,
+                enabled: false,
+                hasDimensions: false,
+                selector: null,
+                error: 'Element not found using any selector strategy'
+              }
+            };
+          }
+        } catch (error) {
+          return {
+            ...button,
+            testResults: {
+              clickable: false,
+              visible: false,
+              enabled: false,
+              hasDimensions: false,
+              selector: null,
+              error: error.message
+            }
+          };
+        }
+      })
+    ),
+
+    // Test all inputs in parallel
+    Promise.all(
+      bodyAnalysis.inputs.map(async (input) => {
+        try {
+          const { element, selector } = await findElementWithMultipleStrategies(page, input, 'input');
+
+          if (element) {
+            // Parallelize all property checks
+            const [isVisible, isEnabled, isReadOnly, isDisabled, boundingBox] = await Promise.all([
+              element.isVisible().catch(() => false),
+              element.isEnabled().catch(() => false),
+              element.getAttribute('readonly').catch(() => null).then(val => val !== null),
+              element.getAttribute('disabled').catch(() => null).then(val => val !== null),
+              element.boundingBox().catch(() => null)
+            ]);
+            const isFillable = isVisible && isEnabled && !isReadOnly && !isDisabled && boundingBox !== null;
+
+            // Try to fill with test text (only if fillable)
+            let fillable = false;
+            if (isFillable) {
+              try {
+                await element.fill('test', { timeout: 800 });
+                fillable = true;
+                await element.fill('').catch(() => {});
+              } catch {
+                fillable = false;
+              }
+            }
+
+            return {
+              ...input,
+              testResults: {
+                fillable: fillable,
+                visible: isVisible,
+                enabled: isEnabled,
+                readonly: isReadOnly,
+                disabled: isDisabled,
+                hasDimensions: boundingBox !== null,
+                selector: selector,
+                error: null
+              }
+            };
+          } else {
+            return {
+              ...input,
+              testResults: {
+                fillable: false,
+                visible: false,
+                enabled: false,
+                readonly: false,
+                disabled: false,
+                hasDimensions: false,
+                selector: null,
+                error: 'Element not found using any selector strategy'
+              }
+            };
+          }
+        } catch (error) {
+          return {
+            ...input,
+            testResults: {
+              fillable: false,
+              visible: false,
+              enabled: false,
+              readonly: false,
+              disabled: false,
+              hasDimensions: false,
+              selector: null,
+              error: error.message
+            }
+          };
+        }
+      })
+    ),
+
+    // Test all dropdowns in parallel
+    Promise.all(
+      bodyAnalysis.dropdowns.map(async (dropdown) => {
+        try {
+          const { element, selector } = await findElementWithMultipleStrategies(page, dropdown, 'select');
+
+          if (element) {
+            // Parallelize all property checks
+            const [isVisible, isEnabled, boundingBox] = await Promise.all([
+              element.isVisible().catch(() => false),
+              element.isEnabled().catch(() => false),
+              element.boundingBox().catch(() => null)
+            ]);
+            const isClickable = isVisible && isEnabled && boundingBox !== null;
+
+            // Try to select an option
+            let selectable = false;
+            if (isClickable && dropdown.options && dropdown.options.length > 0) {
+              try {
+                const firstOptionValue = dropdown.options[0].value || dropdown.options[0].text;
+                await element.selectOption(firstOptionValue, { timeout: 800 });
+                selectable = true;
+              } catch {
+                selectable = false;
+              }
+            }
+
+            return {
+              ...dropdown,
+              testResults: {
+                clickable: isClickable,
+                selectable: selectable,
+                visible: isVisible,
+                enabled: isEnabled,
+                hasDimensions: boundingBox !== null,
+                selector: selector,
+                error: null
+              }
+            };
+          } else {
+            return {
+              ...dropdown,
+              testResults: {
+                clickable: false,
+                selectable: false,
+                visible: false,
+                enabled: false,
+                hasDimensions: false,
+                selector: null,
+                error: 'Element not found using any selector strategy'
+              }
+            };
+          }
+        } catch (error) {
+          return {
+            ...dropdown,
+            testResults: {
+              clickable: false,
+              selectable: false,
+              visible: false,
+              enabled: false,
+              hasDimensions: false,
+              selector: null,
+              error: error.message
+            }
+          };
+        }
+      })
+    ),
+
+    // Test all checkboxes in parallel
+    Promise.all(
+      bodyAnalysis.checkboxes.map(async (checkbox) => {
+        try {
+          const { element, selector } = await findElementWithMultipleStrategies(page, checkbox, 'checkbox');
+
+          if (element) {
+            // Parallelize all property checks
+            const [isVisible, isEnabled, boundingBox] = await Promise.all([
+              element.isVisible().catch(() => false),
+              element.isEnabled().catch(() => false),
+              element.boundingBox().catch(() => null)
+            ]);
+            const isClickable = isVisible && isEnabled && boundingBox !== null;
+
+            // Try to toggle checkbox
+            let toggleable = false;
+            if (isClickable) {
+              try {
+                const wasChecked = await element.isChecked().catch(() => false);
+                await element.click({ timeout: 800 });
+                const isNowChecked = await element.isChecked().catch(() => false);
+                toggleable = wasChecked !== isNowChecked;
+                if (toggleable) {
+                  await element.click().catch(() => {});
+                }
+              } catch {
+                toggleable = false;
+              }
+            }
+
+            return {
+              ...checkbox,
+              testResults: {
+                clickable: isClickable,
+                toggleable: toggleable,
+                visible: isVisible,
+                enabled: isEnabled,
+                hasDimensions: boundingBox !== null,
+                selector: selector,
+                error: null
+              }
+            };
+          } else {
+            return {
+              ...checkbox,
+              testResults: {
+                clickable: false,
+                toggleable: false,
+                visible: false,
+                enabled: false,
+                hasDimensions: false,
+                selector: null,
+                error: 'Element not found using any selector strategy'
+              }
+            };
+          }
+        } catch (error) {
+          return {
+            ...checkbox,
+            testResults: {
+              clickable: false,
+              toggleable: false,
+              visible: false,
+              enabled: false,
+              hasDimensions: false,
+              selector: null,
+              error: error.message
+            }
+          };
+        }
+      })
+    )
+  ]);
+
+  return {
+    buttons: buttonResults,
+    inputs: inputResults,
+    dropdowns: dropdownResults,
+    checkboxes: checkboxResults
+  };
+};
+
+/**
+ * Analyzes the BODY section of the document using Playwright
+ */
+export const analyzeBody = async (page) => {
+  const bodyData = await page.evaluate(() => {
+    const body = document.body;
+    const analysis = {
+      buttons: [],
+      dropdowns: [],
+      inputs: [],
+      checkboxes: []
+    };
+
+    // Analyze buttons
+    const buttonElements = body.querySelectorAll('button');
+    buttonElements.forEach((button) => {
+      const text = button.textContent?.trim() || button.getAttribute('aria-label') || '';
+      const dataAttrs = {};
+      Array.from(button.attributes).forEach((attr) => {
+        if (attr.name.startsWith('data-')) {
+          dataAttrs[attr.name] = attr.value;
+        }
+      });
+
+      analysis.buttons.push({
+        type: button.getAttribute('type') || 'button',
+        text: text,
+        id: button.getAttribute('id') || null,
+        name: button.getAttribute('name') || null,
+        class: button.getAttribute('class') || null,
+        dataAttributes: Object.keys(dataAttrs).length > 0 ? dataAttrs : null
+      });
+    });
+
+    // Analyze input buttons (type="button|submit|reset")
+    const inputButtons = body.querySelectorAll('input[type="button"], input[type="submit"], input[type="reset"]');
+    inputButtons.forEach((input) => {
+      const inputId = input.getAttribute('id');
+      const label = input.closest('label')?.textContent?.trim() ||
+                    (inputId ? body.querySelector(`label[for="${inputId}"]`)?.textContent?.trim() : null) ||
+                    input.getAttribute('aria-label') ||
+                    input.getAttribute('value') ||
+                    '';
+
+      analysis.buttons.push({
+        type: input.getAttribute('type'),
+        text: label,
+        id: inputId || null,
+        name: input.getAttribute('name') || null,
+        class: input.getAttribute('class') || null,
+        dataAttributes: null
+      });
+    });
+
+    // Analyze dropdowns (select elements)
+    const selectElements = body.querySelectorAll('select');
+    selectElements.forEach((select) => {
+      const options = Array.from(select.querySelectorAll('option')).map((option) => ({
+        value: option.getAttribute('value') || option.textContent?.trim() || '',
+        text: option.textContent?.trim() || '',
+        selected: option.selected || option.hasAttribute('selected')
+      }));
+
+      analysis.dropdowns.push({
+        id: select.getAttribute('id') || null,
+        name: select.getAttribute('name') || null,
+        multiple: select.hasAttribute('multiple'),
+        options: options
+      });
+    });
+
+    // Analyze inputs (excluding checkboxes, radio, and button types)
+    const inputElements = body.querySelectorAll('input:not([type="checkbox"]):not([type="radio"]):not([type="button"]):not([type="submit"]):not([type="reset"])');
+    inputElements.forEach((input) => {
+      const ariaAttrs = {};
+      Array.from(input.attributes).forEach((attr) => {
+        if (attr.name.startsWith('aria-')) {
+          ariaAttrs[attr.name] = attr.value;
+        }
+      });
+
+      analysis.inputs.push({
+        type: input.getAttribute('type') || 'text',
+        name: input.getAttribute('name') || null,
+        id: input.getAttribute('id') || null,
+        placeholder: input.getAttribute('placeholder') || null,
+        required: input.hasAttribute('required'),
+        ariaAttributes: Object.keys(ariaAttrs).length > 0 ? ariaAttrs : null
+      });
+    });
+
+    // Analyze checkboxes
+    const checkboxElements = body.querySelectorAll('input[type="checkbox"]');
+    checkboxElements.forEach((checkbox) => {
+      const checkboxId = checkbox.getAttribute('id');
+      let labelText = null;
+
+      // Try to find associated label
+      if (checkboxId) {
+        const label = body.querySelector(`label[for="${checkboxId}"]`);
+        if (label) {
+          labelText = label.textContent?.trim() || null;
+        }
+      }
+
+      // If no label found, check if checkbox is wrapped in a label
+      if (!labelText) {
+        const parentLabel = checkbox.closest('label');
+        if (parentLabel) {
+          labelText = parentLabel.textContent?.trim() || null;
+        }
+      }
+
+      analysis.checkboxes.push({
+        id: checkboxId || null,
+        name: checkbox.getAttribute('name') || null,
+        checked: checkbox.checked || checkbox.hasAttribute('checked'),
+        labelText: labelText
+      });
+    });
+
+    return analysis;
+  });
+
+  return bodyData;
+};
@@ -0,0 +1,252 @@
+import { evaluateWithHelpers } from "./pageHelper.js";
+
+/**
+ * DOM preprocessing for the LLM.
+ *
+ * Instead of the raw HTML (mostly <head> scripts and inline CSS on real pages)
+ * the model gets an indented outline of the rendered, visible UI:
+ *
+ *   @1 header
+ *     @2 nav "Main menu"
+ *       @3 a[href=/pricing] "Pricing" {#nav > a:nth-of-type(2)}
+ *       … 6 more similar a
+ *   @4 main
+ *     @5 h1 "Welcome back"
+ *     @6 input[type=email name=email required] placeholder="Email" {#email}
+ *
+ * Scripts, styles, templates and SVG internals are dropped, hidden elements are
+ * skipped, wrapper <div>s without text of their own are flattened, runs of
+ * similar siblings (list items, cards, table rows) are collapsed after the
+ * first few, and interactive elements carry a CSS selector in {braces}.
+ * Every element line has an @reference the LLM cites as evidence; the summary
+ * keeps each reference's selector and bounding box (page coordinates).
+ * Large outlines are split into chunks at section boundaries.
+ */
+
+const MAX_LINES = 5000;
+
+// Similar siblings kept before the rest are collapsed into one line
+const KEEP_SIMILAR = 3;
+
+const MAX_TEXT = 160;
+
+export const DEFAULT_CHUNK_SIZE = Number(process.env.LLM_DOM_CHUNK_SIZE) || 12000;
+
+/**
+ * Builds the outline of the visible page
+ * @param {import('playwright').Page} page
+ * @returns {Promise<{lines: Array<{depth: number, text: string, ref?: string, selector?: string, box?: Object}>, stats: Object}>}
+ */
+export const summarizeDom = (page) =>
+  evaluateWithHelpers(page, ({ maxLines, keepSimilar, maxText }) => {
+    const SKIPPED = new Set(["SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE", "LINK", "META", "BASE", "HEAD"]);
+    // Always get their own line, even without text
+    const SHOWN = new Set([
+      "HEADER", "NAV", "MAIN", "FOOTER", "ASIDE", "SECTION", "ARTICLE", "FORM", "FIELDSET", "LEGEND",
+      "DIALOG", "UL", "OL", "LI", "TABLE", "TR", "TH", "TD", "H1", "H2", "H3", "H4", "H5", "H6",
+      "P", "LABEL", "IMG", "VIDEO", "AUDIO", "IFRAME", "CANVAS", "SVG", "DETAILS", "SUMMARY", "BLOCKQUOTE", "PRE"
+    ]);
+    const INTERACTIVE = new Set(["A", "BUTTON", "INPUT", "SELECT", "TEXTAREA", "SUMMARY"]);
+    // Described by their line alone; their children are not walked
+    const LEAVES = new Set(["SVG", "IMG", "VIDEO", "AUDIO", "CANVAS", "IFRAME", "SELECT", "TEXTAREA"]);
+    // Described with their full (nested) text
+    const TEXT_BLOCKS = new Set(["A", "BUTTON", "SUMMARY", "LABEL", "LI", "TD", "TH", "P", "LEGEND", "H1", "H2", "H3", "H4", "H5", "H6"]);
+    const ATTRIBUTES = ["type", "name", "role", "aria-label", "aria-expanded", "aria-hidden", "href", "alt", "for", "action", "method"];
+    const FLAGS = ["required", "disabled", "readonly", "checked"];
+
+    const { cssPath } = window.__bugFinder;
+
+    const clip = (text) => {
+      const value = (text || "").replace(/\s+/g, " ").trim();
+      return value.length > maxText ? `${value.slice(0, maxText)}…` : value;
+    };
+
+    // SVG elements report lower-case tag names
+    const tagOf = (element) => element.tagName.toUpperCase();
+
+    const isVisible = (element) => {
+      if (tagOf(element) === "INPUT" && element.type === "hidden") return false;
+      const style = getComputedStyle(element);
+      if (style.display === "none" || style.visibility === "hidden") return false;
+      // display: contents has no box but its children render
+      if (style.display === "contents") return true;
+      const rect = element.getBoundingClientRect();
+      // Zero-size boxes still show overflowing children
+      return rect.width > 0 || rect.height > 0 || (style.overflow === "visible" && element.children.length > 0);
+    };
+
+    const isInteractive = (element) =>
+      INTERACTIVE.has(tagOf(element)) ||
+      ["button", "link", "tab", "menuitem", "checkbox", "switch"].includes(element.getAttribute("role")) ||
+      element.hasAttribute("onclick") ||
+      (element.tabIndex >= 0 && element.hasAttribute("tabindex"));
+
+    const ownText = (element) =>
+      clip(Array.from(element.childNodes).filter((node) => node.nodeType === 3).map((node) => node.textContent).join(" "));
+
+    // Two siblings are "similar" when tag and class list match
+    const signature = (element) => `${tagOf(element)}.${Array.from(element.classList).sort().join(".")}`;
+
+    const usesInnerText = (element) => TEXT_BLOCKS.has(tagOf(element)) || (isInteractive(element) && element.innerText !== undefined);
+
+    const describe = (element) => {
+      const tag = element.tagName.toLowerCase();
+      const attributes = ATTRIBUTES
+        .filter((name) => element.hasAttribute(name) && element.getAttribute(name) !== "")
+        .map((name) => `${name}=${clip(element.getAttribute(name)).slice(0, 80)}`);
+      FLAGS.forEach((name) => element.hasAttribute(name) && attributes.push(name));
+
+      let text = "";
+      if (tag === "svg") {
+        text = clip(element.querySelector("title")?.textContent);
+      } else if (usesInnerText(element)) {
+        text = clip(element.innerText);
+      } else {
+        text = ownText(element);
+      }
+
+      let line = attributes.length > 0 ? `${tag}[${attributes.join(" ")}]` : tag;
+      if (text) line += ` "${text}"`;
+      if (["INPUT", "TEXTAREA"].includes(tagOf(element)) && element.placeholder) line += ` placeholder="${clip(element.placeholder)}"`;
+      if (tagOf(element) === "SELECT") line += ` options=${element.options.length}`;
+      if (tagOf(element) === "IMG") {
+        const rect = element.getBoundingClientRect();
+        line += ` src=${clip(element.getAttribute("src")).slice(0, 80)} ${Math.round(rect.width)}x${Math.round(rect.height)}`;
+        if (!element.complete || element.naturalWidth === 0) line += " (not loaded)";
+      }
+      if (tagOf(element) === "IFRAME") line += ` src=${clip(element.getAttribute("src")).slice(0, 80)}`;
+      if (isInteractive(element)) line += ` {${cssPath(element)}}`;
+      return line;
+    };
+
+    const lines = [];
+    const stats = { elements: 0, hidden: 0, collapsed: 0, truncated: false };
+    let elementCount = 0;
+
+    // `inText`: an ancestor's line already holds this text, so only controls and media get their own lines
+    const walk = (element, depth, inText) => {
+      if (lines.length >= maxLines) {
+        stats.truncated = true;
+        return;
+      }
+      const tag = tagOf(element);
+      if (SKIPPED.has(tag)) return;
+      stats.elements += 1;
+      if (!isVisible(element)) {
+        stats.hidden += 1;
+        return;
+      }
+
+      // Shown elements and wrappers with text of their own get a line; other wrappers are flattened
+      const shown = inText
+        ? isInteractive(element) || LEAVES.has(tag) || tag === "INPUT"
+        : SHOWN.has(tag) || element.hasAttribute("role") || isInteractive(element) || ownText(element) !== "";
+      if (shown) {
+        const rect = element.getBoundingClientRect();
+        lines.push({
+          depth,
+          text: describe(element),
+          ref: `@${(elementCount += 1)}`,
+          selector: cssPath(element),
+          box: {
+            x: Math.round(rect.left + window.scrollX),
+            y: Math.round(rect.top + window.scrollY),
+            width: Math.round(rect.width),
+            height: Math.round(rect.height)
+          }
+        });
+      }
+      if (LEAVES.has(tag)) return;
+
+      const childInText = inText || (shown && usesInnerText(element));
+      const childDepth = shown ? depth + 1 : depth;
+      let previous = null;
+      let run = 0;
+      let skipped = 0;
+      const flush = () => {
+        if (skipped > 0) {
+          lines.push({ depth: childDepth, text: `… ${skipped} more similar ${previous.split(".")[0].toLowerCase()}` });
+          stats.collapsed += skipped;
+        }
+        skipped = 0;
+      };
+
+      for (const child of element.children) {
+        const current = signature(child);
+        if (current === previous) {
+          run += 1;
+        } else {
+          flush();
+          run = 1;
+          previous = current;
+        }
+        if (run > keepSimilar) {
+          skipped += 1;
+          continue;
+        }
+        walk(child, childDepth, childInText);
+      }
+      flush();
+    };
+
+    walk(document.body, 0, false);
+
+    return {
+      lines,
+      stats: {
+        ...stats,
+        htmlLength: document.documentElement.outerHTML.length,
+        lines: lines.length
+      }
+    };
+  }, { maxLines: MAX_LINES, keepSimilar: KEEP_SIMILAR, maxText: MAX_TEXT });
+
+const renderLine = (line) => `${"  ".repeat(line.depth)}${line.ref ? `${line.ref} ` : ""}${line.text}`;
+
+/**
+ * Splits the outline into chunks of about `maxChars`, breaking before the
+ * shallowest line in the second half of a chunk so sections stay together.
+ * Every chunk after the first starts with the path of its enclosing elements.
+ * @param {{lines: Array}} summary - Result of summarizeDom()
+ * @param {number} maxChars
+ * @returns {string[]}
+ */
+export const chunkDomSummary = ({ lines }, maxChars = DEFAULT_CHUNK_SIZE) => {
+  const chunks = [];
+  let start = 0;
+
+  while (start < lines.length) {
+    let end = start;
+    let size = 0;
+    while (end < lines.length && (end === start || size + renderLine(lines[end]).length + 1 <= maxChars)) {
+      size += renderLine(lines[end]).length + 1;
+      end += 1;
+    }
+
+    if (end < lines.length) {
+      // Latest of the shallowest lines in the second half
+      const from = start + Math.ceil((end - start) / 2);
+      let best = end;
+      for (let index = end - 1; index >= from; index -= 1) {
+        if (lines[index].depth < lines[best].depth) best = index;
+      }
+      end = Math.max(start + 1, best);
+    }
+
+    // Enclosing elements of the chunk's first line, nearest last
+    const path = [];
+    let depth = lines[start].depth;
+    for (let index = start - 1; index >= 0 && depth > 0; index -= 1) {
+      if (lines[index].depth < depth) {
+        path.unshift(lines[index].text.split(" {")[0].slice(0, 60));
+        depth = lines[index].depth;
+      }
+    }
+
+    const body = lines.slice(start, end).map(renderLine).join("\n");
+    chunks.push(path.length > 0 ? `(inside: ${path.join(" > ")})\n${body}` : body);
+    start = end;
+  }
+
+  return chunks;
+};
@@ -0,0 +1,265 @@
+import YAML from "yaml";
+import { findElementWithMultipleStrategies } from "./elementFinder.js";
+import { navigateAndSettle } from "./pageHelper.js";
+
+/**
+ * User-defined interaction flows.
+ *
+ * A flow is a list of steps (JSON or YAML), run in order on one page:
+ *
+ *   - action: navigate     url: /login            (relative to the flow URL)
+ *   - action: click        selector: "#submit"    or  text: "Sign in"
+ *   - action: fill         selector: "#email"     value: "me@example.com"   (or label/placeholder/name instead of selector)
+ *   - action: select       selector: "#country"   value: "NL"               (option value or label)
+ *   - action: waitFor      selector: ".results"   timeout: 10000
+ *   - action: assertText   text: "Welcome"        selector: "h1"            (selector optional: whole page)
+ *
+ * Every step may have a `description`. After each step a screenshot and the
+ * console/network errors raised during the step are captured; the first
+ * failing step stops the flow and the remaining steps are reported as skipped.
+ */
+
+export const FLOW_ACTIONS = ["navigate", "click", "fill", "select", "waitFor", "assertText"];
+
+export const MAX_FLOW_STEPS = 50;
+
+const DEFAULT_STEP_TIMEOUT = 10000;
+
+// Element type passed to findElementWithMultipleStrategies for each action
+const ELEMENT_TYPES = { click: "button", fill: "input", select: "select" };
+
+/**
+ * Parses a flow from an array, `{ steps: [...] }` or a JSON/YAML string and validates every step
+ * @returns {{steps: Array, url?: string}|{error: string}}
+ */
+export const parseFlow = (input) => {
+  let flow = input;
+  if (typeof flow === "string") {
+    try {
+      // YAML is a superset of JSON, so one parser handles both
+      flow = YAML.parse(flow);
+    } catch (error) {
+      return { error: `Flow is not valid JSON or YAML: ${error.message}` };
+    }
+  }
+
+  const steps = Array.isArray(flow) ? flow : flow?.steps;
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return { error: "Flow must be a non-empty list of steps (or an object with a steps list)" };
+  }
+  if (steps.length > MAX_FLOW_STEPS) {
+    return { error: `Flows are limited to ${MAX_FLOW_STEPS} steps` };
+  }
+
+  for (const [index, step] of steps.entries()) {
+    const where = `Step ${index + 1}`;
+    if (!step || typeof step !== "object") {
+      return { error: `${where} must be an object` };
+    }
+    if (!FLOW_ACTIONS.includes(step.action)) {
+      return { error: `${where}: action must be one of ${FLOW_ACTIONS.join(", ")}` };
+    }
+    const targetsElement = step.selector || step.text || step.label || step.placeholder || step.name || step.id;
+    if (step.action === "navigate" && !step.url) {
+      return { error: `${where}: navigate needs a url` };
+    }
+    if (["click", "fill", "select"].includes(step.action) && !targetsElement) {
+      return { error: `${where}: ${step.action} needs a selector (or text, label, placeholder, name, id)` };
+    }
+    if (["fill", "select"].includes(step.action) && step.value === undefined) {
+      return { error: `${where}: ${step.action} needs a value` };
+    }
+    if (step.action === "waitFor" && !step.selector && !step.text) {
+      return { error: `${where}: waitFor needs a selector or text` };
+    }
+    if (step.action === "assertText" && !step.text) {
+      return { error: `${where}: assertText needs the expected text` };
+    }
+  }
+
+  return { steps, url: Array.isArray(flow) ? undefined : flow.url };
+};
+
+// What a step points at, for messages
+const stepTarget = (step) =>
+  step.selector || (step.text && `"${step.text}"`) || step.label || step.placeholder || step.name || step.id;
+
+/**
+ * Human-readable summary of a step, used when it has no description
+ */
+const describeStep = (step) => {
+  const target = stepTarget(step);
+  switch (step.action) {
+    case "navigate":
+      return `Navigate to ${step.url}`;
+    case "fill":
+      return `Fill ${target}`;
+    case "select":
+      return `Select "${step.value}" in ${target}`;
+    case "assertText":
+      return `Expect "${step.text}"${step.selector ? ` in ${step.selector}` : ""}`;
+    default:
+      return `${step.action === "waitFor" ? "Wait for" : "Click"} ${target}`;
+  }
+};
+
+/**
+ * Finds the element a step targets: an explicit selector is waited for,
+ * anything else goes through the same strategies as the element tests
+ */
+const locateElement = async (page, step, timeout) => {
+  if (step.selector) {
+    const element = await page.waitForSelector(step.selector, { state: "visible", timeout }).catch(() => null);
+    if (!element) throw new Error(`Element "${step.selector}" not found or not visible`);
+    return { element, selector: step.selector };
+  }
+
+  const elementInfo = {
+    id: step.id,
+    name: step.name,
+    text: step.text,
+    labelText: step.label,
+    placeholder: step.placeholder
+  };
+
+  // Elements rendered after the previous step may need a moment to appear
+  const deadline = Date.now() + timeout;
+  do {
+    const found = await findElementWithMultipleStrategies(page, elementInfo, ELEMENT_TYPES[step.action]);
+    if (found.element) return found;
+    await page.waitForTimeout(250);
+  } while (Date.now() < deadline);
+
+  throw new Error(`No element found for ${stepTarget(step)}`);
+};
+
+const runStep = async (page, step, { baseUrl, timeout }) => {
+  switch (step.action) {
+    case "navigate": {
+      const target = new URL(step.url, page.url() === "about:blank" ? baseUrl : page.url()).href;
+      await navigateAndSettle(page, target, { networkIdleTimeout: timeout, settleTime: 300 });
+      return { selector: null };
+    }
+    case "click": {
+      const { element, selector } = await locateElement(page, step, timeout);
+      await element.click({ timeout });
+      // Give navigations and client-side updates triggered by the click a chance to start
+      await page.waitForLoadState("domcontentloaded", { timeout }).catch(() => {});
+      await page.waitForTimeout(300);
+      return { selector };
+    }
+    case "fill": {
+      const { element, selector } = await locateElement(page, step, timeout);
+      await element.fill(String(step.value), { timeout });
+      return { selector };
+    }
+    case "select": {
+      const { element, selector } = await locateElement(page, step, timeout);
+      const value = String(step.value);
+      // Match the option value first, then its visible label
+      const options = await element.evaluate((select) =>
+        Array.from(select.options || [], (option) => ({ value: option.value, label: option.label }))
+      );
+      const option = options.find((entry) => entry.value === value) || options.find((entry) => entry.label.trim() === value);
+      if (!option) throw new Error(`Option "${value}" not found in ${selector}`);
+      await element.selectOption({ value: option.value }, { timeout });
+      return { selector };
+    }
+    case "waitFor": {
+      if (step.selector) {
+        await page.waitForSelector(step.selector, { state: "visible", timeout });
+      } else {
+        await page.getByText(step.text, { exact: false }).first().waitFor({ state: "visible", timeout });
+      }
+      return { selector: step.selector || null };
+    }
+    case "assertText": {
+      const scope = step.selector ? page.locator(step.selector).first() : page.locator("body");
+      const actual = await scope.innerText({ timeout }).catch(() => {
+        throw new Error(`Element "${step.selector}" not found`);
+      });
+      if (!actual.toLowerCase().includes(String(step.text).toLowerCase())) {
+        const excerpt = actual.trim().replace(/\s+/g, " ").slice(0, 120);
+        throw new Error(`Expected text "${step.text}" not found${step.selector ? ` in ${step.selector}` : ""} (found: "${excerpt}")`);
+      }
+      return { selector: step.selector || null };
+    }
+    default:
+      throw new Error(`Unknown action: ${step.action}`);
+  }
+};
+
+/**
+ * Runs a parsed flow on a page. The page should already collect errors via
+ * collectPageErrors(); its arrays are passed in so each step reports only
+ * what happened during that step.
+ * @param {import('playwright').Page} page
+ * @param {Array} steps - Steps from parseFlow()
+ * @param {Object} options
+ * @param {string} options.url - Start URL; relative navigate URLs resolve against it
+ * @param {{consoleErrors: Array, networkErrors: Array}} options.errors - Live error arrays from collectPageErrors()
+ * @param {Function} options.onStep - Called with each step result as soon as it finishes
+ * @returns {Promise<{passed: boolean, failedStep: number|null, error: string|null, steps: Array}>}
+ *   `failedStep` is the zero-based index of the step that broke the flow
+ */
+export const runFlow = async (page, steps, options = {}) => {
+  const { url, errors = { consoleErrors: [], networkErrors: [] }, onStep = () => {} } = options;
+
+  // Flows that do not start with navigate begin on the flow URL
+  if (steps[0].action !== "navigate") {
+    await navigateAndSettle(page, url);
+  }
+
+  const results = [];
+  let failedStep = null;
+
+  for (const [index, step] of steps.entries()) {
+    const base = { index, action: step.action, description: step.description || describeStep(step) };
+
+    if (failedStep !== null) {
+      results.push({ ...base, status: "skipped" });
+      continue;
+    }
+
+    const consoleStart = errors.consoleErrors.length;
+    const networkStart = errors.networkErrors.length;
+    const startedAt = Date.now();
+    let status = "passed";
+    let selector = null;
+    let error = null;
+
+    try {
+      ({ selector } = await runStep(page, step, { baseUrl: url, timeout: step.timeout || DEFAULT_STEP_TIMEOUT }));
+    } catch (stepError) {
+      status = "failed";
+      error = stepError.message.split("\n")[0];
+      failedStep = index;
+    }
+
+    const screenshot = await page.screenshot({ fullPage: false, scale: "css", timeout: 5000 })
+      .then((buffer) => buffer.toString("base64"))
+      .catch(() => null);
+
+    const result = {
+      ...base,
+      status,
+      selector,
+      error,
+      durationMs: Date.now() - startedAt,
+      pageUrl: page.url(),
+      screenshot,
+      consoleErrors: errors.consoleErrors.slice(consoleStart),
+      networkErrors: errors.networkErrors.slice(networkStart)
+    };
+    results.push(result);
+    onStep(result);
+  }
+
+  const failure = failedStep === null ? null : results[failedStep];
+  return {
+    passed: failedStep === null,
+    failedStep,
+    error: failure ? `Step ${failedStep + 1} (${failure.description}) failed: ${failure.error}` : null,
+    steps: results
+  };
+};
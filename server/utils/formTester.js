@@ -0,0 +1,404 @@
+import { navigateAndSettle, evaluateWithHelpers } from "./pageHelper.js";
+
+/**
+ * Form submission testing.
+ *
+ * For every <form> on the page (up to MAX_FORMS) two runs are made on a
+ * freshly loaded page:
+ *   - valid:   every field gets type-appropriate data that satisfies its
+ *              required/pattern/min/max/length constraints, then the form is
+ *              submitted. Data the browser still rejects is reported.
+ *   - invalid: fields with constraints get values that break them, then the
+ *              form is submitted. Validation has to stop the submission.
+ * Each run records the values used, validation messages, the requests made
+ * after submitting, console errors and error texts shown by the page.
+ *
+ * Forms are really submitted, so only run this against test environments.
+ */
+
+const MAX_FORMS = 5;
+
+// Time to wait for requests/navigation caused by a submit
+const SUBMIT_SETTLE_MS = 2500;
+
+const FIELD_ATTRIBUTE = "data-smart-bug-finder-field";
+
+// Candidate values per input type; the first one the browser accepts is used
+const VALID_CANDIDATES = {
+  email: ["test.user@example.com", "qa@example.org"],
+  url: ["https://example.com", "https://example.com/test"],
+  tel: ["+15555550123", "5555550123", "555-555-0123", "0123456789"],
+  password: ["Test-Password-123!", "Password123", "testpass"],
+  search: ["test"],
+  date: ["2024-01-15"],
+  "datetime-local": ["2024-01-15T10:30"],
+  time: ["10:30"],
+  month: ["2024-01"],
+  week: ["2024-W03"],
+  color: ["#336699"]
+};
+
+// Values for text fields, picked by hints in the field's name/label/autocomplete
+const TEXT_HINTS = [
+  [/e-?mail/, ["test.user@example.com"]],
+  [/phone|mobile|tel/, ["+15555550123", "5555550123"]],
+  [/zip|postal|postcode/, ["12345", "1234 AB", "SW1A 1AA"]],
+  [/first.?name|given/, ["Test"]],
+  [/last.?name|family|surname/, ["User"]],
+  [/name/, ["Test User"]],
+  [/city|town/, ["Springfield"]],
+  [/address|street/, ["123 Test Street"]],
+  [/country/, ["United States"]],
+  [/company|organi[sz]ation/, ["Example Inc"]],
+  [/url|website/, ["https://example.com"]],
+  [/age|qty|quantity|amount|number|count/, ["42"]]
+];
+
+// Fallbacks for text fields with a pattern nothing else matched
+const PATTERN_FALLBACKS = ["12345", "123456", "1234567890", "ABC123", "abc", "ABCD", "test", "A1", "1"];
+
+const TEXT_TYPES = ["text", "search", "email", "url", "tel", "password", ""];
+
+/**
+ * Describes the fields of one form and tags them with FIELD_ATTRIBUTE so they can be found again
+ */
+const inspectForm = (page, formIndex) =>
+  evaluateWithHelpers(page, ({ formIndex, attribute }) => {
+    const form = document.forms[formIndex];
+    if (!form) return null;
+
+    const isVisible = (element) => {
+      const style = getComputedStyle(element);
+      const rect = element.getBoundingClientRect();
+      return style.display !== "none" && style.visibility !== "hidden" && rect.width > 0 && rect.height > 0;
+    };
+
+    const labelOf = (element) =>
+      (element.labels?.[0]?.innerText ||
+        element.getAttribute("aria-label") ||
+        element.getAttribute("placeholder") ||
+        element.name ||
+        element.id ||
+        element.type ||
+        "").trim().replace(/\s+/g, " ").slice(0, 80);
+
+    const fields = Array.from(form.elements)
+      .filter((element) => ["INPUT", "SELECT", "TEXTAREA"].includes(element.tagName))
+      .filter((element) => !["hidden", "submit", "button", "reset", "image", "file"].includes(element.type))
+      .filter((element) => !element.disabled && !element.readOnly && isVisible(element))
+      .map((element, index) => {
+        element.setAttribute(attribute, String(index));
+        return {
+          index,
+          tag: element.tagName.toLowerCase(),
+          type: element.tagName === "INPUT" ? element.type : element.tagName.toLowerCase(),
+          name: element.name || null,
+          id: element.id || null,
+          label: labelOf(element),
+          autocomplete: element.getAttribute("autocomplete") || null,
+          required: element.required,
+          pattern: element.getAttribute("pattern"),
+          min: element.getAttribute("min"),
+          max: element.getAttribute("max"),
+          step: element.getAttribute("step"),
+          minLength: element.minLength > 0 ? element.minLength : null,
+          maxLength: element.maxLength > 0 ? element.maxLength : null,
+          options: element.tagName === "SELECT"
+            ? Array.from(element.options).map((option) => ({ value: option.value, disabled: option.disabled }))
+            : null
+        };
+      });
+
+    const submit =
+      form.querySelector("button[type='submit'], button:not([type]), input[type='submit'], input[type='image']") ||
+      (form.id ? document.querySelector(`[form="${CSS.escape(form.id)}"][type='submit']`) : null);
+    if (submit) submit.setAttribute(attribute, "submit");
+
+    return {
+      index: formIndex,
+      selector: window.__bugFinder.cssPath(form),
+      name: form.getAttribute("name") || form.getAttribute("aria-label") || null,
+      action: form.action || null,
+      method: (form.getAttribute("method") || "get").toUpperCase(),
+      noValidate: form.noValidate,
+      hasSubmitButton: Boolean(submit),
+      fields
+    };
+  }, { formIndex, attribute: FIELD_ATTRIBUTE });
+
+const clampNumber = (field, value) => {
+  let result = value;
+  if (field.min !== null && field.min !== "" && !Number.isNaN(Number(field.min))) result = Math.max(result, Number(field.min));
+  if (field.max !== null && field.max !== "" && !Number.isNaN(Number(field.max))) result = Math.min(result, Number(field.max));
+  return result;
+};
+
+const fitLength = (field, value) => {
+  let result = value;
+  if (field.minLength && result.length < field.minLength) result = result.padEnd(field.minLength, "x");
+  if (field.maxLength && result.length > field.maxLength) result = result.slice(0, field.maxLength);
+  return result;
+};
+
+/**
+ * Valid value candidates for a field, best guess first
+ */
+const validCandidates = (field) => {
+  if (field.type === "number" || field.type === "range") {
+    const base = field.min !== null && field.min !== "" ? Number(field.min) : 1;
+    return [String(clampNumber(field, Number.isNaN(base) ? 1 : base)), String(clampNumber(field, 42))];
+  }
+  if (["date", "datetime-local", "time", "month", "week"].includes(field.type)) {
+    // Bounds are already in the input's own format
+    return [field.min, field.max, ...VALID_CANDIDATES[field.type]].filter(Boolean);
+  }
+  if (field.type === "textarea") {
+    return [fitLength(field, "This is a test message from the form tester.")];
+  }
+
+  const hint = `${field.name || ""} ${field.id || ""} ${field.label} ${field.autocomplete || ""}`.toLowerCase();
+  const hinted = TEXT_HINTS.find(([regex]) => regex.test(hint))?.[1] || [];
+  const byType = VALID_CANDIDATES[field.type] || [];
+  const candidates = [...byType, ...hinted, "Test value", ...(field.pattern ? PATTERN_FALLBACKS : [])];
+  return [...new Set(candidates.map((value) => fitLength(field, value)))];
+};
+
+/**
+ * A value that breaks one of the field's constraints, or null if it has none we can break
+ * @returns {{value: string, reason: string}|null}
+ */
+const invalidValue = (field) => {
+  if (field.type === "email") return { value: "not-an-email", reason: "malformed email" };
+  if (field.type === "url") return { value: "not a url", reason: "malformed URL" };
+  if (field.type === "number" || field.type === "range") {
+    if (field.min !== null && field.min !== "") return { value: String(Number(field.min) - 1), reason: `below min ${field.min}` };
+    if (field.max !== null && field.max !== "") return { value: String(Number(field.max) + 1), reason: `above max ${field.max}` };
+  }
+  if (field.type === "date" && field.min) {
+    const before = new Date(`${field.min}T00:00:00Z`);
+    before.setUTCDate(before.getUTCDate() - 1);
+    return { value: before.toISOString().slice(0, 10), reason: `before min ${field.min}` };
+  }
+  if (field.pattern && TEXT_TYPES.includes(field.type)) return { value: "!!invalid!!", reason: `does not match pattern ${field.pattern}` };
+  if (field.minLength && TEXT_TYPES.concat("textarea").includes(field.type)) return { value: "a", reason: `shorter than ${field.minLength} characters` };
+  if (field.required) return { value: "", reason: "required but empty" };
+  return null;
+};
+
+const fieldLocator = (page, field) => page.locator(`[${FIELD_ATTRIBUTE}="${field.index}"]`).first();
+
+const fieldState = (locator) =>
+  locator.evaluate((element) => ({ valid: element.validity.valid, message: element.validationMessage })).catch(() => null);
+
+/**
+ * Fills a field with the first candidate the browser accepts
+ */
+const fillValid = async (page, field) => {
+  const locator = fieldLocator(page, field);
+
+  if (field.type === "checkbox") {
+    if (field.required) await locator.check({ timeout: 2000 });
+    return field.required ? "checked" : null;
+  }
+  if (field.type === "radio") {
+    // Checking the first radio of a required group satisfies the group
+    const alreadyChecked = await page.evaluate(
+      (name) => Boolean(name && document.querySelector(`input[type="radio"][name="${CSS.escape(name)}"]:checked`)),
+      field.name
+    );
+    if (!field.required || alreadyChecked) return null;
+    await locator.check({ timeout: 2000 });
+    return "checked";
+  }
+  if (field.type === "select") {
+    const option = field.options.find((entry) => entry.value && !entry.disabled);
+    if (!option) return null;
+    await locator.selectOption(option.value, { timeout: 2000 });
+    return option.value;
+  }
+
+  const candidates = validCandidates(field);
+  for (const candidate of candidates) {
+    await locator.fill(candidate, { timeout: 2000 });
+    if ((await fieldState(locator))?.valid) return candidate;
+  }
+  // Nothing satisfied the constraints; keep the first guess so the rejection is reported
+  await locator.fill(candidates[0], { timeout: 2000 });
+  return candidates[0];
+};
+
+/**
+ * Submits the form and collects what happened within SUBMIT_SETTLE_MS
+ */
+const submitForm = async (page, form) => {
+  const startUrl = page.url();
+  const requests = [];
+  const consoleErrors = [];
+
+  const onRequest = (request) => {
+    if (["document", "xhr", "fetch"].includes(request.resourceType())) {
+      requests.push({ request, method: request.method(), url: request.url(), type: request.resourceType() });
+    }
+  };
+  const onConsole = (message) => {
+    if (message.type() === "error") consoleErrors.push({ text: message.text(), location: message.location() });
+  };
+  page.on("request", onRequest);
+  page.on("console", onConsole);
+
+  try {
+    if (form.hasSubmitButton) {
+      await page.locator(`[${FIELD_ATTRIBUTE}="submit"]`).first().click({ timeout: 3000 });
+    } else {
+      await page.evaluate((index) => document.forms[index]?.requestSubmit(), form.index);
+    }
+    await page.waitForTimeout(300);
+    await page.waitForLoadState("networkidle", { timeout: SUBMIT_SETTLE_MS }).catch(() => {});
+  } finally {
+    page.off("request", onRequest);
+    page.off("console", onConsole);
+  }
+
+  const calls = await Promise.all(
+    requests.map(async ({ request, method, url, type }) => {
+      const response = await request.response().catch(() => null);
+      return { method, url, type, status: response ? response.status() : null };
+    })
+  );
+
+  // Messages pages render themselves (novalidate forms, server-side errors)
+  const errorTexts = await page.evaluate((index) => {
+    const scope = document.forms[index] || document.body;
+    return Array.from(scope.querySelectorAll("[role='alert'], [aria-live='assertive'], .error, .errors, .invalid-feedback, .field-error, [class*='error-message']"))
+      .map((element) => element.innerText?.trim())
+      .filter(Boolean)
+      .slice(0, 10);
+  }, form.index).catch(() => []);
+
+  const navigated = page.url() !== startUrl;
+  const submitted =
+    navigated ||
+    calls.some((call) => call.type === "document" || !["GET", "HEAD", "OPTIONS"].includes(call.method) || (form.action && call.url.startsWith(form.action)));
+
+  return { submitted, navigatedTo: navigated ? page.url() : null, requests: calls, consoleErrors, errorTexts };
+};
+
+/**
+ * One run over a freshly loaded page: fill the form, record the browser's validation, submit
+ */
+const runForm = async (page, url, formIndex, mode) => {
+  await navigateAndSettle(page, url, { networkIdleTimeout: 5000, settleTime: 500 });
+  const form = await inspectForm(page, formIndex);
+  if (!form) throw new Error("Form no longer present after reload");
+
+  const values = [];
+  for (const field of form.fields) {
+    let value = null;
+    let reason = null;
+    try {
+      if (mode === "invalid") {
+        const invalid = invalidValue(field);
+        if (invalid && !["checkbox", "radio", "select"].includes(field.type)) {
+          await fieldLocator(page, field).fill(invalid.value, { timeout: 2000 });
+          ({ value, reason } = invalid);
+        } else if (!field.required || !["checkbox", "radio"].includes(field.type)) {
+          // Unconstrained fields get valid data so only the broken constraints can stop the submit
+          value = await fillValid(page, field);
+        } else {
+          reason = "required but unchecked";
+        }
+      } else {
+        value = await fillValid(page, field);
+      }
+    } catch (error) {
+      values.push({ field: field.label, type: field.type, value, error: error.message.split("\n")[0] });
+      continue;
+    }
+
+    const state = await fieldState(fieldLocator(page, field));
+    values.push({
+      field: field.label,
+      type: field.type,
+      value: field.type === "password" && value ? "••••••" : value,
+      ...(reason && { expectedInvalid: reason }),
+      valid: state ? state.valid : null,
+      validationMessage: state?.message || null
+    });
+  }
+
+  const submission = await submitForm(page, form);
+  return { form, run: { values, ...submission } };
+};
+
+/**
+ * Tests every form on the page with valid and invalid data
+ * @param {import('playwright').Page} page - Page to use (it is navigated several times)
+ * @param {string} url - Page the forms live on; reloaded before every run
+ * @param {Object} options
+ * @param {number} options.maxForms - Forms to test (default: 5)
+ * @returns {Promise<{summary: Object, forms: Array}>}
+ */
+export const testForms = async (page, url, options = {}) => {
+  const { maxForms = MAX_FORMS } = options;
+  const formCount = await page.evaluate(() => document.forms.length);
+  const forms = [];
+
+  for (let index = 0; index < Math.min(formCount, maxForms); index += 1) {
+    const result = { index, runs: {}, issues: [] };
+    try {
+      for (const mode of ["valid", "invalid"]) {
+        const { form, run } = await runForm(page, url, index, mode);
+        Object.assign(result, {
+          selector: form.selector,
+          name: form.name,
+          action: form.action,
+          method: form.method,
+          noValidate: form.noValidate,
+          fieldCount: form.fields.length
+        });
+        result.runs[mode] = run;
+        if (form.fields.length === 0) break;
+      }
+    } catch (error) {
+      result.error = error.message.split("\n")[0];
+    }
+
+    const { valid, invalid } = result.runs;
+    if (valid) {
+      const rejected = valid.values.filter((entry) => entry.valid === false);
+      if (rejected.length > 0) {
+        result.issues.push(`Generated valid data was rejected: ${rejected.map((entry) => `${entry.field} (${entry.validationMessage})`).join(", ")}`);
+      }
+      if (valid.consoleErrors.length > 0) {
+        result.issues.push(`Submitting caused ${valid.consoleErrors.length} console error(s)`);
+      }
+      const failedCalls = valid.requests.filter((call) => call.status >= 500);
+      if (failedCalls.length > 0) {
+        result.issues.push(`Submission request failed: ${failedCalls.map((call) => `${call.method} ${call.url} → ${call.status}`).join(", ")}`);
+      }
+    }
+    if (invalid) {
+      const broken = invalid.values.filter((entry) => entry.expectedInvalid);
+      const unflagged = broken.filter((entry) => entry.valid === true);
+      result.invalidBlocked = broken.length > 0 ? !invalid.submitted : null;
+      if (broken.length > 0 && invalid.submitted) {
+        result.issues.push(`Invalid data was submitted without client-side validation: ${broken.map((entry) => `${entry.field} (${entry.expectedInvalid})`).join(", ")}`);
+      }
+      if (unflagged.length > 0 && !result.noValidate) {
+        result.issues.push(`Browser did not flag invalid values: ${unflagged.map((entry) => entry.field).join(", ")}`);
+      }
+    }
+    forms.push(result);
+  }
+
+  return {
+    summary: {
+      total: formCount,
+      tested: forms.filter((form) => form.runs.valid).length,
+      validSubmitted: forms.filter((form) => form.runs.valid?.submitted).length,
+      invalidBlocked: forms.filter((form) => form.invalidBlocked === true).length,
+      issueCount: forms.reduce((total, form) => total + form.issues.length, 0)
+    },
+    forms
+  };
+};
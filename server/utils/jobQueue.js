@@ -0,0 +1,217 @@
+import { randomUUID } from "crypto";
+
+/**
+ * In-memory background job queue.
+ *
+ * Handlers are registered per job type and receive
+ * `(params, { signal, onProgress })`. At most JOB_CONCURRENCY jobs run at the
+ * same time (default: 2); the rest wait in FIFO order. Finished jobs are kept
+ * for status polling until JOB_HISTORY_LIMIT (default: 200) is exceeded.
+ *
+ * Job states: queued → running → completed | failed | cancelled
+ */
+
+const readIntEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const CONCURRENCY = readIntEnv("JOB_CONCURRENCY", 2);
+const HISTORY_LIMIT = readIntEnv("JOB_HISTORY_LIMIT", 200);
+
+const FINISHED_STATES = ["completed", "failed", "cancelled"];
+
+const handlers = new Map();
+const jobs = new Map();   // id -> job (insertion order = creation order)
+const pending = [];       // queued job IDs
+let running = 0;
+
+/**
+ * Registers the function that runs jobs of a given type
+ * @param {string} type - Job type, e.g. 'scan'
+ * @param {Function} handler - async (params, { signal, onProgress }) => result
+ */
+export const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+/**
+ * Public view of a job (drops internal fields like the AbortController)
+ */
+export const serializeJob = (job, { includeResult = true } = {}) => ({
+  id: job.id,
+  type: job.type,
+  state: job.state,
+  params: job.params,
+  progress: job.progress,
+  attempts: job.attempts,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  error: job.error,
+  ...(includeResult ? { result: job.result } : {})
+});
+
+/**
+ * Drops the oldest finished jobs once the history limit is exceeded
+ */
+const pruneHistory = () => {
+  const finished = [...jobs.values()].filter((job) => FINISHED_STATES.includes(job.state));
+  const excess = finished.length - HISTORY_LIMIT;
+  for (let i = 0; i < excess; i++) {
+    jobs.delete(finished[i].id);
+  }
+};
+
+const finishJob = (job, state, fields = {}) => {
+  Object.assign(job, fields, {
+    state,
+    finishedAt: new Date().toISOString(),
+    controller: null
+  });
+  pruneHistory();
+};
+
+/**
+ * Starts queued jobs while there is free capacity
+ */
+const drain = () => {
+  while (running < CONCURRENCY && pending.length > 0) {
+    const job = jobs.get(pending.shift());
+    if (job && job.state === "queued") {
+      runJob(job);
+    }
+  }
+};
+
+const runJob = async (job) => {
+  running++;
+  job.state = "running";
+  job.startedAt = new Date().toISOString();
+  job.attempts++;
+  job.controller = new AbortController();
+  const { signal } = job.controller;
+
+  const onProgress = (percent, message) => {
+    job.progress = { percent, message };
+  };
+
+  try {
+    const result = await handlers.get(job.type)(job.params, { signal, onProgress });
+    if (signal.aborted) {
+      finishJob(job, "cancelled");
+    } else {
+      finishJob(job, "completed", { result, progress: { percent: 100, message: "Done" } });
+    }
+  } catch (error) {
+    if (signal.aborted) {
+      finishJob(job, "cancelled");
+    } else {
+      console.error(`❌ Job ${job.id} (${job.type}) failed:`, error.message);
+      finishJob(job, "failed", { error: error.message });
+    }
+  } finally {
+    running--;
+    drain();
+  }
+};
+
+/**
+ * Adds a job to the queue
+ * @param {string} type - Registered job type
+ * @param {Object} params - Handler parameters (kept on the job for retries)
+ * @returns {Object} The new job
+ */
+export const enqueueJob = (type, params) => {
+  if (!handlers.has(type)) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  const job = {
+    id: randomUUID(),
+    type,
+    params,
+    state: "queued",
+    progress: { percent: 0, message: "Queued" },
+    attempts: 0,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    error: null,
+    result: null,
+    controller: null
+  };
+
+  jobs.set(job.id, job);
+  pending.push(job.id);
+  drain();
+  return job;
+};
+
+export const getJob = (id) => jobs.get(id) || null;
+
+/**
+ * Lists jobs, newest first
+ * @param {Object} options
+ * @param {string} options.state - Only jobs in this state
+ */
+export const listJobs = ({ state } = {}) =>
+  [...jobs.values()]
+    .filter((job) => !state || job.state === state)
+    .reverse();
+
+/**
+ * Cancels a queued or running job.
+ * Returns false if the job already finished.
+ */
+export const cancelJob = (id) => {
+  const job = jobs.get(id);
+  if (!job || FINISHED_STATES.includes(job.state)) {
+    return false;
+  }
+
+  if (job.state === "queued") {
+    const position = pending.indexOf(id);
+    if (position !== -1) pending.splice(position, 1);
+    finishJob(job, "cancelled");
+  } else {
+    // The running handler stops at its next checkpoint; runJob marks it cancelled
+    job.progress = { ...job.progress, message: "Cancelling..." };
+    job.controller.abort(new Error("Job cancelled"));
+  }
+  return true;
+};
+
+/**
+ * Re-queues a failed or cancelled job under the same ID.
+ * Returns false if the job is still queued, running or already completed.
+ */
+export const retryJob = (id) => {
+  const job = jobs.get(id);
+  if (!job || !["failed", "cancelled"].includes(job.state)) {
+    return false;
+  }
+
+  Object.assign(job, {
+    state: "queued",
+    progress: { percent: 0, message: "Queued (retry)" },
+    startedAt: null,
+    finishedAt: null,
+    error: null,
+    result: null
+  });
+  pending.push(id);
+  drain();
+  return true;
+};
+
+/**
+ * Queue counters for the health endpoint
+ */
+export const getQueueStats = () => {
+  const counts = { queued: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+  for (const job of jobs.values()) {
+    counts[job.state]++;
+  }
+  return { concurrency: CONCURRENCY, ...counts };
+};
@@ -0,0 +1,356 @@
+import { evaluateWithHelpers } from "./pageHelper.js";
+
+/**
+ * Responsive layout analysis.
+ *
+ * Resizes the page to several viewport widths and looks for layout bugs:
+ * horizontal overflow, controls covered by other elements, text clipped by
+ * overflow:hidden, tap targets smaller than 44x44 px and fixed elements
+ * covering a large part of the screen. Every finding has a selector, a
+ * bounding box (document coordinates) and, for the first findings of each
+ * width, a screenshot crop with the element outlined.
+ */
+
+const DEFAULT_WIDTHS = (process.env.LAYOUT_WIDTHS || "375,768,1366")
+  .split(",")
+  .map((width) => parseInt(width, 10))
+  .filter((width) => width >= 200 && width <= 3840);
+
+// Minimum touch target size (WCAG 2.5.5), checked below TOUCH_MAX_WIDTH only
+const MIN_TAP_TARGET = 44;
+const TOUCH_MAX_WIDTH = 1024;
+
+// Report size limits: findings per width, and crops per width
+const MAX_FINDINGS_PER_WIDTH = 60;
+const MAX_CROPS_PER_WIDTH = 12;
+
+// Margin around the element in each crop, in CSS pixels
+const CROP_PADDING = 24;
+
+const SEVERITY_ORDER = ["critical", "high", "medium", "low"];
+
+/**
+ * Runs the layout checks at the current viewport size
+ */
+const detectLayoutIssues = (page, limits) =>
+  evaluateWithHelpers(page, ({ minTapTarget, checkTapTargets, maxFindings }) => {
+    const findings = [];
+    const viewportWidth = document.documentElement.clientWidth;
+    const viewportHeight = window.innerHeight;
+    const seen = new Set();
+
+    const { cssPath } = window.__bugFinder;
+
+    const boxOf = (element) => {
+      const rect = element.getBoundingClientRect();
+      return {
+        x: Math.round(rect.left + window.scrollX),
+        y: Math.round(rect.top + window.scrollY),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height)
+      };
+    };
+
+    const report = (type, severity, element, message, details = {}) => {
+      if (findings.length >= maxFindings) return;
+      const selector = cssPath(element);
+      const key = `${type}|${selector}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      findings.push({ type, severity, selector, message, bbox: boxOf(element), details });
+    };
+
+    const isVisible = (element) => {
+      const style = getComputedStyle(element);
+      if (style.display === "none" || style.visibility === "hidden" || parseFloat(style.opacity) === 0) return false;
+      const rect = element.getBoundingClientRect();
+      return rect.width > 0 && rect.height > 0;
+    };
+
+    const describe = (element) => {
+      const text = (element.innerText || element.value || element.getAttribute("aria-label") || "").trim().replace(/\s+/g, " ");
+      return text ? `"${text.slice(0, 40)}"` : `<${element.tagName.toLowerCase()}>`;
+    };
+
+    const isFixed = (element) => {
+      for (let current = element; current && current !== document.body; current = current.parentElement) {
+        const position = getComputedStyle(current).position;
+        if (position === "fixed" || position === "sticky") return current;
+      }
+      return null;
+    };
+
+    const all = Array.from(document.body?.querySelectorAll("*") || []).filter(
+      (element) => !["SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE", "svg", "path"].includes(element.tagName)
+    );
+
+    // --- Horizontal overflow beyond the viewport ---
+    const pageScrollWidth = document.documentElement.scrollWidth;
+    if (pageScrollWidth > viewportWidth + 1) {
+      // Elements inside a scroll/clip container do not widen the page
+      const clippedByAncestor = (element) => {
+        for (let current = element.parentElement; current && current !== document.body; current = current.parentElement) {
+          const overflowX = getComputedStyle(current).overflowX;
+          if (overflowX !== "visible") return true;
+        }
+        return false;
+      };
+      const overflows = (element) => {
+        const rect = element.getBoundingClientRect();
+        return rect.right + window.scrollX > viewportWidth + 1 || rect.left + window.scrollX < -1;
+      };
+
+      // Report the outermost element that sticks out, not every descendant
+      all
+        .filter((element) => isVisible(element) && overflows(element) && !clippedByAncestor(element))
+        .filter((element) => !element.parentElement || element.parentElement === document.body || !overflows(element.parentElement))
+        .forEach((element) => {
+          const rect = element.getBoundingClientRect();
+          report(
+            "horizontal-overflow",
+            "high",
+            element,
+            `${describe(element)} extends ${Math.round(Math.max(rect.right - viewportWidth, -rect.left))}px beyond the ${viewportWidth}px viewport`,
+            { pageScrollWidth, viewportWidth }
+          );
+        });
+    }
+
+    // --- Interactive controls covered by other elements ---
+    const controls = Array.from(
+      document.querySelectorAll("a[href], button, input:not([type='hidden']), select, textarea, [role='button'], [role='link'], [tabindex]:not([tabindex='-1'])")
+    ).filter(isVisible);
+
+    const belongsTo = (hit, control) =>
+      hit === control ||
+      control.contains(hit) ||
+      hit.contains(control) ||
+      (hit.tagName === "LABEL" && hit.control === control) ||
+      Boolean(hit.closest("label")?.contains(control));
+
+    // elementFromPoint only sees the viewport, so walk the page one screen at a time (at most 10)
+    const originalScroll = { x: window.scrollX, y: window.scrollY };
+    const maxScroll = Math.min(document.documentElement.scrollHeight - viewportHeight, viewportHeight * 9);
+    const checked = new Set();
+    for (let scrollY = 0; scrollY <= Math.max(maxScroll, 0); scrollY += viewportHeight) {
+      window.scrollTo(0, scrollY);
+      controls.forEach((control) => {
+        if (checked.has(control)) return;
+        const rect = control.getBoundingClientRect();
+        if (rect.top < 0 || rect.bottom > viewportHeight || rect.left < 0 || rect.right > viewportWidth) return;
+        checked.add(control);
+
+        const inset = Math.min(4, rect.width / 4, rect.height / 4);
+        const points = [
+          [rect.left + rect.width / 2, rect.top + rect.height / 2],
+          [rect.left + inset, rect.top + inset],
+          [rect.right - inset, rect.top + inset],
+          [rect.left + inset, rect.bottom - inset],
+          [rect.right - inset, rect.bottom - inset]
+        ];
+        const hits = points.map(([x, y]) => document.elementFromPoint(x, y));
+        const blockers = hits.filter((hit) => hit && !belongsTo(hit, control));
+
+        // A covered center is a bug; a single covered corner is usually just rounding or a shadow
+        const centerBlocked = Boolean(hits[0]) && !belongsTo(hits[0], control);
+        if (!centerBlocked && blockers.length < 2) return;
+
+        const blocker = blockers[0];
+        const fixedBlocker = isFixed(blocker);
+        report(
+          fixedBlocker ? "fixed-overlap" : "overlap",
+          centerBlocked ? "high" : "medium",
+          control,
+          `${describe(control)} is ${centerBlocked ? "covered" : "partly covered"} by ${fixedBlocker ? "fixed " : ""}element ${cssPath(fixedBlocker || blocker)}`,
+          { coveredBy: cssPath(fixedBlocker || blocker), coveredPoints: blockers.length }
+        );
+      });
+    }
+    window.scrollTo(originalScroll.x, originalScroll.y);
+
+    // --- Fixed elements covering a large part of the screen ---
+    all
+      .filter((element) => getComputedStyle(element).position === "fixed" && isVisible(element))
+      .forEach((element) => {
+        const rect = element.getBoundingClientRect();
+        const visibleWidth = Math.max(0, Math.min(rect.right, viewportWidth) - Math.max(rect.left, 0));
+        const visibleHeight = Math.max(0, Math.min(rect.bottom, viewportHeight) - Math.max(rect.top, 0));
+        const share = (visibleWidth * visibleHeight) / (viewportWidth * viewportHeight);
+        if (share >= 0.25) {
+          report(
+            "fixed-covering",
+            share >= 0.5 ? "high" : "medium",
+            element,
+            `Fixed element ${describe(element)} covers ${Math.round(share * 100)}% of the viewport`,
+            { coverage: Number(share.toFixed(2)) }
+          );
+        }
+      });
+
+    // --- Text clipped by overflow:hidden ---
+    all
+      .filter((element) => {
+        const style = getComputedStyle(element);
+        const clipsX = ["hidden", "clip"].includes(style.overflowX);
+        const clipsY = ["hidden", "clip"].includes(style.overflowY);
+        if (!clipsX && !clipsY) return false;
+        const hasText = Array.from(element.childNodes).some((node) => node.nodeType === 3 && node.textContent.trim());
+        if (!hasText || !isVisible(element)) return false;
+        return (clipsX && element.scrollWidth > element.clientWidth + 1) || (clipsY && element.scrollHeight > element.clientHeight + 1);
+      })
+      .forEach((element) => {
+        // text-overflow: ellipsis is deliberate truncation, still worth knowing about
+        const ellipsis = getComputedStyle(element).textOverflow === "ellipsis";
+        report(
+          "clipped-text",
+          ellipsis ? "low" : "medium",
+          element,
+          `Text of ${describe(element)} is cut off${ellipsis ? " (ellipsis)" : ""}`,
+          {
+            scrollWidth: element.scrollWidth,
+            clientWidth: element.clientWidth,
+            scrollHeight: element.scrollHeight,
+            clientHeight: element.clientHeight
+          }
+        );
+      });
+
+    // --- Tap targets below the minimum size (touch-sized viewports only) ---
+    if (checkTapTargets) {
+      controls.forEach((control) => {
+        const rect = control.getBoundingClientRect();
+        if (rect.width >= minTapTarget && rect.height >= minTapTarget) return;
+
+        // Links inside running text are exempt (WCAG 2.5.5 inline exception)
+        const style = getComputedStyle(control);
+        const inlineInText =
+          style.display === "inline" &&
+          Array.from(control.parentElement?.childNodes || []).some((node) => node.nodeType === 3 && node.textContent.trim());
+        if (inlineInText || control.type === "hidden") return;
+
+        report(
+          "small-tap-target",
+          rect.width < minTapTarget / 2 || rect.height < minTapTarget / 2 ? "medium" : "low",
+          control,
+          `${describe(control)} is ${Math.round(rect.width)}×${Math.round(rect.height)}px, below ${minTapTarget}×${minTapTarget}px`,
+          { width: Math.round(rect.width), height: Math.round(rect.height) }
+        );
+      });
+    }
+
+    return { viewportWidth, viewportHeight, pageScrollWidth, findings };
+  }, limits);
+
+/**
+ * Screenshot of the area around a bounding box, with the box outlined in red
+ */
+const captureCrop = async (page, bbox) => {
+  const size = await page.evaluate(() => ({
+    width: document.documentElement.scrollWidth,
+    height: document.documentElement.scrollHeight
+  }));
+
+  const x = Math.max(0, bbox.x - CROP_PADDING);
+  const y = Math.max(0, bbox.y - CROP_PADDING);
+  const clip = {
+    x,
+    y,
+    width: Math.max(1, Math.min(bbox.width + CROP_PADDING * 2, size.width - x)),
+    height: Math.max(1, Math.min(bbox.height + CROP_PADDING * 2, size.height - y, 1200))
+  };
+
+  // The outline lives in document coordinates on <html>, so it never shifts the layout
+  await page.evaluate((box) => {
+    const outline = document.createElement("div");
+    outline.setAttribute("data-smart-bug-finder-outline", "");
+    Object.assign(outline.style, {
+      position: "absolute",
+      left: `${box.x}px`,
+      top: `${box.y}px`,
+      width: `${box.width}px`,
+      height: `${box.height}px`,
+      outline: "3px solid #e11d48",
+      outlineOffset: "1px",
+      background: "rgba(225, 29, 72, 0.12)",
+      pointerEvents: "none",
+      zIndex: "2147483647"
+    });
+    document.documentElement.appendChild(outline);
+  }, bbox);
+
+  try {
+    const buffer = await page.screenshot({ clip, fullPage: true, scale: "css", timeout: 5000 });
+    return buffer.toString("base64");
+  } finally {
+    await page.evaluate(() => {
+      document.querySelectorAll("[data-smart-bug-finder-outline]").forEach((element) => element.remove());
+    });
+  }
+};
+
+/**
+ * Runs the layout checks at several viewport widths (the viewport height is kept)
+ * and restores the original viewport afterwards
+ * @param {import('playwright').Page} page - A loaded page
+ * @param {Object} options
+ * @param {number[]} options.widths - Viewport widths to test (default: LAYOUT_WIDTHS or 375, 768, 1366)
+ * @param {boolean} options.includeCrops - Attach screenshot crops to findings (default: true)
+ * @returns {Promise<{widths: number[], summary: Object, findings: Array}>}
+ */
+export const analyzeLayout = async (page, options = {}) => {
+  const { widths = DEFAULT_WIDTHS, includeCrops = true } = options;
+  const originalViewport = page.viewportSize();
+  const height = originalViewport?.height || 768;
+
+  const findings = [];
+  try {
+    for (const width of widths) {
+      await page.setViewportSize({ width, height });
+      // Let media queries and resize handlers settle
+      await page.waitForTimeout(400);
+
+      const result = await detectLayoutIssues(page, {
+        minTapTarget: MIN_TAP_TARGET,
+        checkTapTargets: width <= TOUCH_MAX_WIDTH,
+        maxFindings: MAX_FINDINGS_PER_WIDTH
+      });
+
+      const ordered = result.findings.sort(
+        (a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity)
+      );
+      for (const [index, finding] of ordered.entries()) {
+        let crop = null;
+        if (includeCrops && index < MAX_CROPS_PER_WIDTH && finding.bbox.width > 0 && finding.bbox.height > 0) {
+          crop = await captureCrop(page, finding.bbox).catch((error) => {
+            console.error("⚠️  Layout crop failed:", error.message);
+            return null;
+          });
+        }
+        findings.push({ ...finding, viewportWidth: width, crop });
+      }
+    }
+  } finally {
+    if (originalViewport) {
+      await page.setViewportSize(originalViewport).catch(() => {});
+    }
+  }
+
+  const byType = {};
+  const bySeverity = Object.fromEntries(SEVERITY_ORDER.map((severity) => [severity, 0]));
+  findings.forEach((finding) => {
+    byType[finding.type] = (byType[finding.type] || 0) + 1;
+    bySeverity[finding.severity] += 1;
+  });
+
+  return {
+    widths,
+    summary: { total: findings.length, byType, bySeverity },
+    findings
+  };
+};
+
+/**
+ * Widths to test for a device profile: desktop profiles sweep the default
+ * widths, emulated phones/tablets stay at their own width
+ */
+export const layoutWidthsFor = (profile) => (profile?.isMobile ? [profile.viewport.width] : DEFAULT_WIDTHS);
@@ -0,0 +1,262 @@
+import axios from "axios";
+import { evaluateWithHelpers } from "./pageHelper.js";
+
+/**
+ * Body link audit.
+ *
+ * Collects every <a href>, <img src>, <img>/<source> srcset entry and
+ * <script src> in the body, deduplicates the URLs and checks them with limited
+ * overall concurrency plus a per-host limit, so one slow or strict host is not
+ * hammered. Redirects are followed by hand to record the full chain.
+ *
+ * Reported issues: broken links (4xx/5xx or unreachable), redirect chains
+ * (two or more hops), mixed content (http:// images/scripts on an https://
+ * page) and same-page #fragment links without a matching element.
+ */
+
+const MAX_LINKS = 300;
+
+const MAX_REDIRECTS = 10;
+
+const REQUEST_TIMEOUT = 8000;
+
+const DEFAULT_CONCURRENCY = Number(process.env.LINK_CHECK_CONCURRENCY) || 6;
+
+// Requests to one host: at most PER_HOST_CONCURRENCY at a time, started at least PER_HOST_INTERVAL_MS apart
+const PER_HOST_CONCURRENCY = 2;
+const PER_HOST_INTERVAL_MS = Number(process.env.LINK_CHECK_HOST_INTERVAL_MS) || 250;
+
+/**
+ * Reads every link-like reference and every same-page fragment link from the page
+ * @param {import('playwright').Page} page
+ * @returns {Promise<{references: Array, brokenFragments: Array}>}
+ */
+export const collectLinks = (page) =>
+  evaluateWithHelpers(page, () => {
+    const { cssPath } = window.__bugFinder;
+    const textOf = (element) =>
+      (element.innerText || element.getAttribute("alt") || element.getAttribute("aria-label") || "").trim().replace(/\s+/g, " ").slice(0, 80);
+
+    const references = [];
+    const add = (element, kind, value) => {
+      if (!value) return;
+      references.push({ kind, href: value.trim(), selector: cssPath(element), text: textOf(element) });
+    };
+
+    document.body.querySelectorAll("a[href]").forEach((element) => add(element, "a", element.getAttribute("href")));
+    document.body.querySelectorAll("img[src]").forEach((element) => add(element, "img", element.getAttribute("src")));
+    document.body.querySelectorAll("script[src]").forEach((element) => add(element, "script", element.getAttribute("src")));
+    document.body.querySelectorAll("img[srcset], picture source[srcset]").forEach((element) => {
+      // "a.png 1x, b.png 2x" - the URL is everything before the descriptor
+      element.getAttribute("srcset").split(",").forEach((candidate) => add(element, "srcset", candidate.trim().split(/\s+/)[0]));
+    });
+
+    // "#" and "#top" always scroll to the top, everything else needs an element with that id or name
+    const brokenFragments = [];
+    const here = location.href.split("#")[0];
+    document.body.querySelectorAll("a[href*='#']").forEach((element) => {
+      if (element.href.split("#")[0] !== here) return;
+      const fragment = decodeURIComponent(element.hash.slice(1));
+      if (!fragment || fragment.toLowerCase() === "top") return;
+      if (document.getElementById(fragment) || document.getElementsByName(fragment).length > 0) return;
+      brokenFragments.push({ href: element.getAttribute("href"), fragment, selector: cssPath(element), text: textOf(element) });
+    });
+
+    return { references, brokenFragments };
+  });
+
+/**
+ * Limits requests per host: tasks for one host run at most `perHost` at a
+ * time and start at least `interval` ms apart
+ */
+const createHostLimiter = ({ perHost, interval }) => {
+  const hosts = new Map();
+
+  const pump = (state) => {
+    while (state.active < perHost && state.waiting.length > 0) {
+      const { task, resolve, reject } = state.waiting.shift();
+      const now = Date.now();
+      const delay = Math.max(0, state.nextStart - now);
+      state.nextStart = Math.max(now, state.nextStart) + interval;
+      state.active += 1;
+      setTimeout(() => {
+        task()
+          .then(resolve, reject)
+          .finally(() => {
+            state.active -= 1;
+            pump(state);
+          });
+      }, delay);
+    }
+  };
+
+  return (host, task) =>
+    new Promise((resolve, reject) => {
+      if (!hosts.has(host)) hosts.set(host, { active: 0, nextStart: 0, waiting: [] });
+      const state = hosts.get(host);
+      state.waiting.push({ task, resolve, reject });
+      pump(state);
+    });
+};
+
+/**
+ * One request without following redirects: HEAD, falling back to GET for
+ * servers that reject HEAD. The GET body is never downloaded.
+ */
+const requestOnce = async (url) => {
+  const options = { timeout: REQUEST_TIMEOUT, maxRedirects: 0, validateStatus: () => true };
+  const head = await axios.head(url, options).catch(() => null);
+  if (head && ![405, 501].includes(head.status)) return head;
+
+  const response = await axios.get(url, { ...options, responseType: "stream" });
+  response.data.destroy();
+  return response;
+};
+
+/**
+ * Checks one URL and follows its redirects by hand
+ * @returns {Promise<{statusCode: number|null, finalUrl: string, redirects: Array, error: string|null}>}
+ */
+const checkUrl = async (url, schedule) => {
+  const redirects = [];
+  let current = url;
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop += 1) {
+    let response;
+    try {
+      response = await schedule(new URL(current).host, () => requestOnce(current));
+    } catch (error) {
+      return { statusCode: null, finalUrl: current, redirects, error: error.code || error.message || "Unable to reach URL" };
+    }
+
+    const location = response.headers.location;
+    if (response.status >= 300 && response.status < 400 && location) {
+      const next = new URL(location, current).href;
+      redirects.push({ url: current, status: response.status, location: next });
+      current = next;
+      continue;
+    }
+    return { statusCode: response.status, finalUrl: current, redirects, error: null };
+  }
+
+  return { statusCode: null, finalUrl: current, redirects, error: `More than ${MAX_REDIRECTS} redirects` };
+};
+
+/**
+ * Deduplicates and validates the collected references
+ * @param {{references: Array, brokenFragments: Array}} collected - Result of collectLinks()
+ * @param {string} pageUrl - URL of the page the links were found on (final URL after redirects)
+ * @param {Object} options
+ * @param {number} options.maxLinks - Unique URLs checked (default: 300)
+ * @param {number} options.concurrency - Requests in flight overall (default: LINK_CHECK_CONCURRENCY or 6)
+ * @returns {Promise<Object>} Link audit grouped by status code
+ */
+export const checkLinks = async ({ references, brokenFragments }, pageUrl, options = {}) => {
+  const { maxLinks = MAX_LINKS, concurrency = DEFAULT_CONCURRENCY } = options;
+  const pageIsHttps = new URL(pageUrl).protocol === "https:";
+
+  // One entry per URL (fragments stripped), keeping every place it was used
+  const unique = new Map();
+  let ignored = 0;
+  for (const reference of references) {
+    let url;
+    try {
+      url = new URL(reference.href, pageUrl);
+    } catch {
+      const key = `invalid:${reference.href}`;
+      if (!unique.has(key)) unique.set(key, { url: reference.href, invalid: true, occurrences: [] });
+      unique.get(key).occurrences.push(reference);
+      continue;
+    }
+    // mailto:, tel:, javascript:, data: and friends are not fetchable
+    if (!["http:", "https:"].includes(url.protocol)) {
+      ignored += 1;
+      continue;
+    }
+    url.hash = "";
+    if (!unique.has(url.href)) unique.set(url.href, { url: url.href, occurrences: [] });
+    unique.get(url.href).occurrences.push(reference);
+  }
+
+  const entries = [...unique.values()];
+  const toCheck = entries.filter((entry) => !entry.invalid).slice(0, maxLinks);
+  const schedule = createHostLimiter({ perHost: PER_HOST_CONCURRENCY, interval: PER_HOST_INTERVAL_MS });
+
+  const checked = new Map();
+  let next = 0;
+  const worker = async () => {
+    while (next < toCheck.length) {
+      const entry = toCheck[next];
+      next += 1;
+      checked.set(entry.url, await checkUrl(entry.url, schedule));
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+
+  const links = entries.map((entry) => {
+    const kinds = [...new Set(entry.occurrences.map((occurrence) => occurrence.kind))];
+    const base = { url: entry.url, kinds, count: entry.occurrences.length, occurrences: entry.occurrences.slice(0, 5) };
+
+    if (entry.invalid) {
+      return { ...base, status: "invalid", statusCode: null, redirects: [], issues: ["invalid-url"], error: "Invalid URL" };
+    }
+    const result = checked.get(entry.url);
+    if (!result) {
+      return { ...base, status: "not_checked", statusCode: null, redirects: [], issues: [] };
+    }
+
+    const issues = [];
+    const broken = result.statusCode === null || result.statusCode >= 400;
+    if (broken) issues.push("broken");
+    if (result.redirects.length >= 2) issues.push("redirect-chain");
+    // Subresources over http:// are blocked (scripts) or flagged (images) by browsers on https:// pages
+    if (pageIsHttps && kinds.some((kind) => kind !== "a") && entry.url.startsWith("http:")) issues.push("mixed-content");
+    if (pageIsHttps && result.redirects.some((redirect) => redirect.location.startsWith("http:"))) issues.push("https-downgrade");
+
+    return {
+      ...base,
+      status: broken ? "broken" : "ok",
+      statusCode: result.statusCode,
+      finalUrl: result.finalUrl !== entry.url ? result.finalUrl : null,
+      redirects: result.redirects,
+      issues,
+      error: result.error
+    };
+  });
+
+  // Grouped by final status code; unreachable URLs go under "error"
+  const byStatus = {};
+  for (const link of links) {
+    const key = link.statusCode ?? (link.status === "broken" ? "error" : link.status);
+    (byStatus[key] ||= []).push(link);
+  }
+
+  const withIssue = (issue) => links.filter((link) => link.issues.includes(issue));
+  return {
+    summary: {
+      references: references.length,
+      unique: entries.length,
+      checked: toCheck.length,
+      notChecked: entries.length - toCheck.length - entries.filter((entry) => entry.invalid).length,
+      ignored,
+      broken: withIssue("broken").length + withIssue("invalid-url").length,
+      redirectChains: withIssue("redirect-chain").length,
+      mixedContent: withIssue("mixed-content").length,
+      brokenFragments: brokenFragments.length,
+      statusCounts: Object.fromEntries(Object.entries(byStatus).map(([status, group]) => [status, group.length]))
+    },
+    byStatus,
+    redirectChains: withIssue("redirect-chain").map(({ url, redirects, finalUrl }) => ({ url, redirects, finalUrl })),
+    mixedContent: withIssue("mixed-content").map(({ url, kinds, occurrences }) => ({ url, kinds, occurrences })),
+    brokenFragments
+  };
+};
+
+/**
+ * Collects and checks every link, image and script in the body
+ * @param {import('playwright').Page} page
+ * @param {string} pageUrl
+ * @param {Object} options - See checkLinks()
+ */
+export const auditBodyLinks = async (page, pageUrl, options = {}) =>
+  checkLinks(await collectLinks(page), pageUrl, options);
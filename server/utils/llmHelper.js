@@ -1,32 +1,246 @@
-import { openai } from "./openaiClient.js";
-const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini"; // Default to a more common OpenAI model
+import { resolveLLMProvider } from "./llmProviders.js";
+import { parseLLMJson, validateScanAnalysis, validateBug, createItemParser, BUG_SEVERITIES } from "./llmSchema.js";
+import { chunkDomSummary } from "./domPreprocessor.js";
+import { attachEvidence } from "./bugEvidence.js";
 
-const truncate = (text = "", max = 18000) =>
-  text.length > max ? `${text.slice(0, max)}\n...[truncated]` : text;
+// Attempts per LLM call for rate limits (429), 5xx and connection errors
+const MAX_ATTEMPTS = Number(process.env.LLM_MAX_ATTEMPTS) || 4;
+const BASE_RETRY_DELAY_MS = Number(process.env.LLM_RETRY_BASE_DELAY_MS) || 1000;
+const MAX_RETRY_DELAY_MS = 30000;
 
+// Follow-up prompts asking the model to fix an invalid answer
+const MAX_REPAIRS = 2;
+
+// Outline chunks analyzed per page, and how many run at once
+const MAX_CHUNKS = Number(process.env.LLM_MAX_CHUNKS) || 6;
+const CHUNK_CONCURRENCY = Number(process.env.LLM_CHUNK_CONCURRENCY) || 3;
+
+const emptyResult = (llm, error, failedChunks = 0) => ({
+  bugs: [],
+  fixes: [],
+  suggestions: [],
+  llm,
+  llmStatus: "failed",
+  failedChunks,
+  rawLLMResponse: error
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Rate limits, server errors and dropped connections are worth another try; 4xx are not
+const isRetryable = (error) =>
+  error.status === 429 || error.status >= 500 || /Connection/.test(error.name || "");
+
+/**
+ * Runs an LLM call with exponential backoff (plus jitter), honoring Retry-After
+ */
+const withRetry = async (call, label) => {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await call();
+    } catch (error) {
+      if (attempt >= MAX_ATTEMPTS || !isRetryable(error)) throw error;
+
+      const retryAfter = Number(error.headers?.["retry-after"]);
+      const backoff = BASE_RETRY_DELAY_MS * 2 ** (attempt - 1) + Math.random() * BASE_RETRY_DELAY_MS;
+      const delay = Math.min(MAX_RETRY_DELAY_MS, retryAfter > 0 ? retryAfter * 1000 : backoff);
+      console.warn(`⚠️  ${label} failed (${error.status || error.message}), retry ${attempt}/${MAX_ATTEMPTS - 1} in ${Math.round(delay)} ms`);
+      await sleep(delay);
+    }
+  }
+};
+
+/**
+ * Parses and validates a reply
+ * @returns {{value: Object, raw: Object}|{errors: string[]}}
+ */
+const checkReply = (text) => {
+  const parsed = parseLLMJson(text);
+  if (parsed.error) return { errors: [parsed.error] };
+  const { valid, errors, value } = validateScanAnalysis(parsed.value);
+  return valid ? { value, raw: parsed.value } : { errors };
+};
+
+const repairPrompt = (errors) => `
+Your previous reply does not match the required JSON schema:
+${errors.slice(0, 20).map((error) => `- ${error}`).join("\n")}
+
+Reply again with ONLY the corrected JSON object: "bugs" (objects with non-empty "title" and "description", "severity" one of ${BUG_SEVERITIES.join(", ")}, "element" an outline reference like "@12" or null, "selector" a string or null), "fixes" and "suggestions" (arrays of strings). Use empty arrays when there is nothing to report.
+`;
+
+/**
+ * One validated LLM answer: the first request plus up to MAX_REPAIRS repair prompts.
+ * With `onItem` the replies are streamed and their array elements passed on
+ * as they complete (see createItemParser()).
+ * @returns {Promise<Object>} `{ llmStatus: "ok" | "repaired", value, raw }` or `{ llmStatus: "failed", error }`
+ */
+const requestAnalysis = async (llmProvider, label, request, onItem) => {
+  const history = [];
+  let reply = "";
+  let errors = [];
+
+  try {
+    for (let attempt = 0; attempt <= MAX_REPAIRS; attempt += 1) {
+      const response = await withRetry(
+        () => llmProvider.complete({ ...request, history, onText: onItem ? createItemParser(onItem) : undefined }),
+        label
+      );
+      reply = response.text;
+
+      const checked = checkReply(reply);
+      if (checked.value) {
+        return { llmStatus: attempt === 0 ? "ok" : "repaired", value: checked.value, raw: checked.raw };
+      }
+
+      errors = checked.errors;
+      console.error(`${label} returned invalid output (attempt ${attempt + 1}):`, errors.slice(0, 3).join("; "));
+      history.push({ role: "assistant", content: reply || "" }, { role: "user", content: repairPrompt(errors) });
+    }
+
+    return {
+      llmStatus: "failed",
+      error: { error: "LLM output did not match the schema", validationErrors: errors, output: reply }
+    };
+  } catch (error) {
+    console.error(`${label} failed:`, error.message);
+    return {
+      llmStatus: "failed",
+      error: { error: error.message, status: error.status || null, details: error.response?.data || error.error || null }
+    };
+  }
+};
+
+const SEVERITY_RANK = Object.fromEntries(BUG_SEVERITIES.map((severity, index) => [severity, index]));
+
+const normalizeKey = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+
+const bugKey = (bug) => `${normalizeKey(bug.title)}|${bug.element || bug.selector || ""}`;
+
+/**
+ * Merges the chunk answers: bugs with the same title and element are
+ * reported once with the highest severity; fixes, suggestions and notes on
+ * rule findings are deduplicated
+ */
+const mergeAnalyses = (analyses) => {
+  const bugs = new Map();
+  const fixes = new Map();
+  const suggestions = new Map();
+  const findings = new Map();
+
+  for (const { bugs: chunkBugs, fixes: chunkFixes, suggestions: chunkSuggestions, findings: chunkFindings = [] } of analyses) {
+    for (const bug of chunkBugs) {
+      const key = bugKey(bug);
+      const existing = bugs.get(key);
+      if (!existing || SEVERITY_RANK[bug.severity] > SEVERITY_RANK[existing.severity]) bugs.set(key, bug);
+    }
+    chunkFixes.forEach((fix) => fixes.has(normalizeKey(fix)) || fixes.set(normalizeKey(fix), fix));
+    chunkSuggestions.forEach((suggestion) => suggestions.has(normalizeKey(suggestion)) || suggestions.set(normalizeKey(suggestion), suggestion));
+    chunkFindings.forEach((note) => findings.has(note.id) || findings.set(note.id, note));
+  }
+
+  return { bugs: [...bugs.values()], fixes: [...fixes.values()], suggestions: [...suggestions.values()], findings: [...findings.values()] };
+};
+
+/**
+ * Rule findings as bugs, with the LLM's explanation, fix and priority where it
+ * gave one; ordered by that priority, then by severity
+ */
+const toConfirmedBugs = (findings, notes) => {
+  const notesById = new Map(notes.map((note) => [note.id, note]));
+  return findings
+    .map((finding, index) => {
+      const note = notesById.get(finding.id);
+      return {
+        ...finding,
+        source: "rule",
+        explanation: note?.explanation || null,
+        fix: note?.fix || null,
+        priority: note?.priority ?? null,
+        order: index
+      };
+    })
+    .sort((a, b) => (a.priority ?? Infinity) - (b.priority ?? Infinity) || a.order - b.order)
+    .map(({ order, ...bug }) => bug);
+};
+
+const describeFinding = (finding) =>
+  `${finding.id} [${finding.severity}] ${finding.rule}: ${finding.title} - ${finding.description}${finding.selector ? ` {${finding.selector}}` : ""}`;
+
+/**
+ * Runs `task` over `items` with at most `limit` in flight, keeping the order
+ */
+const mapWithConcurrency = async (items, limit, task) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      results[index] = await task(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+};
+
+/**
+ * Asks the LLM for bugs, fixes and suggestions about one scanned page.
+ * The page outline from summarizeDom() is split into chunks that are analyzed
+ * in parallel (the screenshot goes with the first chunk, which holds the top
+ * of the page) and the answers are merged. Bugs cite the element they are
+ * about; attachEvidence() checks the citation (on `page` while it is open)
+ * and adds its bounding box.
+ *
+ * `findings` (collectRuleFindings()) go into the prompt as confirmed facts:
+ * the LLM explains, prioritizes and suggests fixes for them and reports only
+ * what the rules missed. They come back as `confirmedBugs` (source "rule",
+ * also when the LLM fails); the LLM's own bugs are `bugs` (source "ai").
+ * Replies are validated against llmSchema; an invalid reply gets up to
+ * MAX_REPAIRS follow-up prompts listing the violations. `llmStatus` is "ok",
+ * "repaired" (some answer needed a repair prompt), "partial" (some chunks got
+ * no usable answer, counted in `failedChunks`, so findings may be missing) or
+ * "failed" (no usable answer).
+ *
+ * With `onItem(kind, item)` the replies are streamed: every new bug ("bug",
+ * with evidence), fix ("fix") and suggestion ("suggestion") is passed on while
+ * the model writes it. The returned result is the authoritative one; it may
+ * drop streamed items that failed validation or merge duplicates.
+ * @param {Object} scan - url, dom (summarizeDom() result), consoleErrors, networkErrors, screenshot (base64) and device
+ * @param {Array} [scan.findings] - Rule findings from collectRuleFindings()
+ * @param {import("playwright").Page} [scan.page] - The scanned page, still open, to verify the cited selectors on
+ * @param {Object} [scan.provider] - Adapter from resolveLLMProvider(); the default provider when omitted
+ * @param {Function} [scan.onItem] - Called with (kind, item) for every streamed bug, fix and suggestion
+ * @returns {Promise<Object>} `{ confirmedBugs, bugs, fixes, suggestions, llm: { provider, model }, llmStatus, failedChunks, rawLLMResponse }`; every bug has `evidence`
+ */
 export const analyzeScanData = async ({
   url,
   dom,
   consoleErrors = [],
   networkErrors = [],
-  screenshot
+  screenshot,
+  device,
+  findings = [],
+  page,
+  provider,
+  onItem
 }) => {
-  if (!process.env.GROQ_API_KEY && !process.env.OPENAI_API_KEY) {
-    return {
-      bugs: [],
-      fixes: [],
-      suggestions: [],
-      rawLLMResponse: { error: "Missing GROQ_API_KEY (or OPENAI_API_KEY)" }
-    };
-  }
-  if (!OPENAI_MODEL) {
-    return {
-      bugs: [],
-      fixes: [],
-      suggestions: [],
-      rawLLMResponse: { error: "Missing OPENAI_MODEL" }
-    };
+  // Rule findings are reported whatever the LLM answers; confirmed bugs are numbered first
+  const report = async (result, notes = []) => {
+    const confirmed = toConfirmedBugs(findings, notes);
+    const aiBugs = result.bugs.map((bug) => ({ ...bug, source: "ai" }));
+    const withEvidence = await attachEvidence([...confirmed, ...aiBugs], dom, { viewport: device?.viewport, page });
+    return { ...result, confirmedBugs: withEvidence.slice(0, confirmed.length), bugs: withEvidence.slice(confirmed.length) };
+  };
+
+  let llmProvider = provider;
+  if (!llmProvider) {
+    const resolved = resolveLLMProvider();
+    if (resolved.error) {
+      return report(emptyResult(null, { error: resolved.error }));
+    }
+    llmProvider = resolved.provider;
   }
+  const llm = { provider: llmProvider.name, model: llmProvider.model };
 
   const consoleSection =
     consoleErrors.length > 0
@@ -50,9 +264,15 @@ export const analyzeScanData = async ({
           .join("\n")
       : "None";
 
+  const findingsSection = findings.length > 0 ? findings.map(describeFinding).join("\n") : "None";
+
   const systemMessage = `
 You are Smart Bug Finder, an AI for UI bug detection and accessibility analysis.
-Your task is to analyze the provided scan data (URL, DOM, console errors, network errors, and screenshot information) and identify potential UI bugs, provide fixes, and suggest improvements.
+Your task is to analyze the provided scan data (URL, page outline, rule findings, console errors, network errors, and screenshot information) and identify potential UI bugs, provide fixes, and suggest improvements.
+
+Rule findings (ids R1, R2, ...) were confirmed by deterministic checks. Do not report them again in "bugs". When asked to, explain them in "findings": the impact on users, a concrete fix, and a priority (1 = fix first). Use "bugs" only for problems the rules did not find.
+
+The page outline lists the visible elements of the rendered page, one per line, indented by nesting: tag[attributes] "text", with the CSS selector of interactive elements in {braces}. "… N more similar x" stands for repeated siblings that were left out. Large pages are sent in parts; a part may start with "(inside: ...)" naming its enclosing elements. Only report problems visible in the part you were given.
 
 Return your response in valid JSON ONLY, strictly adhering to the following schema:
 
@@ -61,7 +281,9 @@ Return your response in valid JSON ONLY, strictly adhering to the following sche
     {
       "title": "Concise bug title",
       "description": "Detailed description of the bug, including its impact.",
-      "severity": "low | medium | high | critical"
+      "severity": "low | medium | high | critical",
+      "element": "@12",
+      "selector": "CSS selector of the element"
     }
   ],
   "fixes": [
@@ -71,18 +293,38 @@ Return your response in valid JSON ONLY, strictly adhering to the following sche
   "suggestions": [
     "General suggestion 1 for UI/UX or accessibility improvement.",
     "General suggestion 2."
+  ],
+  "findings": [
+    {
+      "id": "R1",
+      "explanation": "Why this rule finding matters to users.",
+      "fix": "Concrete fix.",
+      "priority": 1
+    }
   ]
 }
 
-Ensure all fields are populated even if with "N/A" or "None" if no relevant information is found.
+Severity must be exactly one of: low, medium, high, critical. Every bug needs a non-empty title and description.
+"element" is the @reference of the outline line the bug is about and "selector" its CSS selector (copy the one in braces when there is one). Cite the most specific element. Use null for both only for page-wide problems such as console or network errors.
+Use empty arrays when there is nothing to report; do not add placeholder entries such as "N/A".
 `;
 
-  const userMessage = `
+  const chunks = dom?.lines?.length > 0 ? chunkDomSummary(dom) : ["(empty page)"];
+  const analyzed = chunks.slice(0, MAX_CHUNKS);
+  const outlineNote = [
+    dom?.stats?.truncated && "the outline was cut off at its line limit",
+    chunks.length > analyzed.length && `only the first ${analyzed.length} of ${chunks.length} parts are analyzed`
+  ].filter(Boolean).join("; ");
+
+  const userMessage = (chunk, index) => `
 Scan Data:
 URL: ${url}
+${device ? `Device: ${device.name} (${device.viewport.width}x${device.viewport.height}${device.isMobile ? ", mobile" : ""})\n` : ""}
+Page outline${analyzed.length > 1 ? ` (part ${index + 1} of ${analyzed.length})` : ""}${outlineNote ? ` - ${outlineNote}` : ""}:
+${chunk}
 
-DOM (truncated):
-${truncate(dom)}
+Rule Findings${findings.length > 0 ? (index === 0 ? " (explain and prioritize them in \"findings\")" : " (already explained elsewhere; leave \"findings\" empty)") : ""}:
+${findingsSection}
 
 Console Errors:
 ${consoleSection}
@@ -90,52 +332,70 @@ ${consoleSection}
 Network Errors:
 ${networkSection}
 
-Screenshot length: ${screenshot?.length || 0}
+Screenshot length: ${index === 0 ? screenshot?.length || 0 : 0}
 `;
 
-  try {
-    const response = await openai.chat.completions.create({
-      model: OPENAI_MODEL,
-      messages: [
-        { role: "system", content: systemMessage },
-        {
-          role: "user",
-          content: [
-            { type: "text", text: userMessage },
-            { type: "image_url", image_url: { url: `data:image/png;base64,${screenshot}` } }
-          ]
-        }
-      ],
-      temperature: 0.2,
-      response_format: { type: "json_object" } // Ensure JSON output
-    });
-
-    const jsonText = response.choices[0]?.message?.content ?? "{}";
-
-    let parsed;
-    try {
-      parsed = JSON.parse(jsonText);
-    } catch (e) {
-      console.error("Failed to parse LLM response as JSON:", e);
-      parsed = {};
+  // Streamed items, each passed on once across chunks and repair prompts
+  const streamed = new Set();
+  let streamedBugs = 0;
+  // Evidence lookups are async; the chain keeps the items in order
+  let streaming = Promise.resolve();
+  const streamItem = onItem && ((field, item) => {
+    if (field === "bugs") {
+      const { errors, value: bug } = validateBug(item);
+      if (errors.length > 0 || streamed.has(`bug|${bugKey(bug)}`)) return;
+      streamed.add(`bug|${bugKey(bug)}`);
+      // Numbered after the confirmed bugs, like the final result
+      const firstNumber = findings.length + streamedBugs + 1;
+      streamedBugs += 1;
+      streaming = streaming.then(async () => {
+        const [withEvidence] = await attachEvidence([{ ...bug, source: "ai" }], dom, { viewport: device?.viewport, page, firstNumber });
+        onItem("bug", withEvidence);
+      });
+    } else if ((field === "fixes" || field === "suggestions") && typeof item === "string" && item.trim()) {
+      const kind = field === "fixes" ? "fix" : "suggestion";
+      if (streamed.has(`${kind}|${normalizeKey(item)}`)) return;
+      streamed.add(`${kind}|${normalizeKey(item)}`);
+      streaming = streaming.then(() => onItem(kind, item.trim()));
     }
+  });
 
-    return {
-      bugs: parsed.bugs || [],
-      fixes: parsed.fixes || [],
-      suggestions: parsed.suggestions || [],
-      rawLLMResponse: parsed
-    };
-  } catch (error) {
-    console.error("OpenAI request failed:", error.message);
-    return {
-      bugs: [],
-      fixes: [],
-      suggestions: [],
-      rawLLMResponse: {
-        error: error.message,
-        details: error.response?.data || null // For axios errors
-      }
-    };
+  const label = `LLM request (${llm.provider}/${llm.model})`;
+  const results = await mapWithConcurrency(analyzed, CHUNK_CONCURRENCY, (chunk, index) =>
+    requestAnalysis(llmProvider, analyzed.length > 1 ? `${label} part ${index + 1}/${analyzed.length}` : label, {
+      system: systemMessage,
+      user: userMessage(chunk, index),
+      image: index === 0 ? screenshot : undefined,
+      context: { url, consoleErrors, networkErrors, device, findings, chunk: index }
+    }, streamItem)
+  );
+  // Every streamed bug is passed on before the result
+  await streaming;
+
+  const answered = results.filter((result) => result.llmStatus !== "failed");
+  if (answered.length === 0) {
+    return report(
+      emptyResult(
+        llm,
+        results.length === 1 ? results[0].error : { ...results[0].error, chunks: results.map((result) => result.error) },
+        results.length
+      )
+    );
+  }
+
+  const failedChunks = results.length - answered.length;
+  if (failedChunks > 0) {
+    console.error(`⚠️  ${label}: ${failedChunks} of ${results.length} parts got no usable answer`);
   }
+
+  const { findings: notes, ...merged } = mergeAnalyses(answered.map((result) => result.value));
+  return report({
+    ...merged,
+    llm,
+    llmStatus: failedChunks > 0 ? "partial" : answered.some((result) => result.llmStatus === "repaired") ? "repaired" : "ok",
+    failedChunks,
+    rawLLMResponse: results.length === 1
+      ? results[0].raw
+      : { chunks: results.map((result) => (result.llmStatus === "failed" ? { llmStatus: "failed", ...result.error } : { llmStatus: result.llmStatus, ...result.raw })) }
+  }, notes);
 };
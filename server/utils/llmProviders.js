@@ -0,0 +1,228 @@
+import fs from "fs/promises";
+import OpenAI from "openai";
+
+/**
+ * LLM provider layer.
+ *
+ * Every provider exposes the same adapter:
+ *   { name, model, supportsImages, complete({ system, user, image, history, context, onText }) -> { text } }
+ *
+ * `history` holds follow-up turns ({ role, content }) after the first user message.
+ * With `onText` the reply is streamed and every piece is passed to it as it arrives.
+ *
+ *   openai      OPENAI_API_KEY, model OPENAI_MODEL (default gpt-4o-mini)
+ *   groq        GROQ_API_KEY, model GROQ_MODEL (default openai/gpt-oss-20b)
+ *   compatible  any OpenAI-compatible server at LLM_BASE_URL (Ollama, llama.cpp,
+ *               vLLM, ...), model LLM_MODEL, optional LLM_API_KEY; set
+ *               LLM_SUPPORTS_IMAGES=true for vision models
+ *   mock        deterministic answers built from the scan data (or the JSON in
+ *               LLM_MOCK_RESPONSE_FILE), no network access
+ *
+ * LLM_PROVIDER picks the default; without it the first provider with
+ * credentials wins (openai, groq, compatible). Requests can override the
+ * provider and the model.
+ */
+
+export const LLM_PROVIDERS = ["openai", "groq", "compatible", "mock"];
+
+const MODEL_PATTERN = /^[\w.:/@-]{1,200}$/;
+
+// Environment is read on every call; dotenv runs after the imports are evaluated
+const PROVIDER_CONFIG = {
+  openai: () => ({
+    apiKey: process.env.OPENAI_API_KEY,
+    baseURL: "https://api.openai.com/v1",
+    model: process.env.OPENAI_MODEL || "gpt-4o-mini",
+    supportsImages: true,
+    missing: process.env.OPENAI_API_KEY ? null : "OPENAI_API_KEY is not set"
+  }),
+  groq: () => ({
+    apiKey: process.env.GROQ_API_KEY,
+    baseURL: "https://api.groq.com/openai/v1",
+    model: process.env.GROQ_MODEL || "openai/gpt-oss-20b",
+    supportsImages: process.env.GROQ_SUPPORTS_IMAGES === "true",
+    missing: process.env.GROQ_API_KEY ? null : "GROQ_API_KEY is not set"
+  }),
+  compatible: () => ({
+    // Local servers usually ignore the key, but the SDK insists on one
+    apiKey: process.env.LLM_API_KEY || "not-needed",
+    baseURL: process.env.LLM_BASE_URL,
+    model: process.env.LLM_MODEL,
+    supportsImages: process.env.LLM_SUPPORTS_IMAGES === "true",
+    missing: process.env.LLM_BASE_URL ? null : "LLM_BASE_URL is not set"
+  }),
+  mock: () => ({
+    model: "mock",
+    supportsImages: false,
+    missing: null
+  })
+};
+
+const clients = new Map();
+
+// One SDK client per endpoint + key, created on first use.
+// Retries are handled by llmHelper, so the SDK's own are off.
+const getClient = (baseURL, apiKey) => {
+  const key = `${baseURL}\n${apiKey}`;
+  if (!clients.has(key)) {
+    clients.set(key, new OpenAI({ apiKey, baseURL, maxRetries: 0 }));
+  }
+  return clients.get(key);
+};
+
+/**
+ * Adapter for OpenAI and every server that speaks its chat completions API
+ */
+const createChatAdapter = (name, config, model) => ({
+  name,
+  model,
+  supportsImages: config.supportsImages,
+  complete: async ({ system, user, image, history = [], onText }) => {
+    const content = image && config.supportsImages
+      ? [
+          { type: "text", text: user },
+          { type: "image_url", image_url: { url: `data:image/png;base64,${image}` } }
+        ]
+      : user;
+
+    const request = {
+      model,
+      messages: [
+        { role: "system", content: system },
+        { role: "user", content },
+        ...history
+      ],
+      temperature: 0.2,
+      response_format: { type: "json_object" } // Ensure JSON output
+    };
+
+    if (onText) {
+      const stream = await getClient(config.baseURL, config.apiKey).chat.completions.create({ ...request, stream: true });
+      let text = "";
+      for await (const part of stream) {
+        const delta = part.choices[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onText(delta);
+        }
+      }
+      return { text };
+    }
+
+    const response = await getClient(config.baseURL, config.apiKey).chat.completions.create(request);
+    return { text: response.choices[0]?.message?.content ?? "" };
+  }
+});
+
+/**
+ * Offline provider: explains the rule findings in their order, or (without
+ * findings) turns the scan's console and network errors into bugs, so the same
+ * scan data always gives the same answer
+ */
+const createMockAdapter = () => ({
+  name: "mock",
+  model: "mock",
+  supportsImages: false,
+  complete: async ({ context = {}, onText }) => {
+    // The whole answer is "streamed" at once
+    const reply = (text) => {
+      if (onText) onText(text);
+      return { text };
+    };
+
+    if (process.env.LLM_MOCK_RESPONSE_FILE) {
+      return reply(await fs.readFile(process.env.LLM_MOCK_RESPONSE_FILE, "utf8"));
+    }
+
+    if (context.findings?.length > 0) {
+      return reply(
+        JSON.stringify({
+          bugs: [],
+          fixes: [],
+          suggestions: [`Mock analysis of ${context.url || "the page"}; configure a real provider for AI findings.`],
+          findings: context.chunk > 0 ? [] : context.findings.slice(0, 10).map((finding, index) => ({
+            id: finding.id,
+            explanation: `Confirmed by the ${finding.rule} check.`,
+            fix: null,
+            priority: index + 1
+          }))
+        })
+      );
+    }
+
+    const consoleErrors = (context.consoleErrors || []).slice(0, 5);
+    const networkErrors = (context.networkErrors || []).slice(0, 5);
+    const bugs = [
+      ...consoleErrors.map((error) => ({
+        title: `Console error: ${(error.text || "unknown").slice(0, 80)}`,
+        description: error.text || "Console error",
+        severity: "medium"
+      })),
+      ...networkErrors.map((error) => ({
+        title: `Request failed with ${error.status}`,
+        description: `${error.url} returned ${error.status} ${error.statusText || ""}`.trim(),
+        severity: error.status >= 500 ? "high" : "medium"
+      }))
+    ];
+
+    return reply(
+      JSON.stringify({
+        bugs,
+        fixes: bugs.length > 0 ? ["Fix the console and network errors listed above."] : [],
+        suggestions: [`Mock analysis of ${context.url || "the page"}; configure a real provider for AI findings.`]
+      })
+    );
+  }
+});
+
+/**
+ * LLM_PROVIDER, or the first provider with credentials (the mock is never picked implicitly)
+ */
+const getDefaultProviderName = () => {
+  if (process.env.LLM_PROVIDER) return process.env.LLM_PROVIDER;
+  return ["openai", "groq", "compatible"].find((name) => !PROVIDER_CONFIG[name]().missing) || null;
+};
+
+/**
+ * Providers that can be used right now, with their default models
+ */
+export const listLLMProviders = () => {
+  const fallback = getDefaultProviderName();
+  return LLM_PROVIDERS
+    .map((name) => ({ name, ...PROVIDER_CONFIG[name]() }))
+    .filter((config) => !config.missing && config.model)
+    .map(({ name, model, supportsImages }) => ({ name, model, supportsImages, default: name === fallback }));
+};
+
+/**
+ * Resolves the provider for a request
+ * @param {string} [name] - Provider name (default: LLM_PROVIDER or the first configured one)
+ * @param {string} [model] - Model override (default: the provider's configured model)
+ * @returns {{provider: Object}|{error: string}}
+ */
+export const resolveLLMProvider = (name, model) => {
+  const providerName = name || getDefaultProviderName();
+  if (!providerName) {
+    return { error: "No LLM provider configured (set OPENAI_API_KEY, GROQ_API_KEY or LLM_BASE_URL)" };
+  }
+  if (!LLM_PROVIDERS.includes(providerName)) {
+    return { error: `Unknown LLM provider "${providerName}" (expected one of ${LLM_PROVIDERS.join(", ")})` };
+  }
+  if (model !== undefined && model !== null && model !== "" && (typeof model !== "string" || !MODEL_PATTERN.test(model))) {
+    return { error: "Invalid model name" };
+  }
+
+  const config = PROVIDER_CONFIG[providerName]();
+  if (config.missing) {
+    return { error: `LLM provider "${providerName}" is not configured: ${config.missing}` };
+  }
+  if (providerName === "mock") {
+    return { provider: createMockAdapter() };
+  }
+
+  const selectedModel = model || config.model;
+  if (!selectedModel) {
+    return { error: `LLM provider "${providerName}" needs a model (set LLM_MODEL or pass one)` };
+  }
+  return { provider: createChatAdapter(providerName, config, selectedModel) };
+};
@@ -0,0 +1,240 @@
+/**
+ * Schema for the LLM's scan analysis:
+ *
+ *   {
+ *     "bugs": [{
+ *       "title": string, "description": string, "severity": "low" | "medium" | "high" | "critical",
+ *       "element": "@12" | null,      // outline reference of the element the bug is about
+ *       "selector": string | null     // CSS selector of that element
+ *     }],
+ *     "fixes": [string],
+ *     "suggestions": [string],
+ *     "findings": [{                  // notes on the rule findings given in the prompt
+ *       "id": "R3", "explanation": string, "fix": string | null, "priority": 1 | 2 | ... | null
+ *     }]
+ *   }
+ *
+ * bugs, fixes and suggestions are required (empty when there is nothing to
+ * report), findings is optional. Bugs may carry extra fields; they are kept as they are.
+ */
+
+export const BUG_SEVERITIES = ["low", "medium", "high", "critical"];
+
+const isNonEmptyString = (value) => typeof value === "string" && value.trim().length > 0;
+
+const ELEMENT_REF_PATTERN = /^@?(\d+)$/;
+
+/**
+ * Extracts the JSON object from a model reply, tolerating ```json fences and
+ * text around the object
+ * @returns {{value: *}|{error: string}}
+ */
+export const parseLLMJson = (text) => {
+  if (!isNonEmptyString(text)) {
+    return { error: "Response was empty" };
+  }
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1] : text;
+  try {
+    return { value: JSON.parse(candidate) };
+  } catch (error) {
+    // Fall back to the outermost braces
+    const start = candidate.indexOf("{");
+    const end = candidate.lastIndexOf("}");
+    if (start !== -1 && end > start) {
+      try {
+        return { value: JSON.parse(candidate.slice(start, end + 1)) };
+      } catch {
+        // Reported below with the original parser message
+      }
+    }
+    return { error: `Response is not valid JSON: ${error.message}` };
+  }
+};
+
+/**
+ * Incremental reader for a streamed reply: call the returned function with
+ * every piece of text; `onItem(field, value)` is called as soon as an element
+ * of one of the top-level arrays ("bugs", "fixes", ...) is complete. Text
+ * before the opening brace (such as a ```json fence) is skipped. Elements are
+ * not validated and may be reported again by a later (repaired) reply.
+ * @param {Function} onItem
+ * @returns {Function} `(text) => void`
+ */
+export const createItemParser = (onItem) => {
+  let text = "";
+  let position = 0;
+  let started = false;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let stringStart = -1;
+  let lastString = null;
+  let field = null;
+  let itemStart = -1;
+
+  const emit = (end) => {
+    try {
+      onItem(field, JSON.parse(text.slice(itemStart, end)));
+    } catch {
+      // Malformed element; the complete reply is validated anyway
+    }
+    itemStart = -1;
+  };
+
+  return (piece) => {
+    text += piece;
+    for (; position < text.length; position += 1) {
+      const char = text[position];
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === "\\") {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+          if (depth === 1) lastString = text.slice(stringStart + 1, position);
+          else if (depth === 2 && field && itemStart === stringStart) emit(position + 1);
+        }
+        continue;
+      }
+
+      if (!started) {
+        if (char === "{") {
+          started = true;
+          depth = 1;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+        stringStart = position;
+        if (depth === 2 && field && itemStart === -1) itemStart = position;
+      } else if (char === "{" || char === "[") {
+        // An array value of the top-level object: its elements are the items
+        if (depth === 1 && char === "[") field = lastString;
+        else if (depth === 2 && field && itemStart === -1) itemStart = position;
+        depth += 1;
+      } else if (char === "}" || char === "]") {
+        depth -= 1;
+        if (depth === 2 && field && itemStart !== -1) emit(position + 1);
+        else if (depth === 1) field = null;
+        else if (depth === 0) started = false;
+      }
+    }
+  };
+};
+
+const validateStringArray = (value, field, errors) => {
+  if (!Array.isArray(value)) {
+    errors.push(`"${field}" must be an array of strings`);
+    return [];
+  }
+  value.forEach((entry, index) => {
+    if (!isNonEmptyString(entry)) errors.push(`"${field}[${index}]" must be a non-empty string`);
+  });
+  return value.map((entry) => (typeof entry === "string" ? entry.trim() : entry));
+};
+
+/**
+ * Validates (and normalizes: trimmed strings, lower-case severity, "@12"
+ * element references) one bug
+ * @param {*} bug
+ * @param {string} [where] - Path used in the error messages
+ * @returns {{errors: string[], value: *}}
+ */
+export const validateBug = (bug, where = "bug") => {
+  if (!bug || typeof bug !== "object" || Array.isArray(bug)) {
+    return { errors: [`"${where}" must be an object`], value: bug };
+  }
+
+  const errors = [];
+  if (!isNonEmptyString(bug.title)) errors.push(`"${where}.title" is required and must be a non-empty string`);
+  if (!isNonEmptyString(bug.description)) errors.push(`"${where}.description" is required and must be a non-empty string`);
+
+  const severity = typeof bug.severity === "string" ? bug.severity.trim().toLowerCase() : bug.severity;
+  if (!BUG_SEVERITIES.includes(severity)) {
+    errors.push(`"${where}.severity" must be one of ${BUG_SEVERITIES.join(", ")} (got ${JSON.stringify(bug.severity)})`);
+  }
+
+  // Optional evidence; "12" and 12 are accepted for "@12"
+  let element = bug.element ?? null;
+  if (element !== null) {
+    const match = String(element).trim().match(ELEMENT_REF_PATTERN);
+    if (match) element = `@${match[1]}`;
+    else errors.push(`"${where}.element" must be an outline reference like "@12" or null (got ${JSON.stringify(bug.element)})`);
+  }
+  const selector = bug.selector ?? null;
+  if (selector !== null && !isNonEmptyString(selector)) {
+    errors.push(`"${where}.selector" must be a non-empty string or null`);
+  }
+
+  return {
+    errors,
+    value: {
+      ...bug,
+      title: typeof bug.title === "string" ? bug.title.trim() : bug.title,
+      description: typeof bug.description === "string" ? bug.description.trim() : bug.description,
+      severity,
+      element,
+      selector: typeof selector === "string" ? selector.trim() : selector
+    }
+  };
+};
+
+/**
+ * Validates (and lightly normalizes: trimmed strings, lower-case severity) a scan analysis
+ * @returns {{valid: boolean, errors: string[], value: Object}} `value` is only meaningful when valid
+ */
+export const validateScanAnalysis = (data) => {
+  const errors = [];
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return { valid: false, errors: ["Response must be a JSON object with bugs, fixes and suggestions"], value: null };
+  }
+
+  let bugs = [];
+  if (!Array.isArray(data.bugs)) {
+    errors.push(`"bugs" must be an array of objects`);
+  } else {
+    bugs = data.bugs.map((bug, index) => {
+      const checked = validateBug(bug, `bugs[${index}]`);
+      errors.push(...checked.errors);
+      return checked.value;
+    });
+  }
+
+  const fixes = validateStringArray(data.fixes, "fixes", errors);
+  const suggestions = validateStringArray(data.suggestions, "suggestions", errors);
+
+  let findings = [];
+  if (data.findings !== undefined && data.findings !== null) {
+    if (!Array.isArray(data.findings)) {
+      errors.push(`"findings" must be an array of objects`);
+    } else {
+      findings = data.findings.map((note, index) => {
+        const where = `findings[${index}]`;
+        if (!note || typeof note !== "object" || Array.isArray(note)) {
+          errors.push(`"${where}" must be an object`);
+          return note;
+        }
+        if (!isNonEmptyString(note.id)) errors.push(`"${where}.id" must be a finding id like "R3"`);
+        if (!isNonEmptyString(note.explanation)) errors.push(`"${where}.explanation" is required and must be a non-empty string`);
+        const fix = note.fix ?? null;
+        if (fix !== null && typeof fix !== "string") errors.push(`"${where}.fix" must be a string or null`);
+        const priority = note.priority ?? null;
+        if (priority !== null && !(Number.isInteger(priority) && priority > 0)) errors.push(`"${where}.priority" must be a positive integer or null`);
+        return {
+          id: typeof note.id === "string" ? note.id.trim().toUpperCase() : note.id,
+          explanation: typeof note.explanation === "string" ? note.explanation.trim() : note.explanation,
+          fix: typeof fix === "string" && fix.trim() ? fix.trim() : null,
+          priority
+        };
+      });
+    }
+  }
+
+  return { valid: errors.length === 0, errors, value: { bugs, fixes, suggestions, findings } };
+};
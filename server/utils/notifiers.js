@@ -0,0 +1,99 @@
+import fs from "fs/promises";
+import path from "path";
+import axios from "axios";
+import { fileURLToPath } from "url";
+
+/**
+ * Notification channels for scheduled scans.
+ *
+ * A schedule lists its channels as `{ type, ...options }`; every type has a
+ * `validate(options)` that returns an error message or null and a
+ * `send(options, notification)`. Built in are:
+ *   webhook  POSTs the notification as JSON to `url` (http or https)
+ *   file     appends it as one JSON line to NOTIFICATION_LOG_FILE
+ *            (default: server/data/notifications.log)
+ * Further channels are added with registerNotifier().
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const LOG_FILE = process.env.NOTIFICATION_LOG_FILE || path.join(__dirname, "..", "data", "notifications.log");
+
+const WEBHOOK_TIMEOUT = 10000;
+
+const notifiers = new Map();
+
+/**
+ * Adds a notification channel
+ * @param {string} type - Name used in a schedule's `notify` list
+ * @param {Object} notifier
+ * @param {Function} notifier.validate - (options) => error message or null
+ * @param {Function} notifier.send - async (options, notification) => void
+ */
+export const registerNotifier = (type, { validate = () => null, send }) => {
+  notifiers.set(type, { validate, send });
+};
+
+registerNotifier("webhook", {
+  validate: ({ url }) => {
+    try {
+      const { protocol } = new URL(url);
+      return ["http:", "https:"].includes(protocol) ? null : "Webhook url must use http or https";
+    } catch {
+      return "Webhook url is missing or invalid";
+    }
+  },
+  send: async ({ url }, notification) => {
+    await axios.post(url, notification, {
+      timeout: WEBHOOK_TIMEOUT,
+      headers: { "Content-Type": "application/json", "User-Agent": "smart-bug-finder" }
+    });
+  }
+});
+
+// The log file is fixed by the server; schedules cannot choose where to write
+registerNotifier("file", {
+  send: async (options, notification) => {
+    await fs.mkdir(path.dirname(LOG_FILE), { recursive: true });
+    await fs.appendFile(LOG_FILE, `${JSON.stringify(notification)}\n`);
+  }
+});
+
+export const listNotifierTypes = () => [...notifiers.keys()];
+
+/**
+ * Validates a schedule's `notify` list
+ * @returns {{channels: Array} | {error: string}} The channels with only `type` and their options
+ */
+export const parseNotifyChannels = (notify) => {
+  if (notify === undefined || notify === null) return { channels: [] };
+  if (!Array.isArray(notify)) return { error: "notify must be an array of { type, ... } channels" };
+
+  const channels = [];
+  for (const [index, channel] of notify.entries()) {
+    const notifier = notifiers.get(channel?.type);
+    if (!notifier) {
+      return { error: `notify[${index}].type must be one of ${listNotifierTypes().join(", ")}` };
+    }
+    const error = notifier.validate(channel);
+    if (error) return { error: `notify[${index}]: ${error}` };
+    channels.push({ ...channel });
+  }
+  return { channels };
+};
+
+/**
+ * Sends a notification through every channel; a failing channel does not stop the others
+ * @returns {Promise<Array<{type: string, ok: boolean, error?: string}>>}
+ */
+export const sendNotifications = (channels, notification) =>
+  Promise.all(
+    channels.map(async (channel) => {
+      try {
+        await notifiers.get(channel.type).send(channel, notification);
+        return { type: channel.type, ok: true };
+      } catch (error) {
+        console.error(`⚠️  ${channel.type} notification failed:`, error.message);
+        return { type: channel.type, ok: false, error: error.message };
+      }
+    })
+  );
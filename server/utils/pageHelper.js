@@ -0,0 +1,137 @@
+/**
+ * Shared Playwright page setup used by the controllers and the scan pipeline
+ */
+
+/**
+ * Aborts requests for the given resource types to speed up loading
+ * @param {import('playwright').Page} page
+ * @param {string[]} resourceTypes - e.g. ['font', 'media'] (keep 'image' when a screenshot is needed)
+ */
+export const blockResources = async (page, resourceTypes) => {
+  await page.route('**/*', (route) => {
+    const resourceType = route.request().resourceType();
+    if (resourceTypes.includes(resourceType)) {
+      route.abort();
+    } else {
+      route.continue();
+    }
+  });
+};
+
+/**
+ * Starts collecting console errors/warnings and 4xx/5xx responses.
+ * The returned arrays fill up live while the page is used.
+ * @returns {{consoleErrors: Array, consoleWarnings: Array, networkErrors: Array}}
+ */
+export const collectPageErrors = (page) => {
+  const consoleErrors = [];
+  const consoleWarnings = [];
+  const networkErrors = [];
+
+  page.on("console", (msg) => {
+    const msgType = msg.type();
+    if (msgType === "error") {
+      consoleErrors.push({
+        text: msg.text(),
+        location: msg.location()
+      });
+    } else if (msgType === "warning") {
+      consoleWarnings.push({
+        text: msg.text(),
+        location: msg.location()
+      });
+    }
+  });
+
+  page.on("response", (response) => {
+    const status = response.status();
+    if (status >= 400) {
+      networkErrors.push({
+        url: response.url(),
+        status,
+        statusText: response.statusText()
+      });
+    }
+  });
+
+  return { consoleErrors, consoleWarnings, networkErrors };
+};
+
+/**
+ * Navigates and waits for the page to settle (networkidle is best effort)
+ * @param {import('playwright').Page} page
+ * @param {string} url
+ * @param {Object} options
+ * @param {number} options.networkIdleTimeout - Max wait for networkidle in ms (default: 10000)
+ * @param {number} options.settleTime - Extra wait for rendering in ms (default: 1000)
+ */
+export const navigateAndSettle = async (page, url, options = {}) => {
+  const { networkIdleTimeout = 10000, settleTime = 1000 } = options;
+
+  await page.goto(url, {
+    waitUntil: 'domcontentloaded',
+    timeout: 60000
+  });
+
+  await page.waitForLoadState('networkidle', { timeout: networkIdleTimeout }).catch(() => {
+    // If networkidle times out, continue anyway - DOM is already loaded
+  });
+  await page.waitForTimeout(settleTime);
+};
+
+/**
+ * Turns common Playwright navigation errors into a user-facing explanation
+ */
+export const describeNavigationError = (error) => {
+  const message = error?.message || '';
+  if (message.includes('net::ERR_CONNECTION_REFUSED') || message.includes('Navigation timeout')) {
+    return 'Connection refused or timeout. Make sure the URL is accessible from the server.';
+  }
+  if (message.includes('net::ERR_NAME_NOT_RESOLVED')) {
+    return 'Host not found. Check if the URL is correct.';
+  }
+  return message;
+};
+
+// Shortest selector that is unique in the document (ID, or nth-of-type path).
+// Runs inside the page, so it must not use anything from this module.
+function cssPath(element) {
+  if (element.id && document.querySelectorAll(`#${CSS.escape(element.id)}`).length === 1) {
+    return `#${CSS.escape(element.id)}`;
+  }
+  const parts = [];
+  let current = element;
+  while (current && current.nodeType === 1 && current !== document.documentElement) {
+    if (current !== element && current.id && document.querySelectorAll(`#${CSS.escape(current.id)}`).length === 1) {
+      parts.unshift(`#${CSS.escape(current.id)}`);
+      break;
+    }
+    let part = current.tagName.toLowerCase();
+    const parent = current.parentElement;
+    if (parent) {
+      const sameTag = Array.from(parent.children).filter((child) => child.tagName === current.tagName);
+      if (sameTag.length > 1) {
+        part += `:nth-of-type(${sameTag.indexOf(current) + 1})`;
+      }
+    }
+    parts.unshift(part);
+    current = parent;
+  }
+  return parts.join(" > ");
+}
+
+const PAGE_HELPERS_SCRIPT = `window.__bugFinder = { cssPath: ${cssPath.toString()} };`;
+
+/**
+ * `page.evaluate` with the helpers the in-page scripts of the auditors share
+ * defined as `window.__bugFinder` (currently `cssPath(element)`), so every
+ * report names elements the same way
+ * @param {import('playwright').Page} page
+ * @param {Function} pageFunction - Runs in the page
+ * @param {*} [arg] - Passed to pageFunction
+ */
+export const evaluateWithHelpers = async (page, pageFunction, arg) => {
+  // Defined again every time, as a navigation drops them
+  await page.evaluate(PAGE_HELPERS_SCRIPT);
+  return page.evaluate(pageFunction, arg);
+};
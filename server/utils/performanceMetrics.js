@@ -0,0 +1,188 @@
+/**
+ * Web performance metrics (Core Web Vitals, navigation and resource timing).
+ *
+ * observePerformance() must be called before navigation: it installs
+ * PerformanceObservers for LCP, layout shifts and long tasks in every
+ * document. collectPerformance() then reads them together with the
+ * navigation/resource timing entries and rates the page.
+ */
+
+// [good, poor] boundaries: value <= good is "good", value > poor is "poor" (web.dev thresholds)
+export const PERFORMANCE_THRESHOLDS = {
+  lcp: [2500, 4000],
+  fcp: [1800, 3000],
+  cls: [0.1, 0.25],
+  tbt: [200, 600],
+  ttfb: [800, 1800]
+};
+
+// Metrics that decide the overall page rating (TBT is the lab stand-in for INP)
+const CORE_METRICS = ["lcp", "cls", "tbt"];
+
+const RATINGS = ["good", "needs-improvement", "poor"];
+
+// Per-resource entries listed in the report (the summary counts all of them)
+const MAX_RESOURCES = 150;
+
+const rate = (metric, value) => {
+  if (value === null || value === undefined) return null;
+  const [good, poor] = PERFORMANCE_THRESHOLDS[metric];
+  if (value <= good) return "good";
+  return value <= poor ? "needs-improvement" : "poor";
+};
+
+/**
+ * Starts recording LCP, layout shifts and long tasks in every document the page loads
+ * @param {import('playwright').Page} page - A page that has not navigated yet
+ */
+export const observePerformance = async (page) => {
+  await page.addInitScript(() => {
+    const state = { lcp: null, lcpElement: null, cls: 0, longTasks: [] };
+    Object.defineProperty(window, "__smartBugFinderPerf", { value: state });
+
+    const observe = (type, callback) => {
+      try {
+        new PerformanceObserver((list) => list.getEntries().forEach(callback)).observe({ type, buffered: true });
+      } catch {
+        // Entry type not supported by this browser
+      }
+    };
+
+    observe("largest-contentful-paint", (entry) => {
+      state.lcp = entry.startTime;
+      const element = entry.element;
+      state.lcpElement = element
+        ? `${element.tagName.toLowerCase()}${element.id ? `#${element.id}` : ""}${entry.url ? ` (${entry.url})` : ""}`
+        : null;
+    });
+
+    // CLS is the largest session window: shifts less than 1s apart, at most 5s long
+    let sessionValue = 0;
+    let sessionStart = 0;
+    let lastShift = 0;
+    observe("layout-shift", (entry) => {
+      if (entry.hadRecentInput) return;
+      if (entry.startTime - lastShift > 1000 || entry.startTime - sessionStart > 5000) {
+        sessionValue = 0;
+        sessionStart = entry.startTime;
+      }
+      sessionValue += entry.value;
+      lastShift = entry.startTime;
+      state.cls = Math.max(state.cls, sessionValue);
+    });
+
+    observe("longtask", (entry) => {
+      state.longTasks.push({ startTime: entry.startTime, duration: entry.duration });
+    });
+  });
+};
+
+/**
+ * Reads the performance data of the loaded page and rates it
+ * @param {import('playwright').Page} page - Page prepared with observePerformance()
+ * @param {Object} options
+ * @param {number} options.loadTimeout - Max wait for the load event in ms (default: 5000)
+ * @param {string[]} options.blockedResourceTypes - Resource types aborted for this page, reported so readers know LCP/transfer size exclude them
+ * @returns {Promise<Object>} `{ rating, metrics, longTasks, transfer, resources, ... }`
+ */
+export const collectPerformance = async (page, options = {}) => {
+  const { loadTimeout = 5000, blockedResourceTypes = [] } = options;
+
+  await page.waitForLoadState("load", { timeout: loadTimeout }).catch(() => {
+    // Timings that depend on the load event are reported as null
+  });
+
+  const raw = await page.evaluate((maxResources) => {
+    const round = (value) => (value === null || value === undefined ? null : Math.round(value));
+    const [navigation] = performance.getEntriesByType("navigation");
+    const fcpEntry = performance.getEntriesByName("first-contentful-paint")[0];
+    const state = window.__smartBugFinderPerf || { lcp: null, lcpElement: null, cls: null, longTasks: [] };
+
+    const resources = performance.getEntriesByType("resource").map((entry) => ({
+      url: entry.name,
+      type: entry.initiatorType,
+      startTime: round(entry.startTime),
+      duration: round(entry.duration),
+      ttfb: entry.responseStart > 0 ? round(entry.responseStart - entry.startTime) : null,
+      // 0 for cached responses and for cross-origin ones without Timing-Allow-Origin
+      transferSize: entry.transferSize || 0,
+      encodedBodySize: entry.encodedBodySize || 0
+    }));
+
+    return {
+      navigation: navigation
+        ? {
+            ttfb: round(navigation.responseStart - navigation.startTime),
+            domContentLoaded: navigation.domContentLoadedEventEnd > 0 ? round(navigation.domContentLoadedEventEnd) : null,
+            load: navigation.loadEventEnd > 0 ? round(navigation.loadEventEnd) : null,
+            transferSize: navigation.transferSize || 0
+          }
+        : null,
+      fcp: fcpEntry ? round(fcpEntry.startTime) : null,
+      lcp: round(state.lcp),
+      lcpElement: state.lcpElement,
+      cls: state.cls === null ? null : Number(state.cls.toFixed(3)),
+      longTasks: state.longTasks,
+      resourceCount: resources.length,
+      resourcesSize: resources.reduce((total, resource) => total + resource.transferSize, 0),
+      byType: resources.reduce((groups, resource) => {
+        const group = groups[resource.type] || (groups[resource.type] = { count: 0, transferSize: 0 });
+        group.count += 1;
+        group.transferSize += resource.transferSize;
+        return groups;
+      }, {}),
+      resources: resources.slice(0, maxResources)
+    };
+  }, MAX_RESOURCES);
+
+  // Total Blocking Time: the part of each long task after FCP that exceeds 50ms
+  const tbt = raw.fcp === null
+    ? null
+    : Math.round(raw.longTasks
+      .filter((task) => task.startTime + task.duration > raw.fcp)
+      .reduce((total, task) => total + Math.max(0, task.duration - 50), 0));
+
+  const metric = (name, value, unit = "ms") => ({
+    value,
+    unit,
+    rating: PERFORMANCE_THRESHOLDS[name] ? rate(name, value) : null
+  });
+
+  const metrics = {
+    lcp: metric("lcp", raw.lcp),
+    fcp: metric("fcp", raw.fcp),
+    cls: metric("cls", raw.cls, "score"),
+    tbt: metric("tbt", tbt),
+    ttfb: metric("ttfb", raw.navigation?.ttfb ?? null),
+    domContentLoaded: metric("domContentLoaded", raw.navigation?.domContentLoaded ?? null),
+    load: metric("load", raw.navigation?.load ?? null)
+  };
+
+  // Overall rating is the worst rated core metric
+  const coreRatings = CORE_METRICS.map((name) => metrics[name].rating).filter(Boolean);
+  const rating = coreRatings.length
+    ? RATINGS[Math.max(...coreRatings.map((value) => RATINGS.indexOf(value)))]
+    : null;
+
+  const documentSize = raw.navigation?.transferSize || 0;
+
+  return {
+    rating,
+    metrics,
+    lcpElement: raw.lcpElement,
+    longTasks: {
+      count: raw.longTasks.length,
+      totalDuration: Math.round(raw.longTasks.reduce((total, task) => total + task.duration, 0)),
+      longest: Math.round(Math.max(0, ...raw.longTasks.map((task) => task.duration)))
+    },
+    transfer: {
+      totalSize: documentSize + raw.resourcesSize,
+      documentSize,
+      requestCount: raw.resourceCount + 1,
+      byType: raw.byType
+    },
+    resources: raw.resources,
+    resourcesTruncated: raw.resourceCount > raw.resources.length,
+    blockedResourceTypes
+  };
+};
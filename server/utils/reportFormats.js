@@ -0,0 +1,532 @@
+import { BUG_SEVERITIES } from "./llmSchema.js";
+
+/**
+ * Renders stored scan records as Markdown, HTML, JUnit XML and SARIF reports.
+ *
+ * Every function takes a list of records (one per scanned page) so a CLI run
+ * over a crawled site and a single stored scan share the same output.
+ * Issues are the rule findings (`confirmedBugs`) and the LLM's bugs of every
+ * device; records from before multi-device scans use their top-level fields.
+ */
+
+const SEVERITY_LABELS = { critical: "Critical", high: "High", medium: "Medium", low: "Low" };
+
+const SOURCE_LABELS = { rule: "Confirmed by rule", ai: "Suspected by AI" };
+
+const severityRank = (severity) => BUG_SEVERITIES.indexOf(String(severity || "").toLowerCase());
+
+/**
+ * The devices of a record with their issues, most severe first
+ * @returns {Array<{key: string, device: Object|null, result: Object, issues: Array}>}
+ */
+export const collectIssues = (record) => {
+  const results = record.deviceResults || { [record.devices?.[0] || "desktop"]: record };
+
+  return Object.entries(results).map(([key, result]) => ({
+    key,
+    device: result.device || null,
+    result,
+    issues: [
+      ...(result.confirmedBugs || []).map((bug) => ({ source: "rule", ...bug })),
+      ...(result.bugs || []).map((bug) => ({ source: "ai", ...bug }))
+    ].sort((a, b) => severityRank(b.severity) - severityRank(a.severity))
+  }));
+};
+
+/**
+ * Highest severity over all records and devices, or null without issues
+ */
+export const highestSeverity = (records) => {
+  const ranks = records.flatMap((record) => collectIssues(record).flatMap(({ issues }) => issues.map((issue) => severityRank(issue.severity))));
+  const highest = Math.max(-1, ...ranks);
+  return highest >= 0 ? BUG_SEVERITIES[highest] : null;
+};
+
+/**
+ * Issue counts per severity over all records and devices
+ */
+export const countBySeverity = (records) => {
+  const counts = Object.fromEntries(BUG_SEVERITIES.map((severity) => [severity, 0]));
+  records.forEach((record) =>
+    collectIssues(record).forEach(({ issues }) =>
+      issues.forEach((issue) => {
+        if (counts[issue.severity] !== undefined) counts[issue.severity] += 1;
+      })
+    )
+  );
+  return counts;
+};
+
+const deviceLabel = ({ key, device }) =>
+  device ? `${device.name} (${device.viewport.width}×${device.viewport.height})` : key;
+
+const partialNote = ({ failedChunks }) =>
+  `The AI analysis got no answer for ${failedChunks} part${failedChunks === 1 ? "" : "s"} of the page; some AI findings may be missing.`;
+
+const issueLocation = (issue) => issue.evidence?.selector || issue.selector || issue.evidence?.element || null;
+
+const escapeXml = (text) =>
+  String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;")
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+
+const escapeHtml = (text) =>
+  String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Table cells: pipes split columns, newlines end the row and tags would be rendered
+const escapeMarkdownCell = (text) => String(text ?? "").replace(/\|/g, "\\|").replace(/</g, "&lt;").replace(/\s*\n\s*/g, " ");
+
+/**
+ * Markdown summary: a severity table, then one issue table per page and device
+ */
+export const toMarkdown = (records, { title = "Smart Bug Finder Report" } = {}) => {
+  const counts = countBySeverity(records);
+  const lines = [
+    `# ${title}`,
+    "",
+    `Generated ${new Date().toISOString()} · ${records.length} page${records.length === 1 ? "" : "s"} · highest severity: ${highestSeverity(records) || "none"}`,
+    "",
+    "| Severity | Issues |",
+    "| --- | --- |",
+    ...BUG_SEVERITIES.slice().reverse().map((severity) => `| ${SEVERITY_LABELS[severity]} | ${counts[severity]} |`),
+    ""
+  ];
+
+  for (const record of records) {
+    lines.push(`## ${record.url}`, "");
+    if (record.id) lines.push(`Scan \`${record.id}\``, "");
+
+    for (const entry of collectIssues(record)) {
+      lines.push(`### ${deviceLabel(entry)}`, "");
+      if (entry.result.error) {
+        lines.push(`Scan failed: ${entry.result.error}`, "");
+        continue;
+      }
+      if (entry.result.llmStatus === "failed") {
+        lines.push("_The AI analysis failed; only rule findings are listed._", "");
+      } else if (entry.result.llmStatus === "partial") {
+        lines.push(`_${partialNote(entry.result)}_`, "");
+      }
+      if (entry.issues.length === 0) {
+        lines.push("No issues found.", "");
+      } else {
+        lines.push("| Severity | Source | Issue | Element |", "| --- | --- | --- | --- |");
+        entry.issues.forEach((issue) => {
+          const location = issueLocation(issue);
+          lines.push(
+            `| ${SEVERITY_LABELS[issue.severity] || issue.severity} | ${SOURCE_LABELS[issue.source] || issue.source}${issue.rule ? ` (\`${issue.rule}\`)` : ""} | **${escapeMarkdownCell(issue.title)}** ${escapeMarkdownCell(issue.description)}${issue.fix ? ` Fix: ${escapeMarkdownCell(issue.fix)}` : ""} | ${location ? `\`${escapeMarkdownCell(location)}\`` : ""} |`
+          );
+        });
+        lines.push("");
+      }
+
+      const fixes = entry.result.fixes || [];
+      if (fixes.length > 0) {
+        lines.push("Suggested fixes:", "", ...fixes.map((fix) => `- ${fix}`), "");
+      }
+    }
+  }
+
+  return `${lines.join("\n").trimEnd()}\n`;
+};
+
+const controlLabel = (control) =>
+  [
+    control.text && `"${control.text.slice(0, 60)}"`,
+    control.labelText && `"${control.labelText.slice(0, 60)}"`,
+    control.id && `#${control.id}`,
+    control.name && `name="${control.name}"`,
+    control.placeholder && `"${control.placeholder}"`
+  ].filter(Boolean)[0] || control.testResults?.selector || control.type || "(unnamed)";
+
+/**
+ * Outcome of one head check or interactive element test:
+ * `{ name, failure?, skipped?, details? }` (passed without failure or skipped)
+ */
+const headChecks = (headAnalysis) => [
+  headAnalysis.title?.hasTitle && headAnalysis.title.titleText
+    ? { name: "Title", details: headAnalysis.title.titleText }
+    : { name: "Title", failure: "Missing or empty <title>" },
+  ...(headAnalysis.metaSummary?.important || []).map((meta) =>
+    meta.present === false
+      ? { name: `Meta ${meta.nameOrProperty}`, failure: `Missing ${meta.nameOrProperty} meta tag` }
+      : { name: `Meta ${meta.nameOrProperty}`, details: meta.contentOrValue }
+  ),
+  ...(headAnalysis.linkSummary || []).map((link) => {
+    const name = `Link rel="${link.rel || "?"}" ${link.href || "(no href)"}`;
+    if (link.ok === false) return { name, failure: link.errorMessage || `Returned ${link.statusCode}` };
+    if (link.ok === null || link.ok === undefined) return { name, skipped: link.errorMessage || "Not validated" };
+    return { name, details: link.statusCode ? `Returned ${link.statusCode}` : null };
+  })
+];
+
+// Disabled, read-only and hidden controls are skipped; the same cases as the body rule findings fail
+const elementChecks = (bodyAnalysis) => {
+  const check = (kind, control, test) => {
+    const name = `${kind} ${controlLabel(control)}`;
+    const results = control.testResults;
+    if (!results) return { name, skipped: "Not tested" };
+    if (results.error) return { name, skipped: results.error };
+    return { name, details: results.selector ? `Selector: ${results.selector}` : null, ...test(results) };
+  };
+
+  return [
+    ...(bodyAnalysis.buttons || []).map((button) =>
+      check("Button", button, ({ visible, enabled, clickable }) => {
+        if (!visible) return { skipped: "Not visible" };
+        if (!enabled) return { skipped: "Disabled" };
+        return clickable ? {} : { failure: "Visible and enabled but has no size" };
+      })
+    ),
+    ...(bodyAnalysis.inputs || [])
+      .filter((input) => input.type !== "hidden")
+      .map((input) =>
+        check("Input", input, ({ visible, fillable, readonly, disabled }) => {
+          if (!visible) return input.required ? { failure: "Required input is not visible" } : { skipped: "Not visible" };
+          if (readonly || disabled) return { skipped: readonly ? "Read-only" : "Disabled" };
+          return fillable ? {} : { failure: "Visible and enabled, but typing into it failed" };
+        })
+      ),
+    ...(bodyAnalysis.dropdowns || []).map((dropdown) =>
+      check("Dropdown", dropdown, ({ clickable, selectable }) => {
+        if (!clickable) return { skipped: "Not visible or disabled" };
+        return selectable ? {} : { failure: dropdown.options?.length ? "Selecting an option failed" : "Has no options" };
+      })
+    ),
+    ...(bodyAnalysis.checkboxes || []).map((checkbox) =>
+      check("Checkbox", checkbox, ({ clickable, toggleable }) => {
+        if (!clickable) return { skipped: "Not visible or disabled" };
+        return toggleable ? {} : { failure: "Clicking did not change its state" };
+      })
+    )
+  ];
+};
+
+const HTML_STYLE = `
+  @page { size: A4; margin: 16mm 14mm; }
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #0f172a; font-size: 14px; }
+  h1 { margin-bottom: 0.25rem; }
+  h2 { margin-top: 0; word-break: break-all; }
+  h3, h4 { break-after: avoid; page-break-after: avoid; }
+  .meta { color: #64748b; margin-top: 0; }
+  table { border-collapse: collapse; width: 100%; margin: 1rem 0; }
+  tr { break-inside: avoid; page-break-inside: avoid; }
+  th, td { border: 1px solid #e2e8f0; padding: 0.5rem; text-align: left; vertical-align: top; font-size: 0.85rem; }
+  th { background: #f8fafc; }
+  code { font-size: 0.8rem; word-break: break-all; }
+  a { color: #4338ca; text-decoration: none; }
+  nav ol { padding-left: 1.25rem; } nav li { margin: 0.2rem 0; }
+  .device { break-before: page; page-break-before: always; }
+  figure { margin: 1rem 0; break-inside: avoid; page-break-inside: avoid; }
+  figure img { max-width: 100%; max-height: 230mm; border: 1px solid #e2e8f0; border-radius: 8px; }
+  .severity { font-weight: 600; text-transform: uppercase; font-size: 0.75rem; }
+  .critical, .failed { color: #be123c; } .high { color: #c2410c; } .medium, .skipped { color: #b45309; } .low, .passed { color: #047857; }
+  .note { color: #b45309; }
+  @media print { body { margin: 0; } }
+`;
+
+const checkRows = (checks) =>
+  checks
+    .map((check) => {
+      const [status, note] = check.failure ? ["failed", check.failure] : check.skipped ? ["skipped", check.skipped] : ["passed", check.details];
+      return `<tr><td>${escapeHtml(check.name)}</td><td class="severity ${status}">${status}</td><td>${escapeHtml(note || "")}</td></tr>`;
+    })
+    .join("\n");
+
+const checkTable = (checks) =>
+  `<table><thead><tr><th>Check</th><th>Result</th><th>Details</th></tr></thead><tbody>\n${checkRows(checks)}\n</tbody></table>`;
+
+/**
+ * The report sections of one device, `{ id, title, html }`, empty ones left out
+ */
+const deviceSections = (entry, anchor) => {
+  const { result, issues } = entry;
+  if (result.error) {
+    return [{ id: `${anchor}-error`, title: "Scan failed", html: `<p class="note">${escapeHtml(result.error)}</p>` }];
+  }
+
+  const sections = [];
+  const add = (id, title, html) => sections.push({ id: `${anchor}-${id}`, title, html });
+
+  const screenshot = result.annotatedScreenshot || result.screenshot;
+  if (screenshot) {
+    add("screenshot", "Screenshot", `<figure><img src="data:image/png;base64,${screenshot}" alt="Screenshot on ${escapeHtml(deviceLabel(entry))}">${
+      result.annotatedScreenshot ? "<figcaption class=\"meta\">Numbered boxes mark the elements the issues below refer to.</figcaption>" : ""
+    }</figure>`);
+  }
+
+  const issueRows = issues
+    .map((issue) => {
+      const location = issueLocation(issue);
+      return `<tr>
+  <td class="severity ${escapeHtml(issue.severity)}">${escapeHtml(issue.severity)}</td>
+  <td>${escapeHtml(SOURCE_LABELS[issue.source] || issue.source)}${issue.rule ? `<br><code>${escapeHtml(issue.rule)}</code>` : ""}</td>
+  <td><strong>${issue.evidence?.number ? `${issue.evidence.number}. ` : ""}${escapeHtml(issue.title)}</strong><br>${escapeHtml(issue.description)}${issue.explanation ? `<br>${escapeHtml(issue.explanation)}` : ""}${issue.fix ? `<br><em>Fix:</em> ${escapeHtml(issue.fix)}` : ""}</td>
+  <td>${location ? `<code>${escapeHtml(location)}</code>` : ""}</td>
+</tr>`;
+    })
+    .join("\n");
+  add("issues", `Issues (${issues.length})`, [
+    result.llmStatus === "failed" ? `<p class="note">The AI analysis failed; only rule findings are listed.</p>` : "",
+    result.llmStatus === "partial" ? `<p class="note">${escapeHtml(partialNote(result))}</p>` : "",
+    issues.length === 0
+      ? "<p>No issues found.</p>"
+      : `<table><thead><tr><th>Severity</th><th>Source</th><th>Issue</th><th>Element</th></tr></thead><tbody>\n${issueRows}\n</tbody></table>`
+  ].join("\n"));
+
+  const fixes = result.fixes || [];
+  const suggestions = result.suggestions || [];
+  if (fixes.length > 0 || suggestions.length > 0) {
+    add("fixes", "Suggested fixes", [
+      fixes.length > 0 ? `<ol>${fixes.map((fix) => `<li>${escapeHtml(fix)}</li>`).join("")}</ol>` : "",
+      suggestions.length > 0 ? `<h4>Suggestions</h4><ul>${suggestions.map((suggestion) => `<li>${escapeHtml(suggestion)}</li>`).join("")}</ul>` : ""
+    ].join("\n"));
+  }
+
+  if (result.headAnalysis) add("head", "Head checks", checkTable(headChecks(result.headAnalysis)));
+
+  const elements = result.bodyAnalysis ? elementChecks(result.bodyAnalysis) : [];
+  if (elements.length > 0) add("elements", `Interactive elements (${elements.length})`, checkTable(elements));
+
+  const consoleErrors = result.consoleData?.errors || [];
+  const networkErrors = result.networkErrors || [];
+  if (consoleErrors.length > 0 || networkErrors.length > 0) {
+    const rows = [
+      ...consoleErrors.map((error) => `<tr><td>Console</td><td>${escapeHtml(error.text)}${error.location?.url ? `<br><code>${escapeHtml(error.location.url)}:${error.location.lineNumber ?? "-"}</code>` : ""}</td></tr>`),
+      ...networkErrors.map((error) => `<tr><td>Network ${escapeHtml(error.status)}</td><td><code>${escapeHtml(error.url)}</code> ${escapeHtml(error.statusText || "")}</td></tr>`)
+    ];
+    add("errors", `Console and network errors (${rows.length})`, `<table><thead><tr><th>Type</th><th>Message</th></tr></thead><tbody>\n${rows.join("\n")}\n</tbody></table>`);
+  }
+
+  const metrics = Object.entries(result.performance?.metrics || {}).filter(([, metric]) => metric.value !== null && metric.value !== undefined);
+  if (metrics.length > 0) {
+    add("performance", "Performance", `<table><thead><tr><th>Metric</th><th>Value</th><th>Rating</th></tr></thead><tbody>\n${metrics
+      .map(([name, metric]) => `<tr><td>${escapeHtml(name)}</td><td>${escapeHtml(metric.value)}${metric.unit === "ms" ? " ms" : ""}</td><td>${escapeHtml(metric.rating || "")}</td></tr>`)
+      .join("\n")}\n</tbody></table>`);
+  }
+
+  return sections;
+};
+
+/**
+ * Self-contained HTML report, laid out for printing: a summary and table of
+ * contents, then every page and device on a new sheet with its (highlighted)
+ * screenshot, issues, fixes, head checks, element tests, errors and
+ * performance. Printed to PDF by reportPdf.js
+ */
+export const toHtml = (records, { title = "Smart Bug Finder Report" } = {}) => {
+  const counts = countBySeverity(records);
+
+  const pages = records.map((record, pageIndex) => ({
+    record,
+    devices: collectIssues(record).map((entry) => {
+      const anchor = `page-${pageIndex + 1}-${entry.key.replace(/[^a-z0-9-]/gi, "-")}`;
+      return { entry, anchor, sections: deviceSections(entry, anchor) };
+    })
+  }));
+
+  const toc = pages
+    .map(({ record, devices }) => `<li>${escapeHtml(record.url)}${record.error ? ` <span class="note">(scan failed)</span>` : ""}
+<ol>${devices
+      .map(({ entry, anchor, sections }) => `<li><a href="#${anchor}">${escapeHtml(deviceLabel(entry))}</a> · ${entry.issues.length} issue${entry.issues.length === 1 ? "" : "s"}
+<ol>${sections.map((section) => `<li><a href="#${section.id}">${escapeHtml(section.title)}</a></li>`).join("")}</ol></li>`)
+      .join("\n")}</ol></li>`)
+    .join("\n");
+
+  const body = pages
+    .flatMap(({ record, devices }) =>
+      devices.map(({ entry, anchor, sections }) => `<section class="device" id="${anchor}">
+<h2>${escapeHtml(record.url)}</h2>
+<p class="meta">${escapeHtml(deviceLabel(entry))}${record.id ? ` · scan ${escapeHtml(record.id)}` : ""}${record.updatedAt ? ` · ${escapeHtml(record.updatedAt)}` : ""}</p>
+${sections.map((section) => `<h3 id="${section.id}">${escapeHtml(section.title)}</h3>\n${section.html}`).join("\n")}
+</section>`)
+    )
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">Generated ${new Date().toISOString()} · ${records.length} page${records.length === 1 ? "" : "s"} · highest severity: ${highestSeverity(records) || "none"}</p>
+<table><thead><tr>${BUG_SEVERITIES.slice().reverse().map((severity) => `<th>${SEVERITY_LABELS[severity]}</th>`).join("")}</tr></thead>
+<tbody><tr>${BUG_SEVERITIES.slice().reverse().map((severity) => `<td>${counts[severity]}</td>`).join("")}</tr></tbody></table>
+<nav>
+<h2>Contents</h2>
+<ol>
+${toc}
+</ol>
+</nav>
+${body}
+</body>
+</html>
+`;
+};
+
+const testCaseXml = (suiteName, group, { name, failure, skipped, details }) => {
+  const classname = `${suiteName}.${group}`;
+  const attributes = `classname="${escapeXml(classname)}" name="${escapeXml(name)}"`;
+  if (failure) {
+    const message = `message="${escapeXml(failure)}" type="${group}"`;
+    return `    <testcase ${attributes}>
+      ${details ? `<failure ${message}>${escapeXml(details)}</failure>` : `<failure ${message}/>`}
+    </testcase>`;
+  }
+  if (skipped) return `    <testcase ${attributes}><skipped message="${escapeXml(skipped)}"/></testcase>`;
+  return `    <testcase ${attributes}/>`;
+};
+
+/**
+ * JUnit XML: one test suite per page and device, with one test case per head
+ * check (title, important meta tags, <link> tags) and per interactive element
+ * test (buttons, inputs, dropdowns, checkboxes). Broken ones are failures,
+ * untestable ones (hidden, disabled, not found) are skipped, and a device that
+ * could not be scanned is a single errored "Scan" case
+ */
+export const toJUnit = (records, { name = "smart-bug-finder" } = {}) => {
+  const suites = records.flatMap((record) =>
+    collectIssues(record).map((entry) => {
+      const suiteName = `${record.url} [${deviceLabel(entry)}]`;
+      const { result } = entry;
+
+      let cases;
+      let counts = { failures: 0, errors: 0, skipped: 0 };
+      if (result.error) {
+        cases = [`    <testcase classname="${escapeXml(suiteName)}" name="Scan"><error message="${escapeXml(result.error)}"/></testcase>`];
+        counts.errors = 1;
+      } else {
+        const groups = [
+          ["head", result.headAnalysis ? headChecks(result.headAnalysis) : []],
+          ["elements", result.bodyAnalysis ? elementChecks(result.bodyAnalysis) : []]
+        ];
+        cases = groups.flatMap(([group, checks]) => checks.map((check) => testCaseXml(suiteName, group, check)));
+        const checks = groups.flatMap(([, groupChecks]) => groupChecks);
+        counts = {
+          failures: checks.filter((check) => check.failure).length,
+          errors: 0,
+          skipped: checks.filter((check) => !check.failure && check.skipped).length
+        };
+        if (cases.length === 0) {
+          cases = [`    <testcase classname="${escapeXml(suiteName)}" name="DOM analysis"><skipped message="No head or body analysis stored"/></testcase>`];
+          counts.skipped = 1;
+        }
+      }
+      const tests = cases.length;
+
+      return {
+        tests,
+        ...counts,
+        xml: `  <testsuite name="${escapeXml(suiteName)}" tests="${tests}" failures="${counts.failures}" errors="${counts.errors}" skipped="${counts.skipped}"${record.updatedAt ? ` timestamp="${escapeXml(record.updatedAt)}"` : ""}>
+${cases.join("\n")}
+  </testsuite>`
+      };
+    })
+  );
+
+  const total = (field) => suites.reduce((sum, suite) => sum + suite[field], 0);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="${escapeXml(name)}" tests="${total("tests")}" failures="${total("failures")}" errors="${total("errors")}" skipped="${total("skipped")}">
+${suites.map((suite) => suite.xml).join("\n")}
+</testsuites>
+`;
+};
+
+const SARIF_LEVELS = { critical: "error", high: "error", medium: "warning", low: "note" };
+
+// LLM bugs have no rule of their own
+const AI_RULE_ID = "ai/suspected-bug";
+
+/**
+ * SARIF 2.1.0 log with one result per rule finding and LLM bug of every page
+ * and device. The level follows the severity (critical/high: error, medium:
+ * warning, low: note); the location is the page URL with the element's CSS
+ * selector as a logical location. Pages that could not be scanned are
+ * reported as tool execution errors
+ * @returns {Object} The log; serialize it with JSON.stringify
+ */
+export const toSarif = (records) => {
+  const rules = new Map();
+  const ruleIndexes = new Map();
+  const results = [];
+  const notifications = [];
+
+  for (const record of records) {
+    if (record.error) {
+      notifications.push({ level: "error", message: { text: `${record.url}: ${record.error}` } });
+      continue;
+    }
+
+    for (const entry of collectIssues(record)) {
+      if (entry.result.error) {
+        notifications.push({ level: "error", message: { text: `${record.url} [${deviceLabel(entry)}]: ${entry.result.error}` } });
+        continue;
+      }
+
+      for (const issue of entry.issues) {
+        const ruleId = issue.source === "rule" && issue.rule ? issue.rule : AI_RULE_ID;
+        if (!rules.has(ruleId)) {
+          ruleIndexes.set(ruleId, rules.size);
+          rules.set(ruleId, {
+            id: ruleId,
+            shortDescription: { text: ruleId === AI_RULE_ID ? "Bug suspected by the AI analysis" : `Rule check ${ruleId}` },
+            properties: { category: ruleId.split("/")[0] }
+          });
+        }
+
+        const selector = issue.evidence?.selector || issue.selector;
+        results.push({
+          ruleId,
+          ruleIndex: ruleIndexes.get(ruleId),
+          level: SARIF_LEVELS[issue.severity] || "warning",
+          message: { text: `${issue.title}: ${issue.description}` },
+          locations: [
+            {
+              physicalLocation: { artifactLocation: { uri: record.url } },
+              ...(selector ? { logicalLocations: [{ fullyQualifiedName: selector, kind: "element" }] } : {})
+            }
+          ],
+          properties: {
+            severity: issue.severity,
+            source: issue.source,
+            device: entry.key,
+            ...(record.id ? { scanId: record.id } : {}),
+            ...(issue.explanation ? { explanation: issue.explanation } : {}),
+            ...(issue.fix ? { fix: issue.fix } : {}),
+            ...(issue.evidence?.box ? { box: issue.evidence.box } : {})
+          }
+        });
+      }
+    }
+  }
+
+  return {
+    $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+    version: "2.1.0",
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: "Smart Bug Finder",
+            rules: [...rules.values()]
+          }
+        },
+        invocations: [{ executionSuccessful: notifications.length === 0, toolExecutionNotifications: notifications }],
+        results
+      }
+    ]
+  };
+};
@@ -0,0 +1,42 @@
+import { withPooledPage } from "./browserPool.js";
+import { toHtml } from "./reportFormats.js";
+
+/**
+ * Prints the HTML report (reportFormats.toHtml) to a text-based PDF with
+ * Chromium's print engine, so the text stays selectable and searchable and
+ * page breaks follow the report's sections instead of cutting through them.
+ */
+
+const PDF_TIMEOUT = 30000;
+
+const FOOTER_TEMPLATE = `<div style="width: 100%; font-size: 8px; color: #64748b; padding: 0 14mm; display: flex; justify-content: space-between;">
+  <span class="title"></span>
+  <span><span class="pageNumber"></span> / <span class="totalPages"></span></span>
+</div>`;
+
+/**
+ * Renders scan records as a PDF report
+ * @param {Array<Object>} records - Stored scan records, one per page
+ * @param {Object} options
+ * @param {string} options.title - Report title (also shown in the page footer)
+ * @returns {Promise<Buffer>}
+ */
+export const renderPdfReport = async (records, { title = "Smart Bug Finder Report" } = {}) => {
+  const html = toHtml(records, { title });
+
+  return withPooledPage({ javaScriptEnabled: false }, async (page) => {
+    // Screenshots are inline data URLs, so nothing is fetched
+    await page.setContent(html, { waitUntil: "load", timeout: PDF_TIMEOUT });
+    return page.pdf({
+      format: "A4",
+      printBackground: true,
+      displayHeaderFooter: true,
+      headerTemplate: "<span></span>",
+      footerTemplate: FOOTER_TEMPLATE,
+      margin: { top: "16mm", bottom: "18mm", left: "14mm", right: "14mm" },
+      // PDF bookmarks from the headings, next to the table of contents
+      outline: true,
+      tagged: true
+    });
+  });
+};
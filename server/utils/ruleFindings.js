@@ -0,0 +1,284 @@
+import { analyzeHead, analyzeBody, testInteractiveElements } from "./domAnalyzer.js";
+import { auditAccessibility } from "./accessibilityAudit.js";
+import { auditBodyLinks } from "./linkAuditor.js";
+import { analyzeLayout, layoutWidthsFor } from "./layoutAnalyzer.js";
+
+/**
+ * Deterministic checks that run before the LLM.
+ *
+ * runRuleChecks() runs the analyzers on a loaded page; collectRuleFindings()
+ * turns their results (plus console/network errors and performance) into one
+ * list of findings. The LLM gets that list as context, explains and
+ * prioritizes it, and only reports what the rules could not see. Findings are
+ * shown as "confirmed by rule", LLM bugs as "suspected by AI".
+ */
+
+// Findings sent to the LLM and reported, most severe first
+const MAX_FINDINGS = 60;
+
+// Findings of one rule, so one repeated mistake does not crowd out the rest
+const MAX_PER_RULE = 8;
+
+const SEVERITY_ORDER = ["critical", "high", "medium", "low"];
+
+const IMPACT_SEVERITY = { critical: "critical", serious: "high", moderate: "medium", minor: "low" };
+
+const PERFORMANCE_LABELS = { lcp: "Largest Contentful Paint", cls: "Cumulative Layout Shift", tbt: "Total Blocking Time" };
+
+/**
+ * Runs the head, body (with the interactive element tests), accessibility,
+ * link and responsive layout checks on a loaded page
+ * @param {import('playwright').Page} page
+ * @param {Object} options
+ * @param {Object} options.profile - Device profile (picks the layout widths)
+ * @param {boolean} options.checkLinks - Fetch every body link (default: true)
+ * @param {boolean} options.checkLayout - Run the responsive layout analysis (default: true)
+ * @param {Function} options.step - Called with (fraction, message) before each stage
+ * @param {Function} options.onSection - Called with (event, data) as each result is ready
+ *   (`head`, `accessibility`, `layout`, `body`, `links`, as the DOM analysis stream sends them)
+ * @returns {Promise<Object>} `{ headAnalysis, bodyAnalysis, accessibilityAnalysis, linkAudit, layoutAnalysis }`;
+ *   `linkAudit` is `{ error }` when the audit failed
+ */
+export const runRuleChecks = async (page, { profile, checkLinks = true, checkLayout = true, step = () => {}, onSection = () => {} }) => {
+  const sendSection = (event, key) => (value) => {
+    onSection(event, { [key]: value });
+    return value;
+  };
+
+  // Links are read now and checked over HTTP while the page analysis continues
+  const linkAuditPromise = checkLinks
+    ? auditBodyLinks(page, page.url()).catch((linkError) => {
+        console.error("⚠️  Link audit failed:", linkError.message);
+        return { error: linkError.message.split("\n")[0] };
+      })
+    : Promise.resolve(null);
+
+  step(0.4, "Analyzing HEAD, BODY and accessibility...");
+  const [headAnalysis, bodyAnalysis, accessibilityAnalysis] = await Promise.all([
+    analyzeHead(page, page.url()).then(sendSection("head", "headAnalysis")),
+    analyzeBody(page),
+    auditAccessibility(page).then(sendSection("accessibility", "accessibilityAnalysis"))
+  ]);
+
+  // Runs before the interaction tests, which may change the page
+  let layoutAnalysis = null;
+  if (checkLayout) {
+    step(0.45, "Checking responsive layout...");
+    layoutAnalysis = await analyzeLayout(page, { widths: layoutWidthsFor(profile) }).catch((layoutError) => {
+      console.error("⚠️  Layout analysis failed:", layoutError.message);
+      return null;
+    });
+    onSection("layout", { layoutAnalysis });
+  }
+
+  step(0.5, "Testing interactive elements...");
+  const bodyAnalysisWithTests = await testInteractiveElements(page, bodyAnalysis);
+  onSection("body", { bodyAnalysis: bodyAnalysisWithTests });
+
+  if (checkLinks) step(0.55, "Checking links...");
+  const linkAudit = await linkAuditPromise;
+  if (checkLinks) onSection("links", { linkAudit });
+
+  return { headAnalysis, bodyAnalysis: bodyAnalysisWithTests, accessibilityAnalysis, linkAudit, layoutAnalysis };
+};
+
+const headFindings = (headAnalysis) => {
+  if (!headAnalysis) return [];
+  const findings = [];
+
+  if (!headAnalysis.title?.hasTitle || !headAnalysis.title.titleText) {
+    findings.push({
+      rule: "head/title",
+      title: "Missing page title",
+      description: "The page has no <title> (or an empty one), so tabs, bookmarks and search results show the URL instead.",
+      severity: "medium"
+    });
+  }
+
+  const missingSeverity = { viewport: "high", charset: "medium", description: "low" };
+  (headAnalysis.metaSummary?.important || [])
+    .filter((meta) => meta.present === false)
+    .forEach((meta) => findings.push({
+      rule: `head/meta-${meta.nameOrProperty}`,
+      title: `Missing ${meta.nameOrProperty} meta tag`,
+      description: meta.nameOrProperty === "viewport"
+        ? "Without <meta name=\"viewport\"> mobile browsers render the page at desktop width and zoom out."
+        : `The <head> has no ${meta.nameOrProperty} meta tag.`,
+      severity: missingSeverity[meta.nameOrProperty] || "low"
+    }));
+
+  (headAnalysis.linkSummary || [])
+    .filter((link) => link.ok === false)
+    .forEach((link) => findings.push({
+      rule: "head/broken-link-tag",
+      title: `Broken <link rel="${link.rel || "?"}">`,
+      description: `${link.href} ${link.statusCode ? `returned ${link.statusCode}` : `could not be loaded${link.errorMessage ? ` (${link.errorMessage})` : ""}`}.`,
+      severity: /stylesheet/i.test(link.rel || "") ? "high" : "medium"
+    }));
+
+  return findings;
+};
+
+const describeControl = (control) =>
+  [control.id && `#${control.id}`, control.name && `name="${control.name}"`, control.placeholder && `"${control.placeholder}"`]
+    .filter(Boolean)[0] || control.type || "control";
+
+const interactiveFindings = (bodyAnalysis) => {
+  if (!bodyAnalysis) return [];
+  const findings = [];
+
+  (bodyAnalysis.inputs || [])
+    .filter((input) => input.type !== "hidden" && input.testResults && !input.testResults.error)
+    .forEach((input) => {
+      const { visible, fillable, readonly, disabled, selector } = input.testResults;
+      if (!visible) {
+        findings.push({
+          rule: "body/invisible-input",
+          title: `Input ${describeControl(input)} is not visible`,
+          description: `The ${input.type} input is in the page but hidden or has no size${input.required ? ", although it is required" : ""}.`,
+          severity: input.required ? "high" : "low",
+          selector
+        });
+      } else if (!fillable && !readonly && !disabled) {
+        findings.push({
+          rule: "body/unfillable-input",
+          title: `Input ${describeControl(input)} cannot be filled`,
+          description: `The ${input.type} input is visible and enabled, but typing into it failed (covered by another element or not editable).`,
+          severity: "high",
+          selector
+        });
+      }
+    });
+
+  (bodyAnalysis.dropdowns || [])
+    .filter((dropdown) => dropdown.testResults?.clickable && !dropdown.testResults.selectable)
+    .forEach((dropdown) => findings.push({
+      rule: "body/unselectable-dropdown",
+      title: `Dropdown ${describeControl(dropdown)} cannot be changed`,
+      description: dropdown.options?.length ? "Selecting an option in the visible dropdown failed." : "The visible dropdown has no options.",
+      severity: "medium",
+      selector: dropdown.testResults.selector
+    }));
+
+  (bodyAnalysis.checkboxes || [])
+    .filter((checkbox) => checkbox.testResults?.clickable && !checkbox.testResults.toggleable)
+    .forEach((checkbox) => findings.push({
+      rule: "body/untoggleable-checkbox",
+      title: `Checkbox ${checkbox.labelText ? `"${checkbox.labelText.slice(0, 40)}"` : describeControl(checkbox)} does not toggle`,
+      description: "Clicking the visible checkbox did not change its state.",
+      severity: "medium",
+      selector: checkbox.testResults.selector
+    }));
+
+  return findings;
+};
+
+const accessibilityFindings = (accessibilityAnalysis) =>
+  (accessibilityAnalysis?.findings || []).map((finding) => ({
+    rule: `a11y/${finding.rule}`,
+    title: finding.description,
+    description: `${finding.message} (WCAG ${finding.wcag} ${finding.wcagName}, level ${finding.level})`,
+    severity: IMPACT_SEVERITY[finding.impact] || "medium",
+    selector: finding.selector
+  }));
+
+const linkFindings = (linkAudit) => {
+  if (!linkAudit || linkAudit.error) return [];
+  const links = Object.values(linkAudit.byStatus || {}).flat();
+
+  return [
+    ...links
+      .filter((link) => link.issues.includes("broken") || link.issues.includes("invalid-url"))
+      .map((link) => ({
+        rule: "links/broken",
+        title: `Broken ${link.kinds.includes("a") ? "link" : link.kinds.join("/")}`,
+        description: `${link.url} ${link.statusCode ? `returns ${link.statusCode}` : `is unreachable (${link.error})`}.`,
+        severity: link.kinds.includes("script") ? "high" : "medium",
+        selector: link.occurrences[0]?.selector
+      })),
+    ...(linkAudit.mixedContent || []).map((entry) => ({
+      rule: "links/mixed-content",
+      title: "Mixed content",
+      description: `${entry.url} is loaded over http:// on an https:// page.`,
+      severity: "medium",
+      selector: entry.occurrences[0]?.selector
+    })),
+    ...(linkAudit.brokenFragments || []).map((entry) => ({
+      rule: "links/broken-fragment",
+      title: `Link to missing #${entry.fragment}`,
+      description: `No element has the id or name "${entry.fragment}".`,
+      severity: "low",
+      selector: entry.selector
+    }))
+  ];
+};
+
+const layoutFindings = (layoutAnalysis, viewport) =>
+  (layoutAnalysis?.findings || []).map((finding) => ({
+    rule: `layout/${finding.type}`,
+    title: finding.message,
+    description: `${finding.message} at ${finding.viewportWidth}px wide.`,
+    severity: finding.severity,
+    selector: finding.selector,
+    // Boxes measured at another width do not match the screenshot
+    bbox: finding.viewportWidth === viewport?.width ? finding.bbox : undefined
+  }));
+
+const performanceFindings = (performance) =>
+  Object.entries(PERFORMANCE_LABELS)
+    .filter(([name]) => performance?.metrics?.[name]?.rating === "poor")
+    .map(([name, label]) => {
+      const { value, unit } = performance.metrics[name];
+      return {
+        rule: `performance/${name}`,
+        title: `Poor ${label}`,
+        description: `${label} is ${value}${unit === "ms" ? " ms" : ""}.`,
+        severity: "medium"
+      };
+    });
+
+const errorFindings = (consoleErrors = [], networkErrors = []) => [
+  ...consoleErrors.map((error) => ({
+    rule: "console/error",
+    title: "JavaScript error",
+    description: `${error.text || "Console error"}${error.location?.url ? ` @ ${error.location.url}:${error.location.lineNumber ?? "-"}` : ""}`,
+    severity: "medium"
+  })),
+  ...networkErrors.map((error) => ({
+    rule: "network/error",
+    title: `Request failed with ${error.status}`,
+    description: `${error.url} returned ${error.status} ${error.statusText || ""}`.trim(),
+    severity: error.status >= 500 ? "high" : "medium"
+  }))
+];
+
+/**
+ * Turns the deterministic results of one page into findings
+ * `{ id, rule, title, description, severity, selector?, bbox? }`, most severe
+ * first, at most MAX_PER_RULE per rule and MAX_FINDINGS overall
+ * @param {Object} report - headAnalysis, bodyAnalysis, accessibilityAnalysis, linkAudit, layoutAnalysis, performance, consoleErrors, networkErrors and the screenshot's viewport (all optional)
+ * @returns {Array}
+ */
+export const collectRuleFindings = (report) => {
+  const all = [
+    ...errorFindings(report.consoleErrors, report.networkErrors),
+    ...headFindings(report.headAnalysis),
+    ...interactiveFindings(report.bodyAnalysis),
+    ...linkFindings(report.linkAudit),
+    ...layoutFindings(report.layoutAnalysis, report.viewport),
+    ...accessibilityFindings(report.accessibilityAnalysis),
+    ...performanceFindings(report.performance)
+  ];
+
+  const perRule = {};
+  return all
+    .map((finding, index) => ({ finding, index }))
+    .sort((a, b) => SEVERITY_ORDER.indexOf(a.finding.severity) - SEVERITY_ORDER.indexOf(b.finding.severity) || a.index - b.index)
+    .map(({ finding }) => finding)
+    .filter((finding) => {
+      perRule[finding.rule] = (perRule[finding.rule] || 0) + 1;
+      return perRule[finding.rule] <= MAX_PER_RULE;
+    })
+    .slice(0, MAX_FINDINGS)
+    .map((finding, index) => ({ id: `R${index + 1}`, ...finding }));
+};
@@ -0,0 +1,264 @@
+/**
+ * Compares two stored scans of the same URL and reports what changed
+ * between the older (base) and newer (head) run, for every device both
+ * runs scanned.
+ */
+
+const ELEMENT_GROUPS = ['buttons', 'inputs', 'dropdowns', 'checkboxes'];
+
+// testResults fields where true → false means the element got worse
+const POSITIVE_TEST_FIELDS = ['clickable', 'fillable', 'selectable', 'toggleable', 'visible', 'enabled', 'hasDimensions'];
+
+const normalizeText = (text) => String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Splits two lists into added/removed items using a key function
+ */
+const diffByKey = (baseItems = [], headItems = [], keyOf) => {
+  const baseKeys = new Set(baseItems.map(keyOf));
+  const headKeys = new Set(headItems.map(keyOf));
+
+  return {
+    added: headItems.filter((item) => !baseKeys.has(keyOf(item))),
+    removed: baseItems.filter((item) => !headKeys.has(keyOf(item)))
+  };
+};
+
+/**
+ * Identifies an interactive element across runs. Repeated identical
+ * elements get an occurrence suffix so they are paired in order.
+ */
+const keyElements = (elements = []) => {
+  const seen = new Map();
+  return elements.map((element) => {
+    const identity = element.id
+      ? `#${element.id}`
+      : element.name
+      ? `[name=${element.name}]`
+      : normalizeText(element.text || element.placeholder || element.labelText) || element.testResults?.selector || '?';
+    const base = `${element.type || ''}|${identity}`;
+    const occurrence = seen.get(base) || 0;
+    seen.set(base, occurrence + 1);
+    return { key: `${base}|${occurrence}`, element };
+  });
+};
+
+const diffBugList = (baseBugs = [], headBugs = [], keyOf) => {
+  const { added, removed } = diffByKey(baseBugs, headBugs, keyOf);
+
+  const baseByKey = new Map(baseBugs.map((bug) => [keyOf(bug), bug]));
+  const severityChanged = headBugs
+    .filter((bug) => baseByKey.has(keyOf(bug)))
+    .filter((bug) => normalizeText(bug.severity) !== normalizeText(baseByKey.get(keyOf(bug)).severity))
+    .map((bug) => ({
+      title: bug.title,
+      from: baseByKey.get(keyOf(bug)).severity,
+      to: bug.severity
+    }));
+
+  return { new: added, resolved: removed, severityChanged };
+};
+
+// AI bugs are worded anew on every run, so only the title identifies them
+const diffBugs = (base, head) => diffBugList(base.bugs, head.bugs, (bug) => normalizeText(bug.title));
+
+// Rule findings are identified by their rule and the element they flag
+const diffConfirmedBugs = (base, head) =>
+  diffBugList(
+    base.confirmedBugs,
+    head.confirmedBugs,
+    (bug) => `${bug.rule || ''}|${bug.evidence?.selector || bug.selector || normalizeText(bug.title)}`
+  );
+
+const diffLinkTags = (base, head) => {
+  const keyOf = (link) => `${link.rel || ''}|${link.href || ''}`;
+  const baseLinks = new Map((base.headAnalysis?.linkSummary || []).map((link) => [keyOf(link), link]));
+
+  const broken = [];
+  const fixed = [];
+  for (const link of head.headAnalysis?.linkSummary || []) {
+    const previous = baseLinks.get(keyOf(link));
+    if (!previous) continue;
+    if (previous.status === 'valid' && link.status === 'broken') {
+      broken.push({ href: link.href, rel: link.rel, from: previous, to: link });
+    } else if (previous.status === 'broken' && link.status === 'valid') {
+      fixed.push({ href: link.href, rel: link.rel, from: previous, to: link });
+    }
+  }
+
+  const { added, removed } = diffByKey(
+    base.headAnalysis?.linkSummary,
+    head.headAnalysis?.linkSummary,
+    keyOf
+  );
+
+  return {
+    validToBroken: broken,
+    brokenToValid: fixed,
+    newBroken: added.filter((link) => link.status === 'broken'),
+    added,
+    removed
+  };
+};
+
+// Body links, images and scripts from the link audit that are broken or not a valid URL
+const brokenBodyLinks = (scan) =>
+  Object.values(scan.linkAudit?.byStatus || {})
+    .flat()
+    .filter((link) => link.issues?.includes('broken') || link.issues?.includes('invalid-url'));
+
+const diffBodyLinks = (base, head) => {
+  // Without an audit on both sides (older scans, failed audits) every link would look new or fixed
+  if (!base.linkAudit || !head.linkAudit) return { newBroken: [], fixed: [] };
+  const keyOf = (link) => link.url;
+  const { added, removed } = diffByKey(brokenBodyLinks(base), brokenBodyLinks(head), keyOf);
+  return { newBroken: added, fixed: removed };
+};
+
+const diffElements = (base, head) => {
+  const result = {};
+
+  for (const group of ELEMENT_GROUPS) {
+    const baseKeyed = new Map(keyElements(base.bodyAnalysis?.[group]).map(({ key, element }) => [key, element]));
+    const headKeyed = keyElements(head.bodyAnalysis?.[group]);
+
+    const changed = [];
+    const added = [];
+    for (const { key, element } of headKeyed) {
+      const previous = baseKeyed.get(key);
+      if (!previous) {
+        added.push(element);
+        continue;
+      }
+      baseKeyed.delete(key);
+
+      const changes = POSITIVE_TEST_FIELDS
+        .filter((field) => field in (element.testResults || {}) && field in (previous.testResults || {}))
+        .filter((field) => element.testResults[field] !== previous.testResults[field])
+        .map((field) => ({
+          field,
+          from: previous.testResults[field],
+          to: element.testResults[field],
+          regression: previous.testResults[field] === true && element.testResults[field] === false
+        }));
+
+      if (changes.length > 0) {
+        changed.push({ element, changes, regression: changes.some((change) => change.regression) });
+      }
+    }
+
+    result[group] = {
+      changed,
+      added,
+      removed: [...baseKeyed.values()]
+    };
+  }
+
+  return result;
+};
+
+const diffErrors = (base, head) => {
+  const consoleKey = (error) => normalizeText(error.text);
+  const networkKey = (error) => `${error.status}|${error.url}`;
+
+  const consoleErrors = diffByKey(base.consoleData?.errors, head.consoleData?.errors, consoleKey);
+  const networkErrors = diffByKey(base.networkErrors, head.networkErrors, networkKey);
+
+  return {
+    console: { new: consoleErrors.added, resolved: consoleErrors.removed },
+    network: { new: networkErrors.added, resolved: networkErrors.removed }
+  };
+};
+
+/**
+ * Regression report for one device of two scans
+ */
+const diffDevice = (base, head) => {
+  const bugs = diffBugs(base, head);
+  const confirmedBugs = diffConfirmedBugs(base, head);
+  const linkTags = diffLinkTags(base, head);
+  const bodyLinks = diffBodyLinks(base, head);
+  const elements = diffElements(base, head);
+  const errors = diffErrors(base, head);
+
+  const elementRegressions = ELEMENT_GROUPS.reduce(
+    (sum, group) => sum + elements[group].changed.filter((item) => item.regression).length,
+    0
+  );
+
+  return {
+    summary: {
+      newConfirmedBugs: confirmedBugs.new.length,
+      resolvedConfirmedBugs: confirmedBugs.resolved.length,
+      newBugs: bugs.new.length,
+      resolvedBugs: bugs.resolved.length,
+      linksBroken: linkTags.validToBroken.length + linkTags.newBroken.length + bodyLinks.newBroken.length,
+      linksFixed: linkTags.brokenToValid.length + bodyLinks.fixed.length,
+      elementRegressions,
+      newConsoleErrors: errors.console.new.length,
+      newNetworkErrors: errors.network.new.length,
+      hasRegressions:
+        confirmedBugs.new.length > 0 ||
+        bugs.new.length > 0 ||
+        linkTags.validToBroken.length + linkTags.newBroken.length + bodyLinks.newBroken.length > 0 ||
+        elementRegressions > 0 ||
+        errors.console.new.length > 0 ||
+        errors.network.new.length > 0
+    },
+    confirmedBugs,
+    bugs,
+    linkTags,
+    bodyLinks,
+    elements,
+    consoleErrors: errors.console,
+    networkErrors: errors.network
+  };
+};
+
+const deviceKeys = (scan) => (scan.devices?.length ? scan.devices : ['desktop']);
+
+/**
+ * One device of a stored scan. The primary device is also mirrored at the top
+ * level, which is all that scans from before multi-device scans have.
+ */
+const deviceView = (scan, key) =>
+  key === deviceKeys(scan)[0] ? { ...scan, ...scan.deviceResults?.[key] } : scan.deviceResults?.[key];
+
+const sumSummaries = (summaries) =>
+  Object.fromEntries(
+    Object.keys(summaries[0]).map((field) => [
+      field,
+      field === 'hasRegressions'
+        ? summaries.some((summary) => summary.hasRegressions)
+        : summaries.reduce((sum, summary) => sum + summary[field], 0)
+    ])
+  );
+
+/**
+ * Builds a regression report between two scans. `devices` holds one report
+ * per device both scans have (a device that failed in either run is left
+ * out); `summary` adds them up. The other top-level fields are the report of
+ * the head scan's primary device, or of the top-level fields when the scans
+ * share no device.
+ * @param {Object} base - Older stored scan
+ * @param {Object} head - Newer stored scan
+ */
+export const diffScans = (base, head) => {
+  const shared = deviceKeys(head).filter((key) => {
+    const baseView = deviceView(base, key);
+    const headView = deviceView(head, key);
+    return baseView && headView && !baseView.error && !headView.error;
+  });
+  const devices = Object.fromEntries(shared.map((key) => [key, diffDevice(deviceView(base, key), deviceView(head, key))]));
+  const { summary, ...primary } = devices[shared[0]] || diffDevice(base, head);
+
+  return {
+    url: head.url,
+    base: { id: base.id, createdAt: base.createdAt },
+    head: { id: head.id, createdAt: head.createdAt },
+    device: shared[0] || null,
+    summary: shared.length > 1 ? sumSummaries(shared.map((key) => devices[key].summary)) : summary,
+    ...primary,
+    devices
+  };
+};
@@ -0,0 +1,325 @@
+import { acquireAuthenticatedContext, getAuthRecipe } from "./authSession.js";
+import { analyzeScanData } from "./llmHelper.js";
+import { summarizeDom } from "./domPreprocessor.js";
+import { resolveLLMProvider } from "./llmProviders.js";
+import { checkUrlAccessible } from "./urlHelper.js";
+import { runRuleChecks, collectRuleFindings } from "./ruleFindings.js";
+import { observePerformance, collectPerformance } from "./performanceMetrics.js";
+import { blockResources, collectPageErrors, navigateAndSettle, describeNavigationError } from "./pageHelper.js";
+import { saveScan } from "./scanStore.js";
+import { checkAgainstBaseline } from "./visualRegression.js";
+import { annotateScreenshot } from "./bugEvidence.js";
+import { parseDevices, describeDevice, mergeDeviceResults } from "./deviceProfiles.js";
+
+/**
+ * Compares a device screenshot with the approved baseline for its URL +
+ * viewport; null when there is none or the check failed
+ */
+export const checkVisualBaseline = async (url, profile, screenshot) => {
+  try {
+    return await checkAgainstBaseline({ url, viewport: profile.viewport, screenshot });
+  } catch (visualError) {
+    console.error("⚠️  Visual regression check failed:", visualError.message);
+    return null;
+  }
+};
+
+/**
+ * The LLM phase of a device scan: the rule findings of the report go to the
+ * LLM as confirmed facts together with the page outline and the screenshot,
+ * and the bugs it returns are highlighted on that screenshot. Used by scans,
+ * scan jobs and the AI phase of the DOM analysis stream.
+ * @param {string} url
+ * @param {Object} profile - Device profile
+ * @param {Object} report - screenshot, head/body/accessibility/link/layout analysis, performance, consoleData and networkErrors
+ * @param {Object} dom - summarizeDom() result, taken with the screenshot
+ * @param {Object} options
+ * @param {import("playwright").Page} [options.page] - The scanned page, still open, to verify the cited selectors on
+ * @param {Object} [options.provider] - Adapter from resolveLLMProvider(); the default provider when omitted
+ * @param {Function} [options.onItem] - Called with (kind, item) for every streamed bug, fix and suggestion
+ * @returns {Promise<Object>} `{ annotatedScreenshot, confirmedBugs, bugs, fixes, suggestions, llm, llmStatus, failedChunks, rawLLMResponse }`
+ */
+export const runLLMAnalysis = async (url, profile, report, dom, { page, provider, onItem } = {}) => {
+  const consoleErrors = report.consoleData?.errors || [];
+  const networkErrors = report.networkErrors || [];
+
+  // Deterministic findings go to the LLM as confirmed facts
+  const findings = collectRuleFindings({
+    headAnalysis: report.headAnalysis,
+    bodyAnalysis: report.bodyAnalysis,
+    accessibilityAnalysis: report.accessibilityAnalysis,
+    linkAudit: report.linkAudit,
+    layoutAnalysis: report.layoutAnalysis,
+    performance: report.performance,
+    consoleErrors,
+    networkErrors,
+    viewport: profile.viewport
+  });
+
+  const llmResult = await analyzeScanData({
+    url,
+    dom,
+    consoleErrors,
+    networkErrors,
+    screenshot: report.screenshot,
+    device: describeDevice(profile),
+    findings,
+    page,
+    provider,
+    onItem
+  });
+
+  // Numbered boxes around the elements the bugs cite
+  let annotatedScreenshot = null;
+  try {
+    annotatedScreenshot = annotateScreenshot(report.screenshot, [...llmResult.confirmedBugs, ...llmResult.bugs]);
+  } catch (annotateError) {
+    console.error("⚠️  Screenshot annotation failed:", annotateError.message);
+  }
+
+  return {
+    annotatedScreenshot,
+    confirmedBugs: llmResult.confirmedBugs,
+    bugs: llmResult.bugs || [],
+    fixes: llmResult.fixes || [],
+    suggestions: llmResult.suggestions || [],
+    llm: llmResult.llm,
+    llmStatus: llmResult.llmStatus,
+    failedChunks: llmResult.failedChunks,
+    rawLLMResponse: llmResult.rawLLMResponse || {}
+  };
+};
+
+/**
+ * Runs tasks one at a time in the order they are passed in
+ */
+const createSerialQueue = () => {
+  let last = Promise.resolve();
+  return (task) => {
+    const run = last.then(task, task);
+    last = run.catch(() => {});
+    return run;
+  };
+};
+
+/**
+ * Loads the page under one device profile, analyzes it and runs the LLM and
+ * visual baseline check. `step(fraction, message)` reports progress within the device.
+ */
+const scanOnDevice = async (url, profile, { signal, step, authRecipe, llmProvider, queueLLM }) => {
+  step(0, authRecipe ? "Logging in..." : "Waiting for a browser...");
+  const lease = await acquireAuthenticatedContext(profile.contextOptions, authRecipe);
+
+  // Closing the context makes any in-flight Playwright call fail fast on cancel
+  const onAbort = () => lease.release();
+  signal?.addEventListener("abort", onAbort, { once: true });
+
+  let report;
+  let analysis;
+  try {
+    const page = await lease.context.newPage();
+
+    // Keep images for the screenshot, skip fonts and media
+    const blockedResourceTypes = ["font", "media"];
+    await blockResources(page, blockedResourceTypes);
+    const { consoleErrors, consoleWarnings, networkErrors } = collectPageErrors(page);
+    // Web vitals observers have to be in place before the first paint
+    await observePerformance(page);
+
+    console.log(`🔍 Navigating to: ${url} (${profile.name})`);
+    step(0.1, "Navigating to page...");
+    await navigateAndSettle(page, url);
+
+    // Viewport only (what's visible when the page first loads); scale: "css"
+    // keeps high-DPI device screenshots at one pixel per CSS pixel
+    step(0.3, "Capturing screenshot...");
+    const screenshot = (await page.screenshot({ fullPage: false, scale: "css", timeout: 5000 })).toString("base64");
+    // Outline of the visible UI for the LLM, from the same render as the screenshot
+    const dom = await summarizeDom(page);
+
+    step(0.35, "Measuring performance...");
+    let performance = null;
+    try {
+      performance = await collectPerformance(page, { blockedResourceTypes });
+    } catch (performanceError) {
+      console.error("⚠️  Performance metrics failed:", performanceError.message);
+    }
+
+    // Resizes the page, so it runs after the screenshot and the performance metrics
+    let ruleChecks = {};
+    try {
+      ruleChecks = await runRuleChecks(page, { profile, step });
+    } catch (ruleError) {
+      console.error("⚠️  Rule checks failed:", ruleError.message);
+    }
+
+    report = {
+      screenshot,
+      headAnalysis: ruleChecks.headAnalysis,
+      bodyAnalysis: ruleChecks.bodyAnalysis,
+      accessibilityAnalysis: ruleChecks.accessibilityAnalysis,
+      linkAudit: ruleChecks.linkAudit,
+      layoutAnalysis: ruleChecks.layoutAnalysis || null,
+      performance,
+      consoleData: { errors: consoleErrors, warnings: consoleWarnings },
+      networkErrors
+    };
+
+    // The page stays open so the selectors the LLM cites are checked on it.
+    // LLM calls run one device at a time to stay within provider rate limits
+    step(0.7, "Running AI analysis...");
+    analysis = await queueLLM(() => {
+      signal?.throwIfAborted();
+      return runLLMAnalysis(url, profile, report, dom, { page, provider: llmProvider });
+    });
+  } finally {
+    signal?.removeEventListener("abort", onAbort);
+    await lease.release();
+  }
+
+  step(0.95, "Comparing with visual baseline...");
+  const visualRegression = await checkVisualBaseline(url, profile, report.screenshot);
+
+  return {
+    device: describeDevice(profile),
+    ...report,
+    visualRegression,
+    ...analysis
+  };
+};
+
+/**
+ * Scans the URL on every device and stores the combined report. Used by
+ * /api/scan and, through runScanPipeline(), by scan jobs, schedules and the CLI.
+ *
+ * Devices load at the same time (the browser pool caps concurrent contexts);
+ * a device that fails is kept as `{ device, error }` and only a scan where
+ * every device fails throws. The first device that loaded fills the top-level
+ * fields of the record, every device is kept under `deviceResults`.
+ * @param {string} url - The URL to scan (already validated)
+ * @param {Object} options
+ * @param {string} [options.scanId] - Existing scan ID to store the report under
+ * @param {Array} options.profiles - Device profiles from parseDevices()
+ * @param {Object} [options.authRecipe] - Auth recipe to log in with
+ * @param {Object} [options.llmProvider] - Adapter from resolveLLMProvider(); the default provider when omitted
+ * @param {AbortSignal} [options.signal] - Aborts the scan between steps and closes the pages
+ * @param {Function} [options.step] - Called with (fraction, message) as the devices progress (0-1 over all of them)
+ * @returns {Promise<{record: Object, deviceResults: Object}>} The stored record, and the device results with their `rawLLMResponse`
+ */
+export const scanAndStore = async (url, { scanId = null, profiles, authRecipe = null, llmProvider, signal, step = () => {} }) => {
+  const queueLLM = createSerialQueue();
+  const fractions = profiles.map(() => 0);
+
+  const scans = await Promise.allSettled(
+    profiles.map((profile, index) => {
+      const prefix = profiles.length > 1 ? `[${profile.name}] ` : "";
+      return scanOnDevice(url, profile, {
+        signal,
+        authRecipe,
+        llmProvider,
+        queueLLM,
+        step: (fraction, message) => {
+          fractions[index] = fraction;
+          step(fractions.reduce((sum, value) => sum + value, 0) / profiles.length, `${prefix}${message}`);
+        }
+      });
+    })
+  );
+  signal?.throwIfAborted();
+  if (scans.every((scan) => scan.status === "rejected")) {
+    throw scans[0].reason;
+  }
+
+  const deviceResults = Object.fromEntries(
+    profiles.map((profile, index) => {
+      const scan = scans[index];
+      if (scan.status === "rejected") {
+        console.error("❌ Failed to scan:", url, profile.name, scan.reason.message);
+      }
+      return [
+        profile.key,
+        scan.status === "fulfilled"
+          ? scan.value
+          : { device: describeDevice(profile), error: describeNavigationError(scan.reason) }
+      ];
+    })
+  );
+
+  const deviceReports = Object.fromEntries(
+    Object.entries(deviceResults).map(([key, { rawLLMResponse, ...result }]) => [key, result])
+  );
+  const { device, ...primary } = Object.values(deviceReports).find((result) => !result.error);
+  step(1, "Saving report...");
+  const record = await saveScan(scanId, (existing) => ({
+    url,
+    auth: authRecipe?.name,
+    viewport: device.viewport,
+    ...primary,
+    devices: profiles.map((profile) => profile.key),
+    // Keeps what the DOM analysis stored for the same scanId (click and form tests)
+    deviceResults: mergeDeviceResults(existing?.deviceResults, deviceReports)
+  }));
+
+  return { record, deviceResults };
+};
+
+/**
+ * Full scan pipeline used by background jobs, schedules and the CLI: checks
+ * the options and the URL like /api/scan does, then runs scanAndStore().
+ *
+ * @param {string} url - The URL to scan
+ * @param {Object} options
+ * @param {string} options.scanId - Existing scan ID to store the report under (optional)
+ * @param {string[]} options.devices - Device keys or Playwright device names (default: desktop)
+ * @param {string} options.auth - Name of the auth recipe to log in with (optional)
+ * @param {string} options.llmProvider - LLM provider to use (default: the configured default)
+ * @param {string} options.llmModel - Model override for the provider (optional)
+ * @param {AbortSignal} options.signal - Aborts the pipeline between steps and closes the page
+ * @param {Function} options.onProgress - Called with (percent, message) as steps complete
+ * @returns {Promise<Object>} The stored scan record
+ */
+export const runScanPipeline = async (url, options = {}) => {
+  const { scanId = null, devices, auth, llmProvider: providerName, llmModel, signal, onProgress = () => {} } = options;
+
+  const { profiles, error: devicesError } = parseDevices(devices);
+  if (devicesError) {
+    throw new Error(devicesError);
+  }
+
+  const { recipe: authRecipe, error: authError } = await getAuthRecipe(auth);
+  if (authError) {
+    throw new Error(authError);
+  }
+
+  let llmProvider;
+  if (providerName || llmModel) {
+    const resolved = resolveLLMProvider(providerName, llmModel);
+    if (resolved.error) {
+      throw new Error(resolved.error);
+    }
+    llmProvider = resolved.provider;
+  }
+
+  const checkpoint = (percent, message) => {
+    signal?.throwIfAborted();
+    onProgress(percent, message);
+  };
+
+  checkpoint(5, "Validating URL...");
+  const validation = await checkUrlAccessible(url);
+  // Pages behind a login refuse the anonymous check, the scan itself logs in first
+  if (!validation.ok && !(authRecipe && [401, 403].includes(validation.status))) {
+    throw new Error(`URL is not accessible: ${validation.error}`);
+  }
+
+  // The devices share the 10-95% progress range
+  const { record } = await scanAndStore(url, {
+    scanId,
+    profiles,
+    authRecipe,
+    llmProvider,
+    signal,
+    step: (fraction, message) => checkpoint(Math.round(10 + 85 * fraction), message)
+  });
+  return record;
+};
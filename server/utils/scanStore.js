@@ -0,0 +1,189 @@
+import fs from "fs/promises";
+import path from "path";
+import { randomUUID } from "crypto";
+import { fileURLToPath } from "url";
+
+/**
+ * Local scan history store.
+ *
+ * Each scan is kept as its own JSON file under SCAN_STORE_DIR (default:
+ * server/data/scans) and a small index.json holds the summaries used for
+ * listing, so the list endpoint never has to read screenshots from disk.
+ * Writes are serialized through a single promise chain.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const STORE_DIR = process.env.SCAN_STORE_DIR || path.join(__dirname, "..", "data", "scans");
+const INDEX_FILE = path.join(STORE_DIR, "index.json");
+
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+let indexCache = null;
+let writeChain = Promise.resolve();
+
+/**
+ * Checks that an ID is a UUID (also keeps IDs safe to use as file names)
+ */
+export const isValidScanId = (id) => typeof id === "string" && ID_PATTERN.test(id);
+
+export const newScanId = () => randomUUID();
+
+const scanFile = (id) => path.join(STORE_DIR, `${id}.json`);
+
+const ensureDir = () => fs.mkdir(STORE_DIR, { recursive: true });
+
+const readJson = async (file, fallback) => {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return fallback;
+    throw error;
+  }
+};
+
+// Write to a temp file first so a crash never leaves half-written JSON behind
+const writeJson = async (file, data) => {
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data));
+  await fs.rename(tmp, file);
+};
+
+const loadIndex = async () => {
+  if (!indexCache) {
+    indexCache = await readJson(INDEX_FILE, []);
+  }
+  return indexCache;
+};
+
+/**
+ * Runs a mutation after every previously queued one has finished
+ */
+const serialize = (task) => {
+  const run = writeChain.then(task);
+  writeChain = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Builds the lightweight summary stored in the index
+ */
+const summarize = (scan) => ({
+  id: scan.id,
+  mode: scan.mode || "scan",
+  url: scan.url,
+  createdAt: scan.createdAt,
+  updatedAt: scan.updatedAt,
+  bugCount: scan.bugs?.length || 0,
+  confirmedBugCount: scan.confirmedBugs?.length || 0,
+  // "ok", "repaired", "partial" or "failed"; null when the scan had no AI analysis
+  llmStatus: scan.llmStatus || null,
+  consoleErrorCount: scan.consoleData?.errors?.length || 0,
+  networkErrorCount: scan.networkErrors?.length || 0,
+  hasScreenshot: Boolean(scan.screenshot),
+  hasDomAnalysis: Boolean(scan.headAnalysis || scan.bodyAnalysis),
+  accessibilityIssueCount: scan.accessibilityAnalysis?.summary?.total || 0,
+  brokenLinkCount: scan.linkAudit?.summary?.broken || 0,
+  layoutIssueCount: scan.layoutAnalysis?.summary?.total || 0,
+  deadButtonCount: scan.clickTests?.summary?.dead || 0,
+  formIssueCount: scan.formTests?.summary?.issueCount || 0,
+  performanceRating: scan.performance?.rating || null,
+  pageCount: scan.crawl?.pages?.length || 1,
+  // null unless this record is a flow run
+  flowPassed: scan.flow ? scan.flow.passed : null,
+  // null when the scan was not compared with a baseline
+  visualPassed: scan.visualRegression ? scan.visualRegression.passed : null
+});
+
+/**
+ * Creates or updates a scan record.
+ * `patch` is either an object shallow-merged over the record, or a function
+ * receiving the existing record (or null) and returning that object.
+ * @param {string|null} id - Existing or caller-supplied scan ID; a new one is generated when empty
+ * @param {Object|Function} patch
+ * @returns {Promise<Object>} The stored record
+ */
+export const saveScan = (id, patch) =>
+  serialize(async () => {
+    const scanId = id || newScanId();
+    if (!isValidScanId(scanId)) {
+      throw new Error(`Invalid scan id: ${scanId}`);
+    }
+
+    await ensureDir();
+    const existing = await readJson(scanFile(scanId), null);
+    const changes = typeof patch === "function" ? patch(existing) : patch;
+    const now = new Date().toISOString();
+
+    const record = {
+      ...(existing || {}),
+      ...changes,
+      id: scanId,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    };
+
+    await writeJson(scanFile(scanId), record);
+
+    const index = await loadIndex();
+    const summary = summarize(record);
+    const position = index.findIndex((entry) => entry.id === scanId);
+    if (position === -1) {
+      index.push(summary);
+    } else {
+      index[position] = summary;
+    }
+    await writeJson(INDEX_FILE, index);
+
+    return record;
+  });
+
+/**
+ * Returns a full scan record, or null if it does not exist
+ */
+export const getScan = async (id) => {
+  if (!isValidScanId(id)) return null;
+  return readJson(scanFile(id), null);
+};
+
+/**
+ * Lists scan summaries, newest first
+ * @param {Object} options
+ * @param {string} options.url - Only scans of this exact URL
+ * @param {number} options.limit - Max number of results (default: 50)
+ * @param {number} options.offset - Number of results to skip (default: 0)
+ */
+export const listScans = async ({ url, limit = 50, offset = 0 } = {}) => {
+  const index = await loadIndex();
+  const filtered = index
+    .filter((entry) => !url || entry.url === url)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  return {
+    total: filtered.length,
+    scans: filtered.slice(offset, offset + limit)
+  };
+};
+
+/**
+ * Deletes a scan record. Returns false if it did not exist
+ */
+export const deleteScan = (id) =>
+  serialize(async () => {
+    if (!isValidScanId(id)) return false;
+
+    const index = await loadIndex();
+    const position = index.findIndex((entry) => entry.id === id);
+
+    try {
+      await fs.unlink(scanFile(id));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      if (position === -1) return false;
+    }
+
+    if (position !== -1) {
+      index.splice(position, 1);
+      await writeJson(INDEX_FILE, index);
+    }
+    return true;
+  });
@@ -0,0 +1,123 @@
+import fs from "fs/promises";
+import path from "path";
+import { randomUUID } from "crypto";
+import { fileURLToPath } from "url";
+
+/**
+ * Recurring scan schedules, kept in one JSON file (SCHEDULE_STORE_FILE,
+ * default: server/data/schedules.json). The file is read once and cached;
+ * writes are serialized through a single promise chain like the scan store.
+ *
+ * A schedule: `{ id, name, url, cron, devices, auth, llmProvider, llmModel,
+ * notify, enabled, nextRunAt, lastScanId, runs, createdAt, updatedAt }`, where
+ * `runs` holds the latest RUN_HISTORY_LIMIT runs, newest first.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const STORE_FILE = process.env.SCHEDULE_STORE_FILE || path.join(__dirname, "..", "data", "schedules.json");
+
+const RUN_HISTORY_LIMIT = 20;
+
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+let cache = null;
+let writeChain = Promise.resolve();
+
+export const isValidScheduleId = (id) => typeof id === "string" && ID_PATTERN.test(id);
+
+const load = async () => {
+  if (!cache) {
+    try {
+      cache = JSON.parse(await fs.readFile(STORE_FILE, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      cache = [];
+    }
+  }
+  return cache;
+};
+
+// Write to a temp file first so a crash never leaves half-written JSON behind
+const persist = async (schedules) => {
+  await fs.mkdir(path.dirname(STORE_FILE), { recursive: true });
+  const tmp = `${STORE_FILE}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(schedules, null, 2));
+  await fs.rename(tmp, STORE_FILE);
+};
+
+/**
+ * Runs a mutation after every previously queued one has finished
+ */
+const serialize = (task) => {
+  const run = writeChain.then(task);
+  writeChain = run.catch(() => {});
+  return run;
+};
+
+/**
+ * All schedules, oldest first
+ */
+export const listSchedules = async () => [...(await load())];
+
+export const getSchedule = async (id) => (await load()).find((schedule) => schedule.id === id) || null;
+
+/**
+ * Stores a new schedule
+ * @param {Object} fields - Validated schedule fields (url, cron, options, notify, enabled, nextRunAt)
+ */
+export const createSchedule = (fields) =>
+  serialize(async () => {
+    const schedules = await load();
+    const now = new Date().toISOString();
+    const schedule = {
+      id: randomUUID(),
+      ...fields,
+      lastScanId: null,
+      runs: [],
+      createdAt: now,
+      updatedAt: now
+    };
+    await persist([...schedules, schedule]);
+    cache = [...schedules, schedule];
+    return schedule;
+  });
+
+/**
+ * Updates a schedule with a patch object or an updater function (current) => patch
+ * @returns {Promise<Object|null>} The updated schedule, null when it does not exist
+ */
+export const updateSchedule = (id, patch) =>
+  serialize(async () => {
+    const schedules = await load();
+    const current = schedules.find((schedule) => schedule.id === id);
+    if (!current) return null;
+
+    const changes = typeof patch === "function" ? patch(current) : patch;
+    const updated = { ...current, ...changes, id, updatedAt: new Date().toISOString() };
+    const next = schedules.map((schedule) => (schedule.id === id ? updated : schedule));
+    await persist(next);
+    cache = next;
+    return updated;
+  });
+
+/**
+ * Adds a finished run to the schedule's history
+ * @param {string} id
+ * @param {Object} run - `{ trigger, state, startedAt, finishedAt, scanId?, previousScanId?, changes?, notifications?, error? }`
+ * @param {Object} patch - Further fields to update (e.g. lastScanId)
+ */
+export const recordScheduleRun = (id, run, patch = {}) =>
+  updateSchedule(id, (current) => ({
+    ...patch,
+    runs: [run, ...(current.runs || [])].slice(0, RUN_HISTORY_LIMIT)
+  }));
+
+export const deleteSchedule = (id) =>
+  serialize(async () => {
+    const schedules = await load();
+    if (!schedules.some((schedule) => schedule.id === id)) return false;
+    const next = schedules.filter((schedule) => schedule.id !== id);
+    await persist(next);
+    cache = next;
+    return true;
+  });
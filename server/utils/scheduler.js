@@ -0,0 +1,234 @@
+import { registerJobHandler, enqueueJob, getJob } from "./jobQueue.js";
+import { runScanPipeline } from "./scanPipeline.js";
+import { getScan, saveScan } from "./scanStore.js";
+import { diffScans } from "./scanDiff.js";
+import { parseCron, nextRun } from "./cronExpression.js";
+import { listSchedules, getSchedule, updateSchedule, recordScheduleRun } from "./scheduleStore.js";
+import { sendNotifications } from "./notifiers.js";
+
+/**
+ * Runs stored schedules at their cron times.
+ *
+ * Once a minute the scheduler queues a `scheduled-scan` job for every enabled
+ * schedule whose `nextRunAt` has passed (a schedule whose previous run is still
+ * queued or running is skipped). The job runs the scan pipeline, stores the
+ * report like any other scan (tagged with `scheduleId`) and compares it with
+ * the schedule's previous run. New high or critical bugs, newly broken links
+ * and new console errors are sent through the schedule's notifiers; the first
+ * run only sets the reference point.
+ *
+ * Runs missed while the server was down are not made up. Set
+ * SCHEDULER_ENABLED=false to keep the schedules but not run them (e.g. on all
+ * but one instance); "run now" still works.
+ */
+
+// Read when the scheduler starts, after index.js has loaded .env
+const isEnabled = () => process.env.SCHEDULER_ENABLED !== "false";
+
+const ALERT_SEVERITIES = ["high", "critical"];
+
+let timer = null;
+let lastTickAt = null;
+// scheduleId -> ID of its latest queued job
+const activeJobs = new Map();
+
+/**
+ * Next run time of a cron expression as an ISO string, null if it never matches
+ */
+export const nextRunAt = (expression, after = new Date()) => {
+  const { cron, error } = parseCron(expression);
+  if (error) return null;
+  return nextRun(cron, after)?.toISOString() || null;
+};
+
+/**
+ * What got worse since the previous run, per device both scans have
+ * @returns {{counts: Object, devices: Array}}
+ */
+export const detectChanges = (previous, current) => {
+  const devices = Object.entries(diffScans(previous, current).devices)
+    .map(([key, diff]) => ({
+      device: key,
+      newBugs: [...diff.confirmedBugs.new, ...diff.bugs.new]
+        .filter((bug) => ALERT_SEVERITIES.includes(bug.severity))
+        .map(({ title, description, severity, rule, selector, evidence }) => ({
+          title,
+          description,
+          severity,
+          source: rule ? "rule" : "ai",
+          selector: evidence?.selector || selector || null
+        })),
+      brokenLinks: [
+        ...[...diff.linkTags.validToBroken, ...diff.linkTags.newBroken].map((link) => ({
+          url: link.href,
+          where: `<link rel="${link.rel || "?"}">`,
+          error: (link.to || link).errorMessage || null
+        })),
+        ...diff.bodyLinks.newBroken.map((link) => ({
+          url: link.url,
+          where: link.kinds?.join("/") || "link",
+          error: link.statusCode ? `HTTP ${link.statusCode}` : link.error || null
+        }))
+      ],
+      consoleErrors: diff.consoleErrors.new.map(({ text, location }) => ({ text, location: location || null }))
+    }))
+    .filter((device) => device.newBugs.length + device.brokenLinks.length + device.consoleErrors.length > 0);
+
+  const total = (field) => devices.reduce((sum, device) => sum + device[field].length, 0);
+  return {
+    counts: { newBugs: total("newBugs"), brokenLinks: total("brokenLinks"), consoleErrors: total("consoleErrors") },
+    devices
+  };
+};
+
+const runScheduledScan = async ({ scheduleId, trigger }, { signal, onProgress }) => {
+  const schedule = await getSchedule(scheduleId);
+  if (!schedule) {
+    throw new Error("Schedule no longer exists");
+  }
+
+  const startedAt = new Date().toISOString();
+  const previous = schedule.lastScanId ? await getScan(schedule.lastScanId) : null;
+
+  let record;
+  try {
+    record = await runScanPipeline(schedule.url, {
+      devices: schedule.devices,
+      auth: schedule.auth,
+      llmProvider: schedule.llmProvider,
+      llmModel: schedule.llmModel,
+      signal,
+      onProgress
+    });
+  } catch (error) {
+    await recordScheduleRun(scheduleId, {
+      trigger,
+      state: signal.aborted ? "cancelled" : "failed",
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      error: error.message
+    });
+    throw error;
+  }
+
+  await saveScan(record.id, { scheduleId });
+
+  onProgress(98, "Comparing with the previous run...");
+  const changes = previous ? detectChanges(previous, record) : null;
+  let notifications = [];
+  if (changes?.devices.length > 0 && schedule.notify?.length > 0) {
+    notifications = await sendNotifications(schedule.notify, {
+      event: "scheduled-scan.changes",
+      schedule: { id: schedule.id, name: schedule.name, url: schedule.url, cron: schedule.cron },
+      scanId: record.id,
+      previousScanId: previous.id,
+      scannedAt: record.updatedAt,
+      summary: changes.counts,
+      devices: changes.devices
+    });
+  }
+
+  await recordScheduleRun(
+    scheduleId,
+    {
+      trigger,
+      state: "completed",
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      scanId: record.id,
+      previousScanId: previous?.id || null,
+      changes: changes?.counts || null,
+      notifications
+    },
+    { lastScanId: record.id }
+  );
+
+  return { scanId: record.id, previousScanId: previous?.id || null, changes: changes?.counts || null };
+};
+
+registerJobHandler("scheduled-scan", runScheduledScan);
+
+/**
+ * Queues a run of a schedule unless its previous run is still queued or running
+ * @param {Object} schedule
+ * @param {string} trigger - "cron" or "manual"
+ * @returns {{job: Object} | {error: string, job: Object}}
+ */
+export const runSchedule = (schedule, trigger) => {
+  const active = getJob(activeJobs.get(schedule.id));
+  if (active && ["queued", "running"].includes(active.state)) {
+    return { error: "The previous run is still in progress", job: active };
+  }
+
+  const job = enqueueJob("scheduled-scan", { scheduleId: schedule.id, trigger });
+  activeJobs.set(schedule.id, job.id);
+  return { job };
+};
+
+/**
+ * Recomputes `nextRunAt` after a schedule was created or changed
+ */
+export const planSchedule = (id) =>
+  updateSchedule(id, (current) => ({
+    nextRunAt: current.enabled ? nextRunAt(current.cron) : null
+  }));
+
+export const forgetSchedule = (id) => {
+  activeJobs.delete(id);
+};
+
+const tick = async () => {
+  const now = new Date();
+  lastTickAt = now.toISOString();
+
+  try {
+    for (const schedule of await listSchedules()) {
+      if (!schedule.enabled || !schedule.nextRunAt || new Date(schedule.nextRunAt) > now) continue;
+
+      const { error } = runSchedule(schedule, "cron");
+      if (error) {
+        console.error(`⚠️  Skipped scheduled scan of ${schedule.url}: ${error}`);
+      }
+      await updateSchedule(schedule.id, { nextRunAt: nextRunAt(schedule.cron, now) });
+    }
+  } catch (error) {
+    console.error("❌ Scheduler Error:", error);
+  }
+
+  // Not re-armed when stopScheduler() ran during the tick
+  if (timer) armTimer();
+};
+
+// Wakes up just after the start of every minute, the resolution of cron expressions
+const armTimer = () => {
+  const delay = 60000 - (Date.now() % 60000) + 1000;
+  timer = setTimeout(tick, delay);
+  timer.unref();
+};
+
+/**
+ * Plans every schedule from now (missed runs are skipped) and starts the timer
+ */
+export const startScheduler = async () => {
+  if (!isEnabled() || timer) return;
+
+  for (const schedule of await listSchedules()) {
+    await planSchedule(schedule.id);
+  }
+  armTimer();
+  console.log("⏰ Scheduler started");
+};
+
+export const stopScheduler = () => {
+  clearTimeout(timer);
+  timer = null;
+};
+
+/**
+ * Scheduler state for the health endpoint
+ */
+export const getSchedulerStats = () => ({
+  enabled: isEnabled(),
+  running: Boolean(timer),
+  lastTickAt
+});
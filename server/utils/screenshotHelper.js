@@ -1,4 +1,4 @@
-import { chromium } from "playwright";
+import { acquireContext } from "./browserPool.js";
 
 /**
  * Takes screenshots of a website while scrolling from top to bottom
@@ -8,7 +8,6 @@ import { chromium } from "playwright";
  * @param {number} options.viewportHeight - Viewport height (default: 768)
  * @param {number} options.scrollStep - Pixels to scroll per step (default: 500)
  * @param {number} options.waitTime - Time to wait after each scroll in ms (default: 500)
- * @param {boolean} options.headless - Run in headless mode (default: true)
  * @returns {Promise<Array<{scrollPosition: number, screenshot: string}>>} Array of screenshots with scroll positions
  */
 export async function takeScrollScreenshots(url, options = {}) {
@@ -17,11 +16,9 @@ export async function takeScrollScreenshots(url, options = {}) {
     viewportHeight = 768,
     scrollStep = 500,
     waitTime = 500,
-    headless = true,
   } = options;
 
-  let browser = null;
-  let context = null;
+  let lease = null;
   let page = null;
 
   try {
@@ -32,19 +29,12 @@ export async function takeScrollScreenshots(url, options = {}) {
       throw new Error("Invalid URL format");
     }
 
-    // Launch browser with performance optimizations
-    browser = await chromium.launch({ 
-      headless,
-      args: ['--disable-javascript-harmony-shipping']
-    });
-
-    context = await browser.newContext({
+    // Borrow an isolated context from the shared browser pool
+    lease = await acquireContext({
       viewport: { width: viewportWidth, height: viewportHeight },
-      ignoreHTTPSErrors: true,
-      javaScriptEnabled: true,
     });
 
-    page = await context.newPage();
+    page = await lease.context.newPage();
 
     // Block fonts and media to speed up loading (keep images for screenshots)
     await page.route('**/*', (route) => {
@@ -154,14 +144,14 @@ export async function takeScrollScreenshots(url, options = {}) {
 
     console.log(`✅ Total screenshots taken: ${screenshots.length}`);
 
-    await browser.close();
+    await lease.release();
 
     return screenshots;
   } catch (error) {
     console.error("❌ Screenshot Helper Error:", error);
 
-    if (browser) {
-      await browser.close().catch(() => {});
+    if (lease) {
+      await lease.release();
     }
 
     throw error;
@@ -178,11 +168,9 @@ export async function takeFullPageScreenshot(url, options = {}) {
   const {
     viewportWidth = 1366,
     viewportHeight = 768,
-    headless = true,
   } = options;
 
-  let browser = null;
-  let context = null;
+  let lease = null;
   let page = null;
 
   try {
@@ -193,19 +181,12 @@ export async function takeFullPageScreenshot(url, options = {}) {
       throw new Error("Invalid URL format");
     }
 
-    // Launch browser with performance optimizations
-    browser = await chromium.launch({ 
-      headless,
-      args: ['--disable-javascript-harmony-shipping']
-    });
-
-    context = await browser.newContext({
+    // Borrow an isolated context from the shared browser pool
+    lease = await acquireContext({
       viewport: { width: viewportWidth, height: viewportHeight },
-      ignoreHTTPSErrors: true,
-      javaScriptEnabled: true,
     });
 
-    page = await context.newPage();
+    page = await lease.context.newPage();
 
     // Block fonts and media to speed up loading (keep images for screenshots)
     await page.route('**/*', (route) => {
@@ -235,14 +216,14 @@ export async function takeFullPageScreenshot(url, options = {}) {
     const screenshotBuffer = await page.screenshot({ fullPage: true });
     const screenshotBase64 = screenshotBuffer.toString("base64");
 
-    await browser.close();
+    await lease.release();
 
     return screenshotBase64;
   } catch (error) {
     console.error("❌ Full Page Screenshot Error:", error);
 
-    if (browser) {
-      await browser.close().catch(() => {});
+    if (lease) {
+      await lease.release();
     }
 
     throw error;
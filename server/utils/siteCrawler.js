@@ -0,0 +1,313 @@
+import axios from "axios";
+import { acquireContext } from "./browserPool.js";
+import { analyzeHead, analyzeBody, testInteractiveElements } from "./domAnalyzer.js";
+import { blockResources, collectPageErrors, describeNavigationError } from "./pageHelper.js";
+
+const CRAWLER_USER_AGENT = "SmartBugFinder";
+const MAX_SKIPPED_ENTRIES = 500;
+
+// Links to files that are not HTML pages are never crawled
+const NON_HTML_EXTENSIONS = /\.(pdf|zip|gz|tar|rar|7z|exe|dmg|pkg|jpe?g|png|gif|webp|svg|ico|bmp|mp3|mp4|webm|mov|avi|woff2?|ttf|eot|css|js|json|xml|txt|csv|docx?|xlsx?|pptx?)$/i;
+
+/**
+ * Converts a glob pattern to a RegExp matched against a URL path.
+ * `**` matches anything (including `/`), `*` matches within one path segment, `?` one character.
+ */
+export const globToRegExp = (glob) => {
+  let pattern = "";
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*") {
+      if (glob[i + 1] === "*") {
+        pattern += ".*";
+        i++;
+      } else {
+        pattern += "[^/]*";
+      }
+    } else if (char === "?") {
+      pattern += "[^/]";
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${pattern}$`);
+};
+
+/**
+ * Fetches robots.txt and returns the Allow/Disallow rules that apply to the crawler
+ * (its own user-agent group if present, otherwise the `*` group)
+ */
+const loadRobotsRules = async (origin) => {
+  try {
+    const response = await axios.get(`${origin}/robots.txt`, {
+      timeout: 5000,
+      maxRedirects: 3,
+      responseType: "text",
+      validateStatus: () => true
+    });
+    if (response.status >= 400 || typeof response.data !== "string") {
+      return [];
+    }
+
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of response.data.split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, "").trim();
+      const separator = line.indexOf(":");
+      if (separator === -1) continue;
+
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (field === "user-agent") {
+        // Consecutive user-agent lines share one rule group
+        if (!lastWasAgent) {
+          current = { agents: [], rules: [] };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+      } else {
+        lastWasAgent = false;
+        if (current && (field === "allow" || field === "disallow") && value) {
+          current.rules.push({ allow: field === "allow", path: value });
+        }
+      }
+    }
+
+    const ownGroup = groups.find((group) => group.agents.includes(CRAWLER_USER_AGENT.toLowerCase()));
+    const wildcardGroup = groups.find((group) => group.agents.includes("*"));
+    return (ownGroup || wildcardGroup)?.rules || [];
+  } catch {
+    // Unreachable robots.txt means no restrictions
+    return [];
+  }
+};
+
+/**
+ * Applies robots.txt rules to a path: the longest matching rule wins, Allow wins ties
+ */
+const isAllowedByRobots = (rules, pathWithQuery) => {
+  let best = null;
+  for (const rule of rules) {
+    const anchored = rule.path.endsWith("$");
+    const source = (anchored ? rule.path.slice(0, -1) : rule.path)
+      .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+      .replace(/\*/g, ".*");
+    const regex = new RegExp(`^${source}${anchored ? "$" : ""}`);
+    if (regex.test(pathWithQuery)) {
+      if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+        best = rule;
+      }
+    }
+  }
+  return !best || best.allow;
+};
+
+/**
+ * Normalizes a crawl candidate: resolves it, drops the fragment,
+ * and returns null for anything that is not a same-origin HTML page
+ */
+const normalizeLink = (href, baseUrl, origin) => {
+  try {
+    const resolved = new URL(href, baseUrl);
+    if (!["http:", "https:"].includes(resolved.protocol) || resolved.origin !== origin) {
+      return null;
+    }
+    if (NON_HTML_EXTENSIONS.test(resolved.pathname)) {
+      return null;
+    }
+    resolved.hash = "";
+    return resolved.href;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Opens one page, runs the DOM analyzers (unless `analyze` is false) and collects its outgoing links
+ */
+const analyzeCrawledPage = async (context, url, depth, analyze) => {
+  const page = await context.newPage();
+  try {
+    await blockResources(page, ["image", "font", "media"]);
+    const { consoleErrors, consoleWarnings, networkErrors } = collectPageErrors(page);
+
+    // navigateAndSettle does not expose the response, and the status code matters here
+    const response = await page.goto(url, { waitUntil: "domcontentloaded", timeout: 60000 }).catch((error) => {
+      throw new Error(describeNavigationError(error));
+    });
+    await page.waitForLoadState("networkidle", { timeout: 5000 }).catch(() => {});
+    await page.waitForTimeout(500);
+
+    // Links come from the rendered DOM, so client-side navigation links are included
+    const links = await page.$$eval("a[href]", (anchors) => anchors.map((a) => a.getAttribute("href")));
+    const visited = { url, finalUrl: page.url(), depth, status: response?.status() ?? null, links, error: null };
+    if (!analyze) {
+      return visited;
+    }
+
+    const [headAnalysis, bodyAnalysis] = await Promise.all([
+      analyzeHead(page, url),
+      analyzeBody(page)
+    ]);
+    const bodyAnalysisWithTests = await testInteractiveElements(page, bodyAnalysis);
+
+    return {
+      ...visited,
+      headAnalysis,
+      bodyAnalysis: bodyAnalysisWithTests,
+      consoleData: { errors: consoleErrors, warnings: consoleWarnings },
+      networkErrors
+    };
+  } finally {
+    await page.close().catch(() => {});
+  }
+};
+
+/**
+ * Crawls a site breadth-first from a seed URL and analyzes every page it visits
+ *
+ * @param {string} seedUrl - Where the crawl starts
+ * @param {Object} options
+ * @param {number} options.maxDepth - Link depth from the seed (default: 2, seed is depth 0)
+ * @param {number} options.maxPages - Max pages analyzed (default: 20)
+ * @param {string[]} options.include - Path globs a page must match (default: all)
+ * @param {string[]} options.exclude - Path globs that are skipped
+ * @param {boolean} options.respectRobots - Honor robots.txt (default: true)
+ * @param {number} options.concurrency - Pages analyzed at the same time (default: 2)
+ * @param {boolean} options.analyze - Run the DOM analyzers on every page (default: true);
+ *   false only collects the pages and their links, for callers that scan them afterwards
+ * @param {AbortSignal} options.signal - Stops the crawl between pages
+ * @param {Function} options.onProgress - Called with (percent, message)
+ * @param {Function} options.onPage - Called with each page report as it finishes
+ * @returns {Promise<Object>} Site-wide report grouped by page
+ */
+export const crawlSite = async (seedUrl, options = {}) => {
+  const {
+    maxDepth = 2,
+    maxPages = 20,
+    include = [],
+    exclude = [],
+    respectRobots = true,
+    concurrency = 2,
+    analyze = true,
+    signal,
+    onProgress = () => {},
+    onPage = () => {}
+  } = options;
+
+  const seed = new URL(seedUrl);
+  const origin = seed.origin;
+  const includeRegexps = include.map(globToRegExp);
+  const excludeRegexps = exclude.map(globToRegExp);
+  const robotsRules = respectRobots ? await loadRobotsRules(origin) : [];
+
+  const startedAt = new Date().toISOString();
+  const pages = [];
+  const skipped = [];
+  let skippedCount = 0;
+  const seen = new Set();
+  const queue = [];
+
+  // Every skipped URL is counted, but only the first few hundred are listed
+  const skip = (entry) => {
+    skippedCount++;
+    if (skipped.length < MAX_SKIPPED_ENTRIES) {
+      skipped.push(entry);
+    }
+  };
+
+  const enqueue = (url, depth, foundOn) => {
+    if (seen.has(url)) return;
+    seen.add(url);
+
+    const { pathname, search } = new URL(url);
+    if (depth > maxDepth) {
+      skip({ url, reason: "maxDepth", foundOn });
+    } else if (respectRobots && !isAllowedByRobots(robotsRules, pathname + search)) {
+      skip({ url, reason: "robots.txt", foundOn });
+    } else if (includeRegexps.length > 0 && !includeRegexps.some((regex) => regex.test(pathname))) {
+      skip({ url, reason: "include", foundOn });
+    } else if (excludeRegexps.some((regex) => regex.test(pathname))) {
+      skip({ url, reason: "exclude", foundOn });
+    } else {
+      queue.push({ url, depth });
+    }
+  };
+
+  // The seed itself is always analyzed, even if the filters would skip it
+  const seedHref = normalizeLink(seed.href, seed.href, origin) || seed.href;
+  seen.add(seedHref);
+  queue.push({ url: seedHref, depth: 0 });
+
+  const lease = await acquireContext({
+    viewport: { width: 1366, height: 768 }
+  });
+
+  try {
+    let started = 0;
+
+    const worker = async () => {
+      while (queue.length > 0 && started < maxPages) {
+        signal?.throwIfAborted();
+        const { url, depth } = queue.shift();
+        started++;
+        onProgress(Math.round((started / maxPages) * 95), `${analyze ? "Analyzing" : "Visiting"} ${url}`);
+        console.log(`🕸️  Crawling (${started}/${maxPages}, depth ${depth}): ${url}`);
+
+        let report;
+        try {
+          report = await analyzeCrawledPage(lease.context, url, depth, analyze);
+        } catch (error) {
+          report = { url, depth, status: null, error: error.message, links: [] };
+        }
+
+        for (const href of report.links) {
+          const link = normalizeLink(href, report.finalUrl || url, origin);
+          if (link) enqueue(link, depth + 1, url);
+        }
+
+        const { links, ...pageReport } = report;
+        pageReport.linkCount = links.length;
+        pages.push(pageReport);
+        onPage(pageReport);
+      }
+    };
+
+    // Workers drain the shared queue; a worker idles out when the queue is empty
+    // while others may still add links, so loop until nothing new was found
+    while (queue.length > 0 && started < maxPages) {
+      await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+    }
+  } finally {
+    await lease.release();
+  }
+
+  for (const { url } of queue) {
+    skip({ url, reason: "maxPages" });
+  }
+
+  const countBy = (fn) => pages.reduce((sum, page) => sum + fn(page), 0);
+
+  return {
+    seedUrl: seedHref,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    options: { maxDepth, maxPages, include, exclude, respectRobots },
+    summary: {
+      pagesAnalyzed: pages.length,
+      pagesFailed: pages.filter((page) => page.error).length,
+      pagesSkipped: skippedCount,
+      consoleErrors: countBy((page) => page.consoleData?.errors?.length || 0),
+      networkErrors: countBy((page) => page.networkErrors?.length || 0),
+      brokenLinkTags: countBy(
+        (page) => page.headAnalysis?.linkSummary?.filter((link) => link.status === "broken").length || 0
+      )
+    },
+    pages,
+    skipped
+  };
+};
@@ -0,0 +1,245 @@
+import fs from "fs/promises";
+import path from "path";
+import { createHash } from "crypto";
+import { fileURLToPath } from "url";
+import { PNG } from "pngjs";
+import pixelmatch from "pixelmatch";
+
+/**
+ * Visual regression against approved baseline screenshots.
+ *
+ * One baseline exists per URL + viewport size. Baselines live under
+ * VISUAL_BASELINE_DIR (default: server/data/baselines) as `<id>.png` plus
+ * `<id>.json` metadata (ignore regions, threshold, source scan).
+ * A scan passes when the share of differing pixels is at or below the
+ * baseline threshold (percent, default VISUAL_DIFF_THRESHOLD or 0.5).
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BASELINE_DIR = process.env.VISUAL_BASELINE_DIR || path.join(__dirname, "..", "data", "baselines");
+const DEFAULT_THRESHOLD = parseFloat(process.env.VISUAL_DIFF_THRESHOLD) || 0.5;
+
+// Per-pixel color distance tolerance used by pixelmatch (0 = exact, 1 = anything)
+const PIXEL_TOLERANCE = 0.1;
+
+const BASELINE_ID_PATTERN = /^[0-9a-f]{16}$/;
+
+export const isValidBaselineId = (id) => typeof id === "string" && BASELINE_ID_PATTERN.test(id);
+
+const viewportKey = (viewport) => `${viewport?.width || 0}x${viewport?.height || 0}`;
+
+/**
+ * Baseline ID for a URL + viewport (stable, so re-approving replaces the old baseline)
+ */
+export const baselineIdFor = (url, viewport) =>
+  createHash("sha1").update(`${url}|${viewportKey(viewport)}`).digest("hex").slice(0, 16);
+
+const metaFile = (id) => path.join(BASELINE_DIR, `${id}.json`);
+const imageFile = (id) => path.join(BASELINE_DIR, `${id}.png`);
+
+const readMeta = async (id) => {
+  try {
+    return JSON.parse(await fs.readFile(metaFile(id), "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+};
+
+/**
+ * Keeps only well-formed rectangles ({ x, y, width, height } in screenshot pixels)
+ */
+export const sanitizeIgnoreRegions = (regions) =>
+  (Array.isArray(regions) ? regions : [])
+    .map((region) => ({
+      x: Math.max(0, Math.round(Number(region?.x) || 0)),
+      y: Math.max(0, Math.round(Number(region?.y) || 0)),
+      width: Math.round(Number(region?.width) || 0),
+      height: Math.round(Number(region?.height) || 0),
+      ...(region?.label ? { label: String(region.label) } : {})
+    }))
+    .filter((region) => region.width > 0 && region.height > 0);
+
+/**
+ * Approves a screenshot as the baseline for its URL + viewport
+ * @param {Object} params
+ * @param {string} params.url
+ * @param {{width: number, height: number}} params.viewport
+ * @param {string} params.screenshot - Base64 PNG
+ * @param {string} params.scanId - Scan the screenshot came from (optional)
+ * @param {Array} params.ignoreRegions - Rectangles excluded from comparison
+ * @param {number} params.threshold - Max mismatch percent that still passes
+ */
+export const setBaseline = async ({ url, viewport, screenshot, scanId = null, ignoreRegions, threshold }) => {
+  const id = baselineIdFor(url, viewport);
+  const existing = await readMeta(id);
+  const png = PNG.sync.read(Buffer.from(screenshot, "base64"));
+
+  const meta = {
+    id,
+    url,
+    viewport,
+    scanId,
+    width: png.width,
+    height: png.height,
+    ignoreRegions: ignoreRegions !== undefined ? sanitizeIgnoreRegions(ignoreRegions) : existing?.ignoreRegions || [],
+    threshold: Number.isFinite(threshold) ? threshold : existing?.threshold ?? DEFAULT_THRESHOLD,
+    createdAt: new Date().toISOString()
+  };
+
+  await fs.mkdir(BASELINE_DIR, { recursive: true });
+  await fs.writeFile(imageFile(id), Buffer.from(screenshot, "base64"));
+  await fs.writeFile(metaFile(id), JSON.stringify(meta, null, 2));
+  return meta;
+};
+
+/**
+ * Returns baseline metadata, optionally with the base64 image
+ */
+export const getBaseline = async (id, { includeImage = false } = {}) => {
+  if (!isValidBaselineId(id)) return null;
+  const meta = await readMeta(id);
+  if (!meta || !includeImage) return meta;
+
+  const image = await fs.readFile(imageFile(id));
+  return { ...meta, screenshot: image.toString("base64") };
+};
+
+export const findBaseline = (url, viewport, options) => getBaseline(baselineIdFor(url, viewport), options);
+
+/**
+ * Lists baseline metadata, optionally for one URL
+ */
+export const listBaselines = async ({ url } = {}) => {
+  let files;
+  try {
+    files = await fs.readdir(BASELINE_DIR);
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const metas = await Promise.all(
+    files.filter((file) => file.endsWith(".json")).map((file) => readMeta(file.replace(/\.json$/, "")))
+  );
+  return metas
+    .filter((meta) => meta && (!url || meta.url === url))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+/**
+ * Updates ignore regions and/or threshold of an existing baseline
+ */
+export const updateBaseline = async (id, { ignoreRegions, threshold } = {}) => {
+  const meta = await getBaseline(id);
+  if (!meta) return null;
+
+  if (ignoreRegions !== undefined) {
+    meta.ignoreRegions = sanitizeIgnoreRegions(ignoreRegions);
+  }
+  if (Number.isFinite(threshold)) {
+    meta.threshold = threshold;
+  }
+  meta.updatedAt = new Date().toISOString();
+
+  await fs.writeFile(metaFile(id), JSON.stringify(meta, null, 2));
+  return meta;
+};
+
+export const deleteBaseline = async (id) => {
+  if (!isValidBaselineId(id) || !(await readMeta(id))) return false;
+  await Promise.all([fs.unlink(metaFile(id)), fs.unlink(imageFile(id)).catch(() => {})]);
+  return true;
+};
+
+/**
+ * Copies an image onto a canvas of the given size. The extra area is filled
+ * with opaque magenta so it never matches real page content.
+ */
+const padTo = (png, width, height) => {
+  if (png.width === width && png.height === height) return png;
+  const padded = new PNG({ width, height });
+  for (let offset = 0; offset < padded.data.length; offset += 4) {
+    padded.data[offset] = 255;
+    padded.data[offset + 1] = 0;
+    padded.data[offset + 2] = 255;
+    padded.data[offset + 3] = 255;
+  }
+  PNG.bitblt(png, padded, 0, 0, png.width, png.height, 0, 0);
+  return padded;
+};
+
+/**
+ * Paints ignored regions the same solid color so they never count as differences
+ */
+const maskRegions = (png, regions) => {
+  for (const region of regions) {
+    const xEnd = Math.min(region.x + region.width, png.width);
+    const yEnd = Math.min(region.y + region.height, png.height);
+    for (let y = region.y; y < yEnd; y++) {
+      for (let x = region.x; x < xEnd; x++) {
+        const offset = (png.width * y + x) << 2;
+        png.data[offset] = 255;
+        png.data[offset + 1] = 0;
+        png.data[offset + 2] = 255;
+        png.data[offset + 3] = 255;
+      }
+    }
+  }
+};
+
+/**
+ * Pixel-diffs two base64 PNGs
+ * @returns {{mismatchPixels: number, totalPixels: number, mismatchPercent: number, sizeMismatch: boolean, diffImage: string}}
+ */
+export const compareScreenshots = (baselineBase64, currentBase64, { ignoreRegions = [] } = {}) => {
+  const baseline = PNG.sync.read(Buffer.from(baselineBase64, "base64"));
+  const current = PNG.sync.read(Buffer.from(currentBase64, "base64"));
+
+  // Different sizes are compared on a shared canvas, so added/removed area counts as changed
+  const width = Math.max(baseline.width, current.width);
+  const height = Math.max(baseline.height, current.height);
+  const expected = padTo(baseline, width, height);
+  const actual = padTo(current, width, height);
+
+  maskRegions(expected, ignoreRegions);
+  maskRegions(actual, ignoreRegions);
+
+  const diff = new PNG({ width, height });
+  const mismatchPixels = pixelmatch(expected.data, actual.data, diff.data, width, height, {
+    threshold: PIXEL_TOLERANCE
+  });
+
+  const totalPixels = width * height;
+  return {
+    mismatchPixels,
+    totalPixels,
+    mismatchPercent: totalPixels > 0 ? Number(((mismatchPixels / totalPixels) * 100).toFixed(3)) : 0,
+    sizeMismatch: baseline.width !== current.width || baseline.height !== current.height,
+    diffImage: PNG.sync.write(diff).toString("base64")
+  };
+};
+
+/**
+ * Compares a screenshot with the baseline for its URL + viewport.
+ * Returns null when no baseline has been approved yet.
+ */
+export const checkAgainstBaseline = async ({ url, viewport, screenshot }) => {
+  const baseline = await findBaseline(url, viewport, { includeImage: true });
+  if (!baseline) return null;
+
+  const result = compareScreenshots(baseline.screenshot, screenshot, {
+    ignoreRegions: baseline.ignoreRegions
+  });
+
+  return {
+    baselineId: baseline.id,
+    baselineScanId: baseline.scanId,
+    baselineCreatedAt: baseline.createdAt,
+    threshold: baseline.threshold,
+    ignoreRegions: baseline.ignoreRegions,
+    ...result,
+    passed: result.mismatchPercent <= baseline.threshold,
+    checkedAt: new Date().toISOString()
+  };
+};